@@ -1,283 +1,118 @@
-import dgram from 'node:dgram';
-import {
-  DIS6_PduFactory as PduFactory,
-  DIS6_EntityStatePdu,
-  DIS6_SurfacePlatformAppearance,
-  DIS6_EntityID,
-  InputStream,
-  CoordinateConverter,
-  OrientationConverter
-} from 'open-dis-js';
-
-import { isInSubnet } from 'is-in-subnet';
-import packageJson from './package.json' with { type: "json" };
-import { createWriteStream } from 'node:fs';
 import { isSea } from 'node:sea';
+import { DISListener } from './lib/dis-listener.js';
+import { ConfigError, DIS_INPUT_OPTIONS, formatOptions, parseOptions } from './lib/cli.js';
+import { EXPORT_FORMATS, exportFormatOf } from './lib/geo-export.js';
 
 // check if the app is a Single executable application
 const isSEA = isSea();
 
-const NAME = 'DISListener';
 const FILENAME = 'dis-listener' + (isSEA ? '.exe' : '.js');
 
-const orc = new OrientationConverter();
-
-/** 
- * @typedef {Object} DISListenerConfig
- * @property {string} [disAddress] - The DIS IP address to listen on. Default is '239.1.2.3'
- * @property {number} [disLocalAddress] - The local address to listen on. Default is '0.0.0.0'
- * @property {number} [disPort] - The port to listen on. Default is 62040
- */
-
-// get parameters from args
-const args = process.argv.slice(2);
-
-// min args length is 2
-if (args.length < 2) {
-  const nodePrefix = "node ";
-
-  console.log(`Usage: ${isSEA ? "":nodePrefix}${FILENAME} <disAddress> <disPort> [filename] [-v]`);
+/** @type {import('./lib/cli.js').CLIOption[]} */
+const OPTIONS = [
+  ...DIS_INPUT_OPTIONS,
+  { name: 'output', type: 'string', placeholder: 'file', description: 'The file to append the logs or records to' },
+  { name: 'max-size', type: 'number', positive: true, placeholder: 'MB', description: 'Rotate the output file once it reaches this size' },
+  { name: 'rotate-interval', type: 'number', positive: true, placeholder: 'minutes', description: 'Rotate the output file at this interval, aligned on the UTC clock, e.g. 60 on every hour' },
+  { name: 'gzip', type: 'boolean', description: 'Compress the rotated output files' },
+  { name: 'max-files', type: 'integer', min: 1, placeholder: 'n', description: 'Number of rotated output files to keep, the oldest are deleted. Default is all' },
+  { name: 'format', type: 'string', choices: DISListener.FORMATS, description: 'Output format, json modes write one object per decoded PDU, json ones pretty-printed one after the other, not in an array. Default is text' },
+  { name: 'table', type: 'number', positive: true, flagValue: 1, placeholder: 'seconds', description: 'Display a live entity table instead of the per-PDU lines, refreshed every second by default' },
+  { name: 'record', type: 'string', placeholder: 'file.pcap', description: 'Record the received datagrams to a pcap file' },
+  { name: 'read', type: 'string', placeholder: 'capture', description: 'Decode a pcap/pcapng capture instead of listening, --address and --port then filter the datagrams' },
+  { name: 'export', type: 'string', list: true, key: 'exportFiles', placeholder: 'file', description: 'Export the entity tracks to this file when stopping or at the end of --read, GeoJSON, KML or CZML from its extension (.geojson, .json, .kml, .czml), can be repeated' },
+  { name: 'track-interval', type: 'number', positive: true, placeholder: 'seconds', description: 'Minimum time between two points of the exported tracks. Default is 1' },
+  { name: 'interval', type: 'number', positive: true, placeholder: 'seconds', description: 'Rate interval of the capture statistics. Default is 60' },
+  { name: 'metrics-host', type: 'string', placeholder: 'host', description: 'The host to serve the Prometheus metrics on. Default is localhost' },
+  { name: 'metrics-port', type: 'integer', min: 0, max: 65535, description: 'Serve the Prometheus metrics on this port, at /metrics' }
+];
+
+const usage = () => {
+  const nodePrefix = isSEA ? "" : "node ";
+
+  console.log(`Usage: ${nodePrefix}${FILENAME} [disAddress] [disPort] [filename] [options]`);
   console.log('');
-  console.log('disAddress: The DIS IP address to listen on.');
-  console.log('            Unicast, multicast and broadcast IPv4 adresses are allowed.');
-  console.log('disPort: The port to listen on.');
-  console.log('filename: The output file to write logs to.');
+  console.log('disAddress, disPort and filename are the same as --address, --port and --output.');
+  console.log('');
+  console.log('Options, then their environment variable:');
+  formatOptions(OPTIONS).forEach(line => console.log(line));
+  console.log('');
+  console.log('The command line wins over the environment, which wins over the config file.');
   console.log('');
   console.log('Example:');
-  console.log(`  ${isSEA ? "":nodePrefix}${FILENAME} 239.1.2.3 62040`);
+  console.log(`  ${nodePrefix}${FILENAME} 239.1.2.3 62040`);
+  console.log(`  ${nodePrefix}${FILENAME} --address=239.1.2.3 --port=62040 --interface=192.168.1.10 --format=ndjson --output=exercise.ndjson`);
+  console.log(`  ${nodePrefix}${FILENAME} --input=air=239.1.2.3:62040 --input=land=239.1.2.4:62040 --table`);
+  console.log(`  ${nodePrefix}${FILENAME} 239.1.2.3 62040 exercise.log -v --max-size=100 --gzip --max-files=20`);
+  console.log(`  ${nodePrefix}${FILENAME} 239.1.2.3 62040 --metrics-host=0.0.0.0 --metrics-port=9871`);
+  console.log(`  ${nodePrefix}${FILENAME} --read=exercise.pcap`);
+  console.log(`  ${nodePrefix}${FILENAME} --read=exercise.pcap --export=exercise.czml --export=exercise.kml`);
+  console.log(`  ${nodePrefix}${FILENAME} --config=exercise.yaml`);
   console.log('');
-  process.exit(1);
-}
+};
 
-// filter out - flags
-const argsf = args.filter(arg => !arg.startsWith('-'));
-//console.log("argsf", argsf);
-// filter out non - flags
-const argsp = args.filter(arg => arg.startsWith('-'));
-//console.log("argsp", argsp);
+let options;
+try {
+  options = parseOptions(OPTIONS, { positionals: ['address', 'port', 'output'] });
 
-// get address and port from args
-const UDP_IP = argsf[0];
-const UDP_PORT = parseInt(argsf[1]);
-const FILE_OUTPUT = argsf[2];
-
-// check -v flag for verbose logging
-//const VERBOSE = argsp.includes('-v');
-const VERBOSE = true;
-
-class DISListener {
-  version = packageJson.version;
-  pduFactory = new PduFactory();
-  coordConverter = new CoordinateConverter();
-
-  /** @type {DISListenerConfig} */
-  config = null;
-
-  /** @type {dgram.Socket} */
-  socket = null;
-
-  static LOG_LEVEL = {
-    VERBOSE: 0,
-    INFO: 1,
-    WARN: 2,
-    ERROR: 3
+  const exportFile = options.exportFiles?.find(path => !exportFormatOf(path));
+  if (exportFile !== undefined) {
+    throw new ConfigError(`--export must be a ${Object.keys(EXPORT_FORMATS).join(', ')} file, got ${JSON.stringify(exportFile)}`);
   }
-
-  /** @type {boolean} */
-  isMulticast = false;
-
-  /** @type {Stream} */
-  logStream = null;
-
-  /**
-   * @param {DISListenerConfig} config
-   */
-  constructor(config) {
-    this.setConfig(config);
+} catch (err) {
+  if (!(err instanceof ConfigError)) {
+    throw err;
   }
+  console.error(`Error: ${err.message}`);
+  console.error(`Run ${isSEA ? "" : "node "}${FILENAME} --help for the usage`);
+  process.exit(1);
+}
 
-  start() {
-    this.initLogging();
-    this.listenForUDP();
-
-    this.log(DISListener.LOG_LEVEL.INFO, `${NAME} v${this.version} started`);
-  }
-
-  initLogging() {
-    // Check if the output file is set
-    if (FILE_OUTPUT) {
-      this.logStream = createWriteStream(FILE_OUTPUT, { flags: 'a' });
-      this.log(DISListener.LOG_LEVEL.INFO, `Logging to file: ${FILE_OUTPUT}`);
-    }
-  }
-
-  listenForUDP() {
-    this.socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
-
-    this.socket.on('listening', () => {
-      const address = this.socket.address();
-
-      this.log(DISListener.LOG_LEVEL.INFO, `Listening for UDP${this.isMulticast ? " multicast" : ""} on ${this.config.disAddress}:${this.config.disPort}`);
-
-      // Join the multicast group if needed
-      if (this.isMulticast) {
-        this.log(DISListener.LOG_LEVEL.INFO, `Joining multicast group ${UDP_IP}`);
-        this.socket.addMembership(UDP_IP);
-      }
-    });
-
-    // Event when a message is received
-    this.socket.on('message', (msg, rinfo) => {
-      this.log(DISListener.LOG_LEVEL.VERBOSE, ``);
-      this.log(DISListener.LOG_LEVEL.VERBOSE, `Received datagram from ${rinfo.address}:${rinfo.port}, length: ${rinfo.size} bytes`);
-
-      this.parseDISMessage(msg);
-    });
-
-    // Event when there's an error
-    this.socket.on('error', (err) => {
-      this.log(DISListener.LOG_LEVEL.ERROR, `Socket error: ${err.message}`);
-      this.socket.close();
-    });
-
-    // Bind to the port
-    this.socket.bind(this.config.disPort, this.config.disLocalAddress);
-  }
-
-  /**
-   * 
-   * @param {Buffer} msg 
-   * @returns 
-   */
-  parseDISMessage(msg) {
-    // Parse the DIS Entity State PDU (basic parsing for demonstration)
-    if (msg.length >= 144) { // Minimum length of Entity State PDU
-      // convert msg to an array buffer
-      const arrayBuf = new Uint8Array(msg).buffer;
-
-      const disMessage = this.pduFactory.createPdu(arrayBuf);
-
-      if (disMessage.pduType === DIS6_EntityStatePdu.pduType) {
-        /** @type {DIS6_EntityStatePdu} */
-        const espdu = disMessage;
-
-        if (espdu.protocolVersion !== 6) {
-          this.log(DISListener.LOG_LEVEL.ERROR, `Unsupported DIS protocol version: ${espdu.protocolVersion}`);
-          return;
-        }
-
-        // parse the DIS message
-        this.handleDIS_ESPDU(espdu);
-      }
-    }
-  }
-
-  /**
-   * 
-   * @param {DIS6_EntityStatePdu} espdu 
-   */
-  handleDIS_ESPDU(espdu) {
-    // convert entityLocation to lat long
-    const pos = this.coordConverter.convertDisToLatLongInDegrees(espdu.entityLocation);
-
-    this.log(DISListener.LOG_LEVEL.VERBOSE, `Received Entity State PDU`);
-
-    // type
-    this.log(DISListener.LOG_LEVEL.VERBOSE, `type: ${espdu.entityType.kind}, domain: ${espdu.entityType.domain}, country: ${espdu.entityType.country}, category: ${espdu.entityType.category}, subcategory: ${espdu.entityType.subcategory}, specific: ${espdu.entityType.spec}, extra: ${espdu.entityType.extra}`);
-
-    this.log(DISListener.LOG_LEVEL.VERBOSE, `pos: Lat: ${pos.latitude}, Lon: ${pos.longitude}, Alt: ${pos.altitude}`);
-
-    // translated orientation
-    const ort = orc.calculateHeadingPitchRollFromPsiThetaPhiRadians(espdu.entityOrientation, pos.latitude, pos.longitude);
-    this.log(DISListener.LOG_LEVEL.VERBOSE, `heading: ${ort.heading}°, pitch: ${ort.pitch}°, roll: ${ort.roll}°`);
-
-    const marking = espdu.marking.getMarking();
-    this.log(DISListener.LOG_LEVEL.VERBOSE, `marking: ${marking}`);
-    this.log(DISListener.LOG_LEVEL.VERBOSE, `id: ${espdu.entityID}`);
-
-    // appearance
-    const appearance = new DIS6_SurfacePlatformAppearance();
-    appearance.fromUInt32(espdu.entityAppearance);
-    // damage from appearance
-    const damage = appearance.damage;
-    this.log(DISListener.LOG_LEVEL.VERBOSE, `damage: ${damage}`);
-
-    // articulation parameters
-    const aps = espdu.articulationParameters;
-
-    this.log(DISListener.LOG_LEVEL.VERBOSE, `Articulation Parameters (count: ${aps.length}):`);
-
-    let i = 0;
-    for (const ap of aps) {
-      this.log(DISListener.LOG_LEVEL.VERBOSE, `ap #${i}:`);
-      this.log(DISListener.LOG_LEVEL.VERBOSE, `  parameterType: ${ap.parameterType}`);
-      this.log(DISListener.LOG_LEVEL.VERBOSE, `  parameterTypeDesignator: ${ap.parameterTypeDesignator}`);
-      this.log(DISListener.LOG_LEVEL.VERBOSE, `  parameterValue: 0x${this.toHex(ap.parameterValue)}`);
-
-      // if parametertype is EntityID list
-      if (ap.parameterType === 1) {
-        // convert parametervalue to EntityID
-        const arrbuf = new Uint8Array(ap.parameterValue).buffer;
-        //console.log(arrbuf);
-        const is = new InputStream(arrbuf);
-        const eid = new DIS6_EntityID();
-        eid.initFromBinary(is);
-        this.log(DISListener.LOG_LEVEL.VERBOSE, `  parameterValue Entity ID decoded:`);
-        this.log(DISListener.LOG_LEVEL.VERBOSE, `    site: ${eid.site}`);
-        this.log(DISListener.LOG_LEVEL.VERBOSE, `    application: ${eid.application}`);
-        this.log(DISListener.LOG_LEVEL.VERBOSE, `    entity: ${eid.entity}`);
-      }
-
-      i++;
-    }
-  }
-
-  toHex(buffer) {
-    return Array.prototype.map.call(buffer, x => ('00' + x.toString(16)).slice(-2)).join('');
-  }
-
-  /**
-   * @param {DISListenerConfig} config
-   */
-  setConfig(config) {
-    this.config = {
-      disAddress: config.disAddress ?? '239.1.2.3',
-      disPort: config.disPort ?? 62040,
-      logLevel: config.logLevel ?? DISListener.LOG_LEVEL.INFO
-    };
-
-    // Check if the address is a multicast address (part of 224.0.0.0/4) for IPv4
-    this.isMulticast = isInSubnet(this.config.disAddress, "224.0.0.0/4");
-  }
-
-  getConfig() {
-    return this.config;
-  }
-
-  log(level, ...messages) {
-    // check if verbose logging is enabled
-    if (level < this.config.logLevel) {
-      return;
-    }
-
-    let prefix = `[${new Date().toISOString()}]`;
+if (options.help) {
+  usage();
+  process.exit(0);
+}
 
-    const enableLevel = false;
+const logLevel = options.verbose ? 'verbose' : options.logLevel;
+
+const listener = new DISListener({
+  disAddress: options.address,
+  disInterface: options.interface,
+  disSources: options.sources,
+  disPort: options.port,
+  inputs: options.inputs,
+  allowSenders: options.allowSenders,
+  denySenders: options.denySenders,
+  enumerations: options.enumerations,
+  logLevel: logLevel ? DISListener.LOG_LEVEL[logLevel.toUpperCase()] : undefined,
+  format: options.format,
+  logFile: options.output,
+  logMaxSize: options.maxSize ? options.maxSize * 1024 * 1024 : undefined,
+  logRotateInterval: options.rotateInterval ? options.rotateInterval * 60 * 1000 : undefined,
+  logGzip: options.gzip,
+  logMaxFiles: options.maxFiles,
+  entityTimeout: options.timeout ? options.timeout * 1000 : undefined,
+  tableInterval: options.table ? options.table * 1000 : 0,
+  recordFile: options.record,
+  captureFile: options.read,
+  filterCapture: options.read !== undefined && (options.address !== undefined || options.inputs !== undefined),
+  statisticsInterval: options.interval ? options.interval * 1000 : undefined,
+  summaryInterval: options.summaryInterval !== undefined ? options.summaryInterval * 1000 : undefined,
+  metricsHost: options.metricsHost,
+  metricsPort: options.metricsPort,
+  exportFiles: options.exportFiles,
+  trackInterval: options.trackInterval ? options.trackInterval * 1000 : undefined
+});
+listener.start();
 
-    if(enableLevel) prefix += ` [${level}]`;
+// Ctrl+C or service stop: the log and pcap files are flushed before exiting, a second signal exits at once
+const shutdown = (signal) => {
+  listener.log(DISListener.LOG_LEVEL.INFO, `Received ${signal}, stopping`);
 
-    // log to stdout
-    console.log(prefix, ...messages);
-    // log to file if set
-    if (this.logStream) {
-      this.logStream.write(`${prefix} ${messages.join(' ')}\n`);
-    }
-  }
-}
+  // a stuck file must not prevent the exit
+  setTimeout(() => process.exit(1), 5000).unref();
 
-const proxy = new DISListener({
-  disAddress: UDP_IP,
-  disPort: UDP_PORT,
-  logLevel: VERBOSE ? DISListener.LOG_LEVEL.VERBOSE : DISListener.LOG_LEVEL.INFO,
-});
-proxy.start();
\ No newline at end of file
+  listener.stop().then(() => process.exit(0));
+};
+process.once('SIGINT', shutdown);
+process.once('SIGTERM', shutdown);
@@ -0,0 +1,218 @@
+import dgram from 'node:dgram';
+import { setTimeout as sleep } from 'node:timers/promises';
+import packageJson from './package.json' with { type: "json" };
+import { ConfigError, formatOptions, parseOptions } from './lib/cli.js';
+import { addressFamily, formatEndpoint, isMulticastAddress } from './lib/network.js';
+import { readCapture } from './lib/pcap.js';
+
+const NAME = 'DISReplay';
+
+/**
+ * @typedef {Object} DISReplayConfig
+ * @property {string} file - The pcap or pcapng file to replay
+ * @property {string} [disAddress] - The DIS IP address to send to. Default is '239.1.2.3'
+ * @property {number} [disPort] - The port to send to. Default is 62040
+ * @property {number} [speed] - Replay speed factor, Infinity to send as fast as possible. Default is 1
+ * @property {boolean} [loop] - Replay the file again when the end is reached. Default is false
+ * @property {number} [ttl] - Multicast TTL. Default is 1
+ */
+
+/** @type {import('./lib/cli.js').CLIOption[]} */
+const OPTIONS = [
+  { name: 'file', type: 'file', placeholder: 'capture', description: 'The pcap or pcapng file to replay, as recorded by dis-listener.js --record or captured with Wireshark/tcpdump' },
+  { name: 'address', type: 'address', description: 'The DIS IPv4 or IPv6 address to send to, unicast, multicast or broadcast. Default is 239.1.2.3' },
+  { name: 'port', type: 'integer', min: 1, max: 65535, description: 'The port to send to. Default is 62040' },
+  { name: 'speed', type: 'string', placeholder: 'factor|max', description: 'Replay speed, 1 is real time, max sends as fast as possible. Default is 1' },
+  { name: 'loop', type: 'boolean', description: 'Restart from the beginning at the end of the file' },
+  { name: 'log-level', type: 'string', choices: ['verbose', 'info', 'warn', 'error'], description: 'Minimum level of the logged messages. Default is info' },
+  { name: 'verbose', type: 'boolean', short: 'v', description: 'Same as --log-level=verbose, logs every sent datagram' }
+];
+
+const usage = () => {
+  console.log('Usage: node dis-replay.js [capture] [disAddress] [disPort] [options]');
+  console.log('');
+  console.log('capture, disAddress and disPort are the same as --file, --address and --port.');
+  console.log('');
+  console.log('Options, then their environment variable:');
+  formatOptions(OPTIONS).forEach(line => console.log(line));
+  console.log('');
+  console.log('The command line wins over the environment, which wins over the config file.');
+  console.log('');
+  console.log('Example:');
+  console.log('  node dis-replay.js exercise.pcap 239.1.2.3 62040 --speed=4 --loop');
+  console.log('  node dis-replay.js --file=exercise.pcap --address=127.0.0.1 --port=62040 --speed=max');
+  console.log('');
+};
+
+let options;
+let speed;
+try {
+  options = parseOptions(OPTIONS, { positionals: ['file', 'address', 'port'] });
+
+  if (!options.help && options.file === undefined) {
+    throw new ConfigError('a capture file is required, as --file or the first argument');
+  }
+
+  speed = options.speed === undefined || options.speed === 'max' ? options.speed : Number(options.speed);
+  if (typeof speed === 'number' && !(Number.isFinite(speed) && speed > 0)) {
+    throw new ConfigError(`--speed must be a positive number or max, got ${JSON.stringify(options.speed)}`);
+  }
+} catch (err) {
+  if (!(err instanceof ConfigError)) {
+    throw err;
+  }
+  console.error(`Error: ${err.message}`);
+  console.error('Run node dis-replay.js --help for the usage');
+  process.exit(1);
+}
+
+if (options.help) {
+  usage();
+  process.exit(0);
+}
+
+const logLevel = options.verbose ? 'verbose' : options.logLevel;
+
+class DISReplay {
+  version = packageJson.version;
+
+  /** @type {DISReplayConfig} */
+  config = null;
+
+  /** @type {dgram.Socket} */
+  socket = null;
+
+  static LOG_LEVEL = {
+    VERBOSE: 0,
+    INFO: 1,
+    WARN: 2,
+    ERROR: 3
+  }
+
+  /** @type {boolean} */
+  isMulticast = false;
+
+  /**
+   * @param {DISReplayConfig} config
+   */
+  constructor(config) {
+    this.setConfig(config);
+  }
+
+  async start() {
+    this.log(DISReplay.LOG_LEVEL.INFO, `${NAME} v${this.version} started`);
+
+    // IPv6 destinations need an udp6 socket
+    this.socket = dgram.createSocket({ type: addressFamily(this.config.disAddress) === 6 ? 'udp6' : 'udp4' });
+
+    await new Promise((resolve) => this.socket.bind(resolve));
+
+    if (this.isMulticast) {
+      this.socket.setMulticastTTL(this.config.ttl);
+    } else if (addressFamily(this.config.disAddress) === 4) {
+      // needed for broadcast addresses, harmless for unicast, IPv6 has no broadcast
+      this.socket.setBroadcast(true);
+    }
+
+    this.log(DISReplay.LOG_LEVEL.INFO, `Replaying ${this.config.file} to ${formatEndpoint(this.config.disAddress, this.config.disPort)} at ${this.config.speed === Infinity ? 'max' : `${this.config.speed}x`} speed${this.config.loop ? ', looping' : ''}`);
+
+    let pass = 0;
+    do {
+      pass++;
+      const count = await this.replay();
+      this.log(DISReplay.LOG_LEVEL.INFO, `Pass #${pass} done, ${count} datagram(s) sent`);
+
+      if (count === 0) {
+        this.log(DISReplay.LOG_LEVEL.WARN, `No UDP datagram found in ${this.config.file}`);
+        break;
+      }
+    } while (this.config.loop);
+
+    this.socket.close();
+  }
+
+  /**
+   * Sends every datagram of the file once, keeping the recorded timing
+   * @returns {Promise<number>} The number of datagrams sent
+   */
+  async replay() {
+    let count = 0;
+    let firstTimestamp = null;
+    const start = performance.now();
+
+    const onMalformed = (message) => this.log(DISReplay.LOG_LEVEL.WARN, message);
+
+    for await (const datagram of readCapture(this.config.file, { onMalformed })) {
+      // a datagram without capture time, e.g. a pcapng Simple Packet Block, follows the previous one at once
+      firstTimestamp ??= datagram.timestamp;
+
+      if (this.config.speed !== Infinity && datagram.timestamp !== undefined) {
+        const due = (datagram.timestamp - firstTimestamp) / this.config.speed;
+        const wait = due - (performance.now() - start);
+        if (wait > 0) {
+          await sleep(wait);
+        }
+      }
+
+      await this.send(datagram.payload);
+      count++;
+
+      this.log(DISReplay.LOG_LEVEL.VERBOSE, `Sent datagram #${count} recorded from ${formatEndpoint(datagram.sourceAddress, datagram.sourcePort)}, length: ${datagram.payload.length} bytes`);
+    }
+
+    return count;
+  }
+
+  /**
+   * @param {Buffer} payload
+   */
+  send(payload) {
+    return new Promise((resolve, reject) => {
+      this.socket.send(payload, this.config.disPort, this.config.disAddress, (err) => err ? reject(err) : resolve());
+    });
+  }
+
+  /**
+   * @param {DISReplayConfig} config
+   */
+  setConfig(config) {
+    this.config = {
+      file: config.file,
+      disAddress: config.disAddress ?? '239.1.2.3',
+      disPort: config.disPort ?? 62040,
+      speed: config.speed ?? 1,
+      loop: config.loop ?? false,
+      ttl: config.ttl ?? 1,
+      logLevel: config.logLevel ?? DISReplay.LOG_LEVEL.INFO
+    };
+
+    // 224.0.0.0/4 or ff00::/8
+    this.isMulticast = isMulticastAddress(this.config.disAddress);
+  }
+
+  getConfig() {
+    return this.config;
+  }
+
+  log(level, ...messages) {
+    // check if verbose logging is enabled
+    if (level < this.config.logLevel) {
+      return;
+    }
+
+    console.log(`[${new Date().toISOString()}]`, ...messages);
+  }
+}
+
+const replay = new DISReplay({
+  file: options.file,
+  disAddress: options.address,
+  disPort: options.port,
+  speed: speed === 'max' ? Infinity : speed,
+  loop: options.loop,
+  logLevel: logLevel ? DISReplay.LOG_LEVEL[logLevel.toUpperCase()] : undefined
+});
+replay.start().catch((err) => {
+  replay.log(DISReplay.LOG_LEVEL.ERROR, `Replay failed: ${err.message}`);
+  process.exitCode = 1;
+});
@@ -1,318 +1,139 @@
-import dgram from 'node:dgram';
-import {
-  DIS6_PduFactory as PduFactory,
-  DIS6_EntityStatePdu,
-  DIS6_SurfacePlatformAppearance,
-  DIS6_EntityID,
-  InputStream,
-  CoordinateConverter
-} from 'open-dis-js';
-import { WebSocketServer } from 'ws';
-import { isInSubnet } from 'is-in-subnet';
-
-import packageJson from './package.json' with { type: "json" };
-
-/** 
- * @typedef {Object} DISWSProxyConfig
- * @property {string} [disAddress] - The DIS IP address to listen on. Default is '239.1.2.3'
- * @property {number} [disLocalAddress] - The local address to listen on. Default is '0.0.0.0'
- * @property {number} [disPort] - The port to listen on. Default is 62040
- * @property {number} [wsHost] - The host to listen on for WebSocket connections. Default is 'localhost'
- * @property {number} [wsPort] - The port to listen on for WebSocket connections. Default is 8080
- * @property {string} [wsPath] - The path to listen on for WebSocket connections. Default is '/'
- */
-
-// get parameters from args
-const args = process.argv.slice(2);
-
-// min args length is 2
-if (args.length < 2) {
-  console.log('Usage: node dis-ws-proxy.js <disAddress> <disPort> [wsHost] [wsPort] [-v]');
+import { DISWSProxy } from './lib/dis-ws-proxy.js';
+import { ConfigError, DIS_INPUT_OPTIONS, formatOptions, parseOptions } from './lib/cli.js';
+
+/** @type {import('./lib/cli.js').CLIOption[]} */
+const OPTIONS = [
+  ...DIS_INPUT_OPTIONS.map(option => option.name === 'input'
+    ? { ...option, wsPath: true, placeholder: '[name=]address:port[@interface][/path]', description: `${option.description}. The clients connecting to the path only receive the PDUs of the input` }
+    : option),
+  { name: 'ws-host', type: 'string', placeholder: 'host', description: 'The host to listen on for WebSocket connections. Default is localhost' },
+  { name: 'ws-port', type: 'integer', min: 0, max: 65535, description: 'The port to listen on for WebSocket connections. Default is 9870' },
+  { name: 'ws-path', type: 'string', placeholder: 'path', description: 'The path to accept WebSocket connections on. Default is /' },
+  { name: 'tls-cert', type: 'file', description: 'Certificate in PEM format, serves wss:// instead of ws://, with --tls-key' },
+  { name: 'tls-key', type: 'file', description: 'Private key of the certificate, in PEM format' },
+  { name: 'auth-token', type: 'string', list: true, key: 'authTokens', env: 'DIS_WS_AUTH_TOKENS', placeholder: 'token', description: 'Only accept the clients connecting with ?access_token=<token> or an Authorization: Bearer header, can be repeated' },
+  { name: 'auth-user', type: 'string', list: true, key: 'authUsers', env: 'DIS_WS_AUTH_USERS', placeholder: 'user:password', description: 'Only accept the clients connecting with this user in an Authorization: Basic header, can be repeated' },
+  { name: 'allow-origin', type: 'string', list: true, key: 'allowOrigins', placeholder: 'origin', description: 'Only accept the browsers on pages of this origin, e.g. https://c2.example.org, can be repeated' },
+  { name: 'allow-client', type: 'subnet', list: true, key: 'allowClients', placeholder: 'subnet', description: 'Only accept the clients in this subnet, e.g. 10.1.0.0/16, can be repeated' },
+  { name: 'max-clients', type: 'integer', min: 1, placeholder: 'n', description: 'Maximum number of connected clients. Default is no limit' },
+  { name: 'snapshot', type: 'boolean', description: 'Send the latest Entity State PDU of each live entity to the new clients, --snapshot=false disables it. Default is true' },
+  { name: 'metrics-public', type: 'boolean', description: 'Serve /metrics to any client, without the client, origin and credential checks' },
+  { name: 'viewer', type: 'boolean', description: 'Serve a web page with the live entities, their positions and the received PDUs at /viewer' },
+  { name: 'queue-limit', type: 'integer', min: 1, placeholder: 'n', description: 'Maximum messages queued for a slow client, the oldest ones are dropped above it. Default is 1000' },
+  { name: 'queue-policy', type: 'string', choices: ['drop-oldest', 'latest'], description: 'latest only queues the latest Entity State PDU of each entity for a slow client, clients can choose with ?policy=. Default is drop-oldest' },
+  { name: 'max-buffered', type: 'integer', min: 1, placeholder: 'KB', description: 'Data waiting in the socket of a client above which its messages are queued. Default is 1024' },
+  { name: 'entity-rate', type: 'number', positive: true, placeholder: 'n', key: 'maxEntityRate', description: 'Maximum Entity State PDUs per entity and per second sent to each client, clients can ask for less with ?rate=. Default is no limit' },
+  { name: 'ping-interval', type: 'integer', min: 0, placeholder: 'seconds', description: 'Ping the clients at this interval and close the ones which did not answer the previous ping, 0 disables it. Default is 30' },
+  { name: 'inject-token', type: 'string', list: true, key: 'injectTokens', env: 'DIS_WS_INJECT_TOKENS', placeholder: 'token', description: 'Let the clients connecting with ?token=<token> send PDUs to the DIS network, can be repeated' },
+  { name: 'inject-types', type: 'integer', list: true, min: 0, max: 255, placeholder: 'types', description: 'Comma separated PDU types the clients may send. Default is 1,2 (Entity State, Fire)' },
+  { name: 'inject-rate', type: 'number', positive: true, placeholder: 'n', description: 'Maximum PDUs per second sent by each client. Default is 50' },
+];
+
+const usage = () => {
+  console.log('Usage: node dis-ws-proxy.js [disAddress] [disPort] [wsHost] [wsPort] [options]');
+  console.log('');
+  console.log('disAddress, disPort, wsHost and wsPort are the same as --address, --port, --ws-host and --ws-port.');
   console.log('');
-  console.log('Options (only at the end):');
-  console.log('  -v  Enable verbose logging');
+  console.log('Options, then their environment variable:');
+  formatOptions(OPTIONS).forEach(line => console.log(line));
+  console.log('');
+  console.log('The command line wins over the environment, which wins over the config file.');
   console.log('');
   console.log('Example:');
   console.log('  node dis-ws-proxy.js 239.1.2.3 62040 -v');
+  console.log('  node dis-ws-proxy.js --address=239.1.2.3 --ws-host=0.0.0.0 --ws-port=9870 --ws-path=/dis');
+  console.log('  node dis-ws-proxy.js --input=air=239.1.2.3:62040/air --input=land=239.1.2.4:62040/land');
+  console.log('  node dis-ws-proxy.js --ws-host=0.0.0.0 --tls-cert=proxy.pem --tls-key=proxy-key.pem --auth-token=s3cret --allow-client=10.1.0.0/16');
+  console.log('  node dis-ws-proxy.js --queue-policy=latest --entity-rate=5 --ping-interval=10');
+  console.log('  node dis-ws-proxy.js --viewer --auth-token=s3cret');
+  console.log('  node dis-ws-proxy.js --config=exercise.yaml');
   console.log('');
-  process.exit(1);
-}
-
-// filter out - flags
-const argsf = args.filter(arg => !arg.startsWith('-'));
-//console.log("argsf", argsf);
-// filter out non - flags
-const argsp = args.filter(arg => arg.startsWith('-'));
-//console.log("argsp", argsp);
-
-// get address and port from args
-const UDP_IP = argsf[0];
-const UDP_PORT = parseInt(argsf[1]);
-
-const WS_HOST = argsf[2] ?? 'localhost';
-const WS_PORT = argsf[3] ? parseInt(args[3]) : 8080;
-
-// check -v flag for verbose logging
-const VERBOSE = argsp.includes('-v');
-
-class DISWSProxy {
-  version = packageJson.version;
-  pduFactory = new PduFactory();
-  coordConverter = new CoordinateConverter();
-
-  /** @type {WebSocketServer} */
-  ws = null;
-
-  /** @type {DISWSProxyConfig} */
-  config = null;
-
-  /** @type {dgram.Socket} */
-  socket = null;
-
-  static LOG_LEVEL = {
-    VERBOSE: 0,
-    INFO: 1,
-    WARN: 2,
-    ERROR: 3
-  }
+  console.log('The Prometheus metrics are served on the WebSocket port, at /metrics.');
+  console.log('');
+};
 
-  /** @type {boolean} */
-  isMulticast = false;
+let options;
+try {
+  options = parseOptions(OPTIONS, { positionals: ['address', 'port', 'ws-host', 'ws-port'] });
 
-  /**
-   * @param {DISWSProxyConfig} config
-   */
-  constructor(config) {
-    this.setConfig(config);
+  if (options.wsPath !== undefined && !options.wsPath.startsWith('/')) {
+    throw new ConfigError(`the WebSocket path must start with /, got ${JSON.stringify(options.wsPath)}`);
   }
 
-  start() {
-    this.listenForUDP();
-    this.startWSServer();
-
-    this.log(DISWSProxy.LOG_LEVEL.INFO, `DIS-WS Proxy v${this.version} started`);
+  if (Boolean(options.tlsCert) !== Boolean(options.tlsKey)) {
+    throw new ConfigError('--tls-cert and --tls-key must be given together');
   }
 
-  startWSServer() {
-    this.ws = new WebSocketServer({
-      host: this.config.wsHost,
-      port: this.config.wsPort,
-    });
-
-    this.ws.on('connection', (ws, req) => {
-      this.log(DISWSProxy.LOG_LEVEL.INFO, `Client connected from ${req.socket.remoteAddress}:${req.socket.remotePort}`);
-    });
-
-    this.ws.on('error', (err) => {
-      this.log(DISWSProxy.LOG_LEVEL.ERROR, `WebSocket server error: ${err.message}`);
-    });
-
-    this.ws.on('close', () => {
-      this.log(DISWSProxy.LOG_LEVEL.INFO, 'WebSocket server closed');
-    });
-
-    this.ws.on('listening', () => {
-      this.log(DISWSProxy.LOG_LEVEL.INFO, `WebSocket server listening on ${this.config.wsHost}:${this.config.wsPort}`);
-    });
-
-    this.ws.on('message', (msg) => {
-      this.log(DISWSProxy.LOG_LEVEL.VERBOSE, `Received message from client: ${msg}`);
-    });
+  const user = options.authUsers?.find(user => !user.includes(':'));
+  if (user !== undefined) {
+    throw new ConfigError(`--auth-user must be user:password, got ${JSON.stringify(user)}`);
   }
 
-  broadcastToWSClients(msg) {
-    // check if ws is running and has clients
-    if (this.ws?.clients.size > 0) {
-      for (const client of this.ws.clients) {
-        client.send(msg);
-      }
-
-      this.log(DISWSProxy.LOG_LEVEL.VERBOSE, `Broadcasted message to ${this.ws.clients.size} client(s)`);
-    }
+  const paths = [options.wsPath ?? '/', ...(options.inputs ?? []).map(input => input.wsPath).filter(path => path !== undefined)];
+  const duplicate = paths.find((path, i) => paths.indexOf(path) !== i);
+  if (duplicate !== undefined) {
+    throw new ConfigError(`the WebSocket path ${duplicate} is given twice, each input needs its own path`);
   }
-
-  listenForUDP() {
-    this.socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
-
-    this.socket.on('listening', () => {
-      const address = this.socket.address();
-
-      this.log(DISWSProxy.LOG_LEVEL.INFO, `Listening for UDP ${this.isMulticast ? "multicast" : ""} on ${this.config.disAddress}:${this.config.disPort}`);
-
-      // Join the multicast group if needed
-      if (this.isMulticast) {
-        this.log(DISWSProxy.LOG_LEVEL.INFO, `Joining multicast group ${UDP_IP}`);
-        this.socket.addMembership(UDP_IP);
-      }
-    });
-
-    // Event when a message is received
-    this.socket.on('message', (msg, rinfo) => {
-      this.log(DISWSProxy.LOG_LEVEL.VERBOSE, `\n\nReceived packet from ${rinfo.address}:${rinfo.port}, Length: ${rinfo.size} bytes`);
-
-      this.parseDISMessage(msg);
-    });
-
-    // Event when there's an error
-    this.socket.on('error', (err) => {
-      this.log(DISWSProxy.LOG_LEVEL.ERROR, `Socket error: ${err.message}`);
-      this.socket.close();
-    });
-
-    // Bind to the port
-    this.socket.bind(this.config.disPort, this.config.disLocalAddress);
-  }
-
-  /**
-   * 
-   * @param {Buffer} msg 
-   * @returns 
-   */
-  parseDISMessage(msg) {
-    // Parse the DIS Entity State PDU (basic parsing for demonstration)
-    if (msg.length >= 144) { // Minimum length of Entity State PDU
-      // convert msg to an array buffer
-      const arrayBuf = new Uint8Array(msg).buffer;
-
-      const disMessage = this.pduFactory.createPdu(arrayBuf);
-
-      //this.log(DISWSProxy.LOG_LEVEL.VERBOSE, disMessage);
-
-      if (disMessage.pduType === DIS6_EntityStatePdu.pduType) {
-        /** @type {DIS6_EntityStatePdu} */
-        const espdu = disMessage;
-
-        if (espdu.protocolVersion !== 6) {
-          this.log(DISWSProxy.LOG_LEVEL.ERROR, `Unsupported DIS protocol version: ${espdu.protocolVersion}`);
-          return;
-        }
-
-        // parse the DIS message
-        this.handleDIS_ESPDU(espdu);
-
-        // broadcast message to ws clients
-        this.broadcastToWSClients(msg);
-      }
-    }
-    // } else {
-    //   this.log(DISWSProxy.LOG_LEVEL.ERROR, `Received packet is not a valid Entity State PDU`);
-    // }
-  }
-
-  /**
-   * 
-   * @param {DIS6_EntityStatePdu} espdu 
-   */
-  handleDIS_ESPDU(espdu) {
-    // convert entityLocation to lat long
-    const pos = this.coordConverter.convertDisToLatLongInDegrees(espdu.entityLocation);
-
-    this.log(DISWSProxy.LOG_LEVEL.VERBOSE, `[${(new Date()).toISOString()}] Received Entity State PDU:`);
-
-    // type
-    this.log(DISWSProxy.LOG_LEVEL.VERBOSE, `type: ${espdu.entityType.kind}, domain: ${espdu.entityType.domain}, country: ${espdu.entityType.country}, category: ${espdu.entityType.category}, subcategory: ${espdu.entityType.subcategory}, specific: ${espdu.entityType.spec}, extra: ${espdu.entityType.extra}`);
-
-    this.log(DISWSProxy.LOG_LEVEL.VERBOSE, `pos: Lat: ${pos.latitude}, Lon: ${pos.longitude}, Alt: ${pos.altitude}`);
-
-    // translated orientation
-    const ort = orientationConverter.calculateHeadingPitchRollFromPsiThetaPhiRadians(espdu.entityOrientation, pos.latitude, pos.longitude);
-    this.log(DISWSProxy.LOG_LEVEL.VERBOSE, `heading: ${ort.heading}, pitch: ${ort.pitch}, roll: ${ort.roll}`);
-
-    this.log(DISWSProxy.LOG_LEVEL.VERBOSE, `heading: ${heading}`);
-
-    const marking = espdu.marking.getMarking();
-    this.log(DISWSProxy.LOG_LEVEL.VERBOSE, `marking: ${marking}`);
-    this.log(DISWSProxy.LOG_LEVEL.VERBOSE, `id: ${espdu.entityID}`);
-
-    // appearance
-    const appearance = new DIS6_SurfacePlatformAppearance();
-    appearance.fromUInt32(espdu.entityAppearance);
-    // damage from appearance
-    const damage = appearance.damage;
-    this.log(DISWSProxy.LOG_LEVEL.VERBOSE, `damage: ${damage}`);
-
-    // articulation parameters
-    const aps = espdu.articulationParameters;
-
-    this.log(DISWSProxy.LOG_LEVEL.VERBOSE, `Articulation Parameters (count: ${aps.length}):`);
-
-    let i = 0;
-    for (const ap of aps) {
-      this.log(DISWSProxy.LOG_LEVEL.VERBOSE, `ap #${i}:`);
-      this.log(DISWSProxy.LOG_LEVEL.VERBOSE, `  parameterType: ${ap.parameterType}`);
-      this.log(DISWSProxy.LOG_LEVEL.VERBOSE, `  parameterTypeDesignator: ${ap.parameterTypeDesignator}`);
-      this.log(DISWSProxy.LOG_LEVEL.VERBOSE, `  parameterValue: 0x${this.toHex(ap.parameterValue)}`);
-
-      if (ap.parameterType === 1 && ap.parameterTypeDesignator === 0) {
-        // convert parametervalue to EntityID
-        const arrbuf = new Uint8Array(ap.parameterValue).buffer;
-        //console.log(arrbuf);
-        const is = new InputStream(arrbuf);
-        const eid = new DIS6_EntityID();
-        eid.initFromBinary(is);
-        this.log(DISWSProxy.LOG_LEVEL.VERBOSE, `  parameterValue Entity ID decoded:`);
-        this.log(DISWSProxy.LOG_LEVEL.VERBOSE, `    site: ${eid.site}`);
-        this.log(DISWSProxy.LOG_LEVEL.VERBOSE, `    application: ${eid.application}`);
-        this.log(DISWSProxy.LOG_LEVEL.VERBOSE, `    entity: ${eid.entity}`);
-        i++;
-      }
-    }
-
-    // if (espdu.entityType.entityKind === DIS6_EntityType.EntityKind.PLATFORM
-    //   && espdu.entityType.domain === DIS6_EntityType.Domain.SURFACE) {
-    //   const appearance = new DIS6_SurfacePlatformAppearance();
-    //   appearance.fromUInt32(espdu.entityAppearance);
-
-    //   this.log(DISWSProxy.LOG_LEVEL.VERBOSE, `SurfacePlatformAppearance:`, appearance);
-    // } else if (espdu.entityType.entityKind === DIS6_EntityType.EntityKind.PLATFORM
-    //   && espdu.entityType.domain === DIS6_EntityType.Domain.SUBSURFACE) {
-    //   const appearance = new DIS6_SubsurfacePlatformAppearance();
-    //   appearance.fromUInt32(espdu.entityAppearance);
-
-    //   this.log(DISWSProxy.LOG_LEVEL.VERBOSE, `SubsurfacePlatformAppearance:`, appearance);
-    // }
+} catch (err) {
+  if (!(err instanceof ConfigError)) {
+    throw err;
   }
+  console.error(`Error: ${err.message}`);
+  console.error('Run node dis-ws-proxy.js --help for the usage');
+  process.exit(1);
+}
 
-  toHex(buffer) {
-    return Array.prototype.map.call(buffer, x => ('00' + x.toString(16)).slice(-2)).join('');
-  }
+if (options.help) {
+  usage();
+  process.exit(0);
+}
 
-  /**
-   * @param {DISWSProxyConfig} config
-   */
-  setConfig(config) {
-    this.config = {
-      disAddress: config.disAddress ?? '239.1.2.3',
-      disPort: config.disPort ?? 62040,
-      wsHost: config.wsHost ?? 'localhost',
-      wsPort: config.wsPort ?? 9870,
-      wsPath: config.wsPath ?? '/',
-      logLevel: config.logLevel ?? DISWSProxy.LOG_LEVEL.INFO
-    };
+const logLevel = options.verbose ? 'verbose' : options.logLevel;
 
-    // Check if the address is a multicast address (part of 224.0.0.0/4) for IPv4
-    this.isMulticast = isInSubnet(this.config.disAddress, "224.0.0.0/4");
-  }
-
-  getConfig() {
-    return this.config;
-  }
+const proxy = new DISWSProxy({
+  disAddress: options.address,
+  disInterface: options.interface,
+  disSources: options.sources,
+  disPort: options.port,
+  inputs: options.inputs,
+  allowSenders: options.allowSenders,
+  denySenders: options.denySenders,
+  enumerations: options.enumerations,
+  entityTimeout: options.timeout ? options.timeout * 1000 : undefined,
+  logLevel: logLevel ? DISWSProxy.LOG_LEVEL[logLevel.toUpperCase()] : undefined,
+  wsHost: options.wsHost,
+  wsPort: options.wsPort,
+  wsPath: options.wsPath,
+  tlsCert: options.tlsCert,
+  tlsKey: options.tlsKey,
+  authTokens: options.authTokens,
+  authUsers: options.authUsers,
+  allowOrigins: options.allowOrigins,
+  allowClients: options.allowClients,
+  maxClients: options.maxClients,
+  injectTokens: options.injectTokens,
+  injectPduTypes: options.injectTypes,
+  injectRate: options.injectRate,
+  queueLimit: options.queueLimit,
+  queuePolicy: options.queuePolicy,
+  maxBufferedBytes: options.maxBuffered !== undefined ? options.maxBuffered * 1024 : undefined,
+  maxEntityRate: options.maxEntityRate,
+  pingInterval: options.pingInterval !== undefined ? options.pingInterval * 1000 : undefined,
+  snapshot: options.snapshot,
+  viewer: options.viewer,
+  metricsPublic: options.metricsPublic,
+  summaryInterval: options.summaryInterval !== undefined ? options.summaryInterval * 1000 : undefined
+});
+proxy.start();
 
-  log(level, ...messages) {
-    // check if verbose logging is enabled
-    if (level < this.config.logLevel) {
-      return;
-    }
+// Ctrl+C or service stop: the WebSocket clients are closed before exiting, a second signal exits at once
+const shutdown = (signal) => {
+  proxy.log(DISWSProxy.LOG_LEVEL.INFO, `Received ${signal}, stopping`);
 
-    console.log(`[${new Date().toISOString()}] [${level}]`, ...messages);
-  }
-}
+  // a stuck client must not prevent the exit
+  setTimeout(() => process.exit(1), 5000).unref();
 
-const proxy = new DISWSProxy({
-  disAddress: UDP_IP,
-  disPort: UDP_PORT,
-  logLevel: VERBOSE ? DISWSProxy.LOG_LEVEL.VERBOSE : DISWSProxy.LOG_LEVEL.INFO,
-  wsHost: WS_HOST,
-  wsPort: WS_PORT
-});
-proxy.start();
\ No newline at end of file
+  proxy.stop().then(() => process.exit(0));
+};
+process.once('SIGINT', shutdown);
+process.once('SIGTERM', shutdown);
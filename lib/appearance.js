@@ -0,0 +1,277 @@
+/**
+ * Decoding of the 32 bit entity appearance of the Entity State PDU.
+ *
+ * The bit layout depends on the kind and the domain of the entity
+ * (IEEE 1278.1, SISO-REF-010 appearance records): the damage of an aircraft
+ * is not where the damage of a life form is.
+ */
+
+export const PAINT_SCHEME_NAMES = {
+  0: 'Uniform color',
+  1: 'Camouflage'
+};
+
+export const DAMAGE_NAMES = {
+  0: 'No damage',
+  1: 'Slight damage',
+  2: 'Moderate damage',
+  3: 'Destroyed'
+};
+
+/** The damage of a life form */
+export const INJURY_NAMES = {
+  0: 'No injury',
+  1: 'Slight injury',
+  2: 'Moderate injury',
+  3: 'Fatal injury'
+};
+
+export const SMOKE_NAMES = {
+  0: 'Not smoking',
+  1: 'Smoke plume rising',
+  2: 'Engine smoke',
+  3: 'Engine smoke and smoke plume rising'
+};
+
+export const TRAILING_EFFECTS_NAMES = {
+  0: 'None',
+  1: 'Small',
+  2: 'Medium',
+  3: 'Large'
+};
+
+export const HATCH_NAMES = {
+  0: 'Not applicable',
+  1: 'Closed',
+  2: 'Popped',
+  3: 'Popped, person visible under hatch',
+  4: 'Open',
+  5: 'Open, person visible'
+};
+
+export const CANOPY_NAMES = {
+  0: 'Not applicable',
+  1: 'Single canopy/troop door closed',
+  2: 'Front and rear canopy/left and right troop door closed',
+  3: 'Front canopy/left troop door open',
+  4: 'Single canopy/troop door open',
+  5: 'Rear canopy/right troop door open',
+  6: 'Front and rear canopy/left and right troop door open'
+};
+
+export const CAMOUFLAGE_TYPE_NAMES = {
+  0: 'Desert',
+  1: 'Winter',
+  2: 'Forest',
+  3: 'Other'
+};
+
+export const STATE_NAMES = {
+  0: 'Active',
+  1: 'Deactivated'
+};
+
+export const LIFE_FORM_STATE_NAMES = {
+  0: 'Null',
+  1: 'Upright, standing still',
+  2: 'Upright, walking',
+  3: 'Upright, running',
+  4: 'Kneeling',
+  5: 'Prone',
+  6: 'Crawling',
+  7: 'Swimming',
+  8: 'Parachuting',
+  9: 'Jumping',
+  10: 'Sitting',
+  11: 'Squatting',
+  12: 'Crouching',
+  13: 'Wading',
+  14: 'Surrender',
+  15: 'Detained'
+};
+
+export const WEAPON_NAMES = {
+  0: 'No weapon',
+  1: 'Stowed',
+  2: 'Deployed',
+  3: 'Firing position'
+};
+
+export const DENSITY_NAMES = {
+  0: 'Clear',
+  1: 'Hazy',
+  2: 'Dense',
+  3: 'Very dense',
+  4: 'Opaque'
+};
+
+/**
+ * @typedef {Object} AppearanceField
+ * @property {string} name - Key in the decoded appearance
+ * @property {number} bit - First bit, 0 is the least significant one
+ * @property {number} length - Number of bits
+ * @property {Object<number, string>} [names] - Names of the values, a field without names and of one bit is a flag
+ */
+
+/**
+ * @param {string} name
+ * @param {number} bit
+ * @returns {AppearanceField}
+ */
+const flag = (name, bit) => ({ name, bit, length: 1 });
+
+/**
+ * @param {string} name
+ * @param {number} bit
+ * @param {number} length
+ * @param {Object<number, string>} names
+ * @returns {AppearanceField}
+ */
+const field = (name, bit, length, names) => ({ name, bit, length, names });
+
+// the fields shared by most layouts, at the same bits
+const paintScheme = field('paintScheme', 0, 1, PAINT_SCHEME_NAMES);
+const mobilityKill = flag('mobilityKill', 1);
+const damage = field('damage', 3, 2, DAMAGE_NAMES);
+const smoke = field('smoke', 5, 2, SMOKE_NAMES);
+const trailingEffects = field('trailingEffects', 7, 2, TRAILING_EFFECTS_NAMES);
+const flaming = flag('flaming', 15);
+const frozen = flag('frozen', 21);
+const powerPlantOn = flag('powerPlantOn', 22);
+const state = field('state', 23, 1, STATE_NAMES);
+
+/**
+ * Bit layouts keyed by name
+ * @type {Object<string, { name: string, fields: AppearanceField[] }>}
+ */
+export const APPEARANCE_LAYOUTS = {
+  landPlatform: {
+    name: 'Land Platform',
+    fields: [
+      paintScheme, mobilityKill, flag('firePowerKill', 2), damage, smoke, trailingEffects,
+      field('hatch', 9, 3, HATCH_NAMES), flag('headLights', 12), flag('tailLights', 13), flag('brakeLights', 14), flaming,
+      flag('launcherRaised', 16), field('camouflageType', 17, 2, CAMOUFLAGE_TYPE_NAMES), flag('concealed', 19),
+      frozen, powerPlantOn, state, flag('tentExtended', 24), flag('rampDown', 25), flag('blackoutLights', 26),
+      flag('blackoutBrakeLights', 27), flag('spotLights', 28), flag('interiorLights', 29)
+    ]
+  },
+  airPlatform: {
+    name: 'Air Platform',
+    fields: [
+      paintScheme, mobilityKill, damage, smoke, trailingEffects, field('canopy', 9, 3, CANOPY_NAMES),
+      flag('landingLights', 12), flag('navigationLights', 13), flag('antiCollisionLights', 14), flaming, flag('afterburner', 16),
+      frozen, powerPlantOn, state, flag('formationLights', 24), flag('spotLights', 28), flag('interiorLights', 29)
+    ]
+  },
+  surfacePlatform: {
+    name: 'Surface Platform',
+    fields: [
+      paintScheme, mobilityKill, damage, smoke, field('wake', 7, 2, TRAILING_EFFECTS_NAMES), flag('runningLights', 12), flaming,
+      frozen, powerPlantOn, state, flag('spotLights', 28), flag('interiorLights', 29)
+    ]
+  },
+  subsurfacePlatform: {
+    name: 'Subsurface Platform',
+    fields: [
+      paintScheme, mobilityKill, damage, smoke, field('hatch', 9, 3, HATCH_NAMES), flag('runningLights', 12), flaming,
+      frozen, powerPlantOn, state
+    ]
+  },
+  spacePlatform: {
+    name: 'Space Platform',
+    fields: [paintScheme, mobilityKill, damage, smoke, flaming, frozen, powerPlantOn, state]
+  },
+  guidedMunition: {
+    name: 'Guided Munition',
+    fields: [damage, smoke, trailingEffects, flaming, flag('launchFlash', 16), frozen, state]
+  },
+  lifeForm: {
+    name: 'Life Form',
+    fields: [
+      paintScheme, field('damage', 3, 2, INJURY_NAMES), field('lifeFormState', 16, 4, LIFE_FORM_STATE_NAMES), frozen, state,
+      field('primaryWeapon', 24, 2, WEAPON_NAMES), field('secondaryWeapon', 26, 2, WEAPON_NAMES),
+      field('camouflageType', 28, 2, CAMOUFLAGE_TYPE_NAMES), flag('concealedStationary', 30), flag('concealedMovement', 31)
+    ]
+  },
+  environmental: {
+    name: 'Environmental',
+    fields: [field('density', 16, 4, DENSITY_NAMES), frozen, state]
+  },
+  culturalFeature: {
+    name: 'Cultural Feature',
+    fields: [
+      damage, smoke, trailingEffects, flaming, frozen, flag('internalHeatSource', 22), state,
+      flag('exteriorLights', 28), flag('interiorLights', 29)
+    ]
+  }
+};
+
+/** Layouts of the platforms, by domain */
+const PLATFORM_LAYOUTS = {
+  1: 'landPlatform',
+  2: 'airPlatform',
+  3: 'surfacePlatform',
+  4: 'subsurfacePlatform',
+  5: 'spacePlatform'
+};
+
+/**
+ * @param {{ kind: number, domain: number }} entityType
+ * @returns {string | undefined} Key of APPEARANCE_LAYOUTS, undefined for the kinds and domains without layout
+ */
+export function appearanceLayoutOf(entityType) {
+  switch (entityType.kind) {
+    case 1:
+      return PLATFORM_LAYOUTS[entityType.domain];
+    // the munitions sent as entities are the guided ones
+    case 2:
+      return 'guidedMunition';
+    case 3:
+      return 'lifeForm';
+    case 4:
+      return 'environmental';
+    case 5:
+      return 'culturalFeature';
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Decodes an entity appearance with the layout of the entity kind and domain.
+ * Flags are booleans, the other fields are numbers followed by their name, e.g. damage: 3, damageName: 'Destroyed'
+ * @param {number} raw - The 32 bit appearance
+ * @param {{ kind: number, domain: number }} entityType
+ * @returns {Object} { raw, layout, ...fields }, the layout is 'Unknown' and there are no fields for the other kinds
+ */
+export function decodeAppearance(raw, entityType) {
+  const layout = APPEARANCE_LAYOUTS[appearanceLayoutOf(entityType)];
+  const appearance = { raw: raw >>> 0, layout: layout?.name ?? 'Unknown' };
+
+  for (const { name, bit, length, names } of layout?.fields ?? []) {
+    // unsigned, bit 31 included
+    const value = (raw >>> bit) & ((1 << length) - 1);
+
+    if (names) {
+      appearance[name] = value;
+      appearance[`${name}Name`] = names[value] ?? 'Unknown';
+    } else {
+      appearance[name] = value === 1;
+    }
+  }
+
+  return appearance;
+}
+
+/**
+ * @param {Object} appearance - A decoded appearance
+ * @returns {string} e.g. 'paint scheme: Camouflage, mobility kill: yes, damage: Destroyed, ...'
+ */
+export function formatAppearance(appearance) {
+  const layout = Object.values(APPEARANCE_LAYOUTS).find(layout => layout.name === appearance.layout);
+
+  return (layout?.fields ?? []).map(({ name, names }) => {
+    const label = name.replace(/[A-Z]/g, (letter) => ` ${letter.toLowerCase()}`);
+    return `${label}: ${names ? appearance[`${name}Name`] : appearance[name] ? 'yes' : 'no'}`;
+  }).join(', ');
+}
@@ -0,0 +1,173 @@
+/**
+ * Aggregate statistics of decoded PDUs, used for the offline analysis of captures.
+ */
+
+/**
+ * @typedef {Object} EntitySummary
+ * @property {string} key - site:application:entity
+ * @property {string} marking
+ * @property {Object} entityType
+ * @property {string} [entityTypeName] - e.g. 'M1A2' or 'Tank', when known
+ * @property {number} firstSeen - In ms since epoch
+ * @property {number} lastSeen - In ms since epoch
+ * @property {number} updates - Number of Entity State PDUs
+ */
+
+/** Above this number of rate buckets, the empty ones are left out */
+const MAX_RATE_BUCKETS = 10000;
+
+/**
+ * @typedef {Object} RateBucket
+ * @property {number} start - Start of the bucket, in ms since epoch
+ * @property {number} pdus - Number of PDUs in the bucket
+ * @property {number} rate - PDUs per second in the bucket
+ */
+
+// the first entity ID found in a record, giving the site/application the PDU comes from
+const SOURCE_ENTITY_FIELDS = ['entityID', 'firingEntityID', 'issuingEntityID', 'originatingEntityID', 'designatingEntityID'];
+
+export class CaptureStatistics {
+  datagrams = 0;
+  pdus = 0;
+
+  /** @type {number | null} */
+  start = null;
+  /** @type {number | null} */
+  end = null;
+
+  /** @type {Map<string, number>} */
+  byType = new Map();
+  /** @type {Map<number, number>} */
+  byExercise = new Map();
+  /** @type {Map<string, number>} */
+  bySiteApplication = new Map();
+  /** @type {Map<number, number>} */
+  buckets = new Map();
+  /** @type {Map<string, EntitySummary>} */
+  entities = new Map();
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.bucketSize] - Duration of the rate buckets, in ms. Default is 60000
+   */
+  constructor(options = {}) {
+    this.bucketSize = options.bucketSize ?? 60000;
+  }
+
+  /**
+   * Counts a received datagram, decoded or not
+   * @param {number} [timestamp] - In ms since epoch, undefined for a datagram without capture time
+   */
+  addDatagram(timestamp) {
+    this.datagrams++;
+
+    if (timestamp === undefined) {
+      return;
+    }
+    this.start = Math.min(this.start ?? timestamp, timestamp);
+    this.end = Math.max(this.end ?? timestamp, timestamp);
+  }
+
+  /**
+   * Counts a PDU from its structured output record
+   * @param {Object} record
+   * @param {number} [timestamp] - In ms since epoch, undefined for a PDU without capture time, left out of the rates
+   */
+  addPDU(record, timestamp) {
+    this.pdus++;
+
+    const type = `DIS${record.protocolVersion} ${record.pduTypeName} (${record.pduType})`;
+    this.byType.set(type, (this.byType.get(type) ?? 0) + 1);
+    this.byExercise.set(record.exerciseID, (this.byExercise.get(record.exerciseID) ?? 0) + 1);
+
+    const sourceField = SOURCE_ENTITY_FIELDS.find(field => record[field]);
+    if (sourceField) {
+      const siteApplication = `${record[sourceField].site}:${record[sourceField].application}`;
+      this.bySiteApplication.set(siteApplication, (this.bySiteApplication.get(siteApplication) ?? 0) + 1);
+    }
+
+    if (timestamp !== undefined) {
+      const bucket = Math.floor(timestamp / this.bucketSize) * this.bucketSize;
+      this.buckets.set(bucket, (this.buckets.get(bucket) ?? 0) + 1);
+    }
+
+    // the entity times fall back on the decoding time
+    const seenAt = timestamp ?? Date.parse(record.timestamp);
+
+    // entity list, from the Entity State PDUs
+    if (record.pduType === 1 && record.entityID) {
+      const key = `${record.entityID.site}:${record.entityID.application}:${record.entityID.entity}`;
+      const entity = this.entities.get(key);
+
+      if (entity) {
+        entity.marking = record.marking;
+        entity.lastSeen = seenAt;
+        entity.updates++;
+      } else {
+        this.entities.set(key, {
+          key,
+          marking: record.marking,
+          entityType: record.entityType,
+          entityTypeName: record.entityTypeName,
+          firstSeen: seenAt,
+          lastSeen: seenAt,
+          updates: 1
+        });
+      }
+    }
+  }
+
+  /**
+   * @returns {RateBucket[]} The rate buckets in chronological order, including the empty ones up to MAX_RATE_BUCKETS buckets
+   */
+  rates() {
+    if (this.buckets.size === 0) {
+      return [];
+    }
+
+    const starts = [...this.buckets.keys()].sort((a, b) => a - b);
+    const first = starts[0];
+    const last = starts[starts.length - 1];
+
+    // e.g. a capture of several days with small buckets
+    if ((last - first) / this.bucketSize >= MAX_RATE_BUCKETS) {
+      return starts.map(start => ({ start, pdus: this.buckets.get(start), rate: this.buckets.get(start) / (this.bucketSize / 1000) }));
+    }
+
+    const rates = [];
+
+    for (let start = first; start <= last; start += this.bucketSize) {
+      const pdus = this.buckets.get(start) ?? 0;
+      rates.push({ start, pdus, rate: pdus / (this.bucketSize / 1000) });
+    }
+
+    return rates;
+  }
+
+  /**
+   * Plain object summary, suitable for JSON output
+   */
+  summary() {
+    const sortedEntries = (map) => Object.fromEntries([...map.entries()].sort((a, b) => b[1] - a[1]));
+
+    return {
+      start: this.start !== null ? new Date(this.start).toISOString() : null,
+      end: this.end !== null ? new Date(this.end).toISOString() : null,
+      duration: this.start !== null ? (this.end - this.start) / 1000 : 0,
+      datagrams: this.datagrams,
+      pdus: this.pdus,
+      byType: sortedEntries(this.byType),
+      byExercise: sortedEntries(this.byExercise),
+      bySiteApplication: sortedEntries(this.bySiteApplication),
+      bucketSize: this.bucketSize / 1000,
+      rates: this.rates().map(bucket => ({ ...bucket, start: new Date(bucket.start).toISOString() })),
+      entities: [...this.entities.values()]
+        .sort((a, b) => a.firstSeen - b.firstSeen)
+        .map(entity => ({
+          ...entity,
+          firstSeen: new Date(entity.firstSeen).toISOString(),
+          lastSeen: new Date(entity.lastSeen).toISOString()
+        }))
+    };
+  }
+}
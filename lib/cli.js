@@ -0,0 +1,489 @@
+/**
+ * Options of the command line tools, read from the command line, the
+ * environment and a JSON or YAML config file.
+ *
+ * Each option has three spellings: `--ws-port` on the command line, `wsPort`
+ * in the config file and `DIS_WS_PORT` in the environment. The command line
+ * wins over the environment, which wins over the config file.
+ */
+
+import { accessSync, constants, readFileSync } from 'node:fs';
+import { isIP } from 'node:net';
+import { networkInterfaces } from 'node:os';
+import { extname } from 'node:path';
+import YAML from 'yaml';
+import { formatEndpoint } from './network.js';
+import { readEnumerationFile, validateEnumerations } from './enumerations.js';
+
+/**
+ * @typedef {Object} CLIOption
+ * @property {string} name - The long option name, e.g. 'ws-port'
+ * @property {'string' | 'integer' | 'number' | 'boolean' | 'address' | 'interface' | 'subnet' | 'input' | 'enumerations' | 'file'} type - The type of the value, or of each value of a list
+ * @property {string} description - One line for the usage
+ * @property {string} [placeholder] - Name of the value in the usage, e.g. 'seconds'. Default is the type
+ * @property {boolean} [list] - Repeatable on the command line, comma separated in the environment, an array in the config file
+ * @property {string[]} [choices] - The allowed values of a string option
+ * @property {number} [min] - Minimum of an integer option
+ * @property {number} [max] - Maximum of an integer option
+ * @property {boolean} [positive] - A number option must be greater than 0
+ * @property {string | number | boolean} [flagValue] - Value of the option given without value, e.g. `--table`
+ * @property {boolean} [wsPath] - An input option accepts a WebSocket path
+ * @property {string[]} [excludes] - Names of the options that can't be set with this one
+ * @property {string} [short] - Single letter alias of a boolean option, e.g. 'v' for `-v`
+ * @property {string} [key] - The config file key. Default is the camelCase name
+ * @property {string | null} [env] - The environment variable, null for none. Default is DIS_ followed by the upper snake case name
+ */
+
+/**
+ * An invalid option, the message is meant for the operator
+ */
+export class ConfigError extends Error {
+  name = 'ConfigError';
+}
+
+/** Option giving the config file, common to all the tools */
+const CONFIG_OPTION = {
+  name: 'config',
+  type: 'string',
+  placeholder: 'file',
+  description: 'Read the options from a JSON or YAML file, keys are the camelCase option names',
+  env: 'DIS_CONFIG'
+};
+
+/** Option printing the usage, common to all the tools */
+const HELP_OPTION = { name: 'help', type: 'boolean', short: 'h', description: 'Print this help', env: null };
+
+/**
+ * Options of the tools receiving DIS: inputs, sender filters, enumerations, entity timeout and logs
+ * @type {CLIOption[]}
+ */
+export const DIS_INPUT_OPTIONS = [
+  { name: 'address', type: 'address', description: 'The DIS IPv4 or IPv6 address to listen on, unicast, multicast or broadcast. Default is 239.1.2.3' },
+  { name: 'port', type: 'integer', min: 1, max: 65535, description: 'The DIS port to listen on. Default is 62040' },
+  { name: 'interface', type: 'interface', description: 'Name or address of the network interface to listen on and to join the multicast group with, e.g. eth0. Default is all interfaces' },
+  { name: 'source', type: 'address', list: true, key: 'sources', placeholder: 'address', description: 'Source-specific multicast: only receive the datagrams of this sender, can be repeated' },
+  { name: 'input', type: 'input', list: true, key: 'inputs', excludes: ['address', 'port', 'interface', 'source'], placeholder: '[name=]address:port[@interface]', description: 'Listen on several DIS inputs, can be repeated, replaces --address, --port, --interface and --source' },
+  { name: 'allow-sender', type: 'subnet', list: true, key: 'allowSenders', placeholder: 'subnet', description: 'Only decode the datagrams of the senders in this subnet, e.g. 10.1.0.0/16, can be repeated' },
+  { name: 'deny-sender', type: 'subnet', list: true, key: 'denySenders', placeholder: 'subnet', description: 'Ignore the datagrams of the senders in this subnet, even if allowed, can be repeated' },
+  { name: 'enumerations', type: 'enumerations', list: true, placeholder: 'file', description: 'Read entity type, country, force and articulated part names from this JSON or YAML file, over the bundled SISO-REF-010 names, can be repeated' },
+  { name: 'timeout', type: 'number', positive: true, placeholder: 'seconds', description: 'Remove the entities without update for this long. Default is 12' },
+  { name: 'log-level', type: 'string', choices: ['verbose', 'info', 'warn', 'error'], description: 'Minimum level of the logged messages. Default is info' },
+  { name: 'verbose', type: 'boolean', short: 'v', description: 'Same as --log-level=verbose, logs every decoded PDU' },
+  { name: 'summary-interval', type: 'integer', min: 0, placeholder: 'seconds', description: 'Log a traffic summary line at this interval, 0 disables it. Default is 60' }
+];
+
+/**
+ * @param {string} name - e.g. 'ws-port'
+ * @returns {string} e.g. 'wsPort'
+ */
+const toCamelCase = (name) => name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+
+/**
+ * @param {CLIOption} option
+ */
+const keyOf = (option) => option.key ?? toCamelCase(option.name);
+
+/**
+ * @param {CLIOption} option
+ */
+const envOf = (option) => option.env ?? `DIS_${option.name.replace(/-/g, '_').toUpperCase()}`;
+
+/** `[name=]address:port[@interface][/wsPath]`, an IPv6 address is between brackets */
+const INPUT_PATTERN = /^(?:([^=@/[]+)=)?(?:\[([0-9a-fA-F:.]+)\]|([^:@/[\]]+)):(\d+)(?:@([^/]+))?(\/.*)?$/;
+
+/** Keys of an input given as an object in the config file */
+const INPUT_KEYS = ['name', 'address', 'port', 'interface', 'sources', 'wsPath'];
+
+/**
+ * Converts and validates a DIS input, given as a string or, in the config file, as an object
+ * @param {CLIOption} option
+ * @param {any} raw
+ * @param {string} source
+ * @returns {import('./dis-receiver.js').DISInput & { wsPath?: string }}
+ */
+function convertInput(option, raw, source) {
+  const syntax = `[name=]address:port[@interface]${option.wsPath ? '[/path]' : ''}, with an IPv6 address between brackets`;
+  let fields;
+
+  if (typeof raw === 'string') {
+    const match = INPUT_PATTERN.exec(raw.trim());
+    if (!match) {
+      throw new ConfigError(`${source} must be ${syntax}, got ${JSON.stringify(raw)}`);
+    }
+    const [, name, address6, address4, port, iface, wsPath] = match;
+    fields = { name, address: address6 ?? address4, port, interface: iface, wsPath };
+  } else if (typeof raw === 'object' && raw !== null && !Array.isArray(raw)) {
+    const unknown = Object.keys(raw).find(key => !INPUT_KEYS.includes(key));
+    if (unknown !== undefined) {
+      throw new ConfigError(`${source} has an unknown input field: ${unknown}`);
+    }
+    fields = raw;
+  } else {
+    throw new ConfigError(`${source} must be ${syntax} or an object with ${INPUT_KEYS.join(', ')}, got ${JSON.stringify(raw)}`);
+  }
+
+  const field = (name, type, settings = {}) => fields[name] === undefined
+    ? undefined
+    : convert({ name, type, ...settings }, fields[name], `${source} ${name}`);
+
+  const input = {
+    name: field('name', 'string'),
+    disAddress: field('address', 'address'),
+    disPort: field('port', 'integer', { min: 1, max: 65535 }),
+    disInterface: field('interface', 'interface'),
+    disSources: field('sources', 'address', { list: true }),
+    wsPath: field('wsPath', 'string')
+  };
+
+  if (input.disAddress === undefined || input.disPort === undefined) {
+    throw new ConfigError(`${source} must have an address and a port`);
+  }
+  if (input.wsPath !== undefined && (!option.wsPath || !input.wsPath.startsWith('/'))) {
+    throw new ConfigError(option.wsPath ? `${source} wsPath must start with /, got ${JSON.stringify(input.wsPath)}` : `${source} can't have a WebSocket path`);
+  }
+
+  // the receiver names the inputs without name
+  return Object.fromEntries(Object.entries(input).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Converts and validates a single value
+ * @param {CLIOption} option
+ * @param {any} raw - A string from the command line or the environment, any JSON value from the config file
+ * @param {string} source - Where the value comes from, for the error message
+ */
+function convertValue(option, raw, source) {
+  const fail = (expected) => {
+    throw new ConfigError(`${source} must be ${expected}, got ${JSON.stringify(raw)}`);
+  };
+
+  switch (option.type) {
+    case 'input':
+      return convertInput(option, raw, source);
+
+    case 'integer': {
+      const value = typeof raw === 'string' && /^-?\d+$/.test(raw.trim()) ? parseInt(raw) : raw;
+      const min = option.min ?? Number.MIN_SAFE_INTEGER;
+      const max = option.max ?? Number.MAX_SAFE_INTEGER;
+      if (!Number.isInteger(value) || value < min || value > max) {
+        fail(option.min !== undefined && option.max !== undefined ? `an integer between ${min} and ${max}` : 'an integer');
+      }
+      return value;
+    }
+
+    case 'number': {
+      const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      if (typeof value !== 'number' || !Number.isFinite(value) || (option.positive && value <= 0)) {
+        fail(option.positive ? 'a positive number' : 'a number');
+      }
+      return value;
+    }
+
+    case 'boolean': {
+      if (typeof raw === 'boolean') {
+        return raw;
+      }
+      const value = String(raw).toLowerCase();
+      if (['true', '1', 'yes'].includes(value)) {
+        return true;
+      }
+      if (['false', '0', 'no'].includes(value)) {
+        return false;
+      }
+      return fail('true or false');
+    }
+
+    case 'address': {
+      if (typeof raw !== 'string' || isIP(raw) === 0) {
+        fail('an IP address');
+      }
+      return raw;
+    }
+
+    case 'interface': {
+      // a name or an address of the host, e.g. eth0, Wi-Fi or 192.168.1.10
+      const interfaces = networkInterfaces();
+      const isLocal = typeof raw === 'string'
+        && (raw in interfaces || Object.values(interfaces).some(entries => entries.some(entry => entry.address === raw)));
+      if (!isLocal) {
+        fail(`a network interface name or address of this host (${Object.keys(interfaces).join(', ')})`);
+      }
+      return raw;
+    }
+
+    case 'file': {
+      // checked before starting, e.g. a certificate read once the sockets are bound
+      try {
+        accessSync(String(raw), constants.R_OK);
+      } catch {
+        fail('a readable file');
+      }
+      return String(raw);
+    }
+
+    case 'enumerations': {
+      // a file on the command line, a file or the tables themselves in the config file
+      if (raw !== null && typeof raw === 'object' && !Array.isArray(raw)) {
+        const error = validateEnumerations(raw);
+        if (error) {
+          throw new ConfigError(`${source}: ${error}`);
+        }
+        return raw;
+      }
+      if (typeof raw !== 'string') {
+        fail('an enumeration file');
+      }
+      try {
+        return readEnumerationFile(raw);
+      } catch (err) {
+        throw new ConfigError(err.message);
+      }
+    }
+
+    case 'subnet': {
+      // 10.0.0.0/8, fd00::/8 or a single address
+      const [address, length, extra] = typeof raw === 'string' ? raw.split('/') : [];
+      const family = isIP(address ?? '');
+      const maxLength = family === 6 ? 128 : 32;
+      const isValidLength = length === undefined || (/^\d+$/.test(length) && parseInt(length) <= maxLength);
+      if (family === 0 || !isValidLength || extra !== undefined) {
+        fail('a subnet like 10.0.0.0/8, or an IP address');
+      }
+      return raw;
+    }
+
+    default: {
+      if (typeof raw !== 'string' && typeof raw !== 'number') {
+        fail('a string');
+      }
+      const value = String(raw);
+      if (option.choices && !option.choices.includes(value.toLowerCase())) {
+        fail(`one of ${option.choices.join(', ')}`);
+      }
+      return option.choices ? value.toLowerCase() : value;
+    }
+  }
+}
+
+/**
+ * Converts and validates the value of an option, a list option accepts comma separated values
+ * @param {CLIOption} option
+ * @param {any} raw
+ * @param {string} source
+ */
+function convert(option, raw, source) {
+  if (!option.list) {
+    return convertValue(option, raw, source);
+  }
+
+  // a single object of the config file is a list of one
+  const values = Array.isArray(raw) ? raw
+    : raw !== null && typeof raw === 'object' ? [raw]
+      : String(raw).split(',').map(value => value.trim()).filter(value => value.length > 0);
+  return values.map(value => convertValue(option, value, source));
+}
+
+/**
+ * Reads the config file
+ * @param {string} path
+ * @returns {Object}
+ */
+function readConfigFile(path) {
+  let content;
+  try {
+    content = readFileSync(path, 'utf8');
+  } catch (err) {
+    throw new ConfigError(`Can't read the config file ${path}: ${err.message}`);
+  }
+
+  let config;
+  try {
+    // JSON is valid YAML, only the error messages differ
+    config = extname(path).toLowerCase() === '.json' ? JSON.parse(content) : YAML.parse(content);
+  } catch (err) {
+    throw new ConfigError(`Invalid config file ${path}: ${err.message}`);
+  }
+
+  // an empty file
+  if (config === null || config === undefined) {
+    return {};
+  }
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new ConfigError(`Invalid config file ${path}: expected an object of options`);
+  }
+
+  return config;
+}
+
+/**
+ * Splits the command line in options and positional arguments
+ * @param {CLIOption[]} options
+ * @param {string[]} argv
+ * @returns {{ entries: { option: CLIOption, raw: any, source: string }[], positionals: string[] }}
+ */
+function splitArgs(options, argv) {
+  const entries = [];
+  const positionals = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    if (!arg.startsWith('--')) {
+      // -v, or grouped like -vh
+      for (const letter of arg.slice(1)) {
+        const option = options.find(option => option.short === letter);
+        if (!option) {
+          throw new ConfigError(`Unknown option -${letter}`);
+        }
+        entries.push({ option, raw: true, source: `-${letter}` });
+      }
+      continue;
+    }
+
+    const separator = arg.indexOf('=');
+    const name = separator === -1 ? arg.slice(2) : arg.slice(2, separator);
+    const option = options.find(option => option.name === name);
+
+    if (!option) {
+      throw new ConfigError(`Unknown option --${name}`);
+    }
+
+    let raw;
+    if (separator !== -1) {
+      raw = arg.slice(separator + 1);
+    } else if (option.type === 'boolean') {
+      raw = true;
+    } else if (option.flagValue !== undefined) {
+      raw = option.flagValue;
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      // --port 62040
+      raw = argv[++i];
+    } else {
+      throw new ConfigError(`Option --${name} requires a value`);
+    }
+
+    entries.push({ option, raw, source: `--${name}` });
+  }
+
+  return { entries, positionals };
+}
+
+/**
+ * Reads the options of a tool from the command line, the environment and the config file
+ * @param {CLIOption[]} options - The options of the tool, --config and --help are added
+ * @param {Object} [sources]
+ * @param {string[]} [sources.argv] - The command line arguments. Default is process.argv without node and the script
+ * @param {Object<string, string>} [sources.env] - The environment. Default is process.env
+ * @param {string[]} [sources.positionals] - Names of the options given as positional arguments, in order
+ * @returns {Object<string, any>} The values by camelCase option name, undefined when not set
+ * @throws {ConfigError} if an option is unknown or invalid
+ */
+export function parseOptions(options, { argv = process.argv.slice(2), env = process.env, positionals = [] } = {}) {
+  const allOptions = [...options, CONFIG_OPTION, HELP_OPTION];
+  const { entries, positionals: args } = splitArgs(allOptions, argv);
+
+  if (args.length > positionals.length) {
+    throw new ConfigError(`Unexpected argument: ${args[positionals.length]}`);
+  }
+
+  // positional arguments are command line options without name
+  args.forEach((raw, i) => {
+    const option = allOptions.find(option => option.name === positionals[i]);
+    entries.push({ option, raw, source: `argument ${i + 1} (${option.name})` });
+  });
+
+  // help first, whatever the other options
+  if (entries.some(entry => entry.option === HELP_OPTION)) {
+    return { help: true };
+  }
+
+  const values = {};
+
+  const configEntry = entries.findLast(entry => entry.option === CONFIG_OPTION);
+  const configFile = configEntry?.raw ?? env[CONFIG_OPTION.env];
+
+  if (configFile) {
+    const config = readConfigFile(configFile);
+
+    for (const [key, raw] of Object.entries(config)) {
+      const option = options.find(option => keyOf(option) === key);
+      if (!option) {
+        throw new ConfigError(`Unknown option ${key} in ${configFile}`);
+      }
+      values[key] = convert(option, raw, `${key} in ${configFile}`);
+    }
+  }
+
+  for (const option of options) {
+    const raw = env[envOf(option)];
+    if (raw !== undefined && raw !== '') {
+      values[keyOf(option)] = convert(option, raw, envOf(option));
+    }
+  }
+
+  // repeated list options are concatenated, other options are replaced
+  const fromArgs = {};
+  for (const { option, raw, source } of entries) {
+    if (option === CONFIG_OPTION) {
+      continue;
+    }
+
+    const key = keyOf(option);
+    const value = convert(option, raw, source);
+    fromArgs[key] = option.list ? [...(fromArgs[key] ?? []), ...value] : value;
+  }
+
+  const result = { ...values, ...fromArgs, config: configFile };
+
+  for (const option of options.filter(option => option.excludes && result[keyOf(option)] !== undefined)) {
+    const other = options.find(other => option.excludes.includes(other.name) && result[keyOf(other)] !== undefined);
+    if (other) {
+      throw new ConfigError(`--${option.name} and --${other.name} can't be both set, on the command line, in the environment or in the config file`);
+    }
+  }
+
+  // the inputs are named after their address and port by default
+  for (const option of options.filter(option => option.type === 'input' && option.list)) {
+    const names = (result[keyOf(option)] ?? []).map(input => input.name ?? formatEndpoint(input.disAddress, input.disPort));
+    const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+    if (duplicate !== undefined) {
+      throw new ConfigError(`Input ${duplicate} is given twice, name the inputs sharing an address and port`);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Formats the option lines of the usage
+ * @param {CLIOption[]} options
+ * @returns {string[]}
+ */
+export function formatOptions(options) {
+  const rows = [...options, CONFIG_OPTION, HELP_OPTION].map((option) => {
+    const placeholder = option.placeholder ?? (option.choices ? option.choices.join('|') : option.type);
+    let flag = `--${option.name}`;
+
+    if (option.type !== 'boolean') {
+      flag += option.flagValue !== undefined ? `[=<${placeholder}>]` : `=<${placeholder}>`;
+    }
+    if (option.short) {
+      flag = `-${option.short}, ${flag}`;
+    }
+
+    return [flag, option.env === null ? option.description : `${option.description} [${envOf(option)}]`];
+  });
+
+  const width = Math.max(...rows.map(([flag]) => flag.length));
+  return rows.map(([flag, description]) => `  ${flag.padEnd(width)}  ${description}`);
+}
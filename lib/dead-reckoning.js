@@ -0,0 +1,274 @@
+/**
+ * Dead reckoning algorithms of IEEE 1278.1 Annex E.
+ *
+ * Locations are world (geocentric) coordinates in meters, orientations are
+ * the DIS Euler angles psi/theta/phi in radians. World algorithms (W) take the
+ * linear velocity and acceleration in world coordinates, body algorithms (B)
+ * in body coordinates. Angular velocity is always in body coordinates.
+ */
+
+export const DR_ALGORITHM = {
+  OTHER: 0,
+  STATIC: 1,
+  FPW: 2,
+  RPW: 3,
+  RVW: 4,
+  FVW: 5,
+  FPB: 6,
+  RPB: 7,
+  RVB: 8,
+  FVB: 9
+};
+
+export const DR_ALGORITHM_NAMES = {
+  0: 'Other',
+  1: 'Static',
+  2: 'FPW',
+  3: 'RPW',
+  4: 'RVW',
+  5: 'FVW',
+  6: 'FPB',
+  7: 'RPB',
+  8: 'RVB',
+  9: 'FVB'
+};
+
+// below this angular speed (rad/s), rotation is ignored to avoid dividing by ~0
+const EPSILON = 1e-9;
+
+/**
+ * @typedef {Object} Vector3
+ * @property {number} x
+ * @property {number} y
+ * @property {number} z
+ */
+
+/**
+ * @typedef {Object} EulerAngles
+ * @property {number} psi
+ * @property {number} theta
+ * @property {number} phi
+ */
+
+/**
+ * @typedef {Object} DeadReckoningState
+ * @property {number} algorithm - The dead reckoning algorithm, see DR_ALGORITHM
+ * @property {Vector3} location - World location, in m
+ * @property {EulerAngles} orientation - Orientation, in rad
+ * @property {Vector3} linearVelocity - In m/s
+ * @property {Vector3} linearAcceleration - In m/s²
+ * @property {Vector3} angularVelocity - Body angular velocity, in rad/s
+ */
+
+/**
+ * @typedef {Object} DeadReckoningError
+ * @property {number} algorithm - The algorithm of the previous update, used for the extrapolation
+ * @property {number} dt - Time since the previous update, in s
+ * @property {number} positionError - Distance between extrapolated and received location, in m
+ * @property {number} orientationError - Angle between extrapolated and received orientation, in degrees
+ */
+
+const toArray = (v) => [v.x, v.y, v.z];
+
+const identity = () => [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+const multiply = (a, b) => a.map(row => [0, 1, 2].map(j => row[0] * b[0][j] + row[1] * b[1][j] + row[2] * b[2][j]));
+
+const transform = (m, v) => m.map(row => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+
+const transpose = (m) => [0, 1, 2].map(i => [m[0][i], m[1][i], m[2][i]]);
+
+// a·M + b·N + c·O, element-wise
+const combine = (a, m, b, n, c, o) => m.map((row, i) => row.map((value, j) => a * value + b * n[i][j] + c * o[i][j]));
+
+const outer = (v) => v.map(a => v.map(b => a * b));
+
+// skew symmetric matrix of a vector, Ω
+const skew = ([x, y, z]) => [[0, -z, y], [z, 0, -x], [-y, x, 0]];
+
+/**
+ * World to body rotation matrix from the DIS Euler angles
+ * @param {EulerAngles} orientation
+ */
+export function eulerToMatrix({ psi, theta, phi }) {
+  const cpsi = Math.cos(psi), spsi = Math.sin(psi);
+  const ctheta = Math.cos(theta), stheta = Math.sin(theta);
+  const cphi = Math.cos(phi), sphi = Math.sin(phi);
+
+  return [
+    [ctheta * cpsi, ctheta * spsi, -stheta],
+    [sphi * stheta * cpsi - cphi * spsi, sphi * stheta * spsi + cphi * cpsi, sphi * ctheta],
+    [cphi * stheta * cpsi + sphi * spsi, cphi * stheta * spsi - sphi * cpsi, cphi * ctheta]
+  ];
+}
+
+/**
+ * DIS Euler angles from a world to body rotation matrix
+ * @returns {EulerAngles}
+ */
+export function matrixToEuler(m) {
+  return {
+    psi: Math.atan2(m[0][1], m[0][0]),
+    theta: -Math.asin(Math.max(-1, Math.min(1, m[0][2]))),
+    phi: Math.atan2(m[1][2], m[2][2])
+  };
+}
+
+/**
+ * Rotation of the body axes during dt, [DR] in the standard
+ * @param {number[]} w - Angular velocity
+ * @param {number} dt
+ */
+function rotationMatrix(w, dt) {
+  const mag = Math.hypot(...w);
+  if (mag < EPSILON) {
+    return identity();
+  }
+
+  const beta = mag * dt;
+  return combine((1 - Math.cos(beta)) / (mag * mag), outer(w), Math.cos(beta), identity(), -Math.sin(beta) / mag, skew(w));
+}
+
+/**
+ * Body velocity integration matrix, [R1] in the standard
+ */
+function r1Matrix(w, dt) {
+  const mag = Math.hypot(...w);
+  if (mag < EPSILON) {
+    return combine(dt, identity(), 0, identity(), 0, identity());
+  }
+
+  const beta = mag * dt;
+  return combine(
+    (beta - Math.sin(beta)) / mag ** 3, outer(w),
+    Math.sin(beta) / mag, identity(),
+    (1 - Math.cos(beta)) / mag ** 2, skew(w)
+  );
+}
+
+/**
+ * Body acceleration integration matrix, [R2] in the standard
+ */
+function r2Matrix(w, dt) {
+  const mag = Math.hypot(...w);
+  if (mag < EPSILON) {
+    return combine(dt * dt / 2, identity(), 0, identity(), 0, identity());
+  }
+
+  const beta = mag * dt;
+  return combine(
+    (0.5 * beta * beta - Math.cos(beta) - beta * Math.sin(beta) + 1) / mag ** 4, outer(w),
+    (Math.cos(beta) + beta * Math.sin(beta) - 1) / mag ** 2, identity(),
+    (Math.sin(beta) - beta * Math.cos(beta)) / mag ** 3, skew(w)
+  );
+}
+
+/**
+ * Extrapolates a state dt seconds after its update
+ * @param {DeadReckoningState} state
+ * @param {number} dt - In s
+ * @returns {{ location: Vector3, orientation: EulerAngles }}
+ */
+export function extrapolate(state, dt) {
+  const { algorithm } = state;
+  const p0 = toArray(state.location);
+  const v0 = toArray(state.linearVelocity);
+  const a0 = toArray(state.linearAcceleration);
+  const w = toArray(state.angularVelocity);
+
+  const rotates = algorithm === DR_ALGORITHM.RPW || algorithm === DR_ALGORITHM.RVW
+    || algorithm === DR_ALGORITHM.RPB || algorithm === DR_ALGORITHM.RVB;
+  const usesAcceleration = algorithm === DR_ALGORITHM.RVW || algorithm === DR_ALGORITHM.FVW
+    || algorithm === DR_ALGORITHM.RVB || algorithm === DR_ALGORITHM.FVB;
+  const isBody = algorithm >= DR_ALGORITHM.FPB && algorithm <= DR_ALGORITHM.FVB;
+
+  let p = p0;
+
+  if (algorithm >= DR_ALGORITHM.FPW && !isBody) {
+    const accel = usesAcceleration ? a0 : [0, 0, 0];
+    p = p0.map((value, i) => value + v0[i] * dt + 0.5 * accel[i] * dt * dt);
+  } else if (isBody) {
+    // body displacement rotated back to world coordinates with the initial orientation
+    const m0 = eulerToMatrix(state.orientation);
+    let displacement = transform(r1Matrix(w, dt), v0);
+    if (usesAcceleration) {
+      const r2a = transform(r2Matrix(w, dt), a0);
+      displacement = displacement.map((value, i) => value + r2a[i]);
+    }
+    const world = transform(transpose(m0), displacement);
+    p = p0.map((value, i) => value + world[i]);
+  }
+
+  let orientation = { ...state.orientation };
+  if (rotates) {
+    orientation = matrixToEuler(multiply(rotationMatrix(w, dt), eulerToMatrix(state.orientation)));
+  }
+
+  return {
+    location: { x: p[0], y: p[1], z: p[2] },
+    orientation
+  };
+}
+
+/**
+ * Angle between two orientations, in degrees
+ * @param {EulerAngles} a
+ * @param {EulerAngles} b
+ */
+export function orientationDifference(a, b) {
+  const m = multiply(eulerToMatrix(a), transpose(eulerToMatrix(b)));
+  const trace = m[0][0] + m[1][1] + m[2][2];
+  return Math.acos(Math.max(-1, Math.min(1, (trace - 1) / 2))) * 180 / Math.PI;
+}
+
+/**
+ * Keeps the last dead reckoning state per entity and measures, on every update,
+ * the error between the extrapolation of the previous state and the received state.
+ */
+export class DeadReckoningTracker {
+  /** @type {Map<string, { state: DeadReckoningState, time: number }>} */
+  states = new Map();
+
+  /**
+   * @param {string} key - The entity key
+   * @param {DeadReckoningState} state - The received state
+   * @param {number} [now] - Reception time in ms since epoch
+   * @returns {DeadReckoningError | null} null on the first update of an entity
+   */
+  update(key, state, now = Date.now()) {
+    const previous = this.states.get(key);
+    this.states.set(key, { state, time: now });
+
+    if (!previous) {
+      return null;
+    }
+
+    const dt = (now - previous.time) / 1000;
+    const expected = extrapolate(previous.state, dt);
+
+    return {
+      algorithm: previous.state.algorithm,
+      dt,
+      positionError: Math.hypot(
+        expected.location.x - state.location.x,
+        expected.location.y - state.location.y,
+        expected.location.z - state.location.z
+      ),
+      orientationError: orientationDifference(expected.orientation, state.orientation)
+    };
+  }
+
+  /**
+   * Extrapolates the last state of an entity
+   * @param {string} key
+   * @param {number} [now] - In ms since epoch
+   */
+  extrapolate(key, now = Date.now()) {
+    const last = this.states.get(key);
+    return last ? extrapolate(last.state, (now - last.time) / 1000) : null;
+  }
+
+  delete(key) {
+    this.states.delete(key);
+  }
+}
@@ -0,0 +1,544 @@
+import { createServer } from 'node:http';
+import { OrientationConverter } from 'open-dis-js';
+import { DISReceiver, LOG_LEVEL } from './dis-receiver.js';
+import { formatEndpoint, isMulticastAddress } from './network.js';
+import { PcapWriter, readCapture } from './pcap.js';
+import { CaptureStatistics } from './capture-statistics.js';
+import { INVALID_REASON, METRICS_CONTENT_TYPE, TrafficStatistics } from './traffic-statistics.js';
+import { RotatingFile } from './rotating-file.js';
+import { EXPORT_FORMATS, TrackRecorder, exportFormatOf, writeTracks } from './geo-export.js';
+
+import packageJson from '../package.json' with { type: "json" };
+
+const NAME = 'DISListener';
+
+const orc = new OrientationConverter();
+
+/**
+ * @typedef {Object} DISListenerOptions
+ * @property {'text' | 'json' | 'ndjson'} [format] - The output format, 'json' writes concatenated pretty-printed objects, not a JSON document, 'ndjson' one per line. Default is 'text'
+ * @property {string} [logFile] - The file to append the logs or records to. Default is none
+ * @property {number} [logMaxSize] - Size in bytes above which the log file is rotated. Default is none
+ * @property {number} [logRotateInterval] - Rotation interval of the log file in ms, aligned on the UTC clock. Default is none
+ * @property {boolean} [logGzip] - Compress the rotated log files. Default is false
+ * @property {number} [logMaxFiles] - Number of rotated log files to keep, the oldest are deleted. Default is all
+ * @property {number} [tableInterval] - Refresh interval of the live entity table, in ms. Default is 0 (disabled)
+ * @property {string} [recordFile] - The pcap file to record the received datagrams to. Default is none
+ * @property {string} [captureFile] - The pcap/pcapng file to decode instead of listening to the network. Default is none
+ * @property {boolean} [filterCapture] - Only decode the captured datagrams sent to the address and port of an input. Default is false
+ * @property {number} [statisticsInterval] - Duration of the rate buckets of the capture statistics, in ms. Default is 60000
+ * @property {number} [summaryInterval] - Interval of the traffic summary lines, in ms. Default is 60000, 0 disables them
+ * @property {string} [metricsHost] - The host to serve the Prometheus metrics on. Default is 'localhost'
+ * @property {number} [metricsPort] - The port to serve the Prometheus metrics on, at /metrics. Default is none
+ * @property {string[]} [exportFiles] - Files to export the entity tracks to when stopping or at the end of the capture file, in the format of their extension: .geojson, .json, .kml or .czml. Default is none
+ * @property {number} [trackInterval] - Minimum time between two points of the exported tracks, in ms. Default is 1000
+ */
+
+/** @typedef {import('./dis-receiver.js').DISReceiverConfig & DISListenerOptions} DISListenerConfig */
+
+/**
+ * Logs the decoded PDUs as text or JSON, displays the live entity table,
+ * records the datagrams and analyses capture files
+ */
+export class DISListener {
+  version = packageJson.version;
+
+  /** @type {DISListenerConfig} */
+  config = null;
+
+  static LOG_LEVEL = LOG_LEVEL;
+
+  static FORMATS = ['text', 'json', 'ndjson'];
+
+  /** @type {DISReceiver} */
+  receiver = null;
+
+  /** @type {RotatingFile} */
+  logStream = null;
+
+  /** @type {NodeJS.Timeout} */
+  tableTimer = null;
+
+  /** @type {PcapWriter} */
+  recorder = null;
+
+  /** @type {CaptureStatistics} */
+  statistics = null;
+
+  /**
+   * The datagram being decoded from the capture has no capture time, e.g. a pcapng Simple Packet Block,
+   * it is left out of the capture time range and rates
+   */
+  untimedDatagram = false;
+
+  /** @type {TrafficStatistics} */
+  traffic = null;
+
+  /** @type {NodeJS.Timeout} */
+  summaryTimer = null;
+
+  /** @type {import('node:http').Server} */
+  metricsServer = null;
+
+  /**
+   * Entity tracks, only recorded with export files
+   * @type {TrackRecorder}
+   */
+  tracks = null;
+
+  /**
+   * @param {DISListenerConfig} config
+   */
+  constructor(config) {
+    this.receiver = new DISReceiver(config);
+    this.setConfig(config);
+
+    this.traffic = new TrafficStatistics(this.receiver);
+
+    this.receiver.on('log', (level, ...messages) => this.log(level, ...messages));
+
+    this.receiver.on('listening', (address, input) => {
+      const endpoint = formatEndpoint(input.disAddress, input.disPort);
+      const name = input.name === endpoint ? "" : ` (${input.name})`;
+      this.log(DISListener.LOG_LEVEL.INFO, `Listening for UDP${isMulticastAddress(input.disAddress) ? " multicast" : ""} on ${endpoint}${name}`);
+    });
+
+    this.receiver.on('error', (err, input) => {
+      this.log(DISListener.LOG_LEVEL.ERROR, `Socket error on ${input.name}: ${err.message}`);
+    });
+
+    this.receiver.on('datagram', (msg, rinfo, timestamp, input) => {
+      this.statistics?.addDatagram(this.untimedDatagram ? undefined : timestamp);
+
+      // only the datagrams received from the network are recorded
+      if (!this.config.captureFile) {
+        this.recorder?.write(msg, rinfo, { address: input.disAddress, port: input.disPort });
+      }
+    });
+
+    this.receiver.on('pdu', (record) => {
+      this.statistics?.addPDU(record, this.untimedDatagram ? undefined : Date.parse(record.timestamp));
+      this.writeRecord(record);
+    });
+
+    this.receiver.on('entityState', (record) => {
+      this.tracks?.add(record);
+    });
+
+    this.receiver.on('entityAdded', (entity) => {
+      this.log(DISListener.LOG_LEVEL.INFO, `New entity ${entity.key} (${entity.state.marking})${entity.state.entityTypeName ? `, ${entity.state.entityTypeName}` : ''}`);
+    });
+
+    this.receiver.on('entityRemoved', (entity, reason) => {
+      this.log(DISListener.LOG_LEVEL.INFO, `Entity ${entity.key} (${entity.state.marking}) removed: ${reason}, last seen ${new Date(entity.lastSeen).toISOString()}`);
+
+      this.writeRecord({
+        // time of the timeout, also valid when reading a capture file
+        timestamp: new Date(entity.lastSeen + this.receiver.entityRegistry.timeout).toISOString(),
+        event: 'entityRemoved',
+        reason,
+        entityID: entity.state.entityID,
+        marking: entity.state.marking,
+        firstSeen: new Date(entity.firstSeen).toISOString(),
+        lastSeen: new Date(entity.lastSeen).toISOString(),
+        updateCount: entity.updateCount
+      });
+    });
+  }
+
+  start() {
+    this.initLogging();
+
+    // offline analysis of a capture file
+    if (this.config.captureFile) {
+      this.log(DISListener.LOG_LEVEL.INFO, `${NAME} v${this.version} started`);
+
+      this.readCaptureFile().catch((err) => {
+        this.log(DISListener.LOG_LEVEL.ERROR, `Failed to read capture file: ${err.message}`);
+        process.exitCode = 1;
+      });
+      return;
+    }
+
+    this.receiver.start();
+
+    if (this.config.tableInterval > 0) {
+      this.tableTimer = setInterval(() => this.printEntityTable(), this.config.tableInterval);
+    }
+
+    if (this.config.summaryInterval > 0) {
+      this.summaryTimer = setInterval(() => this.log(DISListener.LOG_LEVEL.INFO, this.traffic.summarize()), this.config.summaryInterval);
+    }
+
+    if (this.config.metricsPort !== undefined) {
+      this.startMetricsServer();
+    }
+
+    this.log(DISListener.LOG_LEVEL.INFO, `${NAME} v${this.version} started`);
+  }
+
+  /**
+   * Stops listening, then flushes and closes the log and pcap files
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    clearInterval(this.tableTimer);
+    this.tableTimer = null;
+    clearInterval(this.summaryTimer);
+    this.summaryTimer = null;
+
+    this.metricsServer?.close();
+    this.metricsServer = null;
+
+    this.receiver.stop();
+
+    await Promise.all([
+      this.recorder?.close(),
+      this.writeExportFiles()
+    ]);
+
+    // after the export logs
+    await this.logStream?.close();
+  }
+
+  /**
+   * Writes the tracks recorded so far to the export files
+   */
+  async writeExportFiles() {
+    if (!this.tracks) {
+      return;
+    }
+
+    const tracks = this.tracks.list().filter(track => track.points.length > 0);
+
+    await Promise.all(this.config.exportFiles.map(async (path) => {
+      try {
+        await writeTracks(path, tracks);
+        this.log(DISListener.LOG_LEVEL.INFO, `Exported ${tracks.length} entity tracks to ${path}`);
+      } catch (err) {
+        this.log(DISListener.LOG_LEVEL.ERROR, `Failed to export the tracks to ${path}: ${err.message}`);
+      }
+    }));
+  }
+
+  initLogging() {
+    // Check if the output file is set
+    if (this.config.logFile) {
+      this.logStream = new RotatingFile(this.config.logFile, {
+        maxSize: this.config.logMaxSize,
+        interval: this.config.logRotateInterval,
+        gzip: this.config.logGzip,
+        maxFiles: this.config.logMaxFiles,
+        header: () => this.formatLogHeader()
+      });
+
+      this.logStream.on('rotated', (rotatedPath) => {
+        this.log(DISListener.LOG_LEVEL.INFO, `Rotated log file to ${rotatedPath}`);
+      });
+
+      // not logged to the file itself
+      this.logStream.on('error', (err) => {
+        console.error(`[${new Date().toISOString()}]`, `Log file error: ${err.message}`);
+      });
+
+      this.log(DISListener.LOG_LEVEL.INFO, `Logging to file: ${this.config.logFile}${this.config.logMaxSize || this.config.logRotateInterval ? ', with rotation' : ''}`);
+    }
+
+    if (this.config.exportFiles.length > 0) {
+      this.tracks = new TrackRecorder({ minInterval: this.config.trackInterval });
+      this.log(DISListener.LOG_LEVEL.INFO, `Recording the entity tracks, exported to ${this.config.exportFiles.join(', ')} when stopping`);
+    }
+
+    // Check if the datagrams have to be recorded
+    if (this.config.recordFile) {
+      this.recorder = new PcapWriter(this.config.recordFile);
+
+      // the listener goes on without recording
+      this.recorder.on('error', (err) => {
+        this.log(DISListener.LOG_LEVEL.ERROR, `Recording to ${this.config.recordFile} failed, recording stopped: ${err.message}`);
+        this.recorder = null;
+      });
+      this.log(DISListener.LOG_LEVEL.INFO, `Recording datagrams to pcap file: ${this.config.recordFile}`);
+    }
+  }
+
+  /**
+   * The first lines of every log file, telling which listener version and configuration wrote it
+   * @returns {string} Comment lines in the text format, an object with "event": "header" in the json formats
+   */
+  formatLogHeader() {
+    const header = { timestamp: new Date().toISOString(), event: 'header', name: NAME, version: this.version, config: this.config };
+
+    switch (this.config.format) {
+      case 'json':
+        return JSON.stringify(header, null, 2) + '\n';
+      case 'ndjson':
+        return JSON.stringify(header) + '\n';
+      default:
+        return `# ${NAME} v${this.version}, file opened ${header.timestamp}\n# config: ${JSON.stringify(this.config)}\n`;
+    }
+  }
+
+  /**
+   * Serves the traffic counters to Prometheus at /metrics
+   */
+  startMetricsServer() {
+    this.metricsServer = createServer((req, res) => {
+      if (new URL(req.url, 'http://localhost').pathname !== '/metrics') {
+        res.writeHead(404).end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': METRICS_CONTENT_TYPE }).end(this.traffic.formatMetrics().join('\n') + '\n');
+    });
+
+    this.metricsServer.on('error', (err) => {
+      this.log(DISListener.LOG_LEVEL.ERROR, `Metrics server error: ${err.message}`);
+    });
+
+    this.metricsServer.listen(this.config.metricsPort, this.config.metricsHost, () => {
+      this.log(DISListener.LOG_LEVEL.INFO, `Serving metrics on http://${formatEndpoint(this.config.metricsHost, this.metricsServer.address().port)}/metrics`);
+    });
+  }
+
+  /**
+   * Decodes a capture file through the same pipeline as the live datagrams,
+   * then logs the aggregate statistics
+   */
+  async readCaptureFile() {
+    this.statistics = new CaptureStatistics({ bucketSize: this.config.statisticsInterval });
+
+    this.log(DISListener.LOG_LEVEL.INFO, `Reading capture file: ${this.config.captureFile}${this.config.filterCapture ? `, datagrams to ${this.inputNames()} only` : ''}`);
+
+    let lastExpire = null;
+    let lastTimestamp = null;
+
+    const onMalformed = (message) => this.log(DISListener.LOG_LEVEL.WARN, message);
+
+    for await (const datagram of readCapture(this.config.captureFile, { onMalformed })) {
+      // the captured datagrams are tagged with the input listening on their destination, or with their destination
+      const input = this.receiver.findInput(datagram.destinationAddress, datagram.destinationPort);
+
+      if (this.config.filterCapture && !input) {
+        continue;
+      }
+
+      const rinfo = { address: datagram.sourceAddress, port: datagram.sourcePort, size: datagram.payload.length };
+
+      this.log(DISListener.LOG_LEVEL.VERBOSE, ``);
+      // a datagram without capture time is decoded at the time of the previous one
+      this.untimedDatagram = datagram.timestamp === undefined;
+      const timestamp = datagram.timestamp ?? lastTimestamp ?? Date.now();
+      lastTimestamp = timestamp;
+
+      this.log(DISListener.LOG_LEVEL.VERBOSE, `Captured datagram at ${this.untimedDatagram ? 'unknown time' : new Date(timestamp).toISOString()} from ${rinfo.address}:${rinfo.port}, length: ${rinfo.size} bytes`);
+
+      const datagramInput = input ?? { name: formatEndpoint(datagram.destinationAddress, datagram.destinationPort) };
+
+      // like for the live datagrams, an exception in an event listener must not stop the reading
+      try {
+        this.receiver.parseDISMessage(datagram.payload, rinfo, timestamp, datagramInput);
+      } catch (err) {
+        this.receiver.reject(INVALID_REASON.PROCESSING_ERROR, LOG_LEVEL.ERROR, `Failed to process captured datagram from ${rinfo.address}:${rinfo.port}: ${err.message}`, datagram.payload, rinfo, datagramInput);
+      } finally {
+        this.untimedDatagram = false;
+      }
+
+      // entity timeouts follow the capture time, checked once per captured second
+      if (lastExpire === null || timestamp - lastExpire >= 1000) {
+        this.receiver.entityRegistry.expire(timestamp);
+        lastExpire = timestamp;
+      }
+    }
+
+    this.logStatistics();
+
+    await this.writeExportFiles();
+  }
+
+  logStatistics() {
+    const summary = this.statistics.summary();
+
+    if (this.config.format !== 'text') {
+      this.writeRecord({ timestamp: new Date().toISOString(), event: 'statistics', ...summary });
+      return;
+    }
+
+    const level = DISListener.LOG_LEVEL.INFO;
+
+    this.log(level, ``);
+    this.log(level, `Capture statistics`);
+    this.log(level, `from ${summary.start} to ${summary.end} (${summary.duration.toFixed(1)} s)`);
+    this.log(level, `datagrams: ${summary.datagrams}, decoded PDUs: ${summary.pdus}`);
+
+    this.log(level, `PDUs per type:`);
+    for (const [type, count] of Object.entries(summary.byType)) {
+      this.log(level, `  ${type}: ${count}`);
+    }
+
+    this.log(level, `PDUs per exercise:`);
+    for (const [exercise, count] of Object.entries(summary.byExercise)) {
+      this.log(level, `  ${exercise}: ${count}`);
+    }
+
+    this.log(level, `PDUs per site:application:`);
+    for (const [siteApplication, count] of Object.entries(summary.bySiteApplication)) {
+      this.log(level, `  ${siteApplication}: ${count}`);
+    }
+
+    this.log(level, `PDU rate per ${summary.bucketSize} s:`);
+    for (const bucket of summary.rates) {
+      this.log(level, `  ${bucket.start}: ${bucket.pdus} PDUs, ${bucket.rate.toFixed(2)} PDU/s`);
+    }
+
+    this.log(level, `Entities (count: ${summary.entities.length}):`);
+    for (const entity of summary.entities) {
+      this.log(level, `  ${entity.key} (${entity.marking}), type: ${Object.values(entity.entityType).join(':')}${entity.entityTypeName ? ` (${entity.entityTypeName})` : ''}, first seen: ${entity.firstSeen}, last seen: ${entity.lastSeen}, updates: ${entity.updates}`);
+    }
+  }
+
+  /**
+   * @param {DISListenerConfig} config
+   */
+  setConfig(config) {
+    this.config = {
+      ...this.receiver.getConfig(),
+      format: config.format ?? 'text',
+      logFile: config.logFile,
+      logMaxSize: config.logMaxSize,
+      logRotateInterval: config.logRotateInterval,
+      logGzip: config.logGzip ?? false,
+      logMaxFiles: config.logMaxFiles,
+      tableInterval: config.tableInterval ?? 0,
+      recordFile: config.recordFile,
+      captureFile: config.captureFile,
+      filterCapture: config.filterCapture ?? false,
+      statisticsInterval: config.statisticsInterval ?? 60000,
+      summaryInterval: config.summaryInterval ?? 60000,
+      metricsHost: config.metricsHost ?? 'localhost',
+      metricsPort: config.metricsPort,
+      exportFiles: config.exportFiles ?? [],
+      trackInterval: config.trackInterval ?? 1000
+    };
+
+    const exportFile = this.config.exportFiles.find(path => !exportFormatOf(path));
+    if (exportFile !== undefined) {
+      throw new Error(`Unknown export format of ${exportFile}, expected one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+
+    if (!DISListener.FORMATS.includes(this.config.format)) {
+      throw new Error(`Unknown output format: ${this.config.format}, expected one of ${DISListener.FORMATS.join(', ')}`);
+    }
+  }
+
+  getConfig() {
+    return this.config;
+  }
+
+  /**
+   * @returns {string} e.g. '239.1.2.3:62040, air'
+   */
+  inputNames() {
+    return this.config.inputs.map(input => input.name).join(', ');
+  }
+
+  /**
+   * Clears the terminal and prints the live entities
+   */
+  printEntityTable() {
+    const now = Date.now();
+    const { entityRegistry, deadReckoning, coordConverter } = this.receiver;
+    const columns = [
+      ['ID', 16], ['Marking', 12], ['Type', 20], ['Lat', 11], ['Lon', 11], ['Alt', 9],
+      ['Hdg', 6], ['Updates', 8], ['Rate Hz', 8], ['DR err m', 9], ['Age s', 6]
+    ];
+    // the input of the last update, when there is a choice
+    const showInput = this.config.inputs.length > 1;
+    if (showInput) {
+      columns.push(['Input', 21]);
+    }
+
+    const row = (values) => values.map((value, i) => String(value).padEnd(columns[i][1])).join(' ');
+
+    const lines = [
+      `${NAME} v${this.version} - ${this.inputNames()} - ${entityRegistry.size} entities - ${new Date(now).toISOString()}`,
+      '',
+      row(columns.map(([title]) => title)),
+      row(columns.map(([, width]) => '-'.repeat(width)))
+    ];
+
+    const entities = entityRegistry.list().sort((a, b) => a.key.localeCompare(b.key, undefined, { numeric: true }));
+
+    for (const entity of entities) {
+      const { state } = entity;
+
+      // position and heading extrapolated since the last update
+      const dr = deadReckoning.extrapolate(entity.key, now);
+      const pos = coordConverter.convertDisToLatLongInDegrees(dr.location);
+      const ort = orc.calculateHeadingPitchRollFromPsiThetaPhiRadians(dr.orientation, pos.latitude, pos.longitude);
+
+      lines.push(row([
+        entity.key,
+        state.marking,
+        // the name when known, truncated to the column
+        (state.entityTypeName ?? Object.values(state.entityType).join(':')).slice(0, 20),
+        pos.latitude.toFixed(6),
+        pos.longitude.toFixed(6),
+        pos.altitude.toFixed(1),
+        ort.heading.toFixed(1),
+        entity.updateCount,
+        entity.updateRate.toFixed(2),
+        state.deadReckoning.error?.positionError.toFixed(2) ?? '-',
+        ((now - entity.lastSeen) / 1000).toFixed(1),
+        ...(showInput ? [state.input] : [])
+      ]));
+    }
+
+    // clear the screen and move the cursor home before redrawing
+    process.stdout.write('\x1b[2J\x1b[H' + lines.join('\n') + '\n');
+  }
+
+  /**
+   * Writes a decoded PDU as a JSON object, only in the json and ndjson formats.
+   * The json records are concatenated and not wrapped in an array: the output can be appended to,
+   * rotated and cut at any time, like the ndjson one
+   * @param {Object} record
+   */
+  writeRecord(record) {
+    if (this.config.format === 'text') {
+      return;
+    }
+
+    const line = this.config.format === 'json' ? JSON.stringify(record, null, 2) : JSON.stringify(record);
+
+    process.stdout.write(line + '\n');
+    if (this.logStream) {
+      this.logStream.write(line + '\n');
+    }
+  }
+
+  log(level, ...messages) {
+    // check if verbose logging is enabled
+    if (level < this.config.logLevel) {
+      return;
+    }
+
+    // in json formats, the records replace the verbose lines and stdout is kept parseable
+    if (this.config.format !== 'text') {
+      if (level > DISListener.LOG_LEVEL.VERBOSE) {
+        console.error(`[${new Date().toISOString()}]`, ...messages);
+      }
+      return;
+    }
+
+    const prefix = `[${new Date().toISOString()}]`;
+
+    // log to stdout, the entity table replaces the per-PDU lines
+    if (!this.tableTimer || level > DISListener.LOG_LEVEL.VERBOSE) {
+      console.log(prefix, ...messages);
+    }
+    // log to file if set
+    if (this.logStream) {
+      this.logStream.write(`${prefix} ${messages.join(' ')}\n`);
+    }
+  }
+}
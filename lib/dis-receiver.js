@@ -0,0 +1,1135 @@
+import dgram from 'node:dgram';
+import { EventEmitter } from 'node:events';
+import {
+  DIS6_PduFactory as PduFactory,
+  DIS6_EntityStatePdu,
+  DIS6_FirePdu,
+  DIS6_DetonationPdu,
+  DIS6_CollisionPdu,
+  DIS6_StartResumePdu,
+  DIS6_StopFreezePdu,
+  DIS6_AcknowledgePdu,
+  DIS6_SetDataPdu,
+  DIS6_DataPdu,
+  DIS6_DesignatorPdu,
+  DIS6_TransmitterPdu,
+  DIS6_SignalPdu,
+  DIS6_EntityID,
+  InputStream,
+  DIS7_PduFactory,
+  DIS7_EntityStatePdu,
+  CoordinateConverter,
+  OrientationConverter
+} from 'open-dis-js';
+import { PDU_HEADER_LENGTH, PROTOCOL_FAMILY_NAMES, PDU_TYPE_NAMES, parsePDUHeader } from './pdu-header.js';
+import { parseESPDUVariableParameters, VARIABLE_PARAMETER_RECORD_TYPE } from './variable-parameters.js';
+import { decodeAppearance, formatAppearance } from './appearance.js';
+import { EntityRegistry } from './entity-registry.js';
+import { DeadReckoningTracker, DR_ALGORITHM_NAMES } from './dead-reckoning.js';
+import { INVALID_REASON } from './traffic-statistics.js';
+import { Enumerations, readEnumerationFile } from './enumerations.js';
+import { addressFamily, bindAddress, createSenderFilter, findInterface, formatEndpoint, isMulticastAddress, multicastInterface } from './network.js';
+
+const orc = new OrientationConverter();
+
+export const LOG_LEVEL = {
+  VERBOSE: 0,
+  INFO: 1,
+  WARN: 2,
+  ERROR: 3
+};
+
+/**
+ * @typedef {Object} DISInput
+ * @property {string} [name] - Tags the PDUs received on this input. Default is 'disAddress:disPort'
+ * @property {string} disAddress - The DIS IPv4 or IPv6 address to listen on
+ * @property {number} disPort - The port to listen on
+ * @property {string} [disInterface] - Name or address of the network interface to listen on and to join the multicast group with. Default is all interfaces, and the system choice for the group
+ * @property {string} [disLocalAddress] - Same as disInterface, with an address only
+ * @property {string[]} [disSources] - Source-specific multicast: only receive the group datagrams of these senders. Default is any source
+ */
+
+/**
+ * @typedef {Object} DISReceiverConfig
+ * @property {string} [disAddress] - The DIS IPv4 or IPv6 address to listen on. Default is '239.1.2.3'
+ * @property {string} [disInterface] - Name or address of the network interface to listen on and to join the multicast group with. Default is all interfaces, and the system choice for the group
+ * @property {string} [disLocalAddress] - Same as disInterface, with an address only
+ * @property {string[]} [disSources] - Source-specific multicast: only receive the group datagrams of these senders. Default is any source
+ * @property {number} [disPort] - The port to listen on. Default is 62040
+ * @property {DISInput[]} [inputs] - Several addresses and ports to listen on, replacing disAddress, disPort, disInterface and disSources
+ * @property {string[]} [allowSenders] - Subnets or addresses of the senders to decode, the others are ignored. Default is any sender
+ * @property {string[]} [denySenders] - Subnets or addresses of the senders to ignore, even if allowed. Default is none
+ * @property {number} [entityTimeout] - Time without update after which an entity is removed, in ms. Default is 12000
+ * @property {number} [rebindDelay] - Delay before binding the socket of an input again after an error, in ms, doubled after each failure. Default is 1000
+ * @property {number} [maxRebindDelay] - Maximum delay between the binding attempts, in ms. Default is 30000
+ * @property {number} [interfaceCheckInterval] - Interval of the checks of the network interfaces given by name or address, in ms. Default is 5000, 0 disables them
+ * @property {(string | import('./enumerations.js').EnumerationTables)[]} [enumerations] - Enumeration files or tables extending the bundled SISO-REF-010 names, the last one wins
+ * @property {number} [logLevel] - Minimum level of the 'log' events. Default is LOG_LEVEL.INFO
+ */
+
+/**
+ * Receives and decodes DIS6/DIS7 datagrams, and keeps track of the live entities.
+ * Every input has its own socket, the entities of all the inputs share the registry.
+ *
+ * Events:
+ * - 'listening' (address, input): the socket of an input is bound and the multicast group joined
+ * - 'ignored' (msg, rinfo, input): a datagram of a sender outside allowSenders or inside denySenders was dropped
+ * - 'datagram' (msg, rinfo, timestamp, input): a datagram is about to be decoded
+ * - 'pdu' (record, msg, rinfo): a PDU was decoded, record is its plain object form, tagged with the input name
+ * - 'entityState' (record, msg, rinfo): an Entity State PDU was decoded, after 'pdu'
+ * - 'entityAdded' (entity): first Entity State PDU of an entity
+ * - 'entityRemoved' (entity, reason): an entity timed out
+ * - 'invalid' (reason, msg, rinfo, input, code): a datagram was dropped, too short, truncated, of an unsupported version, failing to decode
+ *   or failing in a listener, code is one of INVALID_REASON
+ * - 'error' (err, input): socket error or network interface not found, the socket of the input is closed and bound again after a delay
+ * - 'log' (level, ...messages): decoding details, at or above the configured level
+ */
+export class DISReceiver extends EventEmitter {
+  /**
+   * PDU factories keyed by DIS protocol version
+   * @type {Object<number, PduFactory | DIS7_PduFactory>}
+   */
+  pduFactories = {
+    6: new PduFactory(),
+    7: new DIS7_PduFactory()
+  };
+  coordConverter = new CoordinateConverter();
+
+  /** @type {DISReceiverConfig} */
+  config = null;
+
+  /**
+   * Sockets keyed by input name
+   * @type {Map<string, dgram.Socket>}
+   */
+  sockets = new Map();
+
+  /**
+   * Pending binding attempts keyed by input name
+   * @type {Map<string, NodeJS.Timeout>}
+   */
+  rebindTimers = new Map();
+
+  /**
+   * Delay of the next binding attempt keyed by input name, reset once an input listens
+   * @type {Map<string, number>}
+   */
+  rebindDelays = new Map();
+
+  /**
+   * Address of the network interface each input listens on, undefined for all interfaces
+   * @type {Map<string, string | undefined>}
+   */
+  boundInterfaces = new Map();
+
+  /** @type {NodeJS.Timeout} */
+  interfaceTimer = null;
+
+  /** The sockets are bound again after an error until stop() */
+  running = false;
+
+  static LOG_LEVEL = LOG_LEVEL;
+
+  /**
+   * Sender filter built from the allowSenders and denySenders subnets
+   * @type {(address: string) => boolean}
+   */
+  isAllowedSender = () => true;
+
+  /** @type {EntityRegistry} */
+  entityRegistry = null;
+
+  deadReckoning = new DeadReckoningTracker();
+
+  /**
+   * Names of the entity types, force IDs and articulated parts
+   * @type {Enumerations}
+   */
+  enumerations = null;
+
+  /**
+   * Decoders keyed by DIS protocol version then by PDU type,
+   * PDU types without a decoder only get a header summary
+   * @type {Object<number, Map<number, (pdu: any, msg: Buffer, record: Object) => void>>}
+   */
+  pduHandlers = {
+    6: new Map([
+      [DIS6_EntityStatePdu.pduType, this.handleDIS_ESPDU.bind(this)],
+      [DIS6_FirePdu.pduType, this.handleDIS_FirePDU.bind(this)],
+      [DIS6_DetonationPdu.pduType, this.handleDIS_DetonationPDU.bind(this)],
+      [DIS6_CollisionPdu.pduType, this.handleDIS_CollisionPDU.bind(this)],
+      [DIS6_StartResumePdu.pduType, this.handleDIS_StartResumePDU.bind(this)],
+      [DIS6_StopFreezePdu.pduType, this.handleDIS_StopFreezePDU.bind(this)],
+      [DIS6_AcknowledgePdu.pduType, this.handleDIS_AcknowledgePDU.bind(this)],
+      [DIS6_SetDataPdu.pduType, this.handleDIS_DataPDU.bind(this)],
+      [DIS6_DataPdu.pduType, this.handleDIS_DataPDU.bind(this)],
+      [DIS6_DesignatorPdu.pduType, this.handleDIS_DesignatorPDU.bind(this)],
+      [DIS6_TransmitterPdu.pduType, this.handleDIS_TransmitterPDU.bind(this)],
+      [DIS6_SignalPdu.pduType, this.handleDIS_SignalPDU.bind(this)],
+    ]),
+    7: new Map([
+      [DIS7_EntityStatePdu.pduType, this.handleDIS_ESPDU.bind(this)],
+    ])
+  };
+
+  /**
+   * @param {DISReceiverConfig} [config]
+   */
+  constructor(config = {}) {
+    super();
+    this.setConfig(config);
+
+    this.entityRegistry = new EntityRegistry({ timeout: this.config.entityTimeout });
+
+    this.entityRegistry.on('added', (entity) => {
+      this.emit('entityAdded', entity);
+    });
+
+    this.entityRegistry.on('removed', (entity, reason) => {
+      this.deadReckoning.delete(entity.key);
+      this.emit('entityRemoved', entity, reason);
+    });
+  }
+
+  /**
+   * Listens to the network, the entity timeouts are checked with the wall clock
+   */
+  start() {
+    this.running = true;
+
+    for (const input of this.config.inputs) {
+      this.listenForUDP(input);
+    }
+
+    if (this.config.interfaceCheckInterval > 0 && this.config.inputs.some(input => input.disInterface ?? input.disLocalAddress)) {
+      this.interfaceTimer = setInterval(() => this.checkInterfaces(), this.config.interfaceCheckInterval);
+    }
+
+    this.entityRegistry.start();
+  }
+
+  stop() {
+    this.running = false;
+
+    clearInterval(this.interfaceTimer);
+    this.interfaceTimer = null;
+
+    for (const timer of this.rebindTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.rebindTimers.clear();
+    this.rebindDelays.clear();
+
+    this.entityRegistry.stop();
+    for (const socket of this.sockets.values()) {
+      socket.close();
+    }
+    this.sockets.clear();
+  }
+
+  /**
+   * @param {DISInput} input
+   */
+  listenForUDP(input) {
+    const family = addressFamily(input.disAddress);
+    const isMulticast = isMulticastAddress(input.disAddress);
+    const interfaceName = input.disInterface ?? input.disLocalAddress;
+
+    // the interface is resolved at start, a network cable may have been plugged since the configuration
+    let iface;
+    try {
+      iface = interfaceName ? findInterface(interfaceName, family) : undefined;
+    } catch (err) {
+      this.emit('error', err, input);
+      this.scheduleRebind(input);
+      return;
+    }
+
+    const socket = dgram.createSocket({ type: family === 6 ? 'udp6' : 'udp4', reuseAddr: true });
+    this.sockets.set(input.name, socket);
+    this.boundInterfaces.set(input.name, iface?.address);
+
+    socket.on('listening', () => {
+      // Join the multicast group if needed
+      if (isMulticast) {
+        try {
+          this.joinGroup(socket, input, iface && multicastInterface(iface, family));
+        } catch (err) {
+          socket.emit('error', err);
+          return;
+        }
+      }
+
+      this.rebindDelays.delete(input.name);
+      this.emit('listening', socket.address(), input);
+    });
+
+    // Event when a message is received
+    socket.on('message', (msg, rinfo) => {
+      this.log(LOG_LEVEL.VERBOSE, ``);
+      this.log(LOG_LEVEL.VERBOSE, `Received datagram from ${rinfo.address}:${rinfo.port}${this.config.inputs.length > 1 ? ` on ${input.name}` : ""}, length: ${rinfo.size} bytes`);
+
+      // an exception in an event listener must not stop the reception of the next datagrams either
+      try {
+        this.parseDISMessage(msg, rinfo, Date.now(), input);
+      } catch (err) {
+        this.reject(INVALID_REASON.PROCESSING_ERROR, LOG_LEVEL.ERROR, `Failed to process datagram from ${rinfo.address}:${rinfo.port}: ${err.message}`, msg, rinfo, input);
+      }
+    });
+
+    // Event when there's an error, the socket is replaced after a delay
+    socket.on('error', (err) => {
+      socket.close();
+      if (this.sockets.get(input.name) === socket) {
+        this.sockets.delete(input.name);
+      }
+      this.emit('error', err, input);
+      this.scheduleRebind(input);
+    });
+
+    // Bind to the port. A socket bound to a unicast address doesn't receive the multicast datagrams,
+    // and a socket bound to the group only receives the datagrams of its group when several inputs share a port.
+    // Windows can't bind to a multicast address, and the IPv6 link-local groups would need a scope.
+    if (isMulticast) {
+      socket.bind(input.disPort, process.platform === 'win32' || family === 6 ? undefined : input.disAddress);
+    } else {
+      socket.bind(input.disPort, iface && bindAddress(iface));
+    }
+  }
+
+  /**
+   * Binds the socket of an input again after a delay, doubled after each failure up to maxRebindDelay
+   * @param {DISInput} input
+   */
+  scheduleRebind(input) {
+    if (!this.running || this.rebindTimers.has(input.name)) {
+      return;
+    }
+
+    const delay = this.rebindDelays.get(input.name) ?? this.config.rebindDelay;
+    this.rebindDelays.set(input.name, Math.min(delay * 2, this.config.maxRebindDelay));
+
+    this.log(LOG_LEVEL.WARN, `Binding ${input.name} again in ${delay / 1000} s`);
+
+    this.rebindTimers.set(input.name, setTimeout(() => {
+      this.rebindTimers.delete(input.name);
+      this.listenForUDP(input);
+    }, delay));
+  }
+
+  /**
+   * Binds again the inputs whose network interface is gone or changed address, e.g. a cable unplugged
+   * or a new DHCP lease: the multicast memberships are lost without any socket error
+   */
+  checkInterfaces() {
+    for (const input of this.config.inputs) {
+      const interfaceName = input.disInterface ?? input.disLocalAddress;
+
+      if (!interfaceName || !this.sockets.has(input.name)) {
+        continue;
+      }
+
+      let address;
+      try {
+        address = findInterface(interfaceName, addressFamily(input.disAddress)).address;
+      } catch {
+        address = undefined;
+      }
+
+      if (address === this.boundInterfaces.get(input.name)) {
+        continue;
+      }
+
+      this.log(LOG_LEVEL.WARN, `Network interface ${interfaceName} of ${input.name} ${address ? `changed address to ${address}` : 'is gone'}`);
+
+      this.sockets.get(input.name).close();
+      this.sockets.delete(input.name);
+      this.scheduleRebind(input);
+    }
+  }
+
+  /**
+   * Joins the multicast group of an input, from all its sources or only from the source-specific ones
+   * @param {dgram.Socket} socket
+   * @param {DISInput} input
+   * @param {string} [multicastInterface] - The dgram interface argument, the system choice if undefined
+   */
+  joinGroup(socket, input, multicastInterface) {
+    const on = multicastInterface ? ` on ${multicastInterface}` : "";
+
+    if (input.disSources?.length > 0) {
+      for (const source of input.disSources) {
+        this.log(LOG_LEVEL.INFO, `Joining multicast group ${input.disAddress} from source ${source}${on}`);
+        socket.addSourceSpecificMembership(source, input.disAddress, multicastInterface);
+      }
+    } else {
+      this.log(LOG_LEVEL.INFO, `Joining multicast group ${input.disAddress}${on}`);
+      socket.addMembership(input.disAddress, multicastInterface);
+    }
+
+    // the PDUs sent to the group leave through the same interface
+    if (multicastInterface) {
+      socket.setMulticastInterface(multicastInterface);
+    }
+  }
+
+  /**
+   * Sends a datagram to the DIS address and port of an input, from its listening socket
+   * @param {Buffer} msg
+   * @param {string} [inputName] - Default is the first input
+   * @returns {Promise<void>}
+   */
+  send(msg, inputName = this.config.inputs[0].name) {
+    return new Promise((resolve, reject) => {
+      const input = this.getInput(inputName);
+      const socket = this.sockets.get(inputName);
+
+      if (!input) {
+        reject(new Error(`unknown input: ${inputName}`));
+        return;
+      }
+      if (!socket) {
+        reject(new Error('the receiver is not started'));
+        return;
+      }
+      socket.send(msg, input.disPort, input.disAddress, (err) => err ? reject(err) : resolve());
+    });
+  }
+
+  /**
+   * @param {string} name
+   * @returns {DISInput | undefined}
+   */
+  getInput(name) {
+    return this.config.inputs.find(input => input.name === name);
+  }
+
+  /**
+   * The input listening on an address and port, e.g. the destination of a captured datagram
+   * @param {string} address
+   * @param {number} port
+   * @returns {DISInput | undefined}
+   */
+  findInput(address, port) {
+    return this.config.inputs.find(input => input.disAddress === address && input.disPort === port);
+  }
+
+  /**
+   * Decodes a datagram, received from the network or read from a capture file
+   * @param {Buffer} msg 
+   * @param {dgram.RemoteInfo | { address: string, port: number, size: number }} rinfo 
+   * @param {number} [timestamp] - Reception time in ms since epoch
+   * @param {{ name: string }} [input] - The input the datagram was received on. Default is the first input
+   */
+  parseDISMessage(msg, rinfo, timestamp = Date.now(), input = this.config.inputs[0]) {
+    // stray simulators, not worth a warning
+    if (!this.isAllowedSender(rinfo.address)) {
+      this.log(LOG_LEVEL.VERBOSE, `Ignored datagram from ${rinfo.address}:${rinfo.port}: sender not allowed`);
+      this.emit('ignored', msg, rinfo, input);
+      return;
+    }
+
+    this.emit('datagram', msg, rinfo, timestamp, input);
+
+    if (msg.length < PDU_HEADER_LENGTH) {
+      this.reject(INVALID_REASON.TOO_SHORT, LOG_LEVEL.WARN, `Datagram too short for a DIS PDU header: ${msg.length} bytes`, msg, rinfo, input);
+      return;
+    }
+
+    const header = parsePDUHeader(msg);
+
+    // the protocol version is detected for every datagram, exercises may mix versions
+    const handlers = this.pduHandlers[header.protocolVersion];
+
+    if (!handlers) {
+      this.reject(INVALID_REASON.UNSUPPORTED_VERSION, LOG_LEVEL.ERROR, `Unsupported DIS protocol version: ${header.protocolVersion}`, msg, rinfo, input);
+      return;
+    }
+
+    this.log(LOG_LEVEL.VERBOSE, `DIS${header.protocolVersion} exercise: ${header.exerciseID}, family: ${header.protocolFamily} (${PROTOCOL_FAMILY_NAMES[header.protocolFamily] ?? 'Unknown'}), type: ${header.pduType} (${PDU_TYPE_NAMES[header.pduType] ?? 'Unknown'}), length: ${header.length}`);
+
+    // plain object form of the PDU, completed by the PDU handler
+    const record = {
+      timestamp: new Date(timestamp).toISOString(),
+      sender: { address: rinfo.address, port: rinfo.port },
+      input: input.name,
+      protocolVersion: header.protocolVersion,
+      exerciseID: header.exerciseID,
+      protocolFamily: header.protocolFamily,
+      pduType: header.pduType,
+      pduTypeName: PDU_TYPE_NAMES[header.pduType] ?? 'Unknown',
+      length: header.length
+    };
+
+    const handler = handlers.get(header.pduType);
+
+    // header summary only for PDU types without a decoder
+    if (!handler) {
+      this.emit('pdu', record, msg, rinfo);
+      return;
+    }
+
+    if (msg.length < header.length) {
+      this.reject(INVALID_REASON.TRUNCATED, LOG_LEVEL.WARN, `Truncated PDU: received ${msg.length} bytes, header length is ${header.length} bytes`, msg, rinfo, input);
+      return;
+    }
+
+    // convert msg to an array buffer
+    const arrayBuf = new Uint8Array(msg).buffer;
+
+    // a malformed body must not stop the reception of the next datagrams
+    try {
+      const disMessage = this.pduFactories[header.protocolVersion].createPdu(arrayBuf);
+
+      handler(disMessage, msg, record);
+    } catch (err) {
+      this.reject(INVALID_REASON.DECODE_ERROR, LOG_LEVEL.ERROR, `Failed to decode DIS${header.protocolVersion} ${record.pduTypeName} PDU: ${err.message}`, msg, rinfo, input);
+      return;
+    }
+
+    this.emit('pdu', record, msg, rinfo);
+
+    if (header.pduType === DIS6_EntityStatePdu.pduType) {
+      this.emit('entityState', record, msg, rinfo);
+    }
+  }
+
+  /**
+   * Logs and reports a dropped datagram
+   * @param {string} code - One of INVALID_REASON
+   * @param {number} level
+   * @param {string} reason
+   * @param {Buffer} msg
+   * @param {Object} rinfo
+   * @param {{ name: string }} input
+   */
+  reject(code, level, reason, msg, rinfo, input) {
+    this.log(level, reason);
+    for (const line of this.formatHexDump(msg)) {
+      this.log(level, line);
+    }
+    this.emit('invalid', reason, msg, rinfo, input, code);
+  }
+
+  /**
+   * 
+   * @param {DIS6_EntityStatePdu | DIS7_EntityStatePdu} espdu 
+   * @param {Buffer} msg 
+   * @param {Object} record - The structured output record to fill
+   */
+  handleDIS_ESPDU(espdu, msg, record) {
+    // convert entityLocation to lat long
+    const pos = this.coordConverter.convertDisToLatLongInDegrees(espdu.entityLocation);
+
+    this.log(LOG_LEVEL.VERBOSE, `Received DIS${espdu.protocolVersion} Entity State PDU`);
+
+    // type
+    this.log(LOG_LEVEL.VERBOSE, `type: ${espdu.entityType.kind}, domain: ${espdu.entityType.domain}, country: ${espdu.entityType.country}, category: ${espdu.entityType.category}, subcategory: ${espdu.entityType.subcategory}, specific: ${espdu.entityType.spec}, extra: ${espdu.entityType.extra}`);
+    const typeNames = this.enumerations.describeEntityType(espdu.entityType);
+    this.log(LOG_LEVEL.VERBOSE, `type names: ${this.formatEntityTypeNames(typeNames)}`);
+
+    const forceName = this.enumerations.forceName(espdu.forceId);
+    this.log(LOG_LEVEL.VERBOSE, `force: ${forceName ?? 'Unknown'} (${espdu.forceId})`);
+
+    this.log(LOG_LEVEL.VERBOSE, `pos: Lat: ${pos.latitude}, Lon: ${pos.longitude}, Alt: ${pos.altitude}`);
+
+    // translated orientation
+    const ort = orc.calculateHeadingPitchRollFromPsiThetaPhiRadians(espdu.entityOrientation, pos.latitude, pos.longitude);
+    this.log(LOG_LEVEL.VERBOSE, `heading: ${ort.heading}°, pitch: ${ort.pitch}°, roll: ${ort.roll}°`);
+
+    const marking = espdu.marking.getMarking();
+    this.log(LOG_LEVEL.VERBOSE, `marking: ${marking}`);
+    this.log(LOG_LEVEL.VERBOSE, `id: ${espdu.entityID}`);
+
+    // appearance, its bit layout depends on the kind and domain
+    const appearance = decodeAppearance(espdu.entityAppearance, espdu.entityType);
+    this.log(LOG_LEVEL.VERBOSE, `appearance: ${appearance.layout} (0x${appearance.raw.toString(16).padStart(8, '0')})`);
+    if (appearance.layout !== 'Unknown') {
+      this.log(LOG_LEVEL.VERBOSE, `  ${formatAppearance(appearance)}`);
+    }
+
+    Object.assign(record, {
+      entityID: this.toEntityID(espdu.entityID),
+      forceId: espdu.forceId,
+      forceName,
+      entityType: this.toEntityType(espdu.entityType),
+      entityTypeNames: typeNames,
+      entityTypeName: this.enumerations.entityTypeName(espdu.entityType),
+      marking,
+      location: { latitude: pos.latitude, longitude: pos.longitude, altitude: pos.altitude },
+      orientation: { heading: ort.heading, pitch: ort.pitch, roll: ort.roll },
+      appearance
+    });
+
+    // reception time, which is the capture time when reading a capture file
+    const receivedAt = Date.parse(record.timestamp);
+
+    this.handleDeadReckoning(espdu, record, receivedAt);
+
+    this.entityRegistry.update(record.entityID, record, receivedAt);
+
+    // DIS7 replaced articulation parameters with variable parameter records
+    if (espdu.protocolVersion === 7) {
+      record.variableParameters = parseESPDUVariableParameters(msg, espdu.numberOfVariableParameters);
+      for (const vp of record.variableParameters) {
+        if (vp.recordType === VARIABLE_PARAMETER_RECORD_TYPE.ARTICULATED_PART) {
+          vp.parameterTypeName = this.enumerations.articulatedPartName(vp.parameterType);
+        }
+      }
+      this.logVariableParameters(record.variableParameters);
+      return;
+    }
+
+    record.articulationParameters = [];
+
+    // articulation parameters
+    const aps = espdu.articulationParameters;
+
+    this.log(LOG_LEVEL.VERBOSE, `Articulation Parameters (count: ${aps.length}):`);
+
+    let i = 0;
+    for (const ap of aps) {
+      const apRecord = {
+        parameterType: ap.parameterType,
+        parameterTypeDesignator: ap.parameterTypeDesignator,
+        parameterValue: this.toHex(ap.parameterValue)
+      };
+      // designator 0 is an articulated part, 1 an attached part
+      if (ap.parameterTypeDesignator === 0) {
+        apRecord.parameterTypeName = this.enumerations.articulatedPartName(ap.parameterType);
+      }
+      record.articulationParameters.push(apRecord);
+
+      this.log(LOG_LEVEL.VERBOSE, `ap #${i}:`);
+      this.log(LOG_LEVEL.VERBOSE, `  parameterType: ${ap.parameterType}${apRecord.parameterTypeName ? ` (${apRecord.parameterTypeName})` : ''}`);
+      this.log(LOG_LEVEL.VERBOSE, `  parameterTypeDesignator: ${ap.parameterTypeDesignator}`);
+      this.log(LOG_LEVEL.VERBOSE, `  parameterValue: 0x${apRecord.parameterValue}`);
+
+      // if parametertype is EntityID list
+      if (ap.parameterType === 1) {
+        // convert parametervalue to EntityID
+        const arrbuf = new Uint8Array(ap.parameterValue).buffer;
+        const is = new InputStream(arrbuf);
+        const eid = new DIS6_EntityID();
+        eid.initFromBinary(is);
+        apRecord.entityID = this.toEntityID(eid);
+        this.log(LOG_LEVEL.VERBOSE, `  parameterValue Entity ID decoded:`);
+        this.log(LOG_LEVEL.VERBOSE, `    site: ${eid.site}`);
+        this.log(LOG_LEVEL.VERBOSE, `    application: ${eid.application}`);
+        this.log(LOG_LEVEL.VERBOSE, `    entity: ${eid.entity}`);
+      }
+
+      i++;
+    }
+  }
+
+  /**
+   * Measures the error between the extrapolation of the previous update and this update
+   * @param {DIS6_EntityStatePdu | DIS7_EntityStatePdu} espdu 
+   * @param {Object} record 
+   * @param {number} receivedAt - Reception time in ms since epoch
+   */
+  handleDeadReckoning(espdu, record, receivedAt) {
+    const drp = espdu.deadReckoningParameters;
+
+    /** @type {import('./dead-reckoning.js').DeadReckoningState} */
+    const drState = {
+      algorithm: drp.deadReckoningAlgorithm,
+      location: this.toVector(espdu.entityLocation),
+      orientation: { psi: espdu.entityOrientation.psi, theta: espdu.entityOrientation.theta, phi: espdu.entityOrientation.phi },
+      linearVelocity: this.toVector(espdu.entityLinearVelocity),
+      linearAcceleration: this.toVector(drp.entityLinearAcceleration),
+      angularVelocity: this.toVector(drp.entityAngularVelocity)
+    };
+
+    const error = this.deadReckoning.update(EntityRegistry.keyOf(record.entityID), drState, receivedAt);
+
+    record.linearVelocity = drState.linearVelocity;
+    record.deadReckoning = {
+      algorithm: drState.algorithm,
+      algorithmName: DR_ALGORITHM_NAMES[drState.algorithm] ?? 'Unknown',
+      linearAcceleration: drState.linearAcceleration,
+      angularVelocity: drState.angularVelocity,
+      error
+    };
+
+    this.log(LOG_LEVEL.VERBOSE, `velocity: ${this.formatVector(drState.linearVelocity)} m/s`);
+    this.log(LOG_LEVEL.VERBOSE, `dead reckoning: ${record.deadReckoning.algorithmName} (${drState.algorithm}), acceleration: ${this.formatVector(drState.linearAcceleration)} m/s², angular velocity: ${this.formatVector(drState.angularVelocity)} rad/s`);
+
+    if (error) {
+      this.log(LOG_LEVEL.VERBOSE, `dead reckoning error after ${error.dt.toFixed(3)} s: position ${error.positionError.toFixed(3)} m, orientation ${error.orientationError.toFixed(3)}°`);
+    }
+  }
+
+  /**
+   * 
+   * @param {import('./variable-parameters.js').VariableParameter[]} vps 
+   */
+  logVariableParameters(vps) {
+    this.log(LOG_LEVEL.VERBOSE, `Variable Parameters (count: ${vps.length}):`);
+
+    let i = 0;
+    for (const vp of vps) {
+      this.log(LOG_LEVEL.VERBOSE, `vp #${i}: ${vp.recordTypeName} (${vp.recordType})`);
+
+      switch (vp.recordType) {
+        case VARIABLE_PARAMETER_RECORD_TYPE.ARTICULATED_PART:
+          this.log(LOG_LEVEL.VERBOSE, `  partAttachedTo: ${vp.partAttachedTo}, changeIndicator: ${vp.changeIndicator}`);
+          this.log(LOG_LEVEL.VERBOSE, `  parameterType: ${vp.parameterType}${vp.parameterTypeName ? ` (${vp.parameterTypeName})` : ''}, parameterValue: ${vp.parameterValue}`);
+          break;
+        case VARIABLE_PARAMETER_RECORD_TYPE.ATTACHED_PART:
+          this.log(LOG_LEVEL.VERBOSE, `  partAttachedTo: ${vp.partAttachedTo}, detachedIndicator: ${vp.detachedIndicator}`);
+          this.log(LOG_LEVEL.VERBOSE, `  parameterType: ${vp.parameterType}, attachedPartType: ${Object.values(vp.attachedPartType).join(':')}`);
+          break;
+        case VARIABLE_PARAMETER_RECORD_TYPE.SEPARATION:
+          this.log(LOG_LEVEL.VERBOSE, `  reason: ${vp.reasonForSeparation}, preEntityIndicator: ${vp.preEntityIndicator}, parent id: ${this.formatEntityID(vp.parentEntityID)}`);
+          this.log(LOG_LEVEL.VERBOSE, `  station: ${vp.stationName}/${vp.stationNumber}`);
+          break;
+        case VARIABLE_PARAMETER_RECORD_TYPE.ENTITY_TYPE:
+          this.log(LOG_LEVEL.VERBOSE, `  changeIndicator: ${vp.changeIndicator}, entityType: ${Object.values(vp.entityType).join(':')}`);
+          break;
+        case VARIABLE_PARAMETER_RECORD_TYPE.ENTITY_ASSOCIATION:
+          this.log(LOG_LEVEL.VERBOSE, `  associated id: ${this.formatEntityID(vp.entityID)}, status: ${vp.associationStatus}, type: ${vp.associationType}`);
+          this.log(LOG_LEVEL.VERBOSE, `  connection: ${vp.physicalConnectionType}, group member type: ${vp.groupMemberType}, group: ${vp.groupNumber}`);
+          break;
+      }
+
+      this.log(LOG_LEVEL.VERBOSE, `  raw: 0x${vp.raw}`);
+
+      i++;
+    }
+  }
+
+  /**
+   * 
+   * @param {DIS6_FirePdu} pdu 
+   * @param {Buffer} msg 
+   * @param {Object} record 
+   */
+  handleDIS_FirePDU(pdu, msg, record) {
+    Object.assign(record, {
+      firingEntityID: this.toEntityID(pdu.firingEntityID),
+      targetEntityID: this.toEntityID(pdu.targetEntityID),
+      munitionID: this.toEntityID(pdu.munitionID),
+      eventID: this.toEventID(pdu.eventID),
+      fireMissionIndex: pdu.fireMissionIndex,
+      location: this.toLatLonAlt(pdu.locationInWorldCoordinates),
+      velocity: this.toVector(pdu.velocity),
+      rangeToTarget: pdu.rangeToTarget,
+      burstDescriptor: this.toBurstDescriptor(pdu.burstDescriptor)
+    });
+
+    this.log(LOG_LEVEL.VERBOSE, `Received DIS${pdu.protocolVersion} Fire PDU`);
+
+    this.log(LOG_LEVEL.VERBOSE, `firing id: ${this.formatEntityID(record.firingEntityID)}, target id: ${this.formatEntityID(record.targetEntityID)}, munition id: ${this.formatEntityID(record.munitionID)}`);
+    this.log(LOG_LEVEL.VERBOSE, `event id: ${this.formatEventID(record.eventID)}, fire mission index: ${record.fireMissionIndex}`);
+    this.log(LOG_LEVEL.VERBOSE, `pos: ${this.formatLatLonAlt(record.location)}`);
+    this.log(LOG_LEVEL.VERBOSE, `velocity: ${this.formatVector(record.velocity)} m/s, range to target: ${record.rangeToTarget} m`);
+    this.logBurstDescriptor(record.burstDescriptor);
+  }
+
+  /**
+   * 
+   * @param {DIS6_DetonationPdu} pdu 
+   * @param {Buffer} msg 
+   * @param {Object} record 
+   */
+  handleDIS_DetonationPDU(pdu, msg, record) {
+    Object.assign(record, {
+      firingEntityID: this.toEntityID(pdu.firingEntityID),
+      targetEntityID: this.toEntityID(pdu.targetEntityID),
+      munitionID: this.toEntityID(pdu.munitionID),
+      eventID: this.toEventID(pdu.eventID),
+      location: this.toLatLonAlt(pdu.locationInWorldCoordinates),
+      locationInEntityCoordinates: this.toVector(pdu.locationInEntityCoordinates),
+      velocity: this.toVector(pdu.velocity),
+      detonationResult: pdu.detonationResult,
+      burstDescriptor: this.toBurstDescriptor(pdu.burstDescriptor),
+      articulationParameterCount: pdu.articulationParameters.length
+    });
+
+    this.log(LOG_LEVEL.VERBOSE, `Received DIS${pdu.protocolVersion} Detonation PDU`);
+
+    this.log(LOG_LEVEL.VERBOSE, `firing id: ${this.formatEntityID(record.firingEntityID)}, target id: ${this.formatEntityID(record.targetEntityID)}, munition id: ${this.formatEntityID(record.munitionID)}`);
+    this.log(LOG_LEVEL.VERBOSE, `event id: ${this.formatEventID(record.eventID)}`);
+    this.log(LOG_LEVEL.VERBOSE, `pos: ${this.formatLatLonAlt(record.location)}`);
+    this.log(LOG_LEVEL.VERBOSE, `location in entity coordinates: ${this.formatVector(record.locationInEntityCoordinates)} m`);
+    this.log(LOG_LEVEL.VERBOSE, `velocity: ${this.formatVector(record.velocity)} m/s`);
+    this.log(LOG_LEVEL.VERBOSE, `detonation result: ${record.detonationResult}`);
+    this.logBurstDescriptor(record.burstDescriptor);
+    this.log(LOG_LEVEL.VERBOSE, `Articulation Parameters (count: ${record.articulationParameterCount})`);
+  }
+
+  /**
+   * 
+   * @param {DIS6_CollisionPdu} pdu 
+   * @param {Buffer} msg 
+   * @param {Object} record 
+   */
+  handleDIS_CollisionPDU(pdu, msg, record) {
+    Object.assign(record, {
+      issuingEntityID: this.toEntityID(pdu.issuingEntityID),
+      collidingEntityID: this.toEntityID(pdu.collidingEntityID),
+      eventID: this.toEventID(pdu.eventID),
+      collisionType: pdu.collisionType,
+      velocity: this.toVector(pdu.velocity),
+      mass: pdu.mass,
+      locationInEntityCoordinates: this.toVector(pdu.location)
+    });
+
+    this.log(LOG_LEVEL.VERBOSE, `Received DIS${pdu.protocolVersion} Collision PDU`);
+
+    this.log(LOG_LEVEL.VERBOSE, `issuing id: ${this.formatEntityID(record.issuingEntityID)}, colliding id: ${this.formatEntityID(record.collidingEntityID)}`);
+    this.log(LOG_LEVEL.VERBOSE, `event id: ${this.formatEventID(record.eventID)}, collision type: ${record.collisionType}`);
+    this.log(LOG_LEVEL.VERBOSE, `velocity: ${this.formatVector(record.velocity)} m/s, mass: ${record.mass} kg`);
+    this.log(LOG_LEVEL.VERBOSE, `location in entity coordinates: ${this.formatVector(record.locationInEntityCoordinates)} m`);
+  }
+
+  /**
+   * 
+   * @param {DIS6_StartResumePdu} pdu 
+   * @param {Buffer} msg 
+   * @param {Object} record 
+   */
+  handleDIS_StartResumePDU(pdu, msg, record) {
+    Object.assign(record, {
+      originatingEntityID: this.toEntityID(pdu.originatingEntityID),
+      receivingEntityID: this.toEntityID(pdu.receivingEntityID),
+      realWorldTime: this.toClockTime(pdu.realWorldTime),
+      simulationTime: this.toClockTime(pdu.simulationTime),
+      requestID: pdu.requestID
+    });
+
+    this.log(LOG_LEVEL.VERBOSE, `Received DIS${pdu.protocolVersion} Start/Resume PDU`);
+
+    this.log(LOG_LEVEL.VERBOSE, `originating id: ${this.formatEntityID(record.originatingEntityID)}, receiving id: ${this.formatEntityID(record.receivingEntityID)}`);
+    this.log(LOG_LEVEL.VERBOSE, `real world time: ${this.formatClockTime(record.realWorldTime)}, simulation time: ${this.formatClockTime(record.simulationTime)}`);
+    this.log(LOG_LEVEL.VERBOSE, `request id: ${record.requestID}`);
+  }
+
+  /**
+   * 
+   * @param {DIS6_StopFreezePdu} pdu 
+   * @param {Buffer} msg 
+   * @param {Object} record 
+   */
+  handleDIS_StopFreezePDU(pdu, msg, record) {
+    Object.assign(record, {
+      originatingEntityID: this.toEntityID(pdu.originatingEntityID),
+      receivingEntityID: this.toEntityID(pdu.receivingEntityID),
+      realWorldTime: this.toClockTime(pdu.realWorldTime),
+      reason: pdu.reason,
+      frozenBehavior: pdu.frozenBehavior,
+      requestID: pdu.requestID
+    });
+
+    this.log(LOG_LEVEL.VERBOSE, `Received DIS${pdu.protocolVersion} Stop/Freeze PDU`);
+
+    this.log(LOG_LEVEL.VERBOSE, `originating id: ${this.formatEntityID(record.originatingEntityID)}, receiving id: ${this.formatEntityID(record.receivingEntityID)}`);
+    this.log(LOG_LEVEL.VERBOSE, `real world time: ${this.formatClockTime(record.realWorldTime)}`);
+    this.log(LOG_LEVEL.VERBOSE, `reason: ${record.reason}, frozen behavior: ${record.frozenBehavior}, request id: ${record.requestID}`);
+  }
+
+  /**
+   * 
+   * @param {DIS6_AcknowledgePdu} pdu 
+   * @param {Buffer} msg 
+   * @param {Object} record 
+   */
+  handleDIS_AcknowledgePDU(pdu, msg, record) {
+    Object.assign(record, {
+      originatingEntityID: this.toEntityID(pdu.originatingEntityID),
+      receivingEntityID: this.toEntityID(pdu.receivingEntityID),
+      acknowledgeFlag: pdu.acknowledgeFlag,
+      responseFlag: pdu.responseFlag,
+      requestID: pdu.requestID
+    });
+
+    this.log(LOG_LEVEL.VERBOSE, `Received DIS${pdu.protocolVersion} Acknowledge PDU`);
+
+    this.log(LOG_LEVEL.VERBOSE, `originating id: ${this.formatEntityID(record.originatingEntityID)}, receiving id: ${this.formatEntityID(record.receivingEntityID)}`);
+    this.log(LOG_LEVEL.VERBOSE, `acknowledge flag: ${record.acknowledgeFlag}, response flag: ${record.responseFlag}, request id: ${record.requestID}`);
+  }
+
+  /**
+   * Data and Set Data PDUs share the same layout
+   * @param {DIS6_DataPdu | DIS6_SetDataPdu} pdu 
+   * @param {Buffer} msg 
+   * @param {Object} record 
+   */
+  handleDIS_DataPDU(pdu, msg, record) {
+    Object.assign(record, {
+      originatingEntityID: this.toEntityID(pdu.originatingEntityID),
+      receivingEntityID: this.toEntityID(pdu.receivingEntityID),
+      requestID: pdu.requestID,
+      fixedDatums: pdu.fixedDatums.map(fd => ({ id: fd.fixedDatumID, value: fd.fixedDatumValue })),
+      // length is expressed in bits
+      variableDatums: pdu.variableDatums.map(vd => ({ id: vd.variableDatumID, length: vd.variableDatumLength, value: this.toHex(vd.variableDatumData) }))
+    });
+
+    this.log(LOG_LEVEL.VERBOSE, `Received DIS${pdu.protocolVersion} ${pdu.pduType === DIS6_SetDataPdu.pduType ? 'Set Data' : 'Data'} PDU`);
+
+    this.log(LOG_LEVEL.VERBOSE, `originating id: ${this.formatEntityID(record.originatingEntityID)}, receiving id: ${this.formatEntityID(record.receivingEntityID)}`);
+    this.log(LOG_LEVEL.VERBOSE, `request id: ${record.requestID}`);
+
+    this.log(LOG_LEVEL.VERBOSE, `Fixed Datums (count: ${record.fixedDatums.length}):`);
+    for (const fd of record.fixedDatums) {
+      this.log(LOG_LEVEL.VERBOSE, `  datum id: ${fd.id}, value: ${fd.value}`);
+    }
+
+    this.log(LOG_LEVEL.VERBOSE, `Variable Datums (count: ${record.variableDatums.length}):`);
+    for (const vd of record.variableDatums) {
+      this.log(LOG_LEVEL.VERBOSE, `  datum id: ${vd.id}, length: ${vd.length} bits, value: 0x${vd.value}`);
+    }
+  }
+
+  /**
+   * 
+   * @param {DIS6_DesignatorPdu} pdu 
+   * @param {Buffer} msg 
+   * @param {Object} record 
+   */
+  handleDIS_DesignatorPDU(pdu, msg, record) {
+    Object.assign(record, {
+      designatingEntityID: this.toEntityID(pdu.designatingEntityID),
+      designatedEntityID: this.toEntityID(pdu.designatedEntityID),
+      codeName: pdu.codeName,
+      designatorCode: pdu.designatorCode,
+      designatorPower: pdu.designatorPower,
+      designatorWavelength: pdu.designatorWavelength,
+      spotLocation: this.toLatLonAlt(pdu.designatorSpotLocation),
+      spotWrtDesignated: this.toVector(pdu.designatorSpotWrtDesignated),
+      deadReckoningAlgorithm: pdu.deadReckoningAlgorithm,
+      entityLinearAcceleration: this.toVector(pdu.entityLinearAcceleration)
+    });
+
+    this.log(LOG_LEVEL.VERBOSE, `Received DIS${pdu.protocolVersion} Designator PDU`);
+
+    this.log(LOG_LEVEL.VERBOSE, `designating id: ${this.formatEntityID(record.designatingEntityID)}, designated id: ${this.formatEntityID(record.designatedEntityID)}`);
+    this.log(LOG_LEVEL.VERBOSE, `code name: ${record.codeName}, code: ${record.designatorCode}`);
+    this.log(LOG_LEVEL.VERBOSE, `power: ${record.designatorPower} W, wavelength: ${record.designatorWavelength} µm`);
+    this.log(LOG_LEVEL.VERBOSE, `spot pos: ${this.formatLatLonAlt(record.spotLocation)}`);
+    this.log(LOG_LEVEL.VERBOSE, `spot wrt designated: ${this.formatVector(record.spotWrtDesignated)} m`);
+    this.log(LOG_LEVEL.VERBOSE, `dead reckoning algorithm: ${record.deadReckoningAlgorithm}, acceleration: ${this.formatVector(record.entityLinearAcceleration)} m/s²`);
+  }
+
+  /**
+   * 
+   * @param {DIS6_TransmitterPdu} pdu 
+   * @param {Buffer} msg 
+   * @param {Object} record 
+   */
+  handleDIS_TransmitterPDU(pdu, msg, record) {
+    Object.assign(record, {
+      entityID: this.toEntityID(pdu.entityId),
+      radioID: pdu.radioId,
+      transmitState: pdu.transmitState,
+      inputSource: pdu.inputSource,
+      frequency: pdu.frequency,
+      bandwidth: pdu.transmitFrequencyBandwidth,
+      power: pdu.power,
+      antennaLocation: this.toLatLonAlt(pdu.antennaLocation),
+      cryptoSystem: pdu.cryptoSystem,
+      cryptoKeyId: pdu.cryptoKeyId
+    });
+
+    this.log(LOG_LEVEL.VERBOSE, `Received DIS${pdu.protocolVersion} Transmitter PDU`);
+
+    this.log(LOG_LEVEL.VERBOSE, `id: ${this.formatEntityID(record.entityID)}, radio id: ${record.radioID}`);
+    this.log(LOG_LEVEL.VERBOSE, `transmit state: ${record.transmitState}, input source: ${record.inputSource}`);
+    this.log(LOG_LEVEL.VERBOSE, `frequency: ${record.frequency} Hz, bandwidth: ${record.bandwidth} Hz, power: ${record.power} dBm`);
+    this.log(LOG_LEVEL.VERBOSE, `antenna pos: ${this.formatLatLonAlt(record.antennaLocation)}`);
+    this.log(LOG_LEVEL.VERBOSE, `crypto system: ${record.cryptoSystem}, crypto key id: ${record.cryptoKeyId}`);
+  }
+
+  /**
+   * 
+   * @param {DIS6_SignalPdu} pdu 
+   * @param {Buffer} msg 
+   * @param {Object} record 
+   */
+  handleDIS_SignalPDU(pdu, msg, record) {
+    Object.assign(record, {
+      entityID: this.toEntityID(pdu.entityId),
+      radioID: pdu.radioId,
+      encodingScheme: pdu.encodingScheme,
+      tdlType: pdu.tdlType,
+      sampleRate: pdu.sampleRate,
+      samples: pdu.samples,
+      dataLength: pdu.dataLength
+    });
+
+    this.log(LOG_LEVEL.VERBOSE, `Received DIS${pdu.protocolVersion} Signal PDU`);
+
+    this.log(LOG_LEVEL.VERBOSE, `id: ${this.formatEntityID(record.entityID)}, radio id: ${record.radioID}`);
+    this.log(LOG_LEVEL.VERBOSE, `encoding scheme: 0x${record.encodingScheme.toString(16)}, tdl type: ${record.tdlType}`);
+    this.log(LOG_LEVEL.VERBOSE, `sample rate: ${record.sampleRate} Hz, samples: ${record.samples}, data length: ${record.dataLength} bits`);
+  }
+
+  logBurstDescriptor(burst) {
+    const munition = burst.munition;
+    this.log(LOG_LEVEL.VERBOSE, `munition type: ${munition.kind}, domain: ${munition.domain}, country: ${munition.country}, category: ${munition.category}, subcategory: ${munition.subcategory}, specific: ${munition.spec}, extra: ${munition.extra}`);
+    this.log(LOG_LEVEL.VERBOSE, `munition names: ${this.formatEntityTypeNames(burst.munitionNames)}`);
+    this.log(LOG_LEVEL.VERBOSE, `warhead: ${burst.warhead}, fuse: ${burst.fuse}, quantity: ${burst.quantity}, rate: ${burst.rate}`);
+  }
+
+  // plain object conversions, used for the structured output
+
+  toEntityID(id) {
+    return { site: id.site, application: id.application, entity: id.entity };
+  }
+
+  toEventID(id) {
+    return { site: id.site, application: id.application, eventNumber: id.eventNumber };
+  }
+
+  toEntityType(type) {
+    return {
+      kind: type.kind,
+      domain: type.domain,
+      country: type.country,
+      category: type.category,
+      subcategory: type.subcategory,
+      spec: type.spec,
+      extra: type.extra
+    };
+  }
+
+  toVector(v) {
+    return { x: v.x, y: v.y, z: v.z };
+  }
+
+  /**
+   * Converts a world (geocentric) location to lat/lon/alt
+   * @param {DIS6_Vector3Double} location 
+   */
+  toLatLonAlt(location) {
+    const pos = this.coordConverter.convertDisToLatLongInDegrees(location);
+    return { latitude: pos.latitude, longitude: pos.longitude, altitude: pos.altitude };
+  }
+
+  toClockTime(time) {
+    return { hour: time.hour, timePastHour: time.timePastHour };
+  }
+
+  toBurstDescriptor(burst) {
+    return {
+      munition: this.toEntityType(burst.munition),
+      munitionNames: this.enumerations.describeEntityType(burst.munition),
+      warhead: burst.warhead,
+      fuse: burst.fuse,
+      quantity: burst.quantity,
+      rate: burst.rate
+    };
+  }
+
+  // text output formatting
+
+  formatEntityID(id) {
+    return `${id.site}:${id.application}:${id.entity}`;
+  }
+
+  formatEventID(id) {
+    return `${id.site}:${id.application}:${id.eventNumber}`;
+  }
+
+  formatVector(v) {
+    return `(${v.x}, ${v.y}, ${v.z})`;
+  }
+
+  /**
+   * @param {import('./enumerations.js').EntityTypeNames} names
+   * @returns {string} e.g. 'Platform, Land, United States, Tank, M1A2', '?' for the unknown values
+   */
+  formatEntityTypeNames(names) {
+    return [names.kind, names.domain, names.country, names.category, names.name ?? '-'].map(name => name ?? '?').join(', ');
+  }
+
+  formatLatLonAlt(pos) {
+    return `Lat: ${pos.latitude}, Lon: ${pos.longitude}, Alt: ${pos.altitude}`;
+  }
+
+  formatClockTime(time) {
+    return `hour ${time.hour} + ${time.timePastHour}`;
+  }
+
+  toHex(buffer) {
+    return Array.prototype.map.call(buffer, x => ('00' + x.toString(16)).slice(-2)).join('');
+  }
+
+  /**
+   * @param {Buffer} buffer
+   * @param {number} [maxLength] - Bytes dumped, the rest is only counted
+   * @returns {string[]} Lines of 16 bytes with their offset and ASCII form, e.g. '0000  06 01 01 01 ...  |................|'
+   */
+  formatHexDump(buffer, maxLength = 256) {
+    const lines = [];
+
+    for (let offset = 0; offset < Math.min(buffer.length, maxLength); offset += 16) {
+      const bytes = buffer.subarray(offset, Math.min(offset + 16, maxLength));
+      const hex = Array.from(bytes, x => x.toString(16).padStart(2, '0'));
+      const ascii = Array.from(bytes, x => x >= 0x20 && x < 0x7f ? String.fromCharCode(x) : '.').join('');
+
+      lines.push(`${offset.toString(16).padStart(4, '0')}  ${hex.slice(0, 8).join(' ').padEnd(23)}  ${hex.slice(8).join(' ').padEnd(23)}  |${ascii}|`);
+    }
+
+    if (buffer.length > maxLength) {
+      lines.push(`... ${buffer.length - maxLength} more bytes`);
+    }
+
+    return lines;
+  }
+  /**
+   * @param {DISReceiverConfig} config
+   */
+  setConfig(config) {
+    const inputs = (config.inputs?.length > 0 ? config.inputs : [{
+      disAddress: config.disAddress ?? '239.1.2.3',
+      disInterface: config.disInterface,
+      disLocalAddress: config.disLocalAddress,
+      disSources: config.disSources,
+      disPort: config.disPort ?? 62040
+    }]).map(input => ({ ...input, name: input.name ?? formatEndpoint(input.disAddress, input.disPort) }));
+
+    const names = inputs.map(input => input.name);
+    const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+    if (duplicate !== undefined) {
+      throw new Error(`Duplicate DIS input: ${duplicate}`);
+    }
+
+    this.config = {
+      // the first input, for the single input setups
+      disAddress: inputs[0].disAddress,
+      disInterface: inputs[0].disInterface,
+      disLocalAddress: inputs[0].disLocalAddress,
+      disSources: inputs[0].disSources,
+      disPort: inputs[0].disPort,
+      inputs,
+      allowSenders: config.allowSenders ?? [],
+      denySenders: config.denySenders ?? [],
+      entityTimeout: config.entityTimeout,
+      rebindDelay: config.rebindDelay ?? 1000,
+      maxRebindDelay: config.maxRebindDelay ?? 30000,
+      interfaceCheckInterval: config.interfaceCheckInterval ?? 5000,
+      enumerations: config.enumerations ?? [],
+      logLevel: config.logLevel ?? LOG_LEVEL.INFO
+    };
+
+    this.enumerations = new Enumerations(this.config.enumerations.map(tables => typeof tables === 'string' ? readEnumerationFile(tables) : tables));
+
+    this.isAllowedSender = createSenderFilter(this.config.allowSenders, this.config.denySenders);
+  }
+
+  getConfig() {
+    return this.config;
+  }
+
+  log(level, ...messages) {
+    // the formatting of the verbose lines is skipped when nobody reads them
+    if (level < this.config.logLevel) {
+      return;
+    }
+
+    this.emit('log', level, ...messages);
+  }
+}
@@ -0,0 +1,1020 @@
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { createServer } from 'node:http';
+import { createServer as createTLSServer } from 'node:https';
+import { WebSocket, WebSocketServer } from 'ws';
+import { DISReceiver, LOG_LEVEL } from './dis-receiver.js';
+import { EntityRegistry } from './entity-registry.js';
+import { formatPositionsGeoJSON } from './geo-export.js';
+import { createSenderFilter, formatEndpoint, isMulticastAddress } from './network.js';
+import { PDU_HEADER_LENGTH, PDU_TYPE_NAMES, parsePDUHeader } from './pdu-header.js';
+import { DEFAULT_FILTER, matchesFilter, normalizeFilter } from './subscription-filter.js';
+import { ENTITY_STATE_PDU_LENGTH, ENTITY_STATE_PDU_TYPE, encodePdu } from './pdu-encoder.js';
+import { VARIABLE_PARAMETER_RECORD_LENGTH } from './variable-parameters.js';
+import { renderViewerPage, viewerContentSecurityPolicy } from './web-viewer.js';
+import { METRICS_CONTENT_TYPE, TrafficStatistics, formatMetric } from './traffic-statistics.js';
+
+import packageJson from '../package.json' with { type: "json" };
+
+/**
+ * @param {string | null | undefined} value - A secret given by a client
+ * @param {string[]} secrets - The valid secrets
+ * @returns {boolean} true if the value is one of the secrets, compared through their hashes in constant time
+ */
+function matchesSecret(value, secrets) {
+  if (!value) {
+    return false;
+  }
+
+  const digest = createHash('sha256').update(value).digest();
+  return secrets.some(valid => timingSafeEqual(digest, createHash('sha256').update(valid).digest()));
+}
+
+/**
+ * @param {{ queue: number, superseded: number, rate: number }} dropped
+ * @returns {string} e.g. '12 dropped (queue: 10, superseded: 0, rate: 2)'
+ */
+function formatDropped(dropped) {
+  const total = dropped.queue + dropped.superseded + dropped.rate;
+  return `${total} dropped${total > 0 ? ` (queue: ${dropped.queue}, superseded: ${dropped.superseded}, rate: ${dropped.rate})` : ''}`;
+}
+
+/**
+ * @typedef {Object} DISWSProxyOptions
+ * @property {string} [wsHost] - The host to listen on for WebSocket connections. Default is 'localhost'
+ * @property {number} [wsPort] - The port to listen on for WebSocket connections. Default is 9870
+ * @property {string} [wsPath] - The path to listen on for WebSocket connections, the clients receive the PDUs of all the inputs. Default is '/'
+ * @property {string} [tlsCert] - Certificate file in PEM format, serves wss:// and https:// with tlsKey. Default is none, plain ws://
+ * @property {string} [tlsKey] - Private key file of the certificate, in PEM format
+ * @property {string[]} [authTokens] - Tokens accepted from the clients, in the access_token query parameter or an Authorization: Bearer header. Default is [], no token
+ * @property {string[]} [authUsers] - 'user:password' pairs accepted from the clients in an Authorization: Basic header. Default is [], no user
+ * @property {string[]} [allowOrigins] - Origins of the web pages allowed to connect, e.g. 'https://c2.example.org'. Default is [], any origin
+ * @property {string[]} [allowClients] - Subnets or addresses of the clients allowed to connect. Default is any client
+ * @property {number} [maxClients] - Maximum number of connected clients. Default is no limit
+ * @property {string[]} [injectTokens] - Tokens allowing a client to send PDUs to the DIS network. Default is [], injection disabled
+ * @property {number[]} [injectPduTypes] - PDU types the clients may send. Default is [1, 2] (Entity State, Fire)
+ * @property {number} [injectRate] - Maximum PDUs per second sent by each client, also the burst size. Default is 50
+ * @property {number} [summaryInterval] - Interval of the traffic summary lines, in ms. Default is 60000, 0 disables them
+ * @property {number} [maxBufferedBytes] - Bytes waiting in the socket of a client above which its messages are queued. Default is 1048576
+ * @property {number} [queueLimit] - Maximum messages queued for a client, the oldest ones are dropped above it. Default is 1000
+ * @property {'drop-oldest' | 'latest'} [queuePolicy] - 'latest' only queues the latest Entity State PDU of each entity. Default is 'drop-oldest'
+ * @property {number} [maxEntityRate] - Maximum Entity State PDUs per entity and per second forwarded to a client. Default is no limit
+ * @property {number} [pingInterval] - Interval of the pings, in ms, the clients without pong in between are closed. Default is 30000, 0 disables them
+ * @property {boolean} [snapshot] - Send the latest Entity State PDU of each live entity to the new clients, before the live PDUs. Default is true
+ * @property {boolean} [viewer] - Serve the web viewer page at /viewer. Default is false
+ * @property {boolean} [metricsPublic] - Serve /metrics to any client, without the access checks of the WebSocket clients. Default is false
+ */
+
+/**
+ * An input with a wsPath is also routed to its own WebSocket path, the clients connecting there only receive its PDUs
+ * and their PDUs are sent to its address and port
+ * @typedef {import('./dis-receiver.js').DISInput & { wsPath?: string }} DISWSProxyInput
+ */
+
+/** @typedef {import('./dis-receiver.js').DISReceiverConfig & DISWSProxyOptions & { inputs?: DISWSProxyInput[] }} DISWSProxyConfig */
+
+/**
+ * @typedef {Object} WSClientState
+ * @property {string} address - The client address and port
+ * @property {string} path - The WebSocket path the client connected to
+ * @property {'binary' | 'json'} format - The format of the forwarded PDUs
+ * @property {boolean} raw - The JSON messages also carry the PDU in hex, in a raw field
+ * @property {import('./subscription-filter.js').SubscriptionFilter} filter - The PDUs forwarded to the client
+ * @property {string | null} input - The input name of the path the client connected to, null for all the inputs
+ * @property {boolean} canInject - The client gave an inject token
+ * @property {{ tokens: number, updated: number }} injectBucket - Rate limit token bucket
+ * @property {number} injected - PDUs sent to the DIS network by the client
+ * @property {number} rejected - PDUs of the client rejected by validation or the rate limit
+ * @property {number} sent - PDUs forwarded to the client
+ * @property {'drop-oldest' | 'latest'} queuePolicy - What to drop when the client is too slow
+ * @property {number} maxEntityRate - Entity State PDUs per entity and per second, 0 for no limit
+ * @property {Map<string | number, Buffer | string>} queue - Messages waiting for the socket to drain, keyed by entity for the 'latest' policy
+ * @property {number} queued - Sequence of the queued messages
+ * @property {Map<string, number>} entitySent - Time of the last Entity State PDU forwarded per entity, for maxEntityRate
+ * @property {{ queue: number, superseded: number, rate: number }} dropped - PDUs not forwarded, by reason
+ * @property {boolean} alive - A pong was received since the last ping
+ */
+
+/**
+ * Forwards the received PDUs to the WebSocket clients, and the PDUs sent by
+ * the authorised clients to the DIS network. The Prometheus metrics are served
+ * on the same port, at /metrics
+ */
+export class DISWSProxy {
+  version = packageJson.version;
+
+  /** @type {DISReceiver} */
+  receiver = null;
+
+  /** @type {import('node:http').Server} */
+  httpServer = null;
+
+  /** @type {WebSocketServer} */
+  ws = null;
+
+  /** @type {TrafficStatistics} */
+  traffic = null;
+
+  /** @type {NodeJS.Timeout} */
+  summaryTimer = null;
+
+  // WebSocket counters, the per client ones are in the client states
+  connections = 0;
+  messagesSent = 0;
+  lastSummaryMessagesSent = 0;
+  deadClients = 0;
+
+  /**
+   * PDUs not forwarded by reason: queue (oldest dropped above queueLimit), superseded (replaced
+   * by a newer state of the entity in the queue) and rate (above maxEntityRate)
+   */
+  messagesDropped = { queue: 0, superseded: 0, rate: 0 };
+  lastSummaryMessagesDropped = 0;
+
+  /**
+   * Latest Entity State PDU of each live entity keyed by site:application:entity, sent to the new clients.
+   * The entities are removed with the entityTimeout of the receiver
+   * @type {Map<string, { record: Object, msg: Buffer }>}
+   */
+  snapshot = new Map();
+
+  /** @type {NodeJS.Timeout} */
+  pingTimer = null;
+
+  /**
+   * Refused WebSocket handshakes keyed by reason: path, client, origin, auth or limit
+   * @type {Map<string, number>}
+   */
+  refusedConnections = new Map();
+
+  /**
+   * Client address filter built from allowClients
+   * @type {(address: string) => boolean}
+   */
+  isAllowedClient = () => true;
+
+  /** @type {DISWSProxyConfig} */
+  config = null;
+
+  static LOG_LEVEL = LOG_LEVEL;
+
+  /**
+   * Per client state, keyed by WebSocket
+   * @type {Map<import('ws').WebSocket, WSClientState>}
+   */
+  clients = new Map();
+
+  /**
+   * Input name keyed by WebSocket path, null for the path of all the inputs
+   * @type {Map<string, string | null>}
+   */
+  routes = new Map();
+
+  static CLIENT_FORMATS = ['binary', 'json'];
+
+  static QUEUE_POLICIES = ['drop-oldest', 'latest'];
+
+  // HTTP path of the live entities in GeoJSON
+  static ENTITIES_PATH = '/entities.geojson';
+
+  // HTTP path of the web viewer
+  static VIEWER_PATH = '/viewer';
+
+  // WebSocket subprotocols selecting the format
+  static SUBPROTOCOLS = {
+    'dis-binary': 'binary',
+    'dis-json': 'json'
+  };
+
+  /**
+   * @param {DISWSProxyConfig} config
+   */
+  constructor(config) {
+    this.receiver = new DISReceiver(config);
+    this.setConfig(config);
+
+    this.traffic = new TrafficStatistics(this.receiver);
+
+    this.receiver.on('log', (level, ...messages) => this.log(level, ...messages));
+
+    this.receiver.on('listening', (address, input) => {
+      const endpoint = formatEndpoint(input.disAddress, input.disPort);
+      const name = input.name === endpoint ? "" : ` (${input.name})`;
+      this.log(DISWSProxy.LOG_LEVEL.INFO, `Listening for UDP${isMulticastAddress(input.disAddress) ? " multicast" : ""} on ${endpoint}${name}${input.wsPath ? `, routed to ${input.wsPath}` : ""}`);
+    });
+
+    this.receiver.on('error', (err, input) => {
+      this.log(DISWSProxy.LOG_LEVEL.ERROR, `Socket error on ${input.name}: ${err.message}`);
+    });
+
+    // broadcast the PDUs to the ws clients
+    this.receiver.on('pdu', (record, msg) => this.broadcastToWSClients(msg, record));
+
+    this.receiver.on('entityState', (record, msg) => {
+      if (this.config.snapshot) {
+        this.snapshot.set(EntityRegistry.keyOf(record.entityID), { record, msg });
+      }
+    });
+
+    this.receiver.on('entityRemoved', (entity) => {
+      this.snapshot.delete(entity.key);
+
+      for (const state of this.clients.values()) {
+        state.entitySent.delete(entity.key);
+      }
+    });
+  }
+
+  start() {
+    this.receiver.start();
+    this.startWSServer();
+
+    if (this.config.summaryInterval > 0) {
+      this.summaryTimer = setInterval(() => this.logSummary(), this.config.summaryInterval);
+    }
+
+    if (this.config.pingInterval > 0) {
+      this.pingTimer = setInterval(() => this.pingClients(), this.config.pingInterval);
+    }
+
+    this.log(DISWSProxy.LOG_LEVEL.INFO, `DIS-WS Proxy v${this.version} started`);
+
+    const isLocal = ['localhost', '127.0.0.1', '::1'].includes(this.config.wsHost);
+    if (!isLocal && this.config.authTokens.length === 0 && this.config.authUsers.length === 0 && this.config.allowClients.length === 0) {
+      this.log(DISWSProxy.LOG_LEVEL.WARN, `Any client reaching ${this.config.wsHost}:${this.config.wsPort} receives the PDUs, restrict them with auth tokens, users or client subnets`);
+    }
+
+    if (this.config.injectTokens.length > 0) {
+      this.log(DISWSProxy.LOG_LEVEL.INFO, `Clients with an inject token can send PDU types ${this.config.injectPduTypes.join(', ')}, up to ${this.config.injectRate} PDU/s each`);
+    }
+  }
+
+  /**
+   * Stops listening and closes the WebSocket clients
+   * @returns {Promise<void>} Resolved once the clients are disconnected
+   */
+  stop() {
+    clearInterval(this.summaryTimer);
+    this.summaryTimer = null;
+    clearInterval(this.pingTimer);
+    this.pingTimer = null;
+
+    this.receiver.stop();
+
+    for (const client of this.clients.keys()) {
+      client.close(1001, 'Server shutting down');
+    }
+    this.ws?.close();
+
+    return new Promise((resolve) => this.httpServer ? this.httpServer.close(() => resolve()) : resolve());
+  }
+
+  startWSServer() {
+    const handler = (req, res) => this.handleHTTPRequest(req, res);
+    this.httpServer = this.config.tlsCert
+      ? createTLSServer({ cert: readFileSync(this.config.tlsCert), key: readFileSync(this.config.tlsKey) }, handler)
+      : createServer(handler);
+
+    this.ws = new WebSocketServer({
+      server: this.httpServer,
+      // the refused handshakes are answered with an HTTP error, before any PDU
+      verifyClient: ({ req }, callback) => {
+        const refusal = this.checkConnection(req);
+        if (!refusal) {
+          callback(true);
+          return;
+        }
+
+        this.refusedConnections.set(refusal.reason, (this.refusedConnections.get(refusal.reason) ?? 0) + 1);
+        this.log(DISWSProxy.LOG_LEVEL.WARN, `Refused connection from ${req.socket.remoteAddress}:${req.socket.remotePort} to ${req.url.split('?')[0]}: ${refusal.message}`);
+        callback(false, refusal.code, refusal.message, refusal.headers);
+      },
+      // accept the first known subprotocol offered by the client
+      handleProtocols: (protocols) => [...protocols].find(protocol => protocol in DISWSProxy.SUBPROTOCOLS) ?? false
+    });
+
+    this.ws.on('connection', (ws, req) => {
+      const address = `${req.socket.remoteAddress}:${req.socket.remotePort}`;
+
+      // the format is chosen with the ?format= query parameter or the subprotocol, binary by default
+      const url = new URL(req.url, 'http://localhost');
+      const query = url.searchParams;
+      const input = this.routes.get(url.pathname);
+      const format = query.get('format') ?? DISWSProxy.SUBPROTOCOLS[ws.protocol] ?? 'binary';
+
+      if (!DISWSProxy.CLIENT_FORMATS.includes(format)) {
+        this.log(DISWSProxy.LOG_LEVEL.WARN, `Client ${address} requested unknown format: ${format}`);
+        // the value is not repeated, ws.close throws above 123 bytes of reason
+        ws.close(1008, `Unknown format, expected one of ${DISWSProxy.CLIENT_FORMATS.join(', ')}`);
+        return;
+      }
+
+      // the client may choose its queue policy and ask for fewer updates than the server limit
+      const queuePolicy = query.get('policy') ?? this.config.queuePolicy;
+      if (!DISWSProxy.QUEUE_POLICIES.includes(queuePolicy)) {
+        this.log(DISWSProxy.LOG_LEVEL.WARN, `Client ${address} requested unknown queue policy: ${queuePolicy}`);
+        ws.close(1008, `Unknown queue policy, expected one of ${DISWSProxy.QUEUE_POLICIES.join(', ')}`);
+        return;
+      }
+
+      const rate = query.has('rate') ? Number(query.get('rate')) : Infinity;
+      if (!(rate > 0)) {
+        this.log(DISWSProxy.LOG_LEVEL.WARN, `Client ${address} requested invalid rate: ${query.get('rate')}`);
+        ws.close(1008, 'Invalid rate, expected a positive number of PDUs per entity and per second');
+        return;
+      }
+      const maxEntityRate = Math.min(rate, this.config.maxEntityRate ?? Infinity);
+
+      const canInject = this.isInjectToken(query.get('token'));
+
+      this.connections++;
+      this.clients.set(ws, {
+        address,
+        path: url.pathname,
+        format,
+        raw: format === 'json' && query.get('raw') === 'true',
+        filter: DEFAULT_FILTER,
+        input,
+        canInject,
+        injectBucket: { tokens: this.config.injectRate, updated: performance.now() },
+        injected: 0,
+        rejected: 0,
+        sent: 0,
+        queuePolicy,
+        maxEntityRate: Number.isFinite(maxEntityRate) ? maxEntityRate : 0,
+        queue: new Map(),
+        queued: 0,
+        entitySent: new Map(),
+        dropped: { queue: 0, superseded: 0, rate: 0 },
+        alive: true
+      });
+      this.log(DISWSProxy.LOG_LEVEL.INFO, `Client connected from ${address} to ${url.pathname}, format: ${format}, queue policy: ${queuePolicy}${Number.isFinite(maxEntityRate) ? `, up to ${maxEntityRate} PDU/s per entity` : ''}${canInject ? ', can send PDUs' : ''}`);
+
+      // a reconnecting client may already know the entities
+      if (this.config.snapshot && query.get('snapshot') !== 'false') {
+        this.sendSnapshot(ws, this.clients.get(ws));
+      }
+
+      ws.on('pong', () => {
+        this.clients.get(ws).alive = true;
+      });
+
+      ws.on('message', (data, isBinary) => {
+        this.handleClientMessage(ws, data, isBinary);
+      });
+
+      ws.on('close', () => {
+        const state = this.clients.get(ws);
+        this.clients.delete(ws);
+        this.log(DISWSProxy.LOG_LEVEL.INFO, `Client ${address} disconnected, ${state.sent} PDU(s) forwarded, ${formatDropped(state.dropped)}${state.canInject ? `, ${state.injected} PDU(s) sent, ${state.rejected} rejected` : ''}`);
+      });
+    });
+
+    this.ws.on('error', (err) => {
+      this.log(DISWSProxy.LOG_LEVEL.ERROR, `WebSocket server error: ${err.message}`);
+    });
+
+    this.ws.on('close', () => {
+      this.log(DISWSProxy.LOG_LEVEL.INFO, 'WebSocket server closed');
+    });
+
+    this.ws.on('listening', () => {
+      this.log(DISWSProxy.LOG_LEVEL.INFO, `WebSocket server listening on ${this.config.tlsCert ? 'wss' : 'ws'}://${this.config.wsHost}:${this.config.wsPort}, path${this.routes.size > 1 ? 's' : ''}: ${[...this.routes.keys()].join(', ')}, metrics: /metrics, entities: ${DISWSProxy.ENTITIES_PATH}${this.config.viewer ? `, viewer: ${DISWSProxy.VIEWER_PATH}` : ''}`);
+    });
+
+    this.httpServer.listen(this.config.wsPort, this.config.wsHost);
+  }
+
+  /**
+   * Checks a WebSocket handshake: path, client address, origin, credentials and connection limit
+   * @param {import('node:http').IncomingMessage} req
+   * @returns {{ reason: string, code: number, message: string, headers?: Object } | null} The refusal, null for an accepted client
+   */
+  checkConnection(req) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (!this.routes.has(url.pathname)) {
+      return { reason: 'path', code: 404, message: 'Not Found' };
+    }
+
+    const refusal = this.checkAccess(req, url);
+    if (refusal) {
+      return refusal;
+    }
+
+    if (this.config.maxClients > 0 && this.clients.size >= this.config.maxClients) {
+      return { reason: 'limit', code: 503, message: `Too many clients, the limit is ${this.config.maxClients}` };
+    }
+
+    return null;
+  }
+
+  /**
+   * Checks the client address, origin and credentials of a handshake or of an HTTP request for the entities
+   * @param {import('node:http').IncomingMessage} req
+   * @param {URL} url
+   * @returns {{ reason: string, code: number, message: string, headers?: Object } | null} The refusal, null for an accepted client
+   */
+  checkAccess(req, url) {
+    if (!this.isAllowedClient(req.socket.remoteAddress)) {
+      return { reason: 'client', code: 403, message: 'Client address not allowed' };
+    }
+
+    // only the browsers send an origin, the other clients are checked by address and credentials
+    const origin = req.headers.origin;
+    if (origin !== undefined && this.config.allowOrigins.length > 0 && !this.config.allowOrigins.includes(origin.toLowerCase())
+      && !(this.config.viewer && origin.toLowerCase() === this.ownOrigin(req))) {
+      return { reason: 'origin', code: 403, message: `Origin ${origin} not allowed` };
+    }
+
+    if (!this.isAuthenticated(req, url.searchParams)) {
+      return {
+        reason: 'auth',
+        code: 401,
+        message: 'Authentication required',
+        // lets the browsers prompt for the user and the password
+        headers: this.config.authUsers.length > 0 ? { 'WWW-Authenticate': 'Basic realm="DIS-WS Proxy", charset="UTF-8"' } : undefined
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * @param {import('node:http').IncomingMessage} req
+   * @returns {string} The origin of the pages served by the proxy, e.g. 'http://localhost:9870', allowed for the viewer
+   */
+  ownOrigin(req) {
+    return `${this.config.tlsCert ? 'https' : 'http'}://${req.headers.host}`.toLowerCase();
+  }
+
+  /**
+   * @param {import('node:http').IncomingMessage} req
+   * @param {URLSearchParams} query
+   * @returns {boolean} true if no credentials are required, or the client gave valid ones
+   */
+  isAuthenticated(req, query) {
+    const { authTokens, authUsers } = this.config;
+    if (authTokens.length === 0 && authUsers.length === 0) {
+      return true;
+    }
+
+    // browsers can't set headers on a WebSocket, hence the query parameter
+    if (matchesSecret(query.get('access_token'), authTokens)) {
+      return true;
+    }
+
+    const [scheme, credentials] = (req.headers.authorization ?? '').split(' ');
+    switch (scheme?.toLowerCase()) {
+      case 'bearer':
+        return matchesSecret(credentials, authTokens);
+      case 'basic':
+        return matchesSecret(credentials && Buffer.from(credentials, 'base64').toString(), authUsers);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Checks the access of an HTTP request like a WebSocket handshake, and answers the refused ones
+   * @param {import('node:http').IncomingMessage} req
+   * @param {import('node:http').ServerResponse} res
+   * @param {URL} url
+   * @returns {boolean} true if the request was refused
+   */
+  refuseRequest(req, res, url) {
+    const refusal = this.checkAccess(req, url);
+    if (!refusal) {
+      return false;
+    }
+
+    this.log(DISWSProxy.LOG_LEVEL.WARN, `Refused request from ${req.socket.remoteAddress}:${req.socket.remotePort} to ${url.pathname}: ${refusal.message}`);
+    res.writeHead(refusal.code, refusal.headers).end();
+    return true;
+  }
+
+  /**
+   * Answers the plain HTTP requests of the WebSocket port: the Prometheus metrics at /metrics,
+   * the live entities at /entities.geojson, the viewer at /viewer if enabled, 426 on the WebSocket paths and 404 elsewhere
+   * @param {import('node:http').IncomingMessage} req
+   * @param {import('node:http').ServerResponse} res
+   */
+  handleHTTPRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const { pathname } = url;
+
+    if (pathname === '/metrics') {
+      // the metrics show the addresses and paths of the clients
+      if (!this.config.metricsPublic && this.refuseRequest(req, res, url)) {
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': METRICS_CONTENT_TYPE }).end(this.formatMetrics().join('\n') + '\n');
+      return;
+    }
+
+    if (pathname === DISWSProxy.ENTITIES_PATH) {
+      this.serveEntities(req, res, url);
+      return;
+    }
+
+    if (pathname === DISWSProxy.VIEWER_PATH && this.config.viewer) {
+      this.serveViewer(req, res, url);
+      return;
+    }
+
+    res.writeHead(this.routes.has(pathname) ? 426 : 404).end();
+  }
+
+  /**
+   * Serves the latest position of the live entities as a GeoJSON FeatureCollection, to the clients
+   * allowed to connect. ?input= only keeps the entities of an input
+   * @param {import('node:http').IncomingMessage} req
+   * @param {import('node:http').ServerResponse} res
+   * @param {URL} url
+   */
+  serveEntities(req, res, url) {
+    if (this.refuseRequest(req, res, url)) {
+      return;
+    }
+
+    const input = url.searchParams.get('input');
+    const entities = this.receiver.entityRegistry.list().filter(entity => input === null || entity.state.input === input);
+
+    res.writeHead(200, {
+      'Content-Type': 'application/geo+json',
+      'Cache-Control': 'no-store',
+      ...this.corsHeaders(req)
+    }).end(JSON.stringify(formatPositionsGeoJSON(entities)));
+  }
+
+  /**
+   * The pages of any origin may read the entities of a proxy without credentials, anyone can fetch them anyway.
+   * Once credentials are required, only the pages of the allowed origins may, the other pages could otherwise
+   * read them with the credentials of the browser
+   * @param {import('node:http').IncomingMessage} req
+   * @returns {Object} The CORS headers of the response
+   */
+  corsHeaders(req) {
+    const { authTokens, authUsers, allowOrigins } = this.config;
+    if (authTokens.length === 0 && authUsers.length === 0) {
+      return { 'Access-Control-Allow-Origin': '*' };
+    }
+
+    const origin = req.headers.origin;
+    if (origin !== undefined && allowOrigins.includes(origin.toLowerCase())) {
+      return { 'Access-Control-Allow-Origin': origin, Vary: 'Origin' };
+    }
+    return { Vary: 'Origin' };
+  }
+
+  /**
+   * Serves the web viewer page, to the clients allowed to connect. The page connects to the WebSocket
+   * paths with the access_token of its own URL, if any
+   * @param {import('node:http').IncomingMessage} req
+   * @param {import('node:http').ServerResponse} res
+   * @param {URL} url
+   */
+  serveViewer(req, res, url) {
+    if (this.refuseRequest(req, res, url)) {
+      return;
+    }
+
+    const page = renderViewerPage({
+      paths: [...this.routes.keys()],
+      pduTypes: Object.keys(PDU_TYPE_NAMES).map(Number),
+      entityTimeout: this.receiver.entityRegistry.timeout,
+      version: this.version
+    });
+
+    res.writeHead(200, {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'no-store',
+      'Content-Security-Policy': viewerContentSecurityPolicy(`${this.config.tlsCert ? 'wss' : 'ws'}://${req.headers.host}`)
+    }).end(page);
+  }
+
+  /**
+   * The traffic counters and the WebSocket counters, in the Prometheus text exposition format
+   * @returns {string[]}
+   */
+  formatMetrics() {
+    const clients = [...this.clients.values()];
+
+    return [
+      ...this.traffic.formatMetrics(),
+      ...formatMetric('dis_ws_clients', 'gauge', 'Connected WebSocket clients', [{ value: this.clients.size }]),
+      ...formatMetric('dis_ws_connections_total', 'counter', 'Accepted WebSocket connections', [{ value: this.connections }]),
+      ...formatMetric('dis_ws_refused_connections_total', 'counter', 'Refused WebSocket handshakes, by reason',
+        [...this.refusedConnections].map(([reason, value]) => ({ labels: { reason }, value }))),
+      ...formatMetric('dis_ws_messages_sent_total', 'counter', 'PDUs forwarded to the WebSocket clients', [{ value: this.messagesSent }]),
+      ...formatMetric('dis_ws_messages_dropped_total', 'counter', 'PDUs not forwarded to the slow or rate limited WebSocket clients, by reason',
+        Object.entries(this.messagesDropped).map(([reason, value]) => ({ labels: { reason }, value }))),
+      ...formatMetric('dis_ws_snapshot_entities', 'gauge', 'Entities in the snapshot sent to the new WebSocket clients', [{ value: this.snapshot.size }]),
+      ...formatMetric('dis_ws_dead_clients_total', 'counter', 'WebSocket clients closed for not answering the ping', [{ value: this.deadClients }]),
+      ...formatMetric('dis_ws_client_messages_sent_total', 'counter', 'PDUs forwarded to each connected WebSocket client',
+        clients.map(state => ({ labels: { client: state.address, path: state.path, format: state.format }, value: state.sent }))),
+      ...formatMetric('dis_ws_client_queue_length', 'gauge', 'Messages waiting for each connected WebSocket client',
+        clients.map(state => ({ labels: { client: state.address, path: state.path, format: state.format }, value: state.queue.size })))
+    ];
+  }
+
+  logSummary() {
+    const sent = this.messagesSent - this.lastSummaryMessagesSent;
+    this.lastSummaryMessagesSent = this.messagesSent;
+
+    const totalDropped = Object.values(this.messagesDropped).reduce((sum, value) => sum + value, 0);
+    const dropped = totalDropped - this.lastSummaryMessagesDropped;
+    this.lastSummaryMessagesDropped = totalDropped;
+
+    this.log(DISWSProxy.LOG_LEVEL.INFO, `${this.traffic.summarize()}, ${this.clients.size} client(s), ${sent} messages sent, ${dropped} dropped`);
+  }
+
+  /**
+   * Closes the clients which didn't answer the previous ping, e.g. a laptop gone to sleep, and pings the others
+   */
+  pingClients() {
+    for (const [client, state] of this.clients) {
+      if (!state.alive) {
+        this.deadClients++;
+        this.log(DISWSProxy.LOG_LEVEL.WARN, `Client ${state.address} didn't answer the ping, closing it`);
+        // no closing handshake with a dead peer
+        client.terminate();
+        continue;
+      }
+
+      state.alive = false;
+      client.ping();
+    }
+  }
+
+  /**
+   * Handles a message sent by a client. Binary messages are raw PDUs to send to the DIS network,
+   * text messages are JSON control messages:
+   * - {"type": "subscribe", "filter": {...}} replaces the subscription filter, null restores the default
+   * - {"type": "getSubscription"} returns the current filter
+   * - {"type": "getSnapshot"} sends the latest state of the live entities matching the current filter again
+   * - {"type": "pdu", "pdu": {...}} sends a PDU given in the decoded JSON form to the DIS network
+   * Subscriptions are answered with {"type": "subscription", "filter": {...}}, errors with {"type": "error", "message": "..."}
+   * @param {import('ws').WebSocket} ws
+   * @param {import('ws').RawData} data
+   * @param {boolean} isBinary
+   */
+  handleClientMessage(ws, data, isBinary) {
+    const state = this.clients.get(ws);
+    if (!state) {
+      return;
+    }
+
+    const reply = (message) => ws.send(JSON.stringify(message));
+
+    if (isBinary) {
+      // a Buffer, the default binaryType
+      this.injectPDU(ws, state, data);
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (err) {
+      reply({ type: 'error', message: `invalid JSON: ${err.message}` });
+      return;
+    }
+
+    this.log(DISWSProxy.LOG_LEVEL.VERBOSE, `Received message from client ${state.address}: ${data}`);
+
+    switch (message?.type) {
+      case 'subscribe':
+        try {
+          state.filter = normalizeFilter(message.filter);
+        } catch (err) {
+          this.log(DISWSProxy.LOG_LEVEL.WARN, `Client ${state.address} sent an invalid filter: ${err.message}`);
+          reply({ type: 'error', message: err.message });
+          return;
+        }
+        this.log(DISWSProxy.LOG_LEVEL.INFO, `Client ${state.address} subscribed to ${JSON.stringify(state.filter)}`);
+        reply({ type: 'subscription', filter: state.filter });
+        break;
+      case 'getSubscription':
+        reply({ type: 'subscription', filter: state.filter });
+        break;
+      case 'getSnapshot':
+        this.sendSnapshot(ws, state);
+        break;
+      case 'pdu': {
+        let pdu;
+        try {
+          pdu = encodePdu(message.pdu);
+        } catch (err) {
+          this.rejectInjectedPDU(ws, state, err.message);
+          return;
+        }
+        this.injectPDU(ws, state, pdu);
+        break;
+      }
+      default:
+        reply({ type: 'error', message: `unknown message type: ${message?.type}` });
+    }
+  }
+
+  /**
+   * Validates a PDU sent by a client and sends it to the DIS network
+   * @param {import('ws').WebSocket} ws
+   * @param {WSClientState} state
+   * @param {Buffer} pdu
+   */
+  injectPDU(ws, state, pdu) {
+    if (!state.canInject) {
+      this.rejectInjectedPDU(ws, state, 'not allowed to send PDUs, connect with an inject token');
+      return;
+    }
+
+    const error = this.validateInjectedPDU(pdu);
+    if (error) {
+      this.rejectInjectedPDU(ws, state, error);
+      return;
+    }
+
+    // token bucket, refilled continuously up to one second of PDUs
+    const now = performance.now();
+    const bucket = state.injectBucket;
+    bucket.tokens = Math.min(this.config.injectRate, bucket.tokens + (now - bucket.updated) / 1000 * this.config.injectRate);
+    bucket.updated = now;
+
+    if (bucket.tokens < 1) {
+      this.rejectInjectedPDU(ws, state, `rate limit of ${this.config.injectRate} PDU/s exceeded`);
+      return;
+    }
+    bucket.tokens--;
+
+    // to the input of the client path, the first input for the clients of all the inputs
+    const input = state.input ?? this.config.inputs[0].name;
+
+    this.receiver.send(pdu, input).then(() => {
+      state.injected++;
+      this.log(DISWSProxy.LOG_LEVEL.VERBOSE, `Sent DIS${pdu.readUInt8(0)} ${PDU_TYPE_NAMES[pdu.readUInt8(2)] ?? 'Unknown'} PDU of client ${state.address} to ${input}, length: ${pdu.length} bytes`);
+    }, (err) => {
+      this.log(DISWSProxy.LOG_LEVEL.ERROR, `Failed to send PDU of client ${state.address}: ${err.message}`);
+    });
+  }
+
+  /**
+   * @param {Buffer} pdu
+   * @returns {string | null} The reason the PDU can't be sent, null if it is valid
+   */
+  validateInjectedPDU(pdu) {
+    if (pdu.length < PDU_HEADER_LENGTH) {
+      return `PDU too short for a header (${pdu.length} bytes)`;
+    }
+
+    const header = parsePDUHeader(pdu);
+    const pduFactory = this.receiver.pduFactories[header.protocolVersion];
+
+    if (!pduFactory) {
+      return `unsupported DIS protocol version: ${header.protocolVersion}`;
+    }
+
+    if (!this.config.injectPduTypes.includes(header.pduType)) {
+      return `PDU type ${header.pduType} (${PDU_TYPE_NAMES[header.pduType] ?? 'Unknown'}) is not allowed, allowed types: ${this.config.injectPduTypes.join(', ')}`;
+    }
+
+    if (header.length !== pdu.length) {
+      return `PDU length in header (${header.length}) differs from the message length (${pdu.length})`;
+    }
+
+    if (header.pduType === ENTITY_STATE_PDU_TYPE) {
+      const expected = ENTITY_STATE_PDU_LENGTH + pdu.readUInt8(19) * VARIABLE_PARAMETER_RECORD_LENGTH;
+      if (pdu.length !== expected) {
+        return `Entity State PDU length (${pdu.length}) differs from the ${expected} bytes expected from its parameter count`;
+      }
+    }
+
+    // the body must decode, the remote simulations would fail on it otherwise
+    try {
+      if (!pduFactory.createPdu(new Uint8Array(pdu).buffer)) {
+        return `PDU type ${header.pduType} can't be decoded`;
+      }
+    } catch (err) {
+      return `PDU can't be decoded: ${err.message}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * @param {import('ws').WebSocket} ws
+   * @param {WSClientState} state
+   * @param {string} reason
+   */
+  rejectInjectedPDU(ws, state, reason) {
+    state.rejected++;
+    this.log(DISWSProxy.LOG_LEVEL.WARN, `Rejected PDU of client ${state.address}: ${reason}`);
+    ws.send(JSON.stringify({ type: 'error', message: reason }));
+  }
+
+  /**
+   * @param {string | null} token
+   */
+  isInjectToken(token) {
+    return matchesSecret(token, this.config.injectTokens);
+  }
+
+  /**
+   * @param {Buffer} msg - The raw datagram, for binary clients
+   * @param {Object} decoded - The decoded PDU, for json clients
+   */
+  broadcastToWSClients(msg, decoded) {
+    // check if ws is running and has clients
+    if (this.clients.size > 0) {
+      // serialized once, only if a client needs it
+      let json = null;
+      let jsonRaw = null;
+      let count = 0;
+
+      const now = performance.now();
+      const entityKey = decoded.pduType === ENTITY_STATE_PDU_TYPE && decoded.entityID ? EntityRegistry.keyOf(decoded.entityID) : null;
+
+      for (const [client, state] of this.clients) {
+        if (client.readyState !== WebSocket.OPEN
+          || (state.input !== null && state.input !== decoded.input)
+          || !matchesFilter(state.filter, decoded)) {
+          continue;
+        }
+
+        if (entityKey !== null && state.maxEntityRate > 0) {
+          const last = state.entitySent.get(entityKey);
+          if (last !== undefined && now - last < 1000 / state.maxEntityRate) {
+            this.dropMessage(state, 'rate');
+            continue;
+          }
+          state.entitySent.set(entityKey, now);
+        }
+
+        count++;
+        if (state.format === 'json' && state.raw) {
+          jsonRaw ??= JSON.stringify({ ...decoded, raw: msg.toString('hex') });
+          this.sendToClient(client, state, jsonRaw, entityKey);
+        } else if (state.format === 'json') {
+          json ??= JSON.stringify(decoded);
+          this.sendToClient(client, state, json, entityKey);
+        } else {
+          this.sendToClient(client, state, msg, entityKey);
+        }
+      }
+
+      this.log(DISWSProxy.LOG_LEVEL.VERBOSE, `Broadcasted DIS${msg.readUInt8(0)} message to ${count} client(s)`);
+    }
+  }
+
+  /**
+   * Sends the latest state of the live entities to a new client, so that it doesn't wait for their next heartbeat
+   * @param {import('ws').WebSocket} client
+   * @param {WSClientState} state
+   */
+  sendSnapshot(client, state) {
+    let count = 0;
+
+    for (const [key, { record, msg }] of this.snapshot) {
+      if ((state.input !== null && state.input !== record.input) || !matchesFilter(state.filter, record)) {
+        continue;
+      }
+
+      count++;
+      if (state.format === 'json') {
+        this.sendToClient(client, state, JSON.stringify(state.raw ? { ...record, raw: msg.toString('hex') } : record), key);
+      } else {
+        this.sendToClient(client, state, msg, key);
+      }
+    }
+
+    this.log(DISWSProxy.LOG_LEVEL.VERBOSE, `Sent the state of ${count} entities to client ${state.address}`);
+  }
+
+  /**
+   * Sends a message at once if the socket of the client keeps up, queues it otherwise
+   * @param {import('ws').WebSocket} client
+   * @param {WSClientState} state
+   * @param {Buffer | string} message
+   * @param {string | null} entityKey - The entity of an Entity State PDU, null for the other PDUs
+   */
+  sendToClient(client, state, message, entityKey) {
+    if (state.queue.size === 0 && client.bufferedAmount < this.config.maxBufferedBytes) {
+      this.deliver(client, state, message);
+      return;
+    }
+
+    // a newer state of the entity replaces the queued one, at its place in the queue
+    const key = state.queuePolicy === 'latest' && entityKey !== null ? entityKey : state.queued++;
+    if (state.queue.has(key)) {
+      this.dropMessage(state, 'superseded');
+    }
+    state.queue.set(key, message);
+
+    if (state.queue.size > this.config.queueLimit) {
+      state.queue.delete(state.queue.keys().next().value);
+      this.dropMessage(state, 'queue');
+    }
+  }
+
+  /**
+   * @param {import('ws').WebSocket} client
+   * @param {WSClientState} state
+   * @param {Buffer | string} message
+   */
+  deliver(client, state, message) {
+    state.sent++;
+    this.messagesSent++;
+    // the queue is sent as the socket drains
+    client.send(message, () => this.flushQueue(client, state));
+  }
+
+  /**
+   * Sends the queued messages until the socket of the client is full again
+   * @param {import('ws').WebSocket} client
+   * @param {WSClientState} state
+   */
+  flushQueue(client, state) {
+    while (state.queue.size > 0 && client.readyState === WebSocket.OPEN && client.bufferedAmount < this.config.maxBufferedBytes) {
+      const [key, message] = state.queue.entries().next().value;
+      state.queue.delete(key);
+      this.deliver(client, state, message);
+    }
+  }
+
+  /**
+   * @param {WSClientState} state
+   * @param {'queue' | 'superseded' | 'rate'} reason
+   */
+  dropMessage(state, reason) {
+    // once per client, the counters tell the rest
+    if (reason === 'queue' && state.dropped.queue === 0) {
+      this.log(DISWSProxy.LOG_LEVEL.WARN, `Client ${state.address} is too slow, ${this.config.queueLimit} messages queued, dropping the oldest ones`);
+    }
+
+    state.dropped[reason]++;
+    this.messagesDropped[reason]++;
+  }
+
+  /**
+   * @param {DISWSProxyConfig} config
+   */
+  setConfig(config) {
+    this.config = {
+      ...this.receiver.getConfig(),
+      wsHost: config.wsHost ?? 'localhost',
+      wsPort: config.wsPort ?? 9870,
+      wsPath: config.wsPath ?? '/',
+      tlsCert: config.tlsCert,
+      tlsKey: config.tlsKey,
+      authTokens: config.authTokens ?? [],
+      authUsers: config.authUsers ?? [],
+      allowOrigins: (config.allowOrigins ?? []).map(origin => origin.toLowerCase()),
+      allowClients: config.allowClients ?? [],
+      maxClients: config.maxClients,
+      injectTokens: config.injectTokens ?? [],
+      injectPduTypes: config.injectPduTypes ?? [1, 2],
+      injectRate: config.injectRate ?? 50,
+      summaryInterval: config.summaryInterval ?? 60000,
+      maxBufferedBytes: config.maxBufferedBytes ?? 1024 * 1024,
+      queueLimit: config.queueLimit ?? 1000,
+      queuePolicy: config.queuePolicy ?? 'drop-oldest',
+      maxEntityRate: config.maxEntityRate,
+      pingInterval: config.pingInterval ?? 30000,
+      snapshot: config.snapshot ?? true,
+      viewer: config.viewer ?? false,
+      metricsPublic: config.metricsPublic ?? false
+    };
+
+    if (!DISWSProxy.QUEUE_POLICIES.includes(this.config.queuePolicy)) {
+      throw new Error(`Unknown queue policy: ${this.config.queuePolicy}, expected one of ${DISWSProxy.QUEUE_POLICIES.join(', ')}`);
+    }
+
+    if (Boolean(this.config.tlsCert) !== Boolean(this.config.tlsKey)) {
+      throw new Error('tlsCert and tlsKey must be given together');
+    }
+
+    this.isAllowedClient = createSenderFilter(this.config.allowClients);
+
+    this.routes = new Map([[this.config.wsPath, null]]);
+
+    for (const input of this.config.inputs.filter(input => input.wsPath)) {
+      if (this.routes.has(input.wsPath)) {
+        throw new Error(`WebSocket path ${input.wsPath} of input ${input.name} is already used`);
+      }
+      this.routes.set(input.wsPath, input.name);
+    }
+  }
+
+  getConfig() {
+    return this.config;
+  }
+
+  log(level, ...messages) {
+    // check if verbose logging is enabled
+    if (level < this.config.logLevel) {
+      return;
+    }
+
+    console.log(`[${new Date().toISOString()}] [${level}]`, ...messages);
+  }
+}
@@ -0,0 +1,141 @@
+import { EventEmitter } from 'node:events';
+
+/** Default DIS heartbeat interval for Entity State PDUs, in milliseconds */
+export const DEFAULT_HEARTBEAT_INTERVAL = 5000;
+
+/** Default DIS heartbeat multiplier, an entity is timed out after heartbeat × multiplier */
+export const DEFAULT_HEARTBEAT_MULTIPLIER = 2.4;
+
+/**
+ * @typedef {Object} EntityRecord
+ * @property {string} key - The entity key, site:application:entity
+ * @property {Object} state - The last received state
+ * @property {number} firstSeen - Time of the first update, in ms since epoch
+ * @property {number} lastSeen - Time of the last update, in ms since epoch
+ * @property {number} updateCount - Number of updates received
+ * @property {number} updateRate - Average update rate since first seen, in Hz
+ */
+
+/**
+ * @typedef {Object} EntityRegistryOptions
+ * @property {number} [timeout] - Time without update after which an entity is removed, in ms. Default is heartbeat × multiplier (12 s)
+ * @property {number} [checkInterval] - Interval between timeout checks, in ms. Default is 1000
+ */
+
+/**
+ * Keeps the live entities keyed by site/application/entity.
+ *
+ * Events:
+ * - `added` (entity) when an entity is seen for the first time
+ * - `updated` (entity) on every update, including the first one
+ * - `removed` (entity, reason) when an entity timed out
+ */
+export class EntityRegistry extends EventEmitter {
+  /** @type {Map<string, EntityRecord>} */
+  entities = new Map();
+
+  /** @type {NodeJS.Timeout} */
+  checkTimer = null;
+
+  /**
+   * @param {EntityRegistryOptions} [options]
+   */
+  constructor(options = {}) {
+    super();
+
+    this.timeout = options.timeout ?? DEFAULT_HEARTBEAT_INTERVAL * DEFAULT_HEARTBEAT_MULTIPLIER;
+    this.checkInterval = options.checkInterval ?? 1000;
+  }
+
+  /**
+   * @param {{ site: number, application: number, entity: number }} id
+   */
+  static keyOf(id) {
+    return `${id.site}:${id.application}:${id.entity}`;
+  }
+
+  /**
+   * Starts the periodic timeout check
+   */
+  start() {
+    this.checkTimer = setInterval(() => this.expire(), this.checkInterval);
+    // the check alone must not keep the process alive
+    this.checkTimer.unref();
+  }
+
+  stop() {
+    clearInterval(this.checkTimer);
+    this.checkTimer = null;
+  }
+
+  /**
+   * Records a new state for an entity
+   * @param {{ site: number, application: number, entity: number }} id
+   * @param {Object} state
+   * @param {number} [now] - Update time in ms since epoch
+   * @returns {EntityRecord}
+   */
+  update(id, state, now = Date.now()) {
+    const key = EntityRegistry.keyOf(id);
+    let entity = this.entities.get(key);
+    const isNew = !entity;
+
+    if (isNew) {
+      entity = {
+        key,
+        state,
+        firstSeen: now,
+        lastSeen: now,
+        updateCount: 0,
+        updateRate: 0
+      };
+      this.entities.set(key, entity);
+    }
+
+    entity.state = state;
+    entity.lastSeen = now;
+    entity.updateCount++;
+
+    const elapsed = (entity.lastSeen - entity.firstSeen) / 1000;
+    entity.updateRate = elapsed > 0 ? (entity.updateCount - 1) / elapsed : 0;
+
+    if (isNew) {
+      this.emit('added', entity);
+    }
+    this.emit('updated', entity);
+
+    return entity;
+  }
+
+  /**
+   * Removes the entities without update for longer than the timeout
+   * @param {number} [now] - Current time in ms since epoch
+   */
+  expire(now = Date.now()) {
+    for (const [key, entity] of this.entities) {
+      if (now - entity.lastSeen > this.timeout) {
+        this.entities.delete(key);
+        this.emit('removed', entity, 'timeout');
+      }
+    }
+  }
+
+  /**
+   * @param {{ site: number, application: number, entity: number }} id
+   * @returns {EntityRecord | undefined}
+   */
+  get(id) {
+    return this.entities.get(EntityRegistry.keyOf(id));
+  }
+
+  /**
+   * @returns {EntityRecord[]}
+   */
+  list() {
+    return [...this.entities.values()];
+  }
+
+  get size() {
+    return this.entities.size;
+  }
+}
@@ -0,0 +1,594 @@
+/**
+ * Names of the DIS enumerations of SISO-REF-010: entity kinds, domains,
+ * countries, categories and entity types, force IDs and articulated parts.
+ *
+ * The bundled tables are a subset of SISO-REF-010, enumeration files given by
+ * the user extend or override them, e.g. for classified or custom entity types.
+ * An enumeration file is a JSON or YAML object of tables, each table maps the
+ * enumeration values to their names:
+ *
+ *   entityTypes:
+ *     "1:1:225:1:1:4": M1A2 Abrams
+ *     "1:2:999:1:1": Exercise fighter
+ *   countries:
+ *     999: Exercise country
+ */
+
+import { readFileSync } from 'node:fs';
+import { extname } from 'node:path';
+import YAML from 'yaml';
+
+export const KIND_NAMES = {
+  0: 'Other',
+  1: 'Platform',
+  2: 'Munition',
+  3: 'Life form',
+  4: 'Environmental',
+  5: 'Cultural feature',
+  6: 'Supply',
+  7: 'Radio',
+  8: 'Expendable',
+  9: 'Sensor/Emitter'
+};
+
+/** Domains of the platforms, life forms and most other kinds */
+export const DOMAIN_NAMES = {
+  0: 'Other',
+  1: 'Land',
+  2: 'Air',
+  3: 'Surface',
+  4: 'Subsurface',
+  5: 'Space'
+};
+
+/** Domains of the munitions, which are their targets */
+export const MUNITION_DOMAIN_NAMES = {
+  0: 'Other',
+  1: 'Anti-air',
+  2: 'Anti-armor',
+  3: 'Anti-guided weapon',
+  4: 'Anti-radar',
+  5: 'Anti-satellite',
+  6: 'Anti-ship',
+  7: 'Anti-submarine',
+  8: 'Anti-personnel',
+  9: 'Battlefield support',
+  10: 'Strategic',
+  11: 'Tactical',
+  12: 'Directed energy weapon'
+};
+
+/** The most common countries, SISO-REF-010 has all of them */
+export const COUNTRY_NAMES = {
+  0: 'Other',
+  1: 'Afghanistan',
+  2: 'Albania',
+  3: 'Algeria',
+  10: 'Argentina',
+  13: 'Australia',
+  14: 'Austria',
+  16: 'Bahrain',
+  18: 'Bangladesh',
+  21: 'Belgium',
+  26: 'Bolivia',
+  29: 'Brazil',
+  33: 'Bulgaria',
+  35: 'Myanmar',
+  37: 'Cambodia',
+  39: 'Canada',
+  44: 'Chile',
+  45: 'China',
+  48: 'Colombia',
+  54: 'Cuba',
+  55: 'Cyprus',
+  56: 'Czechoslovakia',
+  57: 'Denmark',
+  62: 'Egypt',
+  65: 'Ethiopia',
+  70: 'Finland',
+  71: 'France',
+  78: 'Germany',
+  82: 'Greece',
+  97: 'Hungary',
+  98: 'Iceland',
+  99: 'India',
+  100: 'Indonesia',
+  101: 'Iran',
+  102: 'Iraq',
+  104: 'Ireland',
+  105: 'Israel',
+  106: 'Italy',
+  110: 'Japan',
+  114: 'Jordan',
+  116: 'Kenya',
+  119: 'North Korea',
+  120: 'South Korea',
+  121: 'Kuwait',
+  123: 'Lebanon',
+  126: 'Libya',
+  128: 'Luxembourg',
+  132: 'Malaysia',
+  142: 'Mexico',
+  147: 'Morocco',
+  153: 'Netherlands',
+  156: 'New Zealand',
+  159: 'Nigeria',
+  163: 'Norway',
+  164: 'Oman',
+  165: 'Pakistan',
+  172: 'Peru',
+  173: 'Philippines',
+  175: 'Poland',
+  176: 'Portugal',
+  178: 'Qatar',
+  180: 'Romania',
+  189: 'Saudi Arabia',
+  193: 'Singapore',
+  197: 'South Africa',
+  198: 'Spain',
+  205: 'Sweden',
+  206: 'Switzerland',
+  207: 'Syria',
+  208: 'Taiwan',
+  210: 'Thailand',
+  217: 'Tunisia',
+  218: 'Turkey',
+  222: 'USSR',
+  223: 'United Arab Emirates',
+  224: 'United Kingdom',
+  225: 'United States',
+  229: 'Venezuela',
+  230: 'Vietnam',
+  237: 'Yemen',
+  246: 'Belarus',
+  249: 'Croatia',
+  250: 'Estonia',
+  251: 'Georgia',
+  252: 'Kazakhstan',
+  254: 'Latvia',
+  255: 'Lithuania',
+  260: 'Russia',
+  262: 'Slovenia',
+  265: 'Ukraine',
+  267: 'Czech Republic',
+  268: 'Slovakia'
+};
+
+/**
+ * Categories keyed by 'kind:domain', or by 'kind' when they don't depend on the domain
+ */
+export const CATEGORY_NAMES = {
+  // land platforms
+  '1:1': {
+    0: 'Other',
+    1: 'Tank',
+    2: 'Armored fighting vehicle',
+    3: 'Armored utility vehicle',
+    4: 'Self-propelled artillery',
+    5: 'Towed artillery',
+    6: 'Small wheeled utility vehicle',
+    7: 'Large wheeled utility vehicle',
+    8: 'Small tracked utility vehicle',
+    9: 'Large tracked utility vehicle',
+    10: 'Mortar',
+    11: 'Mine plow',
+    12: 'Mine rake',
+    13: 'Mine roller',
+    14: 'Cargo trailer',
+    15: 'Fuel trailer',
+    16: 'Generator trailer',
+    17: 'Water trailer',
+    18: 'Engineer equipment',
+    19: 'Heavy equipment transport trailer',
+    20: 'Maintenance equipment trailer',
+    21: 'Limber',
+    22: 'Chemical decontamination trailer',
+    23: 'Warning system',
+    24: 'Train engine',
+    25: 'Train car',
+    26: 'Train caboose',
+    27: 'Civilian vehicle',
+    28: 'Air defense/missile defense unit equipment',
+    29: 'C3I system',
+    30: 'Operations facility',
+    31: 'Intelligence facility',
+    32: 'Surveillance facility',
+    33: 'Communications facility',
+    34: 'Command facility',
+    35: 'C4I facility',
+    36: 'Control facility',
+    37: 'Fire control facility',
+    38: 'Missile defense facility',
+    39: 'Field command post',
+    40: 'Observation post'
+  },
+  // air platforms
+  '1:2': {
+    0: 'Other',
+    1: 'Fighter/Air defense',
+    2: 'Attack/Strike',
+    3: 'Bomber',
+    4: 'Cargo/Tanker',
+    5: 'ASW/Patrol/Observation',
+    6: 'Electronic warfare',
+    7: 'Reconnaissance',
+    8: 'Surveillance/C2 (AEW)',
+    9: 'Air-sea rescue',
+    20: 'Attack helicopter',
+    21: 'Utility helicopter',
+    22: 'Anti-submarine warfare/Patrol helicopter',
+    23: 'Cargo helicopter',
+    24: 'Observation helicopter',
+    25: 'Special operations helicopter',
+    40: 'Trainer',
+    50: 'Unmanned',
+    57: 'Non-combatant commercial aircraft'
+  },
+  // surface platforms
+  '1:3': {
+    0: 'Other',
+    1: 'Carrier',
+    2: 'Command ship/Cruiser',
+    3: 'Guided missile cruiser',
+    4: 'Guided missile destroyer',
+    5: 'Destroyer',
+    6: 'Guided missile frigate',
+    7: 'Light/Patrol craft',
+    8: 'Mine countermeasure ship/craft',
+    9: 'Dock landing ship',
+    10: 'Tank landing ship',
+    11: 'Landing craft',
+    12: 'Light carrier',
+    13: 'Cruiser/Helicopter carrier',
+    14: 'Hydrofoil',
+    15: 'Air cushion/Surface effect',
+    16: 'Auxiliary',
+    17: 'Auxiliary, merchant marine',
+    18: 'Utility',
+    50: 'Frigate',
+    51: 'Corvette'
+  },
+  // subsurface platforms
+  '1:4': {
+    0: 'Other',
+    1: 'SSBN (Nuclear ballistic missile)',
+    2: 'SSGN (Nuclear guided missile)',
+    3: 'SSN (Nuclear attack)',
+    4: 'SSG (Conventional guided missile)',
+    5: 'SS (Conventional attack)',
+    6: 'SSAN (Nuclear auxiliary)',
+    7: 'SSA (Conventional auxiliary)'
+  },
+  // space platforms
+  '1:5': {
+    0: 'Other',
+    1: 'Manned spacecraft',
+    2: 'Unmanned',
+    3: 'Booster'
+  },
+  // munitions, any domain
+  '2': {
+    0: 'Other',
+    1: 'Guided',
+    2: 'Ballistic',
+    3: 'Fixed'
+  }
+};
+
+/**
+ * Specific entity types keyed by 'kind:domain:country:category:subcategory[:specific[:extra]]',
+ * the longest known key names the entity type. Only a few examples, the exercises give theirs in an enumeration file
+ */
+export const ENTITY_TYPE_NAMES = {
+  '1:1:225:1:1': 'M1 Abrams',
+  '1:1:225:1:1:1': 'M1',
+  '1:1:225:1:1:2': 'IPM1',
+  '1:1:225:1:1:3': 'M1A1',
+  '1:1:225:1:1:4': 'M1A2',
+  '1:2:225:1:3': 'F-16 Fighting Falcon'
+};
+
+/** Forces of DIS 6, DIS 7 adds further friendly, opposing and neutral forces */
+export const FORCE_ID_NAMES = {
+  0: 'Other',
+  1: 'Friendly',
+  2: 'Opposing',
+  3: 'Neutral',
+  4: 'Friendly 2',
+  5: 'Opposing 2',
+  6: 'Neutral 2',
+  7: 'Friendly 3',
+  8: 'Opposing 3',
+  9: 'Neutral 3'
+};
+
+/**
+ * Articulated part type classes, multiples of 32. The parameter type of an
+ * articulated part is the class plus the metric, e.g. 4096 + 11 for the azimuth of the first turret
+ */
+export const ARTICULATED_PART_NAMES = {
+  1024: 'Rudder',
+  1056: 'Left flap',
+  1088: 'Right flap',
+  1120: 'Left aileron',
+  1152: 'Right aileron',
+  1184: 'Helicopter main rotor',
+  1216: 'Helicopter tail rotor',
+  1248: 'Other aircraft control surfaces',
+  1280: 'Propeller number 1',
+  1312: 'Propeller number 2',
+  1344: 'Propeller number 3',
+  1376: 'Propeller number 4',
+  1408: 'Left stabilator',
+  1440: 'Right stabilator',
+  1472: 'Left ruddervator',
+  1504: 'Right ruddervator',
+  1536: 'Left leading edge flap/slat',
+  1568: 'Right leading edge flap/slat',
+  1600: 'Left elevator',
+  1632: 'Right elevator',
+  2048: 'Periscope',
+  2080: 'Generic antenna',
+  2112: 'Snorkel',
+  2144: 'Other extendible parts',
+  3072: 'Landing gear',
+  3104: 'Tail hook',
+  3136: 'Speed brake',
+  3168: 'Left weapon bay door',
+  3200: 'Right weapon bay door',
+  3232: 'Tank or APC hatch',
+  3264: 'Wingsweep',
+  3296: 'Bridge launcher',
+  4096: 'Primary turret number 1',
+  4128: 'Primary turret number 2',
+  4160: 'Primary turret number 3',
+  4192: 'Primary turret number 4',
+  4416: 'Primary gun number 1',
+  4448: 'Primary gun number 2',
+  4480: 'Primary gun number 3',
+  4512: 'Primary gun number 4',
+  4736: 'Primary launcher 1',
+  4768: 'Primary launcher 2',
+  4800: 'Primary launcher 3',
+  4832: 'Primary launcher 4',
+  5056: 'Primary defense systems 1',
+  5376: 'Primary radar 1',
+  5696: 'Secondary turret number 1',
+  6016: 'Secondary gun number 1',
+  6336: 'Secondary launcher 1'
+};
+
+/** Articulated part type metrics, the low 5 bits of the parameter type */
+export const ARTICULATED_PART_METRIC_NAMES = {
+  1: 'Position',
+  2: 'Position rate',
+  3: 'Extension',
+  4: 'Extension rate',
+  5: 'X',
+  6: 'X rate',
+  7: 'Y',
+  8: 'Y rate',
+  9: 'Z',
+  10: 'Z rate',
+  11: 'Azimuth',
+  12: 'Azimuth rate',
+  13: 'Elevation',
+  14: 'Elevation rate',
+  15: 'Rotation',
+  16: 'Rotation rate'
+};
+
+/**
+ * @typedef {Object} EnumerationTables
+ * @property {Object<string, string>} [kinds]
+ * @property {Object<string, string>} [domains]
+ * @property {Object<string, string>} [munitionDomains]
+ * @property {Object<string, string>} [countries]
+ * @property {Object<string, Object<string, string>>} [categories] - Keyed by 'kind:domain' or 'kind'
+ * @property {Object<string, string>} [entityTypes] - Keyed by 'kind:domain:country:category:subcategory[:specific[:extra]]'
+ * @property {Object<string, string>} [forceIds]
+ * @property {Object<string, string>} [articulatedParts] - Type classes, multiples of 32
+ * @property {Object<string, string>} [articulatedPartMetrics]
+ */
+
+/** @type {EnumerationTables} */
+export const BUNDLED_ENUMERATIONS = {
+  kinds: KIND_NAMES,
+  domains: DOMAIN_NAMES,
+  munitionDomains: MUNITION_DOMAIN_NAMES,
+  countries: COUNTRY_NAMES,
+  categories: CATEGORY_NAMES,
+  entityTypes: ENTITY_TYPE_NAMES,
+  forceIds: FORCE_ID_NAMES,
+  articulatedParts: ARTICULATED_PART_NAMES,
+  articulatedPartMetrics: ARTICULATED_PART_METRIC_NAMES
+};
+
+/** The tables made of a second level of tables */
+const NESTED_TABLES = ['categories'];
+
+const MUNITION_KIND = 2;
+
+/**
+ * @typedef {Object} EntityTypeNames
+ * @property {string} [kind]
+ * @property {string} [domain]
+ * @property {string} [country]
+ * @property {string} [category]
+ * @property {string} [name] - Name of the specific entity type
+ */
+
+/**
+ * Checks the tables of an enumeration file
+ * @param {any} tables
+ * @returns {string | null} The error, null if the tables are valid
+ */
+export function validateEnumerations(tables) {
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  if (!isObject(tables)) {
+    return 'expected an object of tables';
+  }
+
+  for (const [table, entries] of Object.entries(tables)) {
+    if (!(table in BUNDLED_ENUMERATIONS)) {
+      return `unknown table ${table}, expected ${Object.keys(BUNDLED_ENUMERATIONS).join(', ')}`;
+    }
+    if (!isObject(entries)) {
+      return `${table} must be an object of names`;
+    }
+
+    const nested = NESTED_TABLES.includes(table);
+    for (const [key, value] of Object.entries(entries)) {
+      const names = nested ? value : { [key]: value };
+      if (!isObject(names) || Object.values(names).some(name => typeof name !== 'string')) {
+        return nested ? `${table}.${key} must be an object of names` : `${table}.${key} must be a name`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Reads a JSON or YAML enumeration file
+ * @param {string} path
+ * @returns {EnumerationTables}
+ */
+export function readEnumerationFile(path) {
+  let content;
+  try {
+    content = readFileSync(path, 'utf8');
+  } catch (err) {
+    throw new Error(`Can't read the enumeration file ${path}: ${err.message}`);
+  }
+
+  let tables;
+  try {
+    tables = extname(path).toLowerCase() === '.json' ? JSON.parse(content) : YAML.parse(content);
+  } catch (err) {
+    throw new Error(`Invalid enumeration file ${path}: ${err.message}`);
+  }
+
+  const error = validateEnumerations(tables ?? {});
+  if (error) {
+    throw new Error(`Invalid enumeration file ${path}: ${error}`);
+  }
+
+  return tables ?? {};
+}
+
+/**
+ * Lookup of the enumeration names, the bundled tables extended by the user tables
+ */
+export class Enumerations {
+  /** @type {EnumerationTables} */
+  tables = {};
+
+  /**
+   * @param {EnumerationTables[]} [extensions] - Applied in order, the last one wins
+   */
+  constructor(extensions = []) {
+    this.extend(BUNDLED_ENUMERATIONS);
+    for (const tables of extensions) {
+      this.extend(tables);
+    }
+  }
+
+  /**
+   * Adds the names of the tables, replacing the existing ones
+   * @param {EnumerationTables} tables
+   */
+  extend(tables) {
+    for (const [table, entries] of Object.entries(tables)) {
+      const current = this.tables[table] ?? {};
+
+      if (NESTED_TABLES.includes(table)) {
+        const merged = { ...current };
+        for (const [key, names] of Object.entries(entries)) {
+          merged[key] = { ...merged[key], ...names };
+        }
+        this.tables[table] = merged;
+      } else {
+        this.tables[table] = { ...current, ...entries };
+      }
+    }
+  }
+
+  kindName(kind) {
+    return this.tables.kinds?.[kind];
+  }
+
+  domainName(kind, domain) {
+    return kind === MUNITION_KIND ? this.tables.munitionDomains?.[domain] : this.tables.domains?.[domain];
+  }
+
+  countryName(country) {
+    return this.tables.countries?.[country];
+  }
+
+  categoryName(kind, domain, category) {
+    const categories = this.tables.categories ?? {};
+    return categories[`${kind}:${domain}`]?.[category] ?? categories[kind]?.[category];
+  }
+
+  forceName(forceId) {
+    return this.tables.forceIds?.[forceId];
+  }
+
+  /**
+   * @param {{ kind: number, domain: number, country: number, category: number, subcategory?: number, spec?: number, extra?: number }} type
+   * @returns {string | undefined} Name of the most specific known entity type
+   */
+  specificName(type) {
+    const fields = [type.kind, type.domain, type.country, type.category, type.subcategory, type.spec, type.extra];
+
+    // the extra, then the specific, then the subcategory
+    for (let length = 7; length >= 5; length--) {
+      const name = this.tables.entityTypes?.[fields.slice(0, length).join(':')];
+      if (name !== undefined) {
+        return name;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * @param {Object} type - An entity type record
+   * @returns {EntityTypeNames} The known names only
+   */
+  describeEntityType(type) {
+    const names = {
+      kind: this.kindName(type.kind),
+      domain: this.domainName(type.kind, type.domain),
+      country: this.countryName(type.country),
+      category: this.categoryName(type.kind, type.domain, type.category),
+      name: this.specificName(type)
+    };
+
+    return Object.fromEntries(Object.entries(names).filter(([, name]) => name !== undefined));
+  }
+
+  /**
+   * @param {Object} type - An entity type record
+   * @returns {string | undefined} The specific name, else the category, e.g. 'M1A2' or 'Tank', undefined if unknown
+   */
+  entityTypeName(type) {
+    return this.specificName(type) ?? this.categoryName(type.kind, type.domain, type.category);
+  }
+
+  /**
+   * @param {number} parameterType - Parameter type of an articulated part
+   * @returns {string | undefined} e.g. 'Primary turret number 1 Azimuth' for 4107
+   */
+  articulatedPartName(parameterType) {
+    const metric = parameterType % 32;
+    const part = this.tables.articulatedParts?.[parameterType - metric];
+    if (part === undefined) {
+      return undefined;
+    }
+
+    const metricName = this.tables.articulatedPartMetrics?.[metric];
+    return metricName !== undefined ? `${part} ${metricName}` : part;
+  }
+}
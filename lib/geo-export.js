@@ -0,0 +1,352 @@
+/**
+ * Geographic exports of the entities: tracks in GeoJSON, KML and CZML, and the
+ * current positions as a GeoJSON FeatureCollection.
+ */
+
+import { writeFile } from 'node:fs/promises';
+import { extname } from 'node:path';
+import { EntityRegistry } from './entity-registry.js';
+
+const DEG = Math.PI / 180;
+
+/**
+ * @typedef {Object} TrackPoint
+ * @property {number} time - In ms since epoch
+ * @property {number} latitude - Degrees
+ * @property {number} longitude - Degrees
+ * @property {number} altitude - Meters above the WGS84 ellipsoid
+ * @property {number} heading - Degrees, clockwise from the north
+ * @property {number} pitch - Degrees
+ * @property {number} roll - Degrees
+ */
+
+/**
+ * @typedef {Object} Track
+ * @property {string} key - site:application:entity
+ * @property {{ site: number, application: number, entity: number }} entityID
+ * @property {string} marking
+ * @property {Object} entityType
+ * @property {string} [entityTypeName] - e.g. 'M1A2' or 'Tank', when known
+ * @property {number} forceId
+ * @property {string} [forceName]
+ * @property {TrackPoint[]} points - In time order
+ */
+
+/** Export formats keyed by file extension */
+export const EXPORT_FORMATS = {
+  '.geojson': 'geojson',
+  '.json': 'geojson',
+  '.kml': 'kml',
+  '.czml': 'czml'
+};
+
+/**
+ * @param {string} path
+ * @returns {'geojson' | 'kml' | 'czml' | undefined}
+ */
+export function exportFormatOf(path) {
+  return EXPORT_FORMATS[extname(path).toLowerCase()];
+}
+
+/** RGBA colors of the force IDs, the others are white */
+const FORCE_COLORS = {
+  1: [0, 102, 255, 255],
+  2: [255, 51, 51, 255],
+  3: [0, 204, 102, 255]
+};
+
+const forceColor = (forceId) => FORCE_COLORS[forceId] ?? [255, 255, 255, 255];
+
+const escapeXML = (text) => String(text).replace(/[<>&'"]/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[c]);
+
+const trackName = (track) => track.marking.trim() || track.key;
+
+/**
+ * Collects the positions of the entities from the decoded Entity State PDUs
+ */
+export class TrackRecorder {
+  /** @type {Map<string, Track>} */
+  tracks = new Map();
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.minInterval] - Minimum time between two points of a track, in ms, except for the last one. Default is 1000
+   */
+  constructor(options = {}) {
+    this.minInterval = options.minInterval ?? 1000;
+  }
+
+  /**
+   * @param {Object} record - A decoded Entity State PDU, as emitted by DISReceiver
+   */
+  add(record) {
+    const key = EntityRegistry.keyOf(record.entityID);
+    let track = this.tracks.get(key);
+
+    if (!track) {
+      track = { key, entityID: record.entityID, points: [] };
+      this.tracks.set(key, track);
+    }
+
+    // the latest names, e.g. a marking changed during the exercise
+    Object.assign(track, {
+      marking: record.marking,
+      entityType: record.entityType,
+      entityTypeName: record.entityTypeName,
+      forceId: record.forceId,
+      forceName: record.forceName
+    });
+
+    const point = { time: Date.parse(record.timestamp), ...record.location, ...record.orientation };
+    const { points } = track;
+
+    // the last point of a track is always the latest position, it is replaced until it is minInterval after the previous one
+    const last = points.length - 1;
+    if (last >= 1 && points[last].time - points[last - 1].time < this.minInterval) {
+      points[points.length - 1] = point;
+    } else {
+      points.push(point);
+    }
+  }
+
+  /**
+   * @returns {Track[]} Sorted by key
+   */
+  list() {
+    return [...this.tracks.values()].sort((a, b) => a.key.localeCompare(b.key, undefined, { numeric: true }));
+  }
+
+  get size() {
+    return this.tracks.size;
+  }
+}
+
+/**
+ * @param {Track} track
+ */
+function trackProperties(track) {
+  return {
+    id: track.key,
+    entityID: track.entityID,
+    marking: track.marking,
+    entityType: track.entityType,
+    entityTypeName: track.entityTypeName,
+    forceId: track.forceId,
+    forceName: track.forceName
+  };
+}
+
+/**
+ * One LineString feature per track, a Point for the tracks of a single position.
+ * The times of the positions are in the coordTimes property
+ * @param {Track[]} tracks
+ * @returns {Object} A GeoJSON FeatureCollection
+ */
+export function formatTracksGeoJSON(tracks) {
+  return {
+    type: 'FeatureCollection',
+    features: tracks.map(track => {
+      const coordinates = track.points.map(point => [point.longitude, point.latitude, point.altitude]);
+
+      return {
+        type: 'Feature',
+        id: track.key,
+        geometry: coordinates.length === 1 ? { type: 'Point', coordinates: coordinates[0] } : { type: 'LineString', coordinates },
+        properties: {
+          ...trackProperties(track),
+          start: new Date(track.points[0].time).toISOString(),
+          end: new Date(track.points[track.points.length - 1].time).toISOString(),
+          coordTimes: track.points.map(point => new Date(point.time).toISOString())
+        }
+      };
+    })
+  };
+}
+
+/**
+ * One time-tagged gx:Track per entity, for the time slider of Google Earth
+ * @param {Track[]} tracks
+ * @param {string} [name] - Name of the document
+ * @returns {string} A KML document
+ */
+export function formatTracksKML(tracks, name = 'DIS tracks') {
+  // KML colors are aabbggrr
+  const kmlColor = ([r, g, b, a]) => [a, b, g, r].map(value => value.toString(16).padStart(2, '0')).join('');
+
+  const forceIds = [...new Set(tracks.map(track => track.forceId))];
+  const styles = forceIds.map(forceId => [
+    `    <Style id="force-${forceId}">`,
+    `      <IconStyle><color>${kmlColor(forceColor(forceId))}</color></IconStyle>`,
+    `      <LineStyle><color>${kmlColor(forceColor(forceId))}</color><width>2</width></LineStyle>`,
+    `    </Style>`
+  ].join('\n'));
+
+  const placemarks = tracks.map(track => [
+    // XML IDs can't hold colons
+    `    <Placemark id="entity-${track.key.replaceAll(':', '-')}">`,
+    `      <name>${escapeXML(trackName(track))}</name>`,
+    `      <description>${escapeXML([track.key, track.entityTypeName, track.forceName].filter(Boolean).join(', '))}</description>`,
+    `      <styleUrl>#force-${track.forceId}</styleUrl>`,
+    `      <gx:Track>`,
+    `        <altitudeMode>absolute</altitudeMode>`,
+    ...track.points.map(point => `        <when>${new Date(point.time).toISOString()}</when>`),
+    ...track.points.map(point => `        <gx:coord>${point.longitude} ${point.latitude} ${point.altitude}</gx:coord>`),
+    ...track.points.map(point => `        <gx:angles>${point.heading} ${point.pitch} ${point.roll}</gx:angles>`),
+    `      </gx:Track>`,
+    `    </Placemark>`
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    '  <Document>',
+    `    <name>${escapeXML(name)}</name>`,
+    ...styles,
+    ...placemarks,
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Rotation from the model axes of Cesium (x forward, y left, z up) to the Earth-fixed axes
+ * @param {TrackPoint} point
+ * @returns {number[]} Unit quaternion [x, y, z, w]
+ */
+export function orientationQuaternion({ latitude, longitude, heading, pitch, roll }) {
+  const slat = Math.sin(latitude * DEG), clat = Math.cos(latitude * DEG);
+  const slon = Math.sin(longitude * DEG), clon = Math.cos(longitude * DEG);
+  const cpsi = Math.cos(heading * DEG), spsi = Math.sin(heading * DEG);
+  const ctheta = Math.cos(pitch * DEG), stheta = Math.sin(pitch * DEG);
+  const cphi = Math.cos(roll * DEG), sphi = Math.sin(roll * DEG);
+
+  // north, east and down in Earth-fixed coordinates
+  const north = [-slat * clon, -slat * slon, clat];
+  const east = [-slon, clon, 0];
+  const down = [-clat * clon, -clat * slon, -slat];
+  const fromNED = ([n, e, d]) => [0, 1, 2].map(i => n * north[i] + e * east[i] + d * down[i]);
+
+  // body axes (forward, right, down) in north, east, down
+  const forward = fromNED([ctheta * cpsi, ctheta * spsi, -stheta]);
+  const right = fromNED([sphi * stheta * cpsi - cphi * spsi, sphi * stheta * spsi + cphi * cpsi, sphi * ctheta]);
+  const below = fromNED([cphi * stheta * cpsi + sphi * spsi, cphi * stheta * spsi - sphi * cpsi, cphi * ctheta]);
+
+  // columns: forward, left, up
+  const m = [0, 1, 2].map(i => [forward[i], -right[i], -below[i]]);
+
+  const trace = m[0][0] + m[1][1] + m[2][2];
+  if (trace > 0) {
+    const s = 2 * Math.sqrt(trace + 1);
+    return [(m[2][1] - m[1][2]) / s, (m[0][2] - m[2][0]) / s, (m[1][0] - m[0][1]) / s, s / 4];
+  }
+  if (m[0][0] > m[1][1] && m[0][0] > m[2][2]) {
+    const s = 2 * Math.sqrt(1 + m[0][0] - m[1][1] - m[2][2]);
+    return [s / 4, (m[0][1] + m[1][0]) / s, (m[0][2] + m[2][0]) / s, (m[2][1] - m[1][2]) / s];
+  }
+  if (m[1][1] > m[2][2]) {
+    const s = 2 * Math.sqrt(1 + m[1][1] - m[0][0] - m[2][2]);
+    return [(m[0][1] + m[1][0]) / s, s / 4, (m[1][2] + m[2][1]) / s, (m[0][2] - m[2][0]) / s];
+  }
+  const s = 2 * Math.sqrt(1 + m[2][2] - m[0][0] - m[1][1]);
+  return [(m[0][2] + m[2][0]) / s, (m[1][2] + m[2][1]) / s, s / 4, (m[1][0] - m[0][1]) / s];
+}
+
+/**
+ * A document packet with the clock of the exercise, then one packet per entity
+ * with its time-tagged position and orientation, for Cesium
+ * @param {Track[]} tracks
+ * @param {string} [name] - Name of the document
+ * @returns {Object[]} The CZML packets
+ */
+export function formatTracksCZML(tracks, name = 'DIS tracks') {
+  const iso = (time) => new Date(time).toISOString();
+  const times = tracks.flatMap(track => [track.points[0].time, track.points[track.points.length - 1].time]);
+  const start = Math.min(...times);
+  const end = Math.max(...times);
+
+  const document = {
+    id: 'document',
+    name,
+    version: '1.0',
+    ...(tracks.length > 0 && { clock: { interval: `${iso(start)}/${iso(end)}`, currentTime: iso(start), multiplier: 1 } })
+  };
+
+  return [document, ...tracks.map(track => {
+    const epoch = track.points[0].time;
+    const seconds = (point) => (point.time - epoch) / 1000;
+
+    let previous = null;
+    const quaternions = track.points.flatMap(point => {
+      let q = orientationQuaternion(point);
+      // q and -q are the same rotation, the closest one interpolates along the short path
+      if (previous && q.reduce((dot, value, i) => dot + value * previous[i], 0) < 0) {
+        q = q.map(value => -value);
+      }
+      previous = q;
+      return [seconds(point), ...q];
+    });
+
+    return {
+      id: track.key,
+      name: trackName(track),
+      description: [track.key, track.entityTypeName, track.forceName].filter(Boolean).join(', '),
+      availability: `${iso(epoch)}/${iso(track.points[track.points.length - 1].time)}`,
+      position: {
+        epoch: iso(epoch),
+        cartographicDegrees: track.points.flatMap(point => [seconds(point), point.longitude, point.latitude, point.altitude])
+      },
+      orientation: { epoch: iso(epoch), unitQuaternion: quaternions },
+      point: { pixelSize: 8, color: { rgba: forceColor(track.forceId) } },
+      label: { text: trackName(track), font: '12px sans-serif', pixelOffset: { cartesian2: [0, -16] } },
+      path: { width: 2, leadTime: 0, material: { solidColor: { color: { rgba: forceColor(track.forceId) } } } }
+    };
+  })];
+}
+
+/**
+ * Writes the tracks to a file, in the format of its extension
+ * @param {string} path - A .geojson, .json, .kml or .czml file
+ * @param {Track[]} tracks
+ */
+export async function writeTracks(path, tracks) {
+  switch (exportFormatOf(path)) {
+    case 'geojson':
+      return writeFile(path, JSON.stringify(formatTracksGeoJSON(tracks)) + '\n');
+    case 'kml':
+      return writeFile(path, formatTracksKML(tracks));
+    case 'czml':
+      return writeFile(path, JSON.stringify(formatTracksCZML(tracks)) + '\n');
+    default:
+      throw new Error(`Unknown export format of ${path}, expected one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+}
+
+/**
+ * The latest position of each entity, e.g. for a map refreshing it periodically
+ * @param {import('./entity-registry.js').EntityRecord[]} entities - The live entities, their state is the decoded Entity State PDU
+ * @returns {Object} A GeoJSON FeatureCollection of points
+ */
+export function formatPositionsGeoJSON(entities) {
+  return {
+    type: 'FeatureCollection',
+    features: entities.map(({ key, state, lastSeen }) => ({
+      type: 'Feature',
+      id: key,
+      geometry: { type: 'Point', coordinates: [state.location.longitude, state.location.latitude, state.location.altitude] },
+      properties: {
+        id: key,
+        entityID: state.entityID,
+        marking: state.marking,
+        entityType: state.entityType,
+        entityTypeName: state.entityTypeName,
+        forceId: state.forceId,
+        forceName: state.forceName,
+        ...state.orientation,
+        speed: state.linearVelocity ? Math.hypot(state.linearVelocity.x, state.linearVelocity.y, state.linearVelocity.z) : undefined,
+        input: state.input,
+        lastSeen: new Date(lastSeen).toISOString()
+      }
+    }))
+  };
+}
@@ -0,0 +1,17 @@
+/**
+ * Public API, to embed DIS reception in other Node.js services
+ */
+
+export { DISReceiver, LOG_LEVEL } from './dis-receiver.js';
+export { DISListener } from './dis-listener.js';
+export { DISWSProxy } from './dis-ws-proxy.js';
+export { EntityRegistry } from './entity-registry.js';
+export { DeadReckoningTracker, DR_ALGORITHM, DR_ALGORITHM_NAMES, extrapolate } from './dead-reckoning.js';
+export { PDU_TYPE_NAMES, PROTOCOL_FAMILY_NAMES, parsePDUHeader } from './pdu-header.js';
+export { APPEARANCE_LAYOUTS, decodeAppearance, formatAppearance } from './appearance.js';
+export { encodePdu, encodeEntityStatePdu, encodeFirePdu } from './pdu-encoder.js';
+export { PcapWriter, readCapture } from './pcap.js';
+export { RotatingFile } from './rotating-file.js';
+export { Enumerations, readEnumerationFile } from './enumerations.js';
+export { TrackRecorder, formatPositionsGeoJSON, formatTracksCZML, formatTracksGeoJSON, formatTracksKML, writeTracks } from './geo-export.js';
+export { TrafficStatistics, INVALID_REASON, formatMetric } from './traffic-statistics.js';
@@ -0,0 +1,120 @@
+/**
+ * Network helpers of the DIS sockets: multicast addresses, interface
+ * selection on multi-homed hosts and sender filtering.
+ */
+
+import { isIP } from 'node:net';
+import { networkInterfaces } from 'node:os';
+import { createChecker, isInSubnet } from 'is-in-subnet';
+
+/** IPv4 and IPv6 multicast ranges */
+const MULTICAST_SUBNETS = ['224.0.0.0/4', 'ff00::/8'];
+
+/**
+ * @typedef {Object} NetworkInterface
+ * @property {string} name - e.g. 'eth0' or 'Wi-Fi'
+ * @property {string} address - The address of the interface for the requested family
+ * @property {number} [scopeid] - IPv6 scope ID
+ */
+
+/**
+ * @param {string} address
+ * @returns {boolean} true for an IPv4 (224.0.0.0/4) or IPv6 (ff00::/8) multicast address
+ */
+export function isMulticastAddress(address) {
+  return isInSubnet(address, MULTICAST_SUBNETS);
+}
+
+/**
+ * @param {string} address
+ * @returns {4 | 6} The IP family of an address, udp6 sockets are needed for IPv6
+ */
+export function addressFamily(address) {
+  return isIP(address) === 6 ? 6 : 4;
+}
+
+/**
+ * @param {string} address
+ * @param {number} port
+ * @returns {string} e.g. '239.1.2.3:62040' or '[ff15::dead]:62040'
+ */
+export function formatEndpoint(address, port) {
+  return addressFamily(address) === 6 ? `[${address}]:${port}` : `${address}:${port}`;
+}
+
+/**
+ * Finds a local network interface by name or by one of its addresses
+ * @param {string} nameOrAddress - e.g. 'eth0', 'Wi-Fi' or '192.168.1.10'
+ * @param {4 | 6} family - The family of the address to return
+ * @param {ReturnType<typeof networkInterfaces>} [interfaces] - Default is the interfaces of the host
+ * @returns {NetworkInterface}
+ * @throws {Error} if no interface has this name or address, or no address of the family
+ */
+export function findInterface(nameOrAddress, family, interfaces = networkInterfaces()) {
+  const familyName = `IPv${family}`;
+
+  let name = nameOrAddress in interfaces ? nameOrAddress : undefined;
+
+  if (name === undefined) {
+    name = Object.keys(interfaces).find(key => interfaces[key].some(entry => entry.address === nameOrAddress));
+  }
+
+  if (name === undefined) {
+    throw new Error(`Unknown network interface: ${nameOrAddress}, available: ${Object.keys(interfaces).join(', ')}`);
+  }
+
+  // the given address, or the first one of the family, global addresses first
+  const entries = interfaces[name].filter(entry => entry.family === familyName || entry.family === family);
+  const entry = entries.find(entry => entry.address === nameOrAddress)
+    ?? entries.find(entry => !entry.address.startsWith('fe80:'))
+    ?? entries[0];
+
+  if (!entry) {
+    throw new Error(`Network interface ${name} has no ${familyName} address`);
+  }
+
+  return { name, address: entry.address, scopeid: entry.scopeid };
+}
+
+/**
+ * The multicast interface argument of the dgram membership and setMulticastInterface calls
+ * @param {NetworkInterface} iface
+ * @param {4 | 6} family
+ * @param {string} [platform] - Default is the platform of the host
+ * @returns {string} An IPv4 address, or '::%' followed by the interface name (the scope ID on Windows) for IPv6
+ */
+export function multicastInterface(iface, family, platform = process.platform) {
+  if (family === 4) {
+    return iface.address;
+  }
+  return `::%${platform === 'win32' ? iface.scopeid : iface.name}`;
+}
+
+/**
+ * The local address to bind a unicast socket to
+ * @param {NetworkInterface} iface
+ * @returns {string} The interface address, scoped for an IPv6 link-local address
+ */
+export function bindAddress(iface) {
+  return iface.address.startsWith('fe80:') ? `${iface.address}%${iface.name}` : iface.address;
+}
+
+/**
+ * @param {string} subnet - A subnet in CIDR notation or a single address
+ * @returns {string} The subnet in CIDR notation
+ */
+const toCIDR = (subnet) => subnet.includes('/') ? subnet : `${subnet}/${addressFamily(subnet) === 6 ? 128 : 32}`;
+
+/**
+ * Creates the sender filter of a receiver
+ * @param {string[]} [allow] - Subnets of the accepted senders, empty to accept any sender not denied
+ * @param {string[]} [deny] - Subnets of the ignored senders, they win over the allowed ones
+ * @returns {(address: string) => boolean} true for an accepted sender address
+ * @throws {Error} if a subnet is invalid
+ */
+export function createSenderFilter(allow = [], deny = []) {
+  const isAllowed = allow.length > 0 ? createChecker(allow.map(toCIDR)) : () => true;
+  const isDenied = deny.length > 0 ? createChecker(deny.map(toCIDR)) : () => false;
+
+  return (address) => isAllowed(address) && !isDenied(address);
+}
@@ -0,0 +1,652 @@
+import { EventEmitter } from 'node:events';
+import { createWriteStream } from 'node:fs';
+import { open } from 'node:fs/promises';
+import { isIPv4, isIPv6 } from 'node:net';
+
+/**
+ * Minimal pcap (libpcap classic format) and pcapng support for DIS captures.
+ *
+ * Recorded datagrams are written with the LINKTYPE_RAW link type: a
+ * synthesized IPv4 or IPv6 header and a UDP header followed by the datagram,
+ * so the files open in Wireshark and tcpdump.
+ */
+
+const PCAP_MAGIC_MICRO = 0xa1b2c3d4;
+const PCAP_MAGIC_NANO = 0xa1b23c4d;
+
+const PCAPNG_SECTION_HEADER_BLOCK = 0x0a0d0d0a;
+const PCAPNG_BYTE_ORDER_MAGIC = 0x1a2b3c4d;
+const PCAPNG_INTERFACE_DESCRIPTION_BLOCK = 1;
+const PCAPNG_SIMPLE_PACKET_BLOCK = 3;
+const PCAPNG_ENHANCED_PACKET_BLOCK = 6;
+const PCAPNG_OPTION_IF_TSRESOL = 9;
+
+const PCAP_GLOBAL_HEADER_LENGTH = 24;
+const PCAP_RECORD_HEADER_LENGTH = 16;
+
+export const LINKTYPE = {
+  ETHERNET: 1,
+  RAW: 101,
+  LINUX_SLL: 113,
+  IPV4: 228,
+  IPV6: 229,
+  LINUX_SLL2: 276
+};
+
+const IPV4_HEADER_LENGTH = 20;
+const IPV6_HEADER_LENGTH = 40;
+const UDP_HEADER_LENGTH = 8;
+const IP_PROTOCOL_UDP = 17;
+
+const ETHERTYPE_IPV4 = 0x0800;
+const ETHERTYPE_IPV6 = 0x86dd;
+
+// IPv6 extension headers skipped to reach the UDP header, the fragments are not reassembled
+const IPV6_HOP_BY_HOP_OPTIONS = 0;
+const IPV6_ROUTING = 43;
+const IPV6_DESTINATION_OPTIONS = 60;
+
+const SNAPLEN = 65535;
+
+/**
+ * @typedef {Object} CapturedDatagram
+ * @property {number | undefined} timestamp - Capture time in ms since epoch, undefined for a pcapng Simple Packet Block
+ * @property {string} sourceAddress
+ * @property {number} sourcePort
+ * @property {string} destinationAddress
+ * @property {number} destinationPort
+ * @property {Buffer} payload - The UDP payload
+ */
+
+/**
+ * @typedef {Object} CaptureReadOptions
+ * @property {(message: string) => void} [onMalformed] - Called with the reason of each malformed frame, which is skipped,
+ *   or of the invalid or truncated block the reading stops at
+ */
+
+/**
+ * A frame shorter than the headers it announces, e.g. cut by a small snaplen
+ */
+export class MalformedFrameError extends Error {
+  name = 'MalformedFrameError';
+}
+
+const ETHERNET_HEADER_LENGTH = 14;
+const VLAN_TAG_LENGTH = 4;
+const LINUX_SLL_HEADER_LENGTH = 16;
+const LINUX_SLL2_HEADER_LENGTH = 20;
+
+const ipv4ToBuffer = (address) => Buffer.from(address.split('.').map(Number));
+
+const bufferToIPv4 = (buf, offset) => `${buf[offset]}.${buf[offset + 1]}.${buf[offset + 2]}.${buf[offset + 3]}`;
+
+/**
+ * @param {string} address - An IPv6 address, possibly with an embedded IPv4 address or a zone, e.g. '::ffff:10.0.0.1' or 'fe80::1%eth0'
+ * @returns {Buffer} The 16 bytes of the address
+ */
+function ipv6ToBuffer(address) {
+  const groups = (part) => part === '' ? [] : part.split(':').flatMap((group) => {
+    if (!group.includes('.')) {
+      return [parseInt(group, 16)];
+    }
+    const bytes = ipv4ToBuffer(group);
+    return [bytes.readUInt16BE(0), bytes.readUInt16BE(2)];
+  });
+
+  const [head, tail] = address.replace(/%.*$/, '').split('::');
+  const start = groups(head);
+  const end = tail === undefined ? [] : groups(tail);
+  const words = [...start, ...new Array(8 - start.length - end.length).fill(0), ...end];
+
+  const buf = Buffer.alloc(16);
+  words.forEach((word, i) => buf.writeUInt16BE(word, i * 2));
+  return buf;
+}
+
+/**
+ * @param {Buffer} buf
+ * @param {number} offset
+ * @returns {string} The IPv6 address in its compressed form, e.g. 'ff15::dead' or '::ffff:10.0.0.1'
+ */
+function bufferToIPv6(buf, offset) {
+  const words = Array.from({ length: 8 }, (_, i) => buf.readUInt16BE(offset + i * 2));
+
+  // IPv4-mapped, as given by a dual-stack socket
+  if (words.slice(0, 5).every(word => word === 0) && words[5] === 0xffff) {
+    return `::ffff:${bufferToIPv4(buf, offset + 12)}`;
+  }
+
+  // the longest run of at least two zero groups becomes ::
+  let best = { start: -1, length: 1 };
+  for (let i = 0; i < 8; i++) {
+    let length = 0;
+    while (i + length < 8 && words[i + length] === 0) {
+      length++;
+    }
+    if (length > best.length) {
+      best = { start: i, length };
+    }
+  }
+
+  const hex = (list) => list.map(word => word.toString(16)).join(':');
+  return best.start === -1 ? hex(words) : `${hex(words.slice(0, best.start))}::${hex(words.slice(best.start + best.length))}`;
+}
+
+/**
+ * @param {string} address - An IPv4 or IPv6 address
+ * @returns {string} The IPv6 form of the address, IPv4-mapped for an IPv4 address
+ */
+const toIPv6 = (address) => isIPv4(address) ? `::ffff:${address}` : address;
+
+/**
+ * Internet checksum, of the IPv4 header or of the UDP datagram and its pseudo header
+ * @param {Buffer} data - Padded to an even length if needed
+ */
+function checksum(data) {
+  const buf = data.length % 2 === 0 ? data : Buffer.concat([data, Buffer.alloc(1)]);
+  let sum = 0;
+  for (let i = 0; i < buf.length; i += 2) {
+    sum += buf.readUInt16BE(i);
+  }
+  while (sum > 0xffff) {
+    sum = (sum & 0xffff) + (sum >>> 16);
+  }
+  return ~sum & 0xffff;
+}
+
+/**
+ * Writes received datagrams to a pcap file
+ */
+export class PcapWriter extends EventEmitter {
+  /** @type {import('node:fs').WriteStream} */
+  stream = null;
+
+  /** Number of datagrams written */
+  count = 0;
+
+  /** The file could not be opened or written, the next datagrams are skipped */
+  failed = false;
+
+  /**
+   * Events:
+   * - 'error' (err): the file could not be opened or written, the recording stops
+   * @param {string} path - The pcap file to create, an existing file is overwritten
+   */
+  constructor(path) {
+    super();
+    this.path = path;
+    this.stream = createWriteStream(path);
+    this.stream.on('error', (err) => {
+      this.failed = true;
+      this.emit('error', err);
+    });
+
+    const header = Buffer.alloc(PCAP_GLOBAL_HEADER_LENGTH);
+    header.writeUInt32LE(PCAP_MAGIC_MICRO, 0);
+    header.writeUInt16LE(2, 4); // version major
+    header.writeUInt16LE(4, 6); // version minor
+    header.writeInt32LE(0, 8); // timezone offset
+    header.writeUInt32LE(0, 12); // timestamp accuracy
+    header.writeUInt32LE(SNAPLEN, 16);
+    header.writeUInt32LE(LINKTYPE.RAW, 20);
+    this.stream.write(header);
+  }
+
+  /**
+   * @param {Buffer} payload - The datagram
+   * @param {{ address: string, port: number }} source - The sender
+   * @param {{ address: string, port: number }} destination - The address and port the datagram was received on
+   * @param {number} [timestamp] - Reception time in ms since epoch
+   * @returns {boolean} false if an address is not an IP address or the file failed, the datagram is then skipped
+   */
+  write(payload, source, destination, timestamp = Date.now()) {
+    if (this.failed) {
+      return false;
+    }
+
+    const isValid = (address) => isIPv4(address) || isIPv6(address.replace(/%.*$/, ''));
+    if (!isValid(source.address) || !isValid(destination.address)) {
+      return false;
+    }
+
+    const udp = Buffer.alloc(UDP_HEADER_LENGTH);
+    udp.writeUInt16BE(source.port, 0);
+    udp.writeUInt16BE(destination.port, 2);
+    udp.writeUInt16BE(UDP_HEADER_LENGTH + payload.length, 4);
+
+    let ip;
+    if (isIPv4(source.address) && isIPv4(destination.address)) {
+      ip = Buffer.alloc(IPV4_HEADER_LENGTH);
+      ip.writeUInt8(0x45, 0); // version 4, header length 5 words
+      ip.writeUInt16BE(IPV4_HEADER_LENGTH + UDP_HEADER_LENGTH + payload.length, 2);
+      ip.writeUInt16BE(0x4000, 6); // don't fragment
+      ip.writeUInt8(64, 8); // TTL
+      ip.writeUInt8(IP_PROTOCOL_UDP, 9);
+      ipv4ToBuffer(source.address).copy(ip, 12);
+      ipv4ToBuffer(destination.address).copy(ip, 16);
+      ip.writeUInt16BE(checksum(ip), 10);
+      // UDP checksum 0: not computed
+    } else {
+      // an IPv4 sender on a dual-stack socket is IPv4-mapped
+      ip = Buffer.alloc(IPV6_HEADER_LENGTH);
+      ip.writeUInt32BE(0x60000000, 0); // version 6, no traffic class nor flow label
+      ip.writeUInt16BE(UDP_HEADER_LENGTH + payload.length, 4);
+      ip.writeUInt8(IP_PROTOCOL_UDP, 6);
+      ip.writeUInt8(64, 7); // hop limit
+      ipv6ToBuffer(toIPv6(source.address)).copy(ip, 8);
+      ipv6ToBuffer(toIPv6(destination.address)).copy(ip, 24);
+
+      // the UDP checksum is mandatory over IPv6, on a pseudo header of the addresses, length and protocol
+      const pseudoHeader = Buffer.alloc(40);
+      ip.copy(pseudoHeader, 0, 8, 40);
+      pseudoHeader.writeUInt32BE(UDP_HEADER_LENGTH + payload.length, 32);
+      pseudoHeader.writeUInt32BE(IP_PROTOCOL_UDP, 36);
+      udp.writeUInt16BE(checksum(Buffer.concat([pseudoHeader, udp, payload])) || 0xffff, 6);
+    }
+
+    const length = ip.length + UDP_HEADER_LENGTH + payload.length;
+    const record = Buffer.alloc(PCAP_RECORD_HEADER_LENGTH);
+    record.writeUInt32LE(Math.floor(timestamp / 1000), 0);
+    record.writeUInt32LE(Math.round((timestamp % 1000) * 1000), 4);
+    record.writeUInt32LE(length, 8);
+    record.writeUInt32LE(length, 12);
+
+    this.stream.write(Buffer.concat([record, ip, udp, payload]));
+    this.count++;
+
+    return true;
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  close() {
+    // a failed stream is already destroyed
+    if (this.stream.destroyed) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => this.stream.end(resolve));
+  }
+}
+
+/**
+ * @param {Buffer} frame
+ * @param {number} offset - Offset of the IPv4 header
+ * @param {(length: number, header: string) => void} requireLength
+ * @returns {{ sourceAddress: string, destinationAddress: string, udpOffset: number } | null} null if not an unfragmented UDP datagram
+ */
+function parseIPv4(frame, offset, requireLength) {
+  requireLength(offset + IPV4_HEADER_LENGTH, 'IPv4');
+  const ipHeaderLength = (frame[offset] & 0x0f) * 4;
+  if (ipHeaderLength < IPV4_HEADER_LENGTH) {
+    throw new MalformedFrameError(`IPv4 header length of ${ipHeaderLength} bytes`);
+  }
+
+  const protocol = frame[offset + 9];
+  const fragmentOffset = frame.readUInt16BE(offset + 6) & 0x1fff;
+  const moreFragments = frame.readUInt16BE(offset + 6) & 0x2000;
+
+  // fragmented datagrams are not reassembled
+  if (protocol !== IP_PROTOCOL_UDP || fragmentOffset !== 0 || moreFragments) {
+    return null;
+  }
+
+  return {
+    sourceAddress: bufferToIPv4(frame, offset + 12),
+    destinationAddress: bufferToIPv4(frame, offset + 16),
+    udpOffset: offset + ipHeaderLength
+  };
+}
+
+/**
+ * @param {Buffer} frame
+ * @param {number} offset - Offset of the IPv6 header
+ * @param {(length: number, header: string) => void} requireLength
+ * @returns {{ sourceAddress: string, destinationAddress: string, udpOffset: number } | null} null if not an unfragmented UDP datagram
+ */
+function parseIPv6(frame, offset, requireLength) {
+  requireLength(offset + IPV6_HEADER_LENGTH, 'IPv6');
+  let nextHeader = frame[offset + 6];
+  let udpOffset = offset + IPV6_HEADER_LENGTH;
+
+  while ([IPV6_HOP_BY_HOP_OPTIONS, IPV6_ROUTING, IPV6_DESTINATION_OPTIONS].includes(nextHeader)) {
+    requireLength(udpOffset + 2, 'IPv6 extension');
+    nextHeader = frame[udpOffset];
+    udpOffset += (frame[udpOffset + 1] + 1) * 8;
+  }
+
+  // a fragment header, or another protocol
+  if (nextHeader !== IP_PROTOCOL_UDP) {
+    return null;
+  }
+
+  return {
+    sourceAddress: bufferToIPv6(frame, offset + 8),
+    destinationAddress: bufferToIPv6(frame, offset + 24),
+    udpOffset
+  };
+}
+
+/**
+ * Extracts a UDP datagram from a captured frame
+ * @param {Buffer} frame
+ * @param {number} linkType
+ * @returns {Omit<CapturedDatagram, 'timestamp'> | null} null if the frame is not an IPv4 or IPv6 UDP datagram
+ * @throws {MalformedFrameError} if the frame is shorter than its link, IP or UDP header
+ */
+export function parseFrame(frame, linkType) {
+  const requireLength = (length, header) => {
+    if (frame.length < length) {
+      throw new MalformedFrameError(`${header} header truncated, frame of ${frame.length} bytes`);
+    }
+  };
+
+  let offset = 0;
+  // null for the raw link types, given by the IP version
+  let etherType = null;
+
+  switch (linkType) {
+    case LINKTYPE.ETHERNET:
+      requireLength(ETHERNET_HEADER_LENGTH, 'Ethernet');
+      offset = 12;
+      etherType = frame.readUInt16BE(offset);
+      offset += 2;
+      // skip VLAN tags
+      while (etherType === 0x8100 || etherType === 0x88a8) {
+        requireLength(offset + VLAN_TAG_LENGTH, 'VLAN');
+        etherType = frame.readUInt16BE(offset + 2);
+        offset += VLAN_TAG_LENGTH;
+      }
+      break;
+    case LINKTYPE.LINUX_SLL:
+      requireLength(LINUX_SLL_HEADER_LENGTH, 'Linux cooked');
+      etherType = frame.readUInt16BE(14);
+      offset = LINUX_SLL_HEADER_LENGTH;
+      break;
+    case LINKTYPE.LINUX_SLL2:
+      requireLength(LINUX_SLL2_HEADER_LENGTH, 'Linux cooked v2');
+      etherType = frame.readUInt16BE(0);
+      offset = LINUX_SLL2_HEADER_LENGTH;
+      break;
+    case LINKTYPE.IPV4:
+      etherType = ETHERTYPE_IPV4;
+      break;
+    case LINKTYPE.IPV6:
+      etherType = ETHERTYPE_IPV6;
+      break;
+    case LINKTYPE.RAW:
+      break;
+    default:
+      return null;
+  }
+
+  if (frame.length <= offset) {
+    return null;
+  }
+
+  const version = frame[offset] >> 4;
+  let ip = null;
+  if (version === 4 && (etherType ?? ETHERTYPE_IPV4) === ETHERTYPE_IPV4) {
+    ip = parseIPv4(frame, offset, requireLength);
+  } else if (version === 6 && (etherType ?? ETHERTYPE_IPV6) === ETHERTYPE_IPV6) {
+    ip = parseIPv6(frame, offset, requireLength);
+  }
+
+  if (!ip) {
+    return null;
+  }
+
+  const { udpOffset } = ip;
+  requireLength(udpOffset + UDP_HEADER_LENGTH, 'UDP');
+  const udpLength = frame.readUInt16BE(udpOffset + 4);
+  if (udpLength < UDP_HEADER_LENGTH) {
+    throw new MalformedFrameError(`UDP length of ${udpLength} bytes`);
+  }
+
+  return {
+    sourceAddress: ip.sourceAddress,
+    sourcePort: frame.readUInt16BE(udpOffset),
+    destinationAddress: ip.destinationAddress,
+    destinationPort: frame.readUInt16BE(udpOffset + 2),
+    // the UDP length leaves out the Ethernet padding, a payload cut by the snaplen is kept as is
+    payload: frame.subarray(udpOffset + UDP_HEADER_LENGTH, Math.min(udpOffset + udpLength, frame.length))
+  };
+}
+
+/**
+ * parseFrame for the readers: a malformed frame is reported and skipped, the rest of the capture is still read
+ * @param {Buffer} frame
+ * @param {number} linkType
+ * @param {number} number - Number of the frame in the capture, from 1 like Wireshark
+ * @param {CaptureReadOptions} options
+ */
+function parseCapturedFrame(frame, linkType, number, options) {
+  try {
+    return parseFrame(frame, linkType);
+  } catch (err) {
+    if (!(err instanceof MalformedFrameError)) {
+      throw err;
+    }
+    options.onMalformed?.(`Skipped malformed frame #${number}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Reads the UDP datagrams of a pcap file, other frames are skipped
+ * @param {string} path
+ * @param {CaptureReadOptions} [options]
+ * @returns {AsyncGenerator<CapturedDatagram>}
+ */
+export async function* readPcap(path, options = {}) {
+  const file = await open(path, 'r');
+
+  try {
+    const { size } = await file.stat();
+    const header = Buffer.alloc(PCAP_GLOBAL_HEADER_LENGTH);
+    await file.read(header, 0, PCAP_GLOBAL_HEADER_LENGTH, 0);
+
+    // the magic number gives the byte order and the timestamp resolution
+    const magicLE = header.readUInt32LE(0);
+    const magicBE = header.readUInt32BE(0);
+    const littleEndian = magicLE === PCAP_MAGIC_MICRO || magicLE === PCAP_MAGIC_NANO;
+
+    if (!littleEndian && magicBE !== PCAP_MAGIC_MICRO && magicBE !== PCAP_MAGIC_NANO) {
+      throw new Error(`${path} is not a pcap file`);
+    }
+
+    const nano = (littleEndian ? magicLE : magicBE) === PCAP_MAGIC_NANO;
+    const readUInt32 = (buf, offset) => littleEndian ? buf.readUInt32LE(offset) : buf.readUInt32BE(offset);
+    const snaplen = readUInt32(header, 16);
+    const linkType = readUInt32(header, 20) & 0xffff;
+
+    let position = PCAP_GLOBAL_HEADER_LENGTH;
+    let number = 0;
+    const recordHeader = Buffer.alloc(PCAP_RECORD_HEADER_LENGTH);
+
+    while (true) {
+      const { bytesRead } = await file.read(recordHeader, 0, PCAP_RECORD_HEADER_LENGTH, position);
+      if (bytesRead < PCAP_RECORD_HEADER_LENGTH) {
+        break;
+      }
+
+      const seconds = readUInt32(recordHeader, 0);
+      const fraction = readUInt32(recordHeader, 4);
+      const capturedLength = readUInt32(recordHeader, 8);
+      position += PCAP_RECORD_HEADER_LENGTH;
+      number++;
+
+      // the lengths are checked before allocating the frame, a corrupt one could ask for gigabytes
+      if (capturedLength > size - position) {
+        options.onMalformed?.(`Skipped truncated frame #${number}: ${capturedLength} bytes captured, ${size - position} left in the file`);
+        break;
+      }
+      if (snaplen > 0 && capturedLength > snaplen) {
+        options.onMalformed?.(`Skipped malformed frame #${number}: ${capturedLength} bytes captured, above the snapshot length of ${snaplen}`);
+        position += capturedLength;
+        continue;
+      }
+
+      const frame = Buffer.alloc(capturedLength);
+      await file.read(frame, 0, capturedLength, position);
+      position += capturedLength;
+
+      const datagram = parseCapturedFrame(frame, linkType, number, options);
+      if (datagram) {
+        yield {
+          timestamp: seconds * 1000 + (nano ? fraction / 1e6 : fraction / 1e3),
+          ...datagram
+        };
+      }
+    }
+  } finally {
+    await file.close();
+  }
+}
+
+/**
+ * Reads the UDP datagrams of a pcapng file, other frames are skipped
+ * @param {string} path
+ * @param {CaptureReadOptions} [options]
+ * @returns {AsyncGenerator<CapturedDatagram>}
+ */
+export async function* readPcapng(path, options = {}) {
+  const file = await open(path, 'r');
+
+  try {
+    const { size } = await file.stat();
+    let position = 0;
+    let littleEndian = true;
+    let number = 0;
+    /** @type {{ linkType: number, unitsPerSecond: number }[]} */
+    let interfaces = [];
+
+    const blockHeader = Buffer.alloc(12);
+
+    while (true) {
+      const { bytesRead } = await file.read(blockHeader, 0, 12, position);
+      if (bytesRead < 12) {
+        break;
+      }
+
+      const blockType = blockHeader.readUInt32LE(0);
+
+      // a section header gives the byte order of the blocks that follow it
+      if (blockType === PCAPNG_SECTION_HEADER_BLOCK) {
+        if (blockHeader.readUInt32LE(8) === PCAPNG_BYTE_ORDER_MAGIC) {
+          littleEndian = true;
+        } else if (blockHeader.readUInt32BE(8) === PCAPNG_BYTE_ORDER_MAGIC) {
+          littleEndian = false;
+        } else {
+          throw new Error(`${path} is not a pcapng file`);
+        }
+        interfaces = [];
+      } else if (position === 0) {
+        throw new Error(`${path} is not a pcapng file`);
+      }
+
+      const readUInt16 = (buf, offset) => littleEndian ? buf.readUInt16LE(offset) : buf.readUInt16BE(offset);
+      const readUInt32 = (buf, offset) => littleEndian ? buf.readUInt32LE(offset) : buf.readUInt32BE(offset);
+
+      // the next blocks can't be found after an invalid length, and a corrupt one could ask for gigabytes
+      const blockLength = readUInt32(blockHeader, 4);
+      if (blockLength < 12 || blockLength % 4 !== 0) {
+        options.onMalformed?.(`Stopped at the invalid block length of ${blockLength} bytes at offset ${position}`);
+        break;
+      }
+      if (blockLength > size - position) {
+        options.onMalformed?.(`Stopped at the truncated block at offset ${position}: ${blockLength} bytes long, ${size - position} left in the file`);
+        break;
+      }
+
+      const body = Buffer.alloc(blockLength - 12);
+      await file.read(body, 0, body.length, position + 8);
+      position += blockLength;
+
+      switch (readUInt32(blockHeader, 0)) {
+        case PCAPNG_INTERFACE_DESCRIPTION_BLOCK: {
+          let unitsPerSecond = 1e6;
+
+          // look for the timestamp resolution option
+          let offset = 8;
+          while (offset + 4 <= body.length) {
+            const code = readUInt16(body, offset);
+            const length = readUInt16(body, offset + 2);
+            if (code === 0) {
+              break;
+            }
+            if (code === PCAPNG_OPTION_IF_TSRESOL) {
+              const resolution = body[offset + 4];
+              unitsPerSecond = resolution & 0x80 ? 2 ** (resolution & 0x7f) : 10 ** resolution;
+            }
+            offset += 4 + Math.ceil(length / 4) * 4;
+          }
+
+          interfaces.push({ linkType: readUInt16(body, 0), unitsPerSecond });
+          break;
+        }
+        case PCAPNG_ENHANCED_PACKET_BLOCK: {
+          number++;
+          if (body.length < 20 || readUInt32(body, 12) > body.length - 20) {
+            options.onMalformed?.(`Skipped malformed frame #${number}: captured length beyond its block of ${blockLength} bytes`);
+            break;
+          }
+
+          const iface = interfaces[readUInt32(body, 0)];
+          if (!iface) {
+            break;
+          }
+
+          const units = readUInt32(body, 4) * 2 ** 32 + readUInt32(body, 8);
+          const capturedLength = readUInt32(body, 12);
+
+          const datagram = parseCapturedFrame(body.subarray(20, 20 + capturedLength), iface.linkType, number, options);
+          if (datagram) {
+            yield {
+              timestamp: units / iface.unitsPerSecond * 1000,
+              ...datagram
+            };
+          }
+          break;
+        }
+        case PCAPNG_SIMPLE_PACKET_BLOCK: {
+          // simple packets have no timestamp
+          const iface = interfaces[0];
+          const datagram = iface && parseCapturedFrame(body.subarray(4), iface.linkType, ++number, options);
+          if (datagram) {
+            yield {
+              timestamp: undefined,
+              ...datagram
+            };
+          }
+          break;
+        }
+      }
+    }
+  } finally {
+    await file.close();
+  }
+}
+
+/**
+ * Reads the UDP datagrams of a pcap or pcapng file, the format is detected from the file content
+ * @param {string} path
+ * @param {CaptureReadOptions} [options]
+ * @returns {AsyncGenerator<CapturedDatagram>}
+ */
+export async function* readCapture(path, options = {}) {
+  const file = await open(path, 'r');
+  const magic = Buffer.alloc(4);
+
+  try {
+    await file.read(magic, 0, 4, 0);
+  } finally {
+    await file.close();
+  }
+
+  if (magic.readUInt32LE(0) === PCAPNG_SECTION_HEADER_BLOCK) {
+    yield* readPcapng(path, options);
+  } else {
+    yield* readPcap(path, options);
+  }
+}
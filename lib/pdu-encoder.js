@@ -0,0 +1,279 @@
+/**
+ * Encoding of PDUs from the decoded JSON form, as produced by dis-listener
+ * (--format=json) and dis-ws-proxy (json clients).
+ *
+ * Only the PDUs a simulation station publishes are supported: Entity State
+ * and Fire. Locations are given as lat/lon/alt in degrees and meters,
+ * orientations as heading/pitch/roll in degrees, like in the decoded form.
+ */
+
+import { eulerToMatrix, matrixToEuler } from './dead-reckoning.js';
+import { VARIABLE_PARAMETER_RECORD_LENGTH } from './variable-parameters.js';
+
+export const ENTITY_STATE_PDU_TYPE = 1;
+export const FIRE_PDU_TYPE = 2;
+
+export const ENTITY_STATE_PDU_LENGTH = 144;
+export const FIRE_PDU_LENGTH = 96;
+
+// WGS84 ellipsoid
+const WGS84_A = 6378137;
+const WGS84_E2 = 6.69437999014e-3;
+
+const DEG = Math.PI / 180;
+
+/**
+ * Geodetic to world (geocentric) coordinates
+ * @param {{ latitude: number, longitude: number, altitude?: number }} location - Degrees and meters
+ * @returns {{ x: number, y: number, z: number }}
+ */
+export function latLonAltToWorld({ latitude, longitude, altitude = 0 }) {
+  const lat = latitude * DEG, lon = longitude * DEG;
+  const n = WGS84_A / Math.sqrt(1 - WGS84_E2 * Math.sin(lat) ** 2);
+
+  return {
+    x: (n + altitude) * Math.cos(lat) * Math.cos(lon),
+    y: (n + altitude) * Math.cos(lat) * Math.sin(lon),
+    z: (n * (1 - WGS84_E2) + altitude) * Math.sin(lat)
+  };
+}
+
+/**
+ * Local heading/pitch/roll to the DIS Euler angles at a location
+ * @param {{ heading?: number, pitch?: number, roll?: number }} orientation - Degrees
+ * @param {number} latitude - Degrees
+ * @param {number} longitude - Degrees
+ * @returns {{ psi: number, theta: number, phi: number }} Radians
+ */
+export function headingPitchRollToEuler({ heading = 0, pitch = 0, roll = 0 }, latitude, longitude) {
+  const lat = latitude * DEG, lon = longitude * DEG;
+
+  // world to north-east-down axes
+  const ned = [
+    [-Math.sin(lat) * Math.cos(lon), -Math.sin(lat) * Math.sin(lon), Math.cos(lat)],
+    [-Math.sin(lon), Math.cos(lon), 0],
+    [-Math.cos(lat) * Math.cos(lon), -Math.cos(lat) * Math.sin(lon), -Math.sin(lat)]
+  ];
+  // north-east-down to body axes, same rotation order as the DIS angles
+  const body = eulerToMatrix({ psi: heading * DEG, theta: pitch * DEG, phi: roll * DEG });
+
+  const m = body.map(row => ned[0].map((_, j) => row.reduce((sum, value, k) => sum + value * ned[k][j], 0)));
+  return matrixToEuler(m);
+}
+
+/**
+ * DIS relative timestamp of the current time: units of 3600 s / 2^31 past the hour, low bit 0
+ * @param {number} [now] - ms since epoch
+ */
+export function disTimestamp(now = Date.now()) {
+  return Math.floor((now % 3600000) / 3600000 * 0x80000000) * 2;
+}
+
+const requireObject = (value, name) => {
+  if (typeof value !== 'object' || value === null) {
+    throw new Error(`${name} is required`);
+  }
+  return value;
+};
+
+const requireNumber = (value, name) => {
+  if (!Number.isFinite(value)) {
+    throw new Error(`${name} must be a number`);
+  }
+  return value;
+};
+
+const requireUInt = (value, name, bits) => {
+  if (!Number.isInteger(value) || value < 0 || value >= 2 ** bits) {
+    throw new Error(`${name} must be an integer between 0 and ${2 ** bits - 1}`);
+  }
+  return value;
+};
+
+const requireHex = (value, name, bytes) => {
+  if (typeof value !== 'string' || value.length !== bytes * 2 || !/^[0-9a-f]*$/i.test(value)) {
+    throw new Error(`${name} must be ${bytes} bytes in hexadecimal`);
+  }
+  return Buffer.from(value, 'hex');
+};
+
+/**
+ * Writes the common header, the length is the buffer length
+ * @param {Buffer} buf
+ * @param {Object} pdu
+ * @param {number} pduType
+ * @param {number} protocolFamily
+ */
+function writeHeader(buf, pdu, pduType, protocolFamily) {
+  const protocolVersion = pdu.protocolVersion ?? 6;
+  if (protocolVersion !== 6 && protocolVersion !== 7) {
+    throw new Error('protocolVersion must be 6 or 7');
+  }
+
+  buf.writeUInt8(protocolVersion, 0);
+  buf.writeUInt8(requireUInt(pdu.exerciseID ?? 1, 'exerciseID', 8), 1);
+  buf.writeUInt8(pduType, 2);
+  buf.writeUInt8(protocolFamily, 3);
+  buf.writeUInt32BE(disTimestamp(), 4);
+  buf.writeUInt16BE(buf.length, 8);
+}
+
+function writeEntityID(buf, id, name, offset) {
+  requireObject(id, name);
+  buf.writeUInt16BE(requireUInt(id.site, `${name}.site`, 16), offset);
+  buf.writeUInt16BE(requireUInt(id.application, `${name}.application`, 16), offset + 2);
+  buf.writeUInt16BE(requireUInt(id.entity, `${name}.entity`, 16), offset + 4);
+}
+
+function writeEventID(buf, id, name, offset) {
+  requireObject(id, name);
+  buf.writeUInt16BE(requireUInt(id.site, `${name}.site`, 16), offset);
+  buf.writeUInt16BE(requireUInt(id.application, `${name}.application`, 16), offset + 2);
+  buf.writeUInt16BE(requireUInt(id.eventNumber, `${name}.eventNumber`, 16), offset + 4);
+}
+
+function writeEntityType(buf, type, name, offset) {
+  requireObject(type, name);
+  buf.writeUInt8(requireUInt(type.kind, `${name}.kind`, 8), offset);
+  buf.writeUInt8(requireUInt(type.domain ?? 0, `${name}.domain`, 8), offset + 1);
+  buf.writeUInt16BE(requireUInt(type.country ?? 0, `${name}.country`, 16), offset + 2);
+  buf.writeUInt8(requireUInt(type.category ?? 0, `${name}.category`, 8), offset + 4);
+  buf.writeUInt8(requireUInt(type.subcategory ?? 0, `${name}.subcategory`, 8), offset + 5);
+  buf.writeUInt8(requireUInt(type.spec ?? 0, `${name}.spec`, 8), offset + 6);
+  buf.writeUInt8(requireUInt(type.extra ?? 0, `${name}.extra`, 8), offset + 7);
+}
+
+function writeFloatVector(buf, v = { x: 0, y: 0, z: 0 }, name, offset) {
+  requireObject(v, name);
+  buf.writeFloatBE(requireNumber(v.x, `${name}.x`), offset);
+  buf.writeFloatBE(requireNumber(v.y, `${name}.y`), offset + 4);
+  buf.writeFloatBE(requireNumber(v.z, `${name}.z`), offset + 8);
+}
+
+function writeLocation(buf, location, offset) {
+  requireObject(location, 'location');
+  requireNumber(location.latitude, 'location.latitude');
+  requireNumber(location.longitude, 'location.longitude');
+  requireNumber(location.altitude ?? 0, 'location.altitude');
+
+  const world = latLonAltToWorld(location);
+  buf.writeDoubleBE(world.x, offset);
+  buf.writeDoubleBE(world.y, offset + 8);
+  buf.writeDoubleBE(world.z, offset + 16);
+}
+
+/**
+ * Encodes an Entity State PDU, DIS6 articulation parameters or DIS7 variable parameters included
+ * @param {Object} pdu - Decoded form, only entityID, entityType and location are required
+ * @returns {Buffer}
+ */
+export function encodeEntityStatePdu(pdu) {
+  const parameters = (pdu.protocolVersion === 7 ? pdu.variableParameters : pdu.articulationParameters) ?? [];
+  if (!Array.isArray(parameters) || parameters.length > 255) {
+    throw new Error('articulation/variable parameters must be an array of at most 255 records');
+  }
+
+  const buf = Buffer.alloc(ENTITY_STATE_PDU_LENGTH + parameters.length * VARIABLE_PARAMETER_RECORD_LENGTH);
+  writeHeader(buf, pdu, ENTITY_STATE_PDU_TYPE, 1);
+
+  writeEntityID(buf, pdu.entityID, 'entityID', 12);
+  buf.writeUInt8(requireUInt(pdu.forceId ?? 0, 'forceId', 8), 18);
+  buf.writeUInt8(parameters.length, 19);
+  writeEntityType(buf, pdu.entityType, 'entityType', 20);
+  writeEntityType(buf, pdu.alternativeEntityType ?? pdu.entityType, 'alternativeEntityType', 28);
+  writeFloatVector(buf, pdu.linearVelocity, 'linearVelocity', 36);
+  writeLocation(buf, pdu.location, 48);
+
+  const euler = headingPitchRollToEuler(requireObject(pdu.orientation ?? {}, 'orientation'), pdu.location.latitude, pdu.location.longitude);
+  buf.writeFloatBE(euler.psi, 72);
+  buf.writeFloatBE(euler.theta, 76);
+  buf.writeFloatBE(euler.phi, 80);
+
+  buf.writeUInt32BE(requireUInt(pdu.appearance?.raw ?? 0, 'appearance.raw', 32), 84);
+
+  const dr = pdu.deadReckoning ?? {};
+  buf.writeUInt8(requireUInt(dr.algorithm ?? 1, 'deadReckoning.algorithm', 8), 88);
+  writeFloatVector(buf, dr.linearAcceleration, 'deadReckoning.linearAcceleration', 104);
+  writeFloatVector(buf, dr.angularVelocity, 'deadReckoning.angularVelocity', 116);
+
+  const marking = pdu.marking ?? '';
+  if (typeof marking !== 'string' || marking.length > 11 || !/^[\x20-\x7e]*$/.test(marking)) {
+    throw new Error('marking must be at most 11 printable ASCII characters');
+  }
+  buf.writeUInt8(1, 128); // ASCII character set
+  buf.write(marking, 129, 'ascii');
+
+  buf.writeUInt32BE(requireUInt(pdu.capabilities ?? 0, 'capabilities', 32), 140);
+
+  for (const [i, parameter] of parameters.entries()) {
+    const offset = ENTITY_STATE_PDU_LENGTH + i * VARIABLE_PARAMETER_RECORD_LENGTH;
+    requireObject(parameter, `parameter #${i}`);
+
+    if (pdu.protocolVersion === 7) {
+      requireHex(parameter.raw, `variableParameters[${i}].raw`, VARIABLE_PARAMETER_RECORD_LENGTH).copy(buf, offset);
+      continue;
+    }
+
+    const name = `articulationParameters[${i}]`;
+    buf.writeUInt8(requireUInt(parameter.parameterTypeDesignator, `${name}.parameterTypeDesignator`, 8), offset);
+    buf.writeUInt8(requireUInt(parameter.changeIndicator ?? 0, `${name}.changeIndicator`, 8), offset + 1);
+    buf.writeUInt16BE(requireUInt(parameter.partAttachedTo ?? 0, `${name}.partAttachedTo`, 16), offset + 2);
+    buf.writeUInt32BE(requireUInt(parameter.parameterType, `${name}.parameterType`, 32), offset + 4);
+    requireHex(parameter.parameterValue, `${name}.parameterValue`, 8).copy(buf, offset + 8);
+  }
+
+  return buf;
+}
+
+/**
+ * Encodes a Fire PDU
+ * @param {Object} pdu - Decoded form, firingEntityID, eventID and location are required
+ * @returns {Buffer}
+ */
+export function encodeFirePdu(pdu) {
+  const buf = Buffer.alloc(FIRE_PDU_LENGTH);
+  writeHeader(buf, pdu, FIRE_PDU_TYPE, 2);
+
+  const noEntity = { site: 0, application: 0, entity: 0 };
+  writeEntityID(buf, pdu.firingEntityID, 'firingEntityID', 12);
+  writeEntityID(buf, pdu.targetEntityID ?? noEntity, 'targetEntityID', 18);
+  writeEntityID(buf, pdu.munitionID ?? noEntity, 'munitionID', 24);
+  writeEventID(buf, pdu.eventID, 'eventID', 30);
+  buf.writeUInt32BE(requireUInt(pdu.fireMissionIndex ?? 0, 'fireMissionIndex', 32), 36);
+  writeLocation(buf, pdu.location, 40);
+
+  const burst = requireObject(pdu.burstDescriptor, 'burstDescriptor');
+  writeEntityType(buf, burst.munition, 'burstDescriptor.munition', 64);
+  buf.writeUInt16BE(requireUInt(burst.warhead ?? 0, 'burstDescriptor.warhead', 16), 72);
+  buf.writeUInt16BE(requireUInt(burst.fuse ?? 0, 'burstDescriptor.fuse', 16), 74);
+  buf.writeUInt16BE(requireUInt(burst.quantity ?? 1, 'burstDescriptor.quantity', 16), 76);
+  buf.writeUInt16BE(requireUInt(burst.rate ?? 0, 'burstDescriptor.rate', 16), 78);
+
+  writeFloatVector(buf, pdu.velocity, 'velocity', 80);
+  buf.writeFloatBE(requireNumber(pdu.rangeToTarget ?? 0, 'rangeToTarget'), 92);
+
+  return buf;
+}
+
+/** Encoders keyed by PDU type */
+export const PDU_ENCODERS = {
+  [ENTITY_STATE_PDU_TYPE]: encodeEntityStatePdu,
+  [FIRE_PDU_TYPE]: encodeFirePdu
+};
+
+/**
+ * Encodes a PDU from its decoded form
+ * @param {Object} pdu - Decoded form, with its pduType
+ * @returns {Buffer}
+ * @throws {Error} if the PDU type is not supported or a field is invalid
+ */
+export function encodePdu(pdu) {
+  requireObject(pdu, 'pdu');
+
+  const encoder = PDU_ENCODERS[pdu.pduType];
+  if (!encoder) {
+    throw new Error(`PDU type ${pdu.pduType} can't be encoded from JSON, supported types: ${Object.keys(PDU_ENCODERS).join(', ')}`);
+  }
+
+  return encoder(pdu);
+}
@@ -0,0 +1,120 @@
+/**
+ * DIS PDU header, common to every PDU type and protocol version.
+ */
+
+/** Length of the PDU header, common to every PDU type */
+export const PDU_HEADER_LENGTH = 12;
+
+export const PROTOCOL_FAMILY_NAMES = {
+  0: 'Other',
+  1: 'Entity Information/Interaction',
+  2: 'Warfare',
+  3: 'Logistics',
+  4: 'Radio Communications',
+  5: 'Simulation Management',
+  6: 'Distributed Emission Regeneration',
+  7: 'Entity Management',
+  8: 'Minefield',
+  9: 'Synthetic Environment',
+  10: 'Simulation Management with Reliability',
+  11: 'Live Entity',
+  12: 'Non-Real Time',
+  13: 'Information Operations'
+};
+
+export const PDU_TYPE_NAMES = {
+  0: 'Other',
+  1: 'Entity State',
+  2: 'Fire',
+  3: 'Detonation',
+  4: 'Collision',
+  5: 'Service Request',
+  6: 'Resupply Offer',
+  7: 'Resupply Received',
+  8: 'Resupply Cancel',
+  9: 'Repair Complete',
+  10: 'Repair Response',
+  11: 'Create Entity',
+  12: 'Remove Entity',
+  13: 'Start/Resume',
+  14: 'Stop/Freeze',
+  15: 'Acknowledge',
+  16: 'Action Request',
+  17: 'Action Response',
+  18: 'Data Query',
+  19: 'Set Data',
+  20: 'Data',
+  21: 'Event Report',
+  22: 'Comment',
+  23: 'Electromagnetic Emission',
+  24: 'Designator',
+  25: 'Transmitter',
+  26: 'Signal',
+  27: 'Receiver',
+  28: 'IFF/ATC/NAVAIDS',
+  29: 'Underwater Acoustic',
+  30: 'Supplemental Emission/Entity State',
+  31: 'Intercom Signal',
+  32: 'Intercom Control',
+  33: 'Aggregate State',
+  34: 'IsGroupOf',
+  35: 'Transfer Control',
+  36: 'IsPartOf',
+  37: 'Minefield State',
+  38: 'Minefield Query',
+  39: 'Minefield Data',
+  40: 'Minefield Response NAK',
+  41: 'Environmental Process',
+  42: 'Gridded Data',
+  43: 'Point Object State',
+  44: 'Linear Object State',
+  45: 'Areal Object State',
+  46: 'TSPI',
+  47: 'Appearance',
+  48: 'Articulated Parts',
+  49: 'LE Fire',
+  50: 'LE Detonation',
+  51: 'Create Entity-R',
+  52: 'Remove Entity-R',
+  53: 'Start/Resume-R',
+  54: 'Stop/Freeze-R',
+  55: 'Acknowledge-R',
+  56: 'Action Request-R',
+  57: 'Action Response-R',
+  58: 'Data Query-R',
+  59: 'Set Data-R',
+  60: 'Data-R',
+  61: 'Event Report-R',
+  62: 'Comment-R',
+  63: 'Record-R',
+  64: 'Set Record-R',
+  65: 'Record Query-R',
+  66: 'Collision-Elastic',
+  67: 'Entity State Update'
+};
+
+/**
+ * @typedef {Object} PDUHeader
+ * @property {number} protocolVersion
+ * @property {number} exerciseID
+ * @property {number} pduType
+ * @property {number} protocolFamily
+ * @property {number} timestamp
+ * @property {number} length - PDU length announced in the header, in bytes
+ */
+
+/**
+ * Reads the common PDU header without decoding the PDU body
+ * @param {Buffer} msg - At least PDU_HEADER_LENGTH bytes
+ * @returns {PDUHeader}
+ */
+export function parsePDUHeader(msg) {
+  return {
+    protocolVersion: msg.readUInt8(0),
+    exerciseID: msg.readUInt8(1),
+    pduType: msg.readUInt8(2),
+    protocolFamily: msg.readUInt8(3),
+    timestamp: msg.readUInt32BE(4),
+    length: msg.readUInt16BE(8)
+  };
+}
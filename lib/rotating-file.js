@@ -0,0 +1,232 @@
+import { EventEmitter } from 'node:events';
+import { createReadStream, createWriteStream, existsSync, statSync } from 'node:fs';
+import { readdir, rename, unlink } from 'node:fs/promises';
+import { basename, dirname, extname, join } from 'node:path';
+import { pipeline } from 'node:stream/promises';
+import { createGzip } from 'node:zlib';
+
+/**
+ * Output file rotated by size and by time, for the long running listeners.
+ *
+ * The current file keeps its name, e.g. exercise.log, the rotated files get the time they
+ * were opened: exercise.2026-10-19T09-00-00.000Z.log, then exercise.2026-10-19T09-00-00.000Z.log.gz
+ * once compressed.
+ */
+
+/**
+ * @typedef {Object} RotatingFileOptions
+ * @property {number} [maxSize] - Size in bytes above which the file is rotated. Default is none
+ * @property {number} [interval] - Rotation interval in ms, aligned on the UTC clock: 3600000 rotates every hour on the hour. Default is none
+ * @property {boolean} [gzip] - Compress the rotated files. Default is false
+ * @property {number} [maxFiles] - Number of rotated files to keep, the oldest are deleted. Default is all
+ * @property {() => string} [header] - Text written at the start of every file, including the first one
+ */
+
+/**
+ * Events:
+ * - 'rotated' (rotatedPath): the file was renamed, and compressed if gzip is set
+ * - 'error' (err): a rotation, compression or deletion failed, the writes go on
+ */
+export class RotatingFile extends EventEmitter {
+  /** @type {import('node:fs').WriteStream} */
+  stream = null;
+
+  /** Size of the current file, in bytes */
+  size = 0;
+
+  /** Time the current file was opened, in ms since epoch */
+  opened = 0;
+
+  /** Next time based rotation, in ms since epoch */
+  nextRotation = Infinity;
+
+  /**
+   * Texts written while the file is being renamed, for the next file
+   * @type {string[] | null}
+   */
+  pending = null;
+
+  /**
+   * End of the current rotation, compression and cleanup
+   * @type {Promise<void>}
+   */
+  rotation = Promise.resolve();
+
+  /**
+   * @param {string} path
+   * @param {RotatingFileOptions} [options]
+   */
+  constructor(path, options = {}) {
+    super();
+    this.path = path;
+    this.options = options;
+
+    // appends to an existing file, like the files without rotation
+    this.size = existsSync(path) ? statSync(path).size : 0;
+    this.open();
+  }
+
+  open() {
+    this.stream = createWriteStream(this.path, { flags: 'a' });
+    this.stream.on('error', (err) => this.emit('error', err));
+
+    this.opened = Date.now();
+    if (this.options.interval > 0) {
+      this.nextRotation = this.nextIntervalStart(this.opened);
+    }
+
+    if (this.options.header) {
+      this.append(this.options.header());
+    }
+  }
+
+  /**
+   * @param {string} text
+   */
+  write(text) {
+    if (this.pending) {
+      this.pending.push(text);
+      return;
+    }
+
+    const now = Date.now();
+    const due = now >= this.nextRotation || (this.options.maxSize > 0 && this.size + Buffer.byteLength(text) > this.options.maxSize);
+
+    // an empty file is never rotated, even for a text larger than maxSize
+    if (due && this.size > 0) {
+      this.rotate();
+      this.pending.push(text);
+      return;
+    }
+
+    if (now >= this.nextRotation) {
+      this.nextRotation = this.nextIntervalStart(now);
+    }
+
+    this.append(text);
+  }
+
+  /**
+   * @param {number} time - In ms since epoch
+   * @returns {number} Start of the next rotation interval, in ms since epoch
+   */
+  nextIntervalStart(time) {
+    return (Math.floor(time / this.options.interval) + 1) * this.options.interval;
+  }
+
+  /**
+   * @param {string} text
+   */
+  append(text) {
+    this.stream.write(text);
+    this.size += Buffer.byteLength(text);
+  }
+
+  /**
+   * Closes the current file, renames it and opens a new one. The previous rotation is finished first,
+   * the writes meanwhile are kept for the new file
+   */
+  rotate() {
+    this.pending = [];
+
+    const stream = this.stream;
+    const rotatedPath = this.rotatedPath(this.opened);
+
+    this.rotation = this.rotation
+      .then(() => new Promise((resolve) => stream.end(resolve)))
+      // renamed once closed, Windows can't rename an open file
+      .then(() => rename(this.path, rotatedPath))
+      .then(
+        () => this.reopen(),
+        (err) => {
+          this.reopen();
+          throw err;
+        })
+      .then(() => this.options.gzip ? this.compress(rotatedPath) : rotatedPath)
+      .then((finalPath) => {
+        this.emit('rotated', finalPath);
+        return this.deleteOldFiles();
+      })
+      .catch((err) => this.emit('error', err));
+  }
+
+  reopen() {
+    const pending = this.pending;
+
+    this.pending = null;
+    this.size = 0;
+    this.open();
+
+    for (const text of pending) {
+      this.write(text);
+    }
+  }
+
+  /**
+   * @param {string} path
+   * @returns {Promise<string>} The path of the compressed file
+   */
+  async compress(path) {
+    await pipeline(createReadStream(path), createGzip(), createWriteStream(`${path}.gz`));
+    await unlink(path);
+    return `${path}.gz`;
+  }
+
+  /**
+   * @param {number} opened - Time the file was opened, in ms since epoch
+   * @returns {string} e.g. exercise.2026-10-19T09-00-00.000Z.log, with a counter if it already exists
+   */
+  rotatedPath(opened) {
+    const extension = extname(this.path);
+    const base = join(dirname(this.path), `${basename(this.path, extension)}.${new Date(opened).toISOString().replace(/:/g, '-')}`);
+
+    let path = `${base}${extension}`;
+    for (let i = 1; existsSync(path) || existsSync(`${path}.gz`); i++) {
+      path = `${base}-${i}${extension}`;
+    }
+    return path;
+  }
+
+  /**
+   * @returns {Promise<string[]>} The rotated files, oldest first
+   */
+  async listRotatedFiles() {
+    const extension = extname(this.path);
+    const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`^${escape(basename(this.path, extension))}\\.(\\d{4}-\\d{2}-\\d{2}T\\d{2}-\\d{2}-\\d{2}\\.\\d{3}Z)(?:-(\\d+))?${escape(extension)}(?:\\.gz)?$`);
+
+    const files = [];
+    for (const name of await readdir(dirname(this.path))) {
+      const match = pattern.exec(name);
+      if (match) {
+        files.push({ path: join(dirname(this.path), name), time: match[1], counter: Number(match[2] ?? 0) });
+      }
+    }
+
+    // the ISO timestamps sort chronologically, then the files opened in the same ms by counter
+    return files
+      .sort((a, b) => a.time.localeCompare(b.time) || a.counter - b.counter)
+      .map(file => file.path);
+  }
+
+  async deleteOldFiles() {
+    if (!(this.options.maxFiles > 0)) {
+      return;
+    }
+
+    const files = await this.listRotatedFiles();
+
+    for (const file of files.slice(0, Math.max(files.length - this.options.maxFiles, 0))) {
+      await unlink(file);
+    }
+  }
+
+  /**
+   * Finishes the current rotation and closes the file
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.rotation;
+    await new Promise((resolve) => this.stream.end(resolve));
+  }
+}
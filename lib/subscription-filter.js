@@ -0,0 +1,166 @@
+/**
+ * Subscription filters of the WebSocket proxy clients.
+ *
+ * A filter is a plain object, every field is optional and all the given
+ * fields must match. Entity fields (site/application, kind, domain, country,
+ * marking, bounding box) only apply to PDUs carrying an entity state, other
+ * PDUs are only filtered on their exercise ID and PDU type.
+ */
+
+/**
+ * @typedef {Object} SubscriptionFilter
+ * @property {number[]} [exerciseIDs] - Accepted exercise IDs
+ * @property {number[]} [pduTypes] - Accepted PDU types. Default is [1] (Entity State only)
+ * @property {string[]} [siteApplications] - Accepted 'site:application' pairs, '*' matches any value, e.g. '1:*'
+ * @property {number[]} [entityKinds] - Accepted entity kinds
+ * @property {number[]} [domains] - Accepted entity domains
+ * @property {number[]} [countries] - Accepted entity countries
+ * @property {string} [marking] - Marking pattern, case insensitive, '*' matches any characters and '?' a single one
+ * @property {number[]} [bbox] - Bounding box [minLongitude, minLatitude, maxLongitude, maxLatitude] in degrees, minLongitude > maxLongitude crosses the antimeridian
+ */
+
+/** @type {SubscriptionFilter} */
+export const DEFAULT_FILTER = Object.freeze({ pduTypes: [1] });
+
+const NUMBER_LIST_FIELDS = ['exerciseIDs', 'pduTypes', 'entityKinds', 'domains', 'countries'];
+
+const KNOWN_FIELDS = [...NUMBER_LIST_FIELDS, 'siteApplications', 'marking', 'bbox'];
+
+/**
+ * Validates a filter received from a client
+ * @param {any} input
+ * @returns {SubscriptionFilter} The filter with the pduTypes default applied
+ * @throws {Error} with a message for the client if the filter is invalid
+ */
+export function normalizeFilter(input) {
+  if (input === null || input === undefined) {
+    return DEFAULT_FILTER;
+  }
+
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('filter must be an object');
+  }
+
+  for (const field of Object.keys(input)) {
+    if (!KNOWN_FIELDS.includes(field)) {
+      throw new Error(`unknown filter field: ${field}`);
+    }
+  }
+
+  const filter = {};
+
+  for (const field of NUMBER_LIST_FIELDS) {
+    if (input[field] === undefined) {
+      continue;
+    }
+    if (!Array.isArray(input[field]) || !input[field].every(Number.isInteger)) {
+      throw new Error(`${field} must be an array of integers`);
+    }
+    filter[field] = input[field];
+  }
+
+  filter.pduTypes ??= DEFAULT_FILTER.pduTypes;
+
+  if (input.siteApplications !== undefined) {
+    const valid = Array.isArray(input.siteApplications)
+      && input.siteApplications.every(value => /^(\d+|\*):(\d+|\*)$/.test(value));
+    if (!valid) {
+      throw new Error(`siteApplications must be an array of 'site:application' strings`);
+    }
+    filter.siteApplications = input.siteApplications;
+  }
+
+  if (input.marking !== undefined) {
+    if (typeof input.marking !== 'string') {
+      throw new Error('marking must be a string');
+    }
+    filter.marking = input.marking;
+    // compiled once, not enumerable so the filter can be sent back as is
+    Object.defineProperty(filter, 'markingRegExp', { value: markingRegExp(input.marking) });
+  }
+
+  if (input.bbox !== undefined) {
+    const bbox = input.bbox;
+    const valid = Array.isArray(bbox) && bbox.length === 4 && bbox.every(Number.isFinite)
+      && bbox[1] <= bbox[3] && Math.abs(bbox[1]) <= 90 && Math.abs(bbox[3]) <= 90;
+    if (!valid) {
+      throw new Error('bbox must be [minLongitude, minLatitude, maxLongitude, maxLatitude]');
+    }
+    filter.bbox = bbox;
+  }
+
+  return filter;
+}
+
+/**
+ * Converts a marking pattern to a regular expression
+ * @param {string} pattern
+ */
+function markingRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * @param {SubscriptionFilter} filter - A filter returned by normalizeFilter
+ * @param {Object} decoded - The decoded PDU, as sent to the json clients
+ */
+export function matchesFilter(filter, decoded) {
+  if (filter.exerciseIDs && !filter.exerciseIDs.includes(decoded.exerciseID)) {
+    return false;
+  }
+
+  if (filter.pduTypes && !filter.pduTypes.includes(decoded.pduType)) {
+    return false;
+  }
+
+  // the remaining fields need an entity state
+  if (!decoded.entityID || !decoded.entityType) {
+    return true;
+  }
+
+  if (filter.siteApplications) {
+    const { site, application } = decoded.entityID;
+    const match = filter.siteApplications.some(value => {
+      const [s, a] = value.split(':');
+      return (s === '*' || Number(s) === site) && (a === '*' || Number(a) === application);
+    });
+    if (!match) {
+      return false;
+    }
+  }
+
+  if (filter.entityKinds && !filter.entityKinds.includes(decoded.entityType.kind)) {
+    return false;
+  }
+
+  if (filter.domains && !filter.domains.includes(decoded.entityType.domain)) {
+    return false;
+  }
+
+  if (filter.countries && !filter.countries.includes(decoded.entityType.country)) {
+    return false;
+  }
+
+  if (filter.markingRegExp && !filter.markingRegExp.test(decoded.marking.trim())) {
+    return false;
+  }
+
+  if (filter.bbox && decoded.location) {
+    const [minLon, minLat, maxLon, maxLat] = filter.bbox;
+    const { latitude, longitude } = decoded.location;
+
+    if (latitude < minLat || latitude > maxLat) {
+      return false;
+    }
+
+    const inLongitude = minLon <= maxLon
+      ? longitude >= minLon && longitude <= maxLon
+      : longitude >= minLon || longitude <= maxLon;
+    if (!inLongitude) {
+      return false;
+    }
+  }
+
+  return true;
+}
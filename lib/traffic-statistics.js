@@ -0,0 +1,202 @@
+/**
+ * Live traffic counters of a receiver, exposed as Prometheus metrics and periodic summary lines.
+ */
+
+import { PDU_TYPE_NAMES } from './pdu-header.js';
+
+/** Content type of the Prometheus text exposition format */
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Codes of the 'invalid' events, why a datagram was dropped
+ * @type {Object<string, string>}
+ */
+export const INVALID_REASON = {
+  TOO_SHORT: 'tooShort',
+  TRUNCATED: 'truncated',
+  UNSUPPORTED_VERSION: 'unsupportedVersion',
+  DECODE_ERROR: 'decodeError',
+  PROCESSING_ERROR: 'processingError'
+};
+
+/**
+ * @typedef {Object} InputCounters
+ * @property {number} datagrams - Received datagrams, ignored ones included
+ * @property {number} bytes - Size of the received datagrams
+ * @property {number} ignored - Datagrams of senders not allowed
+ * @property {Map<string, number>} pdus - Decoded PDUs keyed by 'protocolVersion:pduType'
+ * @property {Map<string, number>} invalid - Dropped datagrams keyed by INVALID_REASON
+ * @property {number} socketErrors - Socket errors and interfaces not found, each followed by a new binding attempt
+ */
+
+/**
+ * @typedef {Object} TrafficTotals
+ * @property {number} datagrams
+ * @property {number} bytes
+ * @property {number} ignored
+ * @property {number} pdus
+ * @property {number} invalid
+ */
+
+/**
+ * A sample of a metric
+ * @typedef {Object} MetricSample
+ * @property {Object<string, string | number>} [labels]
+ * @property {number} value
+ */
+
+/**
+ * Formats a metric in the Prometheus text exposition format
+ * @param {string} name - e.g. 'dis_datagrams_total'
+ * @param {'counter' | 'gauge'} type
+ * @param {string} help
+ * @param {MetricSample[]} samples
+ * @returns {string[]} The lines of the metric
+ */
+export function formatMetric(name, type, help, samples) {
+  const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+
+  for (const { labels = {}, value } of samples) {
+    const pairs = Object.entries(labels).map(([label, labelValue]) => `${label}="${escape(labelValue)}"`);
+    lines.push(`${name}${pairs.length > 0 ? `{${pairs.join(',')}}` : ''} ${value}`);
+  }
+
+  return lines;
+}
+
+export class TrafficStatistics {
+  /**
+   * Counters keyed by input name
+   * @type {Map<string, InputCounters>}
+   */
+  inputs = new Map();
+
+  /** @type {import('./dis-receiver.js').DISReceiver} */
+  receiver = null;
+
+  /** Start of the counters, in ms since epoch */
+  start = Date.now();
+
+  /**
+   * Totals and time of the previous summary
+   * @type {TrafficTotals & { time: number }}
+   */
+  lastSummary = null;
+
+  /**
+   * Counts the traffic of a receiver from its events
+   * @param {import('./dis-receiver.js').DISReceiver} receiver
+   */
+  constructor(receiver) {
+    this.receiver = receiver;
+    this.lastSummary = { ...this.totals(), time: this.start };
+
+    receiver.on('ignored', (msg, rinfo, input) => {
+      const counters = this.getInputCounters(input.name);
+      counters.datagrams++;
+      counters.bytes += msg.length;
+      counters.ignored++;
+    });
+
+    receiver.on('datagram', (msg, rinfo, timestamp, input) => {
+      const counters = this.getInputCounters(input.name);
+      counters.datagrams++;
+      counters.bytes += msg.length;
+    });
+
+    receiver.on('pdu', (record) => {
+      const { pdus } = this.getInputCounters(record.input);
+      const key = `${record.protocolVersion}:${record.pduType}`;
+      pdus.set(key, (pdus.get(key) ?? 0) + 1);
+    });
+
+    receiver.on('invalid', (reason, msg, rinfo, input, code) => {
+      const { invalid } = this.getInputCounters(input.name);
+      invalid.set(code, (invalid.get(code) ?? 0) + 1);
+    });
+
+    receiver.on('error', (err, input) => {
+      this.getInputCounters(input.name).socketErrors++;
+    });
+  }
+
+  /**
+   * @param {string} name
+   * @returns {InputCounters}
+   */
+  getInputCounters(name) {
+    let counters = this.inputs.get(name);
+
+    if (!counters) {
+      counters = { datagrams: 0, bytes: 0, ignored: 0, pdus: new Map(), invalid: new Map(), socketErrors: 0 };
+      this.inputs.set(name, counters);
+    }
+
+    return counters;
+  }
+
+  /**
+   * @returns {TrafficTotals} The counters summed over the inputs
+   */
+  totals() {
+    const sum = (values) => [...values].reduce((total, value) => total + value, 0);
+    const totals = { datagrams: 0, bytes: 0, ignored: 0, pdus: 0, invalid: 0 };
+
+    for (const counters of this.inputs.values()) {
+      totals.datagrams += counters.datagrams;
+      totals.bytes += counters.bytes;
+      totals.ignored += counters.ignored;
+      totals.pdus += sum(counters.pdus.values());
+      totals.invalid += sum(counters.invalid.values());
+    }
+
+    return totals;
+  }
+
+  /**
+   * One line summary of the traffic since the previous summary
+   * @param {number} [now] - In ms since epoch
+   * @returns {string} e.g. 'Last 60 s: 1200 datagrams (180.5 KB), 1198 PDUs (20.0 PDU/s), 2 invalid, 0 ignored, 14 entities'
+   */
+  summarize(now = Date.now()) {
+    const totals = this.totals();
+    const last = this.lastSummary;
+    const seconds = Math.max(now - last.time, 1) / 1000;
+    const pdus = totals.pdus - last.pdus;
+
+    this.lastSummary = { ...totals, time: now };
+
+    return `Last ${seconds.toFixed(0)} s: ${totals.datagrams - last.datagrams} datagrams (${((totals.bytes - last.bytes) / 1024).toFixed(1)} KB), ` +
+      `${pdus} PDUs (${(pdus / seconds).toFixed(1)} PDU/s), ${totals.invalid - last.invalid} invalid, ${totals.ignored - last.ignored} ignored, ` +
+      `${this.receiver.entityRegistry.size} entities`;
+  }
+
+  /**
+   * The counters in the Prometheus text exposition format
+   * @returns {string[]} The lines of the metrics
+   */
+  formatMetrics() {
+    const inputs = [...this.inputs.entries()];
+    const perInput = (field) => inputs.map(([input, counters]) => ({ labels: { input }, value: counters[field] }));
+
+    const pdus = inputs.flatMap(([input, counters]) => [...counters.pdus].map(([key, value]) => {
+      const [version, type] = key.split(':').map(Number);
+      return { labels: { input, version, type, name: PDU_TYPE_NAMES[type] ?? 'Unknown' }, value };
+    }));
+
+    const invalid = inputs.flatMap(([input, counters]) => [...counters.invalid].map(([reason, value]) => ({ labels: { input, reason }, value })));
+
+    return [
+      ...formatMetric('dis_datagrams_total', 'counter', 'Received DIS datagrams, ignored ones included', perInput('datagrams')),
+      ...formatMetric('dis_received_bytes_total', 'counter', 'Size of the received DIS datagrams', perInput('bytes')),
+      ...formatMetric('dis_ignored_datagrams_total', 'counter', 'Datagrams of senders not allowed', perInput('ignored')),
+      ...formatMetric('dis_pdus_total', 'counter', 'Decoded PDUs per protocol version and PDU type', pdus),
+      ...formatMetric('dis_invalid_datagrams_total', 'counter', 'Dropped datagrams: tooShort for a header, truncated, unsupportedVersion, decodeError, processingError', invalid),
+      ...formatMetric('dis_socket_errors_total', 'counter', 'Socket errors and network interfaces not found, each followed by a new binding attempt', perInput('socketErrors')),
+      ...formatMetric('dis_entities', 'gauge', 'Live entities', [{ value: this.receiver.entityRegistry.size }]),
+      ...formatMetric('dis_uptime_seconds', 'gauge', 'Time since the counters started', [{ value: (Date.now() - this.start) / 1000 }])
+    ];
+  }
+}
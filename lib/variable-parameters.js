@@ -0,0 +1,152 @@
+/**
+ * Decoding of DIS7 (IEEE 1278.1-2012) variable parameter records.
+ *
+ * Every record is 16 bytes long, the first byte is the record type and
+ * defines the layout of the remaining 15 bytes.
+ */
+
+/** Offset of the first variable parameter record in a DIS7 Entity State PDU */
+export const ESPDU_VARIABLE_PARAMETERS_OFFSET = 144;
+
+/** Length of a variable parameter record, in bytes */
+export const VARIABLE_PARAMETER_RECORD_LENGTH = 16;
+
+export const VARIABLE_PARAMETER_RECORD_TYPE = {
+  ARTICULATED_PART: 0,
+  ATTACHED_PART: 1,
+  SEPARATION: 2,
+  ENTITY_TYPE: 3,
+  ENTITY_ASSOCIATION: 4
+};
+
+/**
+ * @typedef {Object} VariableParameter
+ * @property {number} recordType - The variable parameter record type
+ * @property {string} recordTypeName - Readable name of the record type
+ * @property {string} raw - The whole record in hex
+ */
+
+/**
+ * Reads an entity type record (8 bytes)
+ * @param {Buffer} buf
+ * @param {number} offset
+ */
+function readEntityType(buf, offset) {
+  return {
+    kind: buf.readUInt8(offset),
+    domain: buf.readUInt8(offset + 1),
+    country: buf.readUInt16BE(offset + 2),
+    category: buf.readUInt8(offset + 4),
+    subcategory: buf.readUInt8(offset + 5),
+    spec: buf.readUInt8(offset + 6),
+    extra: buf.readUInt8(offset + 7)
+  };
+}
+
+/**
+ * Reads an entity ID record (6 bytes)
+ * @param {Buffer} buf
+ * @param {number} offset
+ */
+function readEntityID(buf, offset) {
+  return {
+    site: buf.readUInt16BE(offset),
+    application: buf.readUInt16BE(offset + 2),
+    entity: buf.readUInt16BE(offset + 4)
+  };
+}
+
+/**
+ * Decodes a single variable parameter record
+ * @param {Buffer} buf - The record, at least 16 bytes
+ * @returns {VariableParameter}
+ */
+export function parseVariableParameter(buf) {
+  const recordType = buf.readUInt8(0);
+  const raw = buf.subarray(0, VARIABLE_PARAMETER_RECORD_LENGTH).toString('hex');
+
+  switch (recordType) {
+    case VARIABLE_PARAMETER_RECORD_TYPE.ARTICULATED_PART:
+      return {
+        recordType,
+        recordTypeName: 'Articulated Part',
+        changeIndicator: buf.readUInt8(1),
+        partAttachedTo: buf.readUInt16BE(2),
+        parameterType: buf.readUInt32BE(4),
+        parameterValue: buf.readFloatBE(8),
+        raw
+      };
+    case VARIABLE_PARAMETER_RECORD_TYPE.ATTACHED_PART:
+      return {
+        recordType,
+        recordTypeName: 'Attached Part',
+        detachedIndicator: buf.readUInt8(1),
+        partAttachedTo: buf.readUInt16BE(2),
+        parameterType: buf.readUInt32BE(4),
+        attachedPartType: readEntityType(buf, 8),
+        raw
+      };
+    case VARIABLE_PARAMETER_RECORD_TYPE.SEPARATION:
+      return {
+        recordType,
+        recordTypeName: 'Separation',
+        reasonForSeparation: buf.readUInt8(1),
+        preEntityIndicator: buf.readUInt8(2),
+        parentEntityID: readEntityID(buf, 4),
+        stationName: buf.readUInt16BE(12),
+        stationNumber: buf.readUInt16BE(14),
+        raw
+      };
+    case VARIABLE_PARAMETER_RECORD_TYPE.ENTITY_TYPE:
+      return {
+        recordType,
+        recordTypeName: 'Entity Type',
+        changeIndicator: buf.readUInt8(1),
+        entityType: readEntityType(buf, 2),
+        raw
+      };
+    case VARIABLE_PARAMETER_RECORD_TYPE.ENTITY_ASSOCIATION:
+      return {
+        recordType,
+        recordTypeName: 'Entity Association',
+        changeIndicator: buf.readUInt8(1),
+        associationStatus: buf.readUInt8(2),
+        associationType: buf.readUInt8(3),
+        entityID: readEntityID(buf, 4),
+        ownStationLocation: buf.readUInt16BE(10),
+        physicalConnectionType: buf.readUInt8(12),
+        groupMemberType: buf.readUInt8(13),
+        groupNumber: buf.readUInt16BE(14),
+        raw
+      };
+    default:
+      return {
+        recordType,
+        recordTypeName: 'Unknown',
+        raw
+      };
+  }
+}
+
+/**
+ * Decodes the variable parameter records of a DIS7 Entity State PDU
+ * @param {Buffer} msg - The whole PDU
+ * @param {number} count - Number of variable parameter records announced in the PDU
+ * @returns {VariableParameter[]}
+ */
+export function parseESPDUVariableParameters(msg, count) {
+  const records = [];
+
+  for (let i = 0; i < count; i++) {
+    const offset = ESPDU_VARIABLE_PARAMETERS_OFFSET + i * VARIABLE_PARAMETER_RECORD_LENGTH;
+
+    // stop at the end of the datagram if the PDU is truncated
+    if (offset + VARIABLE_PARAMETER_RECORD_LENGTH > msg.length) {
+      break;
+    }
+
+    records.push(parseVariableParameter(msg.subarray(offset, offset + VARIABLE_PARAMETER_RECORD_LENGTH)));
+  }
+
+  return records;
+}
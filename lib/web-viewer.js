@@ -0,0 +1,366 @@
+/**
+ * Page of the viewer served by the proxy: live entity list, 2D plot of the
+ * positions and PDU inspector. Self-contained, without map tiles nor external
+ * scripts, it only connects back to the WebSocket of the proxy.
+ */
+
+/**
+ * @typedef {Object} ViewerOptions
+ * @property {string[]} paths - WebSocket paths of the proxy, the first one is selected
+ * @property {number[]} pduTypes - PDU types subscribed to by the inspector
+ * @property {number} entityTimeout - Time without update after which an entity is removed, in ms
+ * @property {string} version - Version of the proxy
+ */
+
+/**
+ * Inline script and style only, no other connection than the WebSocket of the proxy
+ * @param {string} wsOrigin - Origin of the WebSocket of the proxy, e.g. 'ws://localhost:9870'
+ * @returns {string} The Content-Security-Policy header of the page
+ */
+export function viewerContentSecurityPolicy(wsOrigin) {
+  return `default-src 'none'; script-src 'unsafe-inline'; style-src 'unsafe-inline'; connect-src ${wsOrigin}`;
+}
+
+/**
+ * @param {ViewerOptions} options
+ * @returns {string} The HTML page
+ */
+export function renderViewerPage(options) {
+  // no '</script>' can end the block early
+  const config = JSON.stringify(options).replace(/</g, '\\u003c');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>DIS-WS Proxy viewer</title>
+<style>
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 13px/1.4 system-ui, sans-serif; color: #ddd; background: #16181d; height: 100vh; display: flex; flex-direction: column; }
+  header { display: flex; gap: 12px; align-items: center; padding: 6px 10px; background: #21242b; border-bottom: 1px solid #333; }
+  header h1 { font-size: 14px; margin: 0; }
+  #version { font-weight: normal; color: #888; }
+  #status { margin-left: auto; }
+  #status.connected { color: #4c4; }
+  #status.disconnected { color: #e55; }
+  main { flex: 1; display: grid; grid-template-columns: 1fr 1fr; grid-template-rows: 1fr 1fr; gap: 1px; background: #333; min-height: 0; }
+  section { background: #16181d; display: flex; flex-direction: column; min-height: 0; min-width: 0; }
+  section h2 { font-size: 12px; margin: 0; padding: 4px 8px; background: #21242b; text-transform: uppercase; letter-spacing: .05em; display: flex; gap: 8px; align-items: center; }
+  .scroll { overflow: auto; flex: 1; }
+  #entities-section { grid-row: 1 / 3; }
+  table { border-collapse: collapse; width: 100%; font-variant-numeric: tabular-nums; }
+  th, td { padding: 2px 6px; text-align: left; white-space: nowrap; border-bottom: 1px solid #262930; }
+  th { position: sticky; top: 0; background: #1c1f25; }
+  tbody tr { cursor: pointer; }
+  tbody tr:hover, li:hover { background: #262a33; }
+  tr.selected, li.selected { background: #2d3a55; }
+  tr.stale { color: #777; }
+  canvas { flex: 1; width: 100%; min-height: 0; }
+  #inspector { display: grid; grid-template-columns: 240px 1fr; flex: 1; min-height: 0; }
+  ul { list-style: none; margin: 0; padding: 0; overflow: auto; border-right: 1px solid #333; }
+  li { padding: 1px 6px; cursor: pointer; white-space: nowrap; font-variant-numeric: tabular-nums; }
+  pre { margin: 0; padding: 6px; overflow: auto; font: 12px/1.3 ui-monospace, monospace; }
+  button, select, label { font: inherit; color: inherit; }
+  button, select { background: #2b2f38; border: 1px solid #444; border-radius: 3px; padding: 0 6px; }
+</style>
+</head>
+<body>
+<header>
+  <h1>DIS-WS Proxy viewer <span id="version"></span></h1>
+  <label>Path <select id="path"></select></label>
+  <span id="count"></span>
+  <span id="status" class="disconnected">Disconnected</span>
+</header>
+<main>
+  <section id="entities-section">
+    <h2>Entities</h2>
+    <div class="scroll">
+      <table>
+        <thead><tr><th>ID</th><th>Marking</th><th>Type</th><th>Force</th><th>Lat</th><th>Lon</th><th>Alt m</th><th>Hdg</th><th>Damage</th><th>Age s</th></tr></thead>
+        <tbody id="entities"></tbody>
+      </table>
+    </div>
+  </section>
+  <section>
+    <h2>Positions</h2>
+    <canvas id="plot"></canvas>
+  </section>
+  <section>
+    <h2>PDUs <label><input type="checkbox" id="pause"> Pause</label> <button id="clear">Clear</button></h2>
+    <div id="inspector">
+      <ul id="pdus"></ul>
+      <pre id="pdu"></pre>
+    </div>
+  </section>
+</main>
+<script id="config" type="application/json">${config}</script>
+<script>
+'use strict';
+
+const config = JSON.parse(document.getElementById('config').textContent);
+const MAX_PDUS = 200;
+const FORCE_COLORS = { 1: '#3a8bff', 2: '#ff4d4d', 3: '#2ecc71' };
+
+/** Latest Entity State PDU and reception time, by site:application:entity */
+const entities = new Map();
+/** Latest PDUs, newest first */
+const pdus = [];
+let selectedEntity = null;
+let selectedPdu = null;
+let ws = null;
+let retryDelay = 1000;
+
+const $ = (id) => document.getElementById(id);
+const keyOf = (id) => id.site + ':' + id.application + ':' + id.entity;
+const fixed = (value, digits) => typeof value === 'number' ? value.toFixed(digits) : '-';
+
+function element(tag, text, className) {
+  const node = document.createElement(tag);
+  node.textContent = text;
+  if (className) {
+    node.className = className;
+  }
+  return node;
+}
+
+$('version').textContent = 'v' + config.version;
+
+for (const path of config.paths) {
+  $('path').append(element('option', path));
+}
+$('path').addEventListener('change', () => {
+  entities.clear();
+  ws?.close();
+});
+
+function connect() {
+  const url = new URL($('path').value, location.href);
+  url.protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+  url.searchParams.set('format', 'json');
+  url.searchParams.set('raw', 'true');
+  // the token of the page, if any, is also the token of the WebSocket
+  const token = new URLSearchParams(location.search).get('access_token');
+  if (token) {
+    url.searchParams.set('access_token', token);
+  }
+
+  ws = new WebSocket(url);
+
+  ws.addEventListener('open', () => {
+    retryDelay = 1000;
+    setStatus('Connected to ' + $('path').value, 'connected');
+    ws.send(JSON.stringify({ type: 'subscribe', filter: { pduTypes: config.pduTypes } }));
+  });
+
+  ws.addEventListener('message', (event) => {
+    const message = JSON.parse(event.data);
+
+    if (message.type === 'error') {
+      setStatus('Error: ' + message.message, 'disconnected');
+      return;
+    }
+    if (message.type !== undefined) {
+      return;
+    }
+
+    if (message.pduType === 1 && message.entityID) {
+      entities.set(keyOf(message.entityID), { record: message, receivedAt: Date.now() });
+    }
+
+    if (!$('pause').checked) {
+      pdus.unshift({ record: message, receivedAt: Date.now() });
+      pdus.length = Math.min(pdus.length, MAX_PDUS);
+      renderPdus();
+    }
+  });
+
+  ws.addEventListener('close', (event) => {
+    setStatus('Disconnected' + (event.reason ? ': ' + event.reason : '') + ', retrying in ' + retryDelay / 1000 + ' s', 'disconnected');
+    setTimeout(connect, retryDelay);
+    retryDelay = Math.min(retryDelay * 2, 30000);
+  });
+}
+
+function setStatus(text, className) {
+  $('status').textContent = text;
+  $('status').className = className;
+}
+
+function renderEntities() {
+  const now = Date.now();
+
+  for (const [key, entity] of entities) {
+    if (now - entity.receivedAt > config.entityTimeout) {
+      entities.delete(key);
+    }
+  }
+
+  const rows = [...entities].sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true })).map(([key, { record, receivedAt }]) => {
+    const age = (now - receivedAt) / 1000;
+    const row = document.createElement('tr');
+    if (key === selectedEntity) {
+      row.classList.add('selected');
+    }
+    // no update for a heartbeat, 5 s by default
+    if (age > 5.5) {
+      row.classList.add('stale');
+    }
+
+    const type = record.entityTypeName ?? Object.values(record.entityType).join(':');
+    for (const value of [
+      key, record.marking, type, record.forceName ?? record.forceId,
+      fixed(record.location?.latitude, 5), fixed(record.location?.longitude, 5), fixed(record.location?.altitude, 0),
+      fixed(record.orientation?.heading, 0), record.appearance?.damageName ?? '-', age.toFixed(1)
+    ]) {
+      row.append(element('td', value));
+    }
+
+    row.addEventListener('click', () => {
+      selectedEntity = key;
+      selectedPdu = record;
+      renderPdu();
+    });
+    return row;
+  });
+
+  $('entities').replaceChildren(...rows);
+  $('count').textContent = entities.size + ' entities';
+}
+
+/**
+ * Equirectangular plot around the entities, with a grid in degrees
+ */
+function renderPlot() {
+  const canvas = $('plot');
+  const ratio = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth, height = canvas.clientHeight;
+  canvas.width = width * ratio;
+  canvas.height = height * ratio;
+
+  const ctx = canvas.getContext('2d');
+  ctx.scale(ratio, ratio);
+  ctx.clearRect(0, 0, width, height);
+
+  const positions = [...entities].filter(([, { record }]) => record.location);
+  if (positions.length === 0) {
+    ctx.fillStyle = '#777';
+    ctx.fillText('No entity', 10, 20);
+    return;
+  }
+
+  const lats = positions.map(([, { record }]) => record.location.latitude);
+  const lons = positions.map(([, { record }]) => record.location.longitude);
+  const centerLat = (Math.min(...lats) + Math.max(...lats)) / 2;
+  const centerLon = (Math.min(...lons) + Math.max(...lons)) / 2;
+  // a degree of longitude shrinks with the latitude
+  const lonScale = Math.max(Math.cos(centerLat * Math.PI / 180), 0.01);
+  const span = Math.max((Math.max(...lats) - Math.min(...lats)), (Math.max(...lons) - Math.min(...lons)) * lonScale, 0.01) * 1.2;
+  const scale = Math.min(width, height) / span;
+
+  const x = (lon) => width / 2 + (lon - centerLon) * lonScale * scale;
+  const y = (lat) => height / 2 - (lat - centerLat) * scale;
+
+  // grid step of about 5 lines across the plot
+  const step = Math.pow(10, Math.floor(Math.log10(span / 2)));
+  ctx.strokeStyle = '#2a2d35';
+  ctx.fillStyle = '#666';
+  ctx.lineWidth = 1;
+  ctx.font = '10px sans-serif';
+  for (let lat = Math.ceil((centerLat - span) / step) * step; lat <= centerLat + span; lat += step) {
+    ctx.beginPath();
+    ctx.moveTo(0, y(lat));
+    ctx.lineTo(width, y(lat));
+    ctx.stroke();
+    ctx.fillText(lat.toFixed(4), 2, y(lat) - 2);
+  }
+  for (let lon = Math.ceil((centerLon - span / lonScale) / step) * step; lon <= centerLon + span / lonScale; lon += step) {
+    ctx.beginPath();
+    ctx.moveTo(x(lon), 0);
+    ctx.lineTo(x(lon), height);
+    ctx.stroke();
+    ctx.fillText(lon.toFixed(4), x(lon) + 2, height - 2);
+  }
+
+  ctx.font = '11px sans-serif';
+  for (const [key, { record }] of positions) {
+    const px = x(record.location.longitude), py = y(record.location.latitude);
+    const heading = (record.orientation?.heading ?? 0) * Math.PI / 180;
+
+    ctx.save();
+    ctx.translate(px, py);
+    ctx.rotate(heading);
+    ctx.beginPath();
+    ctx.moveTo(0, -8);
+    ctx.lineTo(5, 6);
+    ctx.lineTo(-5, 6);
+    ctx.closePath();
+    ctx.fillStyle = FORCE_COLORS[record.forceId] ?? '#ddd';
+    ctx.fill();
+    if (key === selectedEntity) {
+      ctx.strokeStyle = '#fff';
+      ctx.stroke();
+    }
+    ctx.restore();
+
+    ctx.fillStyle = '#ccc';
+    ctx.fillText(record.marking.trim() || key, px + 9, py + 4);
+  }
+}
+
+function renderPdus() {
+  const items = pdus.map(({ record, receivedAt }) => {
+    const source = record.entityID ?? record.firingEntityID ?? record.issuingEntityID ?? record.originatingEntityID;
+    const text = new Date(receivedAt).toISOString().slice(11, 23) + ' ' + record.pduTypeName + (source ? ' ' + keyOf(source) : '');
+    const item = element('li', text, record === selectedPdu ? 'selected' : '');
+    item.addEventListener('click', () => {
+      selectedPdu = record;
+      renderPdus();
+      renderPdu();
+    });
+    return item;
+  });
+  $('pdus').replaceChildren(...items);
+}
+
+/**
+ * Hex dump of the raw datagram, then the decoded fields
+ */
+function renderPdu() {
+  if (!selectedPdu) {
+    $('pdu').textContent = '';
+    return;
+  }
+
+  const { raw, ...fields } = selectedPdu;
+  const lines = [];
+  for (let offset = 0; raw && offset < raw.length / 2; offset += 16) {
+    const bytes = raw.slice(offset * 2, offset * 2 + 32).match(/../g);
+    const ascii = bytes.map(byte => {
+      const code = parseInt(byte, 16);
+      return code >= 0x20 && code < 0x7f ? String.fromCharCode(code) : '.';
+    }).join('');
+    lines.push(offset.toString(16).padStart(4, '0') + '  ' + bytes.join(' ').padEnd(48) + ' |' + ascii + '|');
+  }
+
+  $('pdu').textContent = (lines.length > 0 ? lines.join('\\n') + '\\n\\n' : '') + JSON.stringify(fields, null, 2);
+}
+
+$('clear').addEventListener('click', () => {
+  pdus.length = 0;
+  selectedPdu = null;
+  renderPdus();
+  renderPdu();
+});
+
+setInterval(() => {
+  renderEntities();
+  renderPlot();
+}, 1000);
+
+connect();
+</script>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { appearanceLayoutOf, decodeAppearance, formatAppearance } from '../lib/appearance.js';
+
+const LAND = { kind: 1, domain: 1 };
+const AIR = { kind: 1, domain: 2 };
+const LIFE_FORM = { kind: 3, domain: 1 };
+
+describe('appearance', () => {
+  it('selects the layout of the entity kind and domain', () => {
+    assert.equal(appearanceLayoutOf(LAND), 'landPlatform');
+    assert.equal(appearanceLayoutOf({ kind: 1, domain: 4 }), 'subsurfacePlatform');
+    assert.equal(appearanceLayoutOf({ kind: 2, domain: 1 }), 'guidedMunition');
+    assert.equal(appearanceLayoutOf(LIFE_FORM), 'lifeForm');
+    assert.equal(appearanceLayoutOf({ kind: 5, domain: 1 }), 'culturalFeature');
+    assert.equal(appearanceLayoutOf({ kind: 1, domain: 0 }), undefined);
+    assert.equal(appearanceLayoutOf({ kind: 7, domain: 1 }), undefined);
+  });
+
+  it('decodes a land platform', () => {
+    // camouflage, mobility kill, destroyed, engine smoke, hatch open, head lights, frozen, deactivated
+    const raw = (1 << 0) | (1 << 1) | (3 << 3) | (2 << 5) | (4 << 9) | (1 << 12) | (1 << 21) | (1 << 23);
+    const appearance = decodeAppearance(raw, LAND);
+
+    assert.equal(appearance.layout, 'Land Platform');
+    assert.equal(appearance.paintSchemeName, 'Camouflage');
+    assert.equal(appearance.mobilityKill, true);
+    assert.equal(appearance.firePowerKill, false);
+    assert.equal(appearance.damage, 3);
+    assert.equal(appearance.damageName, 'Destroyed');
+    assert.equal(appearance.smokeName, 'Engine smoke');
+    assert.equal(appearance.hatchName, 'Open');
+    assert.equal(appearance.headLights, true);
+    assert.equal(appearance.frozen, true);
+    assert.equal(appearance.stateName, 'Deactivated');
+  });
+
+  it('decodes the same bits differently for an aircraft and a life form', () => {
+    const raw = (1 << 3) | (3 << 9) | (1 << 16) | (2 << 24);
+
+    const aircraft = decodeAppearance(raw, AIR);
+    assert.equal(aircraft.damageName, 'Slight damage');
+    assert.equal(aircraft.canopyName, 'Front canopy/left troop door open');
+    assert.equal(aircraft.afterburner, true);
+
+    const soldier = decodeAppearance(raw, LIFE_FORM);
+    assert.equal(soldier.damageName, 'Slight injury');
+    assert.equal(soldier.lifeFormStateName, 'Upright, standing still');
+    assert.equal(soldier.primaryWeaponName, 'Deployed');
+    assert.equal(soldier.canopy, undefined);
+  });
+
+  it('reads the most significant bit unsigned', () => {
+    const appearance = decodeAppearance(-2147483648, LIFE_FORM);
+    assert.equal(appearance.raw, 0x80000000);
+    assert.equal(appearance.concealedMovement, true);
+  });
+
+  it('keeps the raw value of the other kinds', () => {
+    assert.deepEqual(decodeAppearance(0x18, { kind: 9, domain: 0 }), { raw: 0x18, layout: 'Unknown' });
+  });
+
+  it('formats the fields', () => {
+    const text = formatAppearance(decodeAppearance(3 << 3, { kind: 1, domain: 5 }));
+    assert.equal(text, 'paint scheme: Uniform color, mobility kill: no, damage: Destroyed, smoke: Not smoking, flaming: no, frozen: no, power plant on: no, state: Active');
+  });
+});
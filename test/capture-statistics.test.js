@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CaptureStatistics } from '../lib/capture-statistics.js';
+
+const record = (timestamp) => ({
+  timestamp: new Date(timestamp).toISOString(),
+  protocolVersion: 7,
+  pduType: 1,
+  pduTypeName: 'Entity State',
+  exerciseID: 1,
+  entityID: { site: 1, application: 2, entity: 3 },
+  entityType: { kind: 1, domain: 1, country: 225, category: 1, subcategory: 1, spec: 3, extra: 0 },
+  marking: 'ALPHA1'
+});
+
+describe('CaptureStatistics', () => {
+  const start = Date.UTC(2026, 9, 19, 10);
+
+  it('fills the empty rate buckets between the PDUs', () => {
+    const statistics = new CaptureStatistics({ bucketSize: 1000 });
+    statistics.addPDU(record(start), start);
+    statistics.addPDU(record(start + 2500), start + 2500);
+
+    assert.deepEqual(statistics.rates().map(bucket => bucket.pdus), [1, 0, 1]);
+  });
+
+  it('leaves the PDUs without capture time out of the rates', () => {
+    const statistics = new CaptureStatistics({ bucketSize: 1000 });
+    statistics.addDatagram(start);
+    statistics.addPDU(record(start), start);
+    statistics.addDatagram(undefined);
+    statistics.addPDU(record(start + 500), undefined);
+
+    const summary = statistics.summary();
+    assert.equal(summary.datagrams, 2);
+    assert.equal(summary.pdus, 2);
+    assert.equal(summary.duration, 0);
+    assert.deepEqual(summary.rates.map(bucket => bucket.pdus), [1]);
+    assert.equal(summary.entities[0].updates, 2);
+  });
+
+  it('only keeps the non-empty buckets of a long capture', () => {
+    const statistics = new CaptureStatistics({ bucketSize: 1000 });
+    statistics.addPDU(record(0), 0);
+    statistics.addPDU(record(start), start);
+
+    assert.deepEqual(statistics.rates().map(bucket => bucket.start), [0, start]);
+  });
+});
@@ -0,0 +1,203 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { networkInterfaces, tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { ConfigError, DIS_INPUT_OPTIONS, formatOptions, parseOptions } from '../lib/cli.js';
+
+/** @type {import('../lib/cli.js').CLIOption[]} */
+const OPTIONS = [
+  { name: 'address', type: 'address', description: 'address' },
+  { name: 'port', type: 'integer', min: 1, max: 65535, description: 'port' },
+  { name: 'ws-port', type: 'integer', min: 0, max: 65535, description: 'ws port' },
+  { name: 'format', type: 'string', choices: ['text', 'json'], description: 'format' },
+  { name: 'verbose', type: 'boolean', short: 'v', description: 'verbose' },
+  { name: 'table', type: 'number', positive: true, flagValue: 1, description: 'table' },
+  { name: 'inject-token', type: 'string', list: true, key: 'injectTokens', env: 'DIS_WS_INJECT_TOKENS', description: 'tokens' },
+  { name: 'inject-types', type: 'integer', list: true, min: 0, max: 255, description: 'types' },
+  { name: 'input', type: 'input', list: true, key: 'inputs', wsPath: true, excludes: ['address', 'port'], description: 'inputs' },
+  { name: 'interface', type: 'interface', description: 'interface' },
+  { name: 'allow-sender', type: 'subnet', list: true, key: 'allowSenders', description: 'senders' },
+  { name: 'enumerations', type: 'enumerations', list: true, description: 'enumerations' },
+  { name: 'tls-cert', type: 'file', description: 'certificate' }
+];
+
+const parse = (argv, env = {}) => parseOptions(OPTIONS, { argv, env, positionals: ['address', 'port'] });
+
+describe('cli', () => {
+  const directory = mkdtempSync(join(tmpdir(), 'dis-cli-'));
+  after(() => rmSync(directory, { recursive: true, force: true }));
+
+  const configFile = (name, content) => {
+    const path = join(directory, name);
+    writeFileSync(path, content);
+    return path;
+  };
+
+  it('reads the named options, with or without =', () => {
+    assert.deepEqual(parse(['--address=239.1.2.3', '--port', '3000', '--ws-port=0', '-v', '--format=JSON']), {
+      address: '239.1.2.3',
+      port: 3000,
+      wsPort: 0,
+      verbose: true,
+      format: 'json',
+      config: undefined
+    });
+  });
+
+  it('reads the positional arguments', () => {
+    const options = parse(['239.1.2.3', '3000', '--table']);
+    assert.equal(options.address, '239.1.2.3');
+    assert.equal(options.port, 3000);
+    assert.equal(options.table, 1);
+  });
+
+  it('concatenates the repeated and comma separated list options', () => {
+    const options = parse(['--inject-token=a', '--inject-token=b,c', '--inject-types=1,2']);
+    assert.deepEqual(options.injectTokens, ['a', 'b', 'c']);
+    assert.deepEqual(options.injectTypes, [1, 2]);
+  });
+
+  it('gives precedence to the command line, then the environment, then the config file', () => {
+    const config = configFile('precedence.yaml', 'address: 239.1.2.3\nport: 1000\nwsPort: 2000\n');
+    const env = { DIS_CONFIG: config, DIS_PORT: '1001', DIS_WS_PORT: '2001' };
+
+    assert.deepEqual(parse(['--ws-port=2002'], env), {
+      address: '239.1.2.3',
+      port: 1001,
+      wsPort: 2002,
+      config
+    });
+  });
+
+  it('reads JSON and YAML config files', () => {
+    const json = configFile('config.json', JSON.stringify({ port: 3000, injectTokens: ['a', 'b'], verbose: true }));
+    const yaml = configFile('config.yml', 'port: 3000\ninjectTokens:\n  - a\n  - b\nverbose: true\n');
+
+    for (const config of [json, yaml]) {
+      const options = parse([`--config=${config}`]);
+      assert.equal(options.port, 3000);
+      assert.deepEqual(options.injectTokens, ['a', 'b']);
+      assert.equal(options.verbose, true);
+    }
+  });
+
+  it('reads the list options from comma separated environment variables', () => {
+    assert.deepEqual(parse([], { DIS_WS_INJECT_TOKENS: 'a, b', DIS_INJECT_TYPES: '1' }), {
+      injectTokens: ['a', 'b'],
+      injectTypes: [1],
+      config: undefined
+    });
+  });
+
+  it('reads the inputs from strings and config file objects', () => {
+    assert.deepEqual(parse(['--input=239.1.2.3:3000', '--input=air=239.1.2.4:3000@127.0.0.1/air', '--input=[ff15::1]:3000']).inputs, [
+      { disAddress: '239.1.2.3', disPort: 3000 },
+      { name: 'air', disAddress: '239.1.2.4', disPort: 3000, disInterface: '127.0.0.1', wsPath: '/air' },
+      { disAddress: 'ff15::1', disPort: 3000 }
+    ]);
+
+    const config = configFile('inputs.yaml', [
+      'inputs:',
+      '  - { name: land, address: 239.1.2.5, port: 3000, sources: [10.0.0.1], wsPath: /land }',
+      '  - 239.1.2.6:3000'
+    ].join('\n'));
+
+    assert.deepEqual(parse([`--config=${config}`]).inputs, [
+      { name: 'land', disAddress: '239.1.2.5', disPort: 3000, disSources: ['10.0.0.1'], wsPath: '/land' },
+      { disAddress: '239.1.2.6', disPort: 3000 }
+    ]);
+  });
+
+  it('rejects the invalid inputs', () => {
+    assert.throws(() => parse(['--input=239.1.2.3']), /--input must be \[name=\]address:port\[@interface\]\[\/path\], with an IPv6 address between brackets, got "239.1.2.3"/);
+    assert.throws(() => parse(['--input=239.1.2.3:0']), /--input port must be an integer between 1 and 65535, got "0"/);
+    assert.throws(() => parse(['--input=239.1.2.3:3000@no-such-nic']), /--input interface must be a network interface name or address of this host \(.*\), got "no-such-nic"/);
+    assert.throws(() => parse(['--input=ff15::1:3000']), /with an IPv6 address between brackets/);
+    assert.throws(() => parse(['--input=239.1.2.3:3000', '--input=239.1.2.3:3000']), /Input 239.1.2.3:3000 is given twice/);
+    assert.throws(() => parse(['--input=239.1.2.3:3000', '--port=3000']), /--input and --port can't be both set/);
+    assert.throws(() => parse([`--config=${configFile('input-port.yaml', 'inputs: [{ address: 239.1.2.3 }]')}`]), /must have an address and a port/);
+    assert.throws(() => parse([`--config=${configFile('input-field.yaml', 'inputs: [{ group: 239.1.2.3 }]')}`]), /unknown input field: group/);
+
+    const noPath = [{ name: 'input', type: 'input', list: true, key: 'inputs', description: 'inputs' }];
+    assert.throws(() => parseOptions(noPath, { argv: ['--input=239.1.2.3:3000/air'], env: {} }), /--input can't have a WebSocket path/);
+  });
+
+  it('reads the interfaces by name or address', () => {
+    const [name] = Object.keys(networkInterfaces());
+    assert.equal(parse([`--interface=${name}`]).interface, name);
+    assert.equal(parse(['--interface=127.0.0.1']).interface, '127.0.0.1');
+    assert.throws(() => parse(['--interface=192.0.2.254']), /--interface must be a network interface name or address of this host/);
+  });
+
+  it('reads the sender subnets', () => {
+    assert.deepEqual(parse(['--allow-sender=10.0.0.0/8,fd00::/8', '--allow-sender=192.168.1.20']).allowSenders, ['10.0.0.0/8', 'fd00::/8', '192.168.1.20']);
+    assert.throws(() => parse(['--allow-sender=10.0.0.0/33']), /--allow-sender must be a subnet like 10.0.0.0\/8, or an IP address, got "10.0.0.0\/33"/);
+    assert.throws(() => parse(['--allow-sender=lab']), /--allow-sender must be a subnet/);
+  });
+
+  it('reads the enumeration files, and the enumeration tables of the config file', () => {
+    const file = configFile('custom.yaml', 'countries:\n  999: Exercise country\n');
+    const config = configFile('enumerations.json', JSON.stringify({ enumerations: { forceIds: { 10: 'Exercise force' } } }));
+
+    assert.deepEqual(parse([`--enumerations=${file}`]).enumerations, [{ countries: { 999: 'Exercise country' } }]);
+    assert.deepEqual(parse([`--config=${config}`]).enumerations, [{ forceIds: { 10: 'Exercise force' } }]);
+
+    assert.throws(() => parse([`--enumerations=${join(directory, 'missing.yaml')}`]), { name: 'ConfigError', message: /^Can't read the enumeration file/ });
+    assert.throws(() => parse([`--enumerations=${configFile('table.yaml', 'platforms: {}')}`]), /Invalid enumeration file .*table.yaml: unknown table platforms/);
+  });
+
+  it('checks that the files are readable', () => {
+    const cert = configFile('proxy.pem', '-----BEGIN CERTIFICATE-----\n');
+
+    assert.equal(parse([`--tls-cert=${cert}`]).tlsCert, cert);
+    assert.throws(() => parse([`--tls-cert=${join(directory, 'missing.pem')}`]), /--tls-cert must be a readable file, got ".*missing.pem"/);
+  });
+
+  it('stops at --help', () => {
+    assert.deepEqual(parse(['--port=abc', '-h']), { help: true });
+  });
+
+  it('rejects the invalid values, naming their source', () => {
+    const config = configFile('invalid.json', '{ "port": "3000a" }');
+
+    assert.throws(() => parse(['--port=70000']), { name: 'ConfigError', message: '--port must be an integer between 1 and 65535, got "70000"' });
+    assert.throws(() => parse(['239.1.2.3', 'abc']), /argument 2 \(port\) must be an integer/);
+    assert.throws(() => parse([], { DIS_ADDRESS: 'localhost' }), /DIS_ADDRESS must be an IP address, got "localhost"/);
+    assert.throws(() => parse([`--config=${config}`]), /port in .*invalid.json must be an integer/);
+    assert.throws(() => parse(['--format=xml']), /--format must be one of text, json/);
+    assert.throws(() => parse(['--table=0']), /--table must be a positive number/);
+    assert.throws(() => parse(['--inject-types=1,300']), /--inject-types must be an integer between 0 and 255, got "300"/);
+  });
+
+  it('rejects the unknown options and the missing values', () => {
+    assert.throws(() => parse(['--prot=3000']), new ConfigError('Unknown option --prot'));
+    assert.throws(() => parse(['-x']), new ConfigError('Unknown option -x'));
+    assert.throws(() => parse(['--port']), new ConfigError('Option --port requires a value'));
+    assert.throws(() => parse(['239.1.2.3', '3000', 'extra']), new ConfigError('Unexpected argument: extra'));
+    assert.throws(() => parse([`--config=${configFile('unknown.yaml', 'prot: 3000')}`]), /Unknown option prot in/);
+  });
+
+  it('rejects the unreadable and invalid config files', () => {
+    assert.throws(() => parse([`--config=${join(directory, 'missing.yaml')}`]), /Can't read the config file/);
+    assert.throws(() => parse([`--config=${configFile('broken.json', '{ port: ')}`]), /Invalid config file/);
+    assert.throws(() => parse([`--config=${configFile('list.yaml', '- 3000')}`]), /expected an object of options/);
+  });
+
+  it('formats the usage with the environment variables', () => {
+    const lines = formatOptions(OPTIONS);
+    assert.ok(lines.some(line => /^ {2}--port=<integer> +port \[DIS_PORT\]$/.test(line)));
+    assert.ok(lines.some(line => /^ {2}-v, --verbose +verbose \[DIS_VERBOSE\]$/.test(line)));
+    assert.ok(lines.some(line => /^ {2}--table\[=<number>\] +table/.test(line)));
+    assert.ok(lines.some(line => /^ {2}-h, --help +Print this help$/.test(line)));
+  });
+
+  it('parses the shared DIS input options', () => {
+    const options = parseOptions(DIS_INPUT_OPTIONS, { argv: ['--input=a=239.1.2.3:3000', '--deny-sender=10.0.0.0/8', '--timeout=5', '-v'], env: { DIS_LOG_LEVEL: 'warn' } });
+    assert.deepEqual(options.inputs.map(input => input.name), ['a']);
+    assert.equal(options.denySenders.length, 1);
+    assert.equal(options.timeout, 5);
+    assert.equal(options.verbose, true);
+    assert.equal(options.logLevel, 'warn');
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DR_ALGORITHM,
+  DeadReckoningTracker,
+  eulerToMatrix,
+  extrapolate,
+  matrixToEuler,
+  orientationDifference
+} from '../lib/dead-reckoning.js';
+
+const close = (actual, expected, tolerance = 1e-6) => assert.ok(Math.abs(actual - expected) < tolerance, `${actual} != ${expected}`);
+
+const state = {
+  algorithm: DR_ALGORITHM.FPW,
+  location: { x: 100, y: 200, z: 300 },
+  orientation: { psi: 0.3, theta: -0.2, phi: 0.1 },
+  linearVelocity: { x: 10, y: 0, z: -5 },
+  linearAcceleration: { x: 1, y: 0, z: 0 },
+  angularVelocity: { x: 0, y: 0, z: 0.5 }
+};
+
+describe('dead-reckoning', () => {
+  it('converts Euler angles to a matrix and back', () => {
+    const euler = matrixToEuler(eulerToMatrix(state.orientation));
+    close(euler.psi, 0.3);
+    close(euler.theta, -0.2);
+    close(euler.phi, 0.1);
+  });
+
+  it('keeps a static entity in place', () => {
+    const result = extrapolate({ ...state, algorithm: DR_ALGORITHM.STATIC }, 10);
+    assert.deepEqual(result.location, state.location);
+    assert.deepEqual(result.orientation, state.orientation);
+  });
+
+  it('extrapolates at constant velocity with FPW', () => {
+    const { location, orientation } = extrapolate(state, 2);
+    close(location.x, 120);
+    close(location.y, 200);
+    close(location.z, 290);
+    assert.deepEqual(orientation, state.orientation);
+  });
+
+  it('adds the acceleration with FVW', () => {
+    const { location } = extrapolate({ ...state, algorithm: DR_ALGORITHM.FVW }, 2);
+    close(location.x, 122);
+  });
+
+  it('rotates with the angular velocity with RPW', () => {
+    const { orientation } = extrapolate({ ...state, algorithm: DR_ALGORITHM.RPW, orientation: { psi: 0, theta: 0, phi: 0 } }, 2);
+    close(orientation.psi, 1);
+    close(orientationDifference(orientation, { psi: 0, theta: 0, phi: 0 }), 180 / Math.PI);
+  });
+
+  it('measures the error of the previous extrapolation', () => {
+    const tracker = new DeadReckoningTracker();
+
+    assert.equal(tracker.update('1:2:3', state, 0), null);
+
+    // 3 m off the FPW extrapolation after 1 s
+    const error = tracker.update('1:2:3', { ...state, location: { x: 113, y: 200, z: 295 } }, 1000);
+    close(error.dt, 1);
+    close(error.positionError, 3);
+    close(error.orientationError, 0, 1e-3);
+  });
+});
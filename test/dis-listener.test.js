@@ -0,0 +1,444 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { DISListener } from '../lib/dis-listener.js';
+import { DISReceiver } from '../lib/dis-receiver.js';
+import { PcapWriter } from '../lib/pcap.js';
+import { sendDatagrams, freePort, waitFor } from './helpers/loopback.js';
+import {
+  buildEntityStatePdu,
+  buildFirePdu,
+  buildUnknownTypePdu,
+  truncate,
+  malformArticulationCount,
+  withVersion
+} from './helpers/pdu-builder.js';
+
+describe('DISListener', () => {
+  /** @type {DISListener} */
+  let listener;
+  let port;
+  /** @type {string[]} */
+  let lines;
+
+  before(async () => {
+    port = await freePort();
+    lines = [];
+
+    // the console lines, without the timestamp prefix
+    mock.method(console, 'log', (prefix, ...messages) => lines.push(messages.join(' ')));
+
+    listener = new DISListener({
+      disAddress: '127.0.0.1',
+      disPort: port,
+      logLevel: DISListener.LOG_LEVEL.VERBOSE
+    });
+
+    const listening = once(listener.receiver, 'listening');
+    listener.start();
+    await listening;
+  });
+
+  after(() => {
+    listener.stop();
+    mock.restoreAll();
+  });
+
+  beforeEach(() => {
+    lines = [];
+  });
+
+  const hasLine = (text) => () => lines.some(line => line.includes(text));
+
+  it('logs the decoded Entity State PDU and its articulation parameters', async () => {
+    await sendDatagrams(port, [buildEntityStatePdu()]);
+
+    await waitFor(hasLine('Received DIS6 Entity State PDU'));
+    await waitFor(hasLine('ap #1:'));
+
+    assert.ok(lines.some(line => line.includes('marking: ALPHA1')));
+    assert.ok(lines.some(line => line.includes('type: 1, domain: 1, country: 225, category: 1, subcategory: 2, specific: 3, extra: 0')));
+    assert.ok(lines.some(line => line.includes('type names: Platform, Land, United States, Tank, -')));
+    assert.ok(lines.some(line => line.includes('force: Friendly (1)')));
+    assert.ok(lines.some(line => line.includes('appearance: Land Platform (0x00000000)')));
+    assert.ok(lines.some(line => line.includes('parameterType: 4107 (Primary turret number 1 Azimuth)')));
+    assert.ok(lines.some(line => line === 'Articulation Parameters (count: 2):'));
+    assert.ok(lines.some(line => line === 'ap #0:'));
+    // the attached entity of the second parameter
+    assert.ok(lines.some(line => line.includes('parameterValue Entity ID decoded:')));
+    assert.ok(lines.some(line => line.trim() === 'entity: 4'));
+  });
+
+  it('reports a new entity once', async () => {
+    await sendDatagrams(port, [buildEntityStatePdu({ entityID: { site: 9, application: 9, entity: 9 } })]);
+    await waitFor(hasLine('New entity 9:9:9 (ALPHA1)'));
+
+    await sendDatagrams(port, [buildEntityStatePdu({ entityID: { site: 9, application: 9, entity: 9 } })]);
+    await waitFor(() => lines.filter(line => line.includes('Received DIS6 Entity State PDU')).length === 2);
+
+    assert.equal(lines.filter(line => line.includes('New entity 9:9:9')).length, 1);
+  });
+
+  it('logs the decoded Fire PDU', async () => {
+    await sendDatagrams(port, [buildFirePdu()]);
+
+    await waitFor(hasLine('Received DIS6 Fire PDU'));
+    await waitFor(hasLine('event id: 1:2:7'));
+    assert.ok(lines.some(line => line.includes('firing id: 1:2:3, target id: 1:2:4, munition id: 1:2:5')));
+  });
+
+  it('only logs the header of unknown PDU types', async () => {
+    await sendDatagrams(port, [buildUnknownTypePdu()]);
+
+    await waitFor(hasLine('type: 200 (Unknown), length: 12'));
+  });
+
+  it('warns about datagrams too short for a header', async () => {
+    await sendDatagrams(port, [Buffer.from([6, 1, 1])]);
+
+    await waitFor(hasLine('Datagram too short for a DIS PDU header: 3 bytes'));
+  });
+
+  it('warns about truncated PDUs', async () => {
+    await sendDatagrams(port, [truncate(buildEntityStatePdu(), 100)]);
+
+    await waitFor(hasLine('Truncated PDU: received 100 bytes, header length is 176 bytes'));
+  });
+
+  it('rejects unsupported protocol versions', async () => {
+    await sendDatagrams(port, [withVersion(buildEntityStatePdu(), 5)]);
+
+    await waitFor(hasLine('Unsupported DIS protocol version: 5'));
+  });
+
+  it('survives a malformed PDU and decodes the next one', async () => {
+    await sendDatagrams(port, [
+      malformArticulationCount(buildEntityStatePdu()),
+      buildEntityStatePdu({ marking: 'AFTER' })
+    ]);
+
+    await waitFor(hasLine('Failed to decode DIS6 Entity State PDU'));
+    await waitFor(hasLine('marking: AFTER'));
+  });
+});
+
+describe('DISListener ndjson output', () => {
+  it('writes one record per decoded PDU on stdout', async (t) => {
+    const port = await freePort();
+    const records = [];
+
+    t.mock.method(console, 'error', () => {});
+
+    // the records are kept, anything else (e.g. the test runner output) goes through
+    const write = process.stdout.write.bind(process.stdout);
+    t.mock.method(process.stdout, 'write', (line, ...args) => {
+      if (typeof line === 'string' && line.startsWith('{"')) {
+        records.push(JSON.parse(line));
+        return true;
+      }
+      return write(line, ...args);
+    });
+
+    const listener = new DISListener({ disAddress: '127.0.0.1', disPort: port, format: 'ndjson' });
+    const listening = once(listener.receiver, 'listening');
+    listener.start();
+    t.after(() => listener.stop());
+
+    await listening;
+    await sendDatagrams(port, [buildEntityStatePdu()]);
+    const [record] = await waitFor(() => records.length > 0 && records);
+
+    assert.equal(record.protocolVersion, 6);
+    assert.equal(record.pduTypeName, 'Entity State');
+    assert.deepEqual(record.entityID, { site: 1, application: 2, entity: 3 });
+    assert.equal(record.marking.trim(), 'ALPHA1');
+    assert.ok(Math.abs(record.location.latitude - 43.1) < 1e-6);
+    assert.ok(Math.abs(record.orientation.heading - 90) < 0.01);
+    assert.equal(record.articulationParameters.length, 2);
+    assert.deepEqual(record.articulationParameters[1].entityID, { site: 1, application: 2, entity: 4 });
+    // the SISO-REF-010 names
+    assert.equal(record.forceName, 'Friendly');
+    assert.deepEqual(record.entityTypeNames, { kind: 'Platform', domain: 'Land', country: 'United States', category: 'Tank' });
+    assert.equal(record.entityTypeName, 'Tank');
+    assert.equal(record.articulationParameters[0].parameterTypeName, 'Primary turret number 1 Azimuth');
+    // a land platform, not the surface platform layout
+    assert.equal(record.appearance.layout, 'Land Platform');
+    assert.equal(record.appearance.damageName, 'No damage');
+  });
+});
+
+describe('DISListener output file', () => {
+  it('rotates the output file, with a header in every file', async (t) => {
+    const port = await freePort();
+    const directory = await mkdtemp(join(tmpdir(), 'dis-listener-'));
+    t.after(() => rm(directory, { recursive: true, force: true }));
+
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(process.stdout, 'write', () => true);
+
+    const listener = new DISListener({
+      disAddress: '127.0.0.1',
+      disPort: port,
+      format: 'ndjson',
+      logFile: join(directory, 'exercise.ndjson'),
+      logMaxSize: 2000
+    });
+    const listening = once(listener.receiver, 'listening');
+    listener.start();
+    const rotated = once(listener.logStream, 'rotated');
+
+    await listening;
+    await sendDatagrams(port, [buildEntityStatePdu(), buildEntityStatePdu(), buildEntityStatePdu()]);
+    await rotated;
+    await listener.stop();
+
+    const files = [...await listener.logStream.listRotatedFiles(), join(directory, 'exercise.ndjson')];
+    assert.ok(files.length >= 2);
+
+    for (const file of files) {
+      const [header, ...records] = (await readFile(file, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+      assert.equal(header.event, 'header');
+      assert.equal(header.name, 'DISListener');
+      assert.equal(header.config.disPort, port);
+      assert.ok(records.every(record => record.pduTypeName === 'Entity State'));
+    }
+  });
+});
+
+describe('DISListener recording', () => {
+  it('stops recording and keeps listening when the pcap file cannot be written', async (t) => {
+    const port = await freePort();
+    const lines = [];
+    t.mock.method(console, 'log', (prefix, ...messages) => lines.push(messages.join(' ')));
+
+    const listener = new DISListener({
+      disAddress: '127.0.0.1',
+      disPort: port,
+      recordFile: join(tmpdir(), 'missing-dis-listener-directory', 'exercise.pcap')
+    });
+    const listening = once(listener.receiver, 'listening');
+    listener.start();
+    await listening;
+
+    await waitFor(() => listener.recorder === null);
+    assert.ok(lines.some(line => /^Recording to .*exercise\.pcap failed, recording stopped: ENOENT/.test(line)));
+
+    await sendDatagrams(port, [buildEntityStatePdu()]);
+    await waitFor(() => lines.some(line => line.startsWith('New entity 1:2:3')));
+    await listener.stop();
+  });
+});
+
+describe('DISListener capture file', () => {
+  it('keeps reading the capture after a listener throws', async (t) => {
+    const directory = await mkdtemp(join(tmpdir(), 'dis-listener-'));
+    t.after(() => rm(directory, { recursive: true, force: true }));
+
+    const path = join(directory, 'exercise.pcap');
+    const writer = new PcapWriter(path);
+    const source = { address: '10.0.0.1', port: 3000 };
+    const destination = { address: '239.1.2.3', port: 62040 };
+    writer.write(buildEntityStatePdu(), source, destination, 1700000000000);
+    writer.write(buildEntityStatePdu({ entityID: { site: 9, application: 9, entity: 9 }, marking: 'BRAVO' }), source, destination, 1700000001000);
+    await writer.close();
+
+    t.mock.method(console, 'log', () => {});
+
+    const listener = new DISListener({ captureFile: path });
+    const markings = [];
+    const invalid = [];
+    listener.receiver.on('pdu', (record) => {
+      markings.push(record.marking.trim());
+      if (markings.length === 1) {
+        throw new Error('listener bug');
+      }
+    });
+    listener.receiver.on('invalid', (reason, msg, rinfo, input, code) => invalid.push([reason, code]));
+
+    await listener.readCaptureFile();
+
+    assert.deepEqual(markings, ['ALPHA1', 'BRAVO']);
+    assert.deepEqual(invalid, [['Failed to process captured datagram from 10.0.0.1:3000: listener bug', 'processingError']]);
+  });
+});
+
+describe('DISListener track export', () => {
+  it('exports the entity tracks when stopping', async (t) => {
+    const port = await freePort();
+    const directory = await mkdtemp(join(tmpdir(), 'dis-listener-'));
+    t.after(() => rm(directory, { recursive: true, force: true }));
+
+    t.mock.method(console, 'log', () => {});
+
+    const listener = new DISListener({
+      disAddress: '127.0.0.1',
+      disPort: port,
+      exportFiles: [join(directory, 'exercise.geojson'), join(directory, 'exercise.kml')]
+    });
+    const listening = once(listener.receiver, 'listening');
+    listener.start();
+    await listening;
+
+    await sendDatagrams(port, [buildEntityStatePdu(), buildEntityStatePdu({ entityID: { site: 9, application: 9, entity: 9 }, marking: 'BRAVO' })]);
+    await waitFor(() => listener.tracks.size === 2);
+    await listener.stop();
+
+    const collection = JSON.parse(await readFile(join(directory, 'exercise.geojson'), 'utf8'));
+    assert.deepEqual(collection.features.map(feature => feature.id), ['1:2:3', '9:9:9']);
+    assert.equal(collection.features[0].geometry.type, 'Point');
+    assert.ok(Math.abs(collection.features[0].geometry.coordinates[0] - 5.9) < 1e-6);
+
+    assert.match(await readFile(join(directory, 'exercise.kml'), 'utf8'), /<name>BRAVO<\/name>/);
+  });
+
+  it('refuses an unknown export format', () => {
+    assert.throws(() => new DISListener({ exportFiles: ['exercise.txt'] }), /Unknown export format/);
+  });
+});
+
+describe('DISListener inputs', () => {
+  it('tags the records with the input they were received on', async (t) => {
+    const [airPort, landPort] = [await freePort(), await freePort()];
+    const records = [];
+
+    t.mock.method(console, 'error', () => {});
+
+    const write = process.stdout.write.bind(process.stdout);
+    t.mock.method(process.stdout, 'write', (line, ...args) => {
+      if (typeof line === 'string' && line.startsWith('{"')) {
+        records.push(JSON.parse(line));
+        return true;
+      }
+      return write(line, ...args);
+    });
+
+    const listener = new DISListener({
+      inputs: [
+        { name: 'air', disAddress: '127.0.0.1', disPort: airPort },
+        { disAddress: '127.0.0.1', disPort: landPort }
+      ],
+      format: 'ndjson'
+    });
+
+    let bound = 0;
+    const listening = new Promise((resolve) => listener.receiver.on('listening', () => ++bound === 2 && resolve()));
+    listener.start();
+    t.after(() => listener.stop());
+    await listening;
+
+    await sendDatagrams(airPort, [buildEntityStatePdu({ marking: 'AIR' })]);
+    await sendDatagrams(landPort, [buildEntityStatePdu({ marking: 'LAND' })]);
+    await waitFor(() => records.length === 2);
+
+    const inputOf = (marking) => records.find(record => record.marking.trim() === marking).input;
+    assert.equal(inputOf('AIR'), 'air');
+    assert.equal(inputOf('LAND'), `127.0.0.1:${landPort}`);
+  });
+});
+
+describe('DISReceiver network', () => {
+  it('listens on IPv6', async (t) => {
+    const port = await freePort();
+    const receiver = new DISReceiver({ disAddress: '::1', disPort: port });
+
+    const listening = once(receiver, 'listening');
+    receiver.start();
+    t.after(() => receiver.stop());
+    await listening;
+
+    const pdu = once(receiver, 'pdu');
+    await sendDatagrams(port, [buildEntityStatePdu()], '::1');
+    const [record] = await pdu;
+
+    assert.equal(record.sender.address, '::1');
+    assert.equal(record.input, `[::1]:${port}`);
+  });
+
+  it('ignores the senders outside the allowed subnets', async (t) => {
+    const port = await freePort();
+    const receiver = new DISReceiver({ disAddress: '127.0.0.1', disPort: port, allowSenders: ['10.0.0.0/8'] });
+    const records = [];
+    const ignored = [];
+
+    receiver.on('pdu', (record) => records.push(record));
+    receiver.on('ignored', (msg, rinfo) => ignored.push(rinfo.address));
+
+    const listening = once(receiver, 'listening');
+    receiver.start();
+    t.after(() => receiver.stop());
+    await listening;
+
+    await sendDatagrams(port, [buildEntityStatePdu()]);
+    await waitFor(() => ignored.length > 0);
+
+    assert.deepEqual(ignored, ['127.0.0.1']);
+    assert.equal(records.length, 0);
+  });
+});
+
+describe('DISReceiver recovery', () => {
+  it('binds the socket again after an error', async (t) => {
+    const port = await freePort();
+    const receiver = new DISReceiver({ disAddress: '127.0.0.1', disPort: port, rebindDelay: 10 });
+    const errors = [];
+
+    receiver.on('error', (err, input) => errors.push([err.message, input.name]));
+
+    let listening = once(receiver, 'listening');
+    receiver.start();
+    t.after(() => receiver.stop());
+    await listening;
+
+    listening = once(receiver, 'listening');
+    receiver.sockets.get(`127.0.0.1:${port}`).emit('error', new Error('network down'));
+    assert.equal(receiver.sockets.size, 0);
+    await listening;
+
+    assert.deepEqual(errors, [['network down', `127.0.0.1:${port}`]]);
+
+    const pdu = once(receiver, 'pdu');
+    await sendDatagrams(port, [buildEntityStatePdu()]);
+    await pdu;
+  });
+
+  it('keeps receiving after a listener throws', async (t) => {
+    const port = await freePort();
+    const receiver = new DISReceiver({ disAddress: '127.0.0.1', disPort: port });
+    const markings = [];
+    const invalid = [];
+
+    receiver.on('pdu', (record) => {
+      markings.push(record.marking.trim());
+      if (markings.length === 1) {
+        throw new Error('listener bug');
+      }
+    });
+    receiver.on('invalid', (reason, msg, rinfo, input, code) => invalid.push([reason, code]));
+
+    const listening = once(receiver, 'listening');
+    receiver.start();
+    t.after(() => receiver.stop());
+    await listening;
+
+    await sendDatagrams(port, [buildEntityStatePdu({ marking: 'FIRST' }), buildEntityStatePdu({ marking: 'SECOND' })]);
+    await waitFor(() => markings.length === 2);
+
+    assert.deepEqual(markings, ['FIRST', 'SECOND']);
+    assert.equal(invalid.length, 1);
+    assert.match(invalid[0][0], /^Failed to process datagram from 127\.0\.0\.1:\d+: listener bug$/);
+    assert.equal(invalid[0][1], 'processingError');
+  });
+
+  it('formats a hex dump of the rejected datagrams', () => {
+    const receiver = new DISReceiver();
+
+    assert.deepEqual(receiver.formatHexDump(Buffer.from('06010101000000000090000041424344454647', 'hex')), [
+      '0000  06 01 01 01 00 00 00 00  00 90 00 00 41 42 43 44  |............ABCD|',
+      '0010  45 46 47                                         |EFG|'
+    ]);
+    assert.equal(receiver.formatHexDump(Buffer.alloc(300)).at(-1), '... 44 more bytes');
+  });
+});
@@ -0,0 +1,656 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import WebSocket from 'ws';
+import { DISWSProxy } from '../lib/dis-ws-proxy.js';
+import { viewerContentSecurityPolicy } from '../lib/web-viewer.js';
+import { sendDatagrams, freePort, waitFor } from './helpers/loopback.js';
+import { ENTITY, buildEntityStatePdu, buildFirePdu } from './helpers/pdu-builder.js';
+
+const TOKEN = 'test-token';
+
+describe('DISWSProxy', () => {
+  /** @type {DISWSProxy} */
+  let proxy;
+  let port;
+  let wsUrl;
+
+  before(async () => {
+    port = await freePort();
+
+    mock.method(console, 'log', () => {});
+
+    proxy = new DISWSProxy({
+      disAddress: '127.0.0.1',
+      disPort: port,
+      wsHost: '127.0.0.1',
+      wsPort: 0,
+      injectTokens: [TOKEN],
+      // the tests count the live PDUs
+      snapshot: false
+    });
+
+    const listening = once(proxy.receiver, 'listening');
+    proxy.start();
+    await Promise.all([listening, once(proxy.ws, 'listening')]);
+
+    wsUrl = `ws://127.0.0.1:${proxy.ws.address().port}/`;
+  });
+
+  after(() => {
+    proxy.stop();
+    mock.restoreAll();
+  });
+
+  /**
+   * Connects a client and collects its messages
+   * @param {string} [query]
+   * @param {string | string[]} [protocols]
+   */
+  async function connect(query = '', protocols = undefined) {
+    const client = new WebSocket(wsUrl + query, protocols);
+    const messages = [];
+
+    client.on('message', (data, isBinary) => messages.push(isBinary ? data : JSON.parse(data.toString())));
+    // the server registers the client before completing the handshake
+    await once(client, 'open');
+
+    return { client, messages };
+  }
+
+  it('forwards the raw datagram to binary clients', async (t) => {
+    const { client, messages } = await connect();
+    t.after(() => client.close());
+
+    const pdu = buildEntityStatePdu();
+    await sendDatagrams(port, [pdu]);
+
+    const [forwarded] = await waitFor(() => messages.length > 0 && messages);
+    assert.ok(Buffer.isBuffer(forwarded));
+    assert.deepEqual(forwarded, pdu);
+  });
+
+  it('forwards the decoded Entity State PDU to json clients', async (t) => {
+    const { client, messages } = await connect('?format=json');
+    t.after(() => client.close());
+
+    await sendDatagrams(port, [buildEntityStatePdu()]);
+
+    const [decoded] = await waitFor(() => messages.length > 0 && messages);
+    assert.equal(decoded.pduType, 1);
+    assert.deepEqual(decoded.entityID, ENTITY.entityID);
+    assert.equal(decoded.marking.trim(), 'ALPHA1');
+    assert.ok(Math.abs(decoded.location.longitude - 5.9) < 1e-6);
+    // the orientation conversion used to throw in the proxy
+    assert.ok(Math.abs(decoded.orientation.heading - 90) < 0.01);
+    assert.equal(decoded.articulationParameters.length, 2);
+  });
+
+  it('selects the json format with the dis-json subprotocol', async (t) => {
+    const { client, messages } = await connect('', 'dis-json');
+    t.after(() => client.close());
+
+    assert.equal(client.protocol, 'dis-json');
+
+    await sendDatagrams(port, [buildEntityStatePdu()]);
+    const [decoded] = await waitFor(() => messages.length > 0 && messages);
+    assert.equal(decoded.pduTypeName, 'Entity State');
+  });
+
+  it('closes the connection of an unknown format', async () => {
+    const client = new WebSocket(wsUrl + '?format=xml');
+    const [code] = await once(client, 'close');
+    assert.equal(code, 1008);
+  });
+
+  it('stays up after a format too long for a close reason', async (t) => {
+    const refused = new WebSocket(`${wsUrl}?format=${'x'.repeat(200)}`);
+    const [code, reason] = await once(refused, 'close');
+    assert.equal(code, 1008);
+    assert.equal(reason.toString(), 'Unknown format, expected one of binary, json');
+
+    const { client } = await connect('?format=json');
+    t.after(() => client.close());
+    assert.equal(client.readyState, WebSocket.OPEN);
+  });
+
+  it('only forwards the subscribed PDUs', async (t) => {
+    const { client, messages } = await connect('?format=json');
+    t.after(() => client.close());
+
+    // Entity State only by default
+    await sendDatagrams(port, [buildFirePdu(), buildEntityStatePdu()]);
+    await waitFor(() => messages.length > 0);
+    assert.deepEqual(messages.map(message => message.pduType), [1]);
+
+    client.send(JSON.stringify({ type: 'subscribe', filter: { pduTypes: [2] } }));
+    const reply = await waitFor(() => messages.find(message => message.type === 'subscription'));
+    assert.deepEqual(reply.filter, { pduTypes: [2] });
+
+    messages.length = 0;
+    await sendDatagrams(port, [buildEntityStatePdu(), buildFirePdu()]);
+    const [fire] = await waitFor(() => messages.length > 0 && messages);
+    assert.equal(fire.pduTypeName, 'Fire');
+    assert.deepEqual(fire.firingEntityID, ENTITY.entityID);
+  });
+
+  it('answers an invalid subscription with an error', async (t) => {
+    const { client, messages } = await connect('?format=json');
+    t.after(() => client.close());
+
+    client.send(JSON.stringify({ type: 'subscribe', filter: { pduTypes: 'all' } }));
+    const error = await waitFor(() => messages.find(message => message.type === 'error'));
+    assert.match(error.message, /pduTypes/);
+  });
+
+  it('sends the PDUs of the authorised clients to the DIS network', async (t) => {
+    const { client, messages } = await connect(`?format=json&token=${TOKEN}`);
+    t.after(() => client.close());
+
+    client.send(JSON.stringify({ type: 'pdu', pdu: { pduType: 1, ...ENTITY, marking: 'INJECTED' } }));
+
+    // received back from the DIS port and forwarded
+    const decoded = await waitFor(() => messages.find(message => message.marking?.trim() === 'INJECTED'));
+    assert.deepEqual(decoded.entityID, ENTITY.entityID);
+  });
+
+  it('rejects the PDUs of the clients without token', async (t) => {
+    const { client, messages } = await connect('?format=json');
+    t.after(() => client.close());
+
+    client.send(buildEntityStatePdu());
+    const error = await waitFor(() => messages.find(message => message.type === 'error'));
+    assert.match(error.message, /not allowed/);
+  });
+
+  it('rejects the PDU types outside the allow-list', async (t) => {
+    const { client, messages } = await connect(`?format=json&token=${TOKEN}`);
+    t.after(() => client.close());
+
+    const pdu = buildEntityStatePdu();
+    pdu.writeUInt8(3, 2); // Detonation
+
+    client.send(pdu);
+    const error = await waitFor(() => messages.find(message => message.type === 'error'));
+    assert.match(error.message, /PDU type 3 .* is not allowed/);
+  });
+
+  it('serves the Prometheus metrics on the WebSocket port', async (t) => {
+    const { client, messages } = await connect();
+    t.after(() => client.close());
+
+    // the clients of the previous tests are gone
+    await waitFor(() => proxy.clients.size === 1);
+
+    const invalid = once(proxy.receiver, 'invalid');
+    await sendDatagrams(port, [buildEntityStatePdu(), Buffer.alloc(4)]);
+    await Promise.all([invalid, waitFor(() => messages.length > 0)]);
+
+    const response = await fetch(`http://127.0.0.1:${proxy.ws.address().port}/metrics`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+
+    const metrics = await response.text();
+    assert.match(metrics, /^dis_pdus_total\{input="127\.0\.0\.1:\d+",version="6",type="1",name="Entity State"\} \d+$/m);
+    assert.match(metrics, /^dis_invalid_datagrams_total\{input="127\.0\.0\.1:\d+",reason="tooShort"\} 1$/m);
+    assert.match(metrics, /^dis_ws_clients 1$/m);
+    assert.match(metrics, /^dis_ws_client_messages_sent_total\{client="127\.0\.0\.1:\d+",path="\/",format="binary"\} 1$/m);
+
+    assert.equal((await fetch(`http://127.0.0.1:${proxy.ws.address().port}/other`)).status, 404);
+  });
+
+  it('serves the live entities in GeoJSON', async () => {
+    await sendDatagrams(port, [buildEntityStatePdu()]);
+    await waitFor(() => proxy.receiver.entityRegistry.size > 0);
+
+    const response = await fetch(`http://127.0.0.1:${proxy.ws.address().port}/entities.geojson`, { headers: { Origin: 'http://localhost:8080' } });
+    assert.equal(response.status, 200);
+    // no credentials are required, any page may read them
+    assert.equal(response.headers.get('access-control-allow-origin'), '*');
+
+    const { features: [feature] } = await response.json();
+    assert.equal(feature.id, '1:2:3');
+    assert.equal(feature.properties.marking.trim(), 'ALPHA1');
+    assert.ok(Math.abs(feature.geometry.coordinates[1] - 43.1) < 1e-6);
+  });
+
+  it('adds the datagram in hex to the json messages asking for it', async (t) => {
+    const { client, messages } = await connect('?format=json&raw=true');
+    t.after(() => client.close());
+
+    const pdu = buildEntityStatePdu();
+    await sendDatagrams(port, [pdu]);
+
+    const [decoded] = await waitFor(() => messages.length > 0 && messages);
+    assert.equal(decoded.raw, pdu.toString('hex'));
+    assert.deepEqual(decoded.entityID, ENTITY.entityID);
+  });
+
+  it('does not serve the viewer unless enabled', async () => {
+    assert.equal((await fetch(`http://127.0.0.1:${proxy.ws.address().port}/viewer`)).status, 404);
+  });
+});
+
+describe('DISWSProxy inputs', () => {
+  it('routes each input to its own path', async (t) => {
+    const [airPort, landPort] = [await freePort(), await freePort()];
+
+    t.mock.method(console, 'log', () => {});
+
+    const proxy = new DISWSProxy({
+      inputs: [
+        { name: 'air', disAddress: '127.0.0.1', disPort: airPort, wsPath: '/air' },
+        { name: 'land', disAddress: '127.0.0.1', disPort: landPort }
+      ],
+      wsHost: '127.0.0.1',
+      wsPort: 0
+    });
+
+    let bound = 0;
+    const listening = new Promise((resolve) => proxy.receiver.on('listening', () => ++bound === 2 && resolve()));
+    proxy.start();
+    t.after(() => proxy.stop());
+    await Promise.all([listening, once(proxy.ws, 'listening')]);
+
+    const base = `ws://127.0.0.1:${proxy.ws.address().port}`;
+    const connect = async (path) => {
+      const client = new WebSocket(`${base}${path}?format=json`);
+      const messages = [];
+      client.on('message', (data) => messages.push(JSON.parse(data.toString())));
+      await once(client, 'open');
+      t.after(() => client.close());
+      return messages;
+    };
+
+    const all = await connect('/');
+    const air = await connect('/air');
+
+    await sendDatagrams(landPort, [buildEntityStatePdu({ marking: 'LAND' })]);
+    await sendDatagrams(airPort, [buildEntityStatePdu({ marking: 'AIR' })]);
+
+    await waitFor(() => all.length === 2);
+    assert.deepEqual(all.map(message => message.input).sort(), ['air', 'land']);
+
+    await waitFor(() => air.length === 1);
+    assert.equal(air[0].marking.trim(), 'AIR');
+
+    // the other paths are refused
+    const refused = new WebSocket(`${base}/sea`);
+    const [, response] = await once(refused, 'unexpected-response');
+    assert.equal(response.statusCode, 404);
+  });
+});
+
+describe('DISWSProxy security', () => {
+  /** @type {DISWSProxy} */
+  let proxy;
+  let base;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+
+    proxy = new DISWSProxy({
+      disAddress: '127.0.0.1',
+      disPort: await freePort(),
+      wsHost: '127.0.0.1',
+      wsPort: 0,
+      authTokens: ['reader-token'],
+      authUsers: ['operator:pa55word'],
+      allowOrigins: ['https://c2.example.org'],
+      allowClients: ['127.0.0.0/8'],
+      maxClients: 2
+    });
+
+    const listening = once(proxy.receiver, 'listening');
+    proxy.start();
+    await Promise.all([listening, once(proxy.ws, 'listening')]);
+
+    base = `ws://127.0.0.1:${proxy.ws.address().port}/`;
+  });
+
+  after(() => {
+    proxy.stop();
+    mock.restoreAll();
+  });
+
+  /**
+   * @returns {Promise<number>} The HTTP status of the refused handshake
+   */
+  async function refusal(url, options) {
+    const client = new WebSocket(url, options);
+    const [, response] = await once(client, 'unexpected-response');
+    client.terminate();
+    return response.statusCode;
+  }
+
+  it('refuses the clients without credentials', async () => {
+    assert.equal(await refusal(base), 401);
+    assert.equal(await refusal(`${base}?access_token=wrong`), 401);
+    assert.equal(await refusal(base, { headers: { Authorization: `Basic ${Buffer.from('operator:wrong').toString('base64')}` } }), 401);
+  });
+
+  it('accepts a token or a user', async (t) => {
+    const withToken = new WebSocket(`${base}?access_token=reader-token`);
+    const withUser = new WebSocket(base, { headers: { Authorization: `Basic ${Buffer.from('operator:pa55word').toString('base64')}` } });
+    t.after(() => [withToken, withUser].forEach(client => client.close()));
+
+    await Promise.all([once(withToken, 'open'), once(withUser, 'open')]);
+  });
+
+  it('refuses the other origins', async (t) => {
+    assert.equal(await refusal(`${base}?access_token=reader-token`, { origin: 'https://evil.example.com' }), 403);
+
+    const client = new WebSocket(`${base}?access_token=reader-token`, { origin: 'https://C2.example.org' });
+    t.after(() => client.close());
+    await once(client, 'open');
+  });
+
+  it('refuses the clients above the limit', async (t) => {
+    await waitFor(() => proxy.clients.size === 0);
+
+    const clients = [new WebSocket(`${base}?access_token=reader-token`), new WebSocket(`${base}?access_token=reader-token`)];
+    t.after(() => clients.forEach(client => client.close()));
+    await Promise.all(clients.map(client => once(client, 'open')));
+
+    assert.equal(await refusal(`${base}?access_token=reader-token`), 503);
+
+    const metrics = await (await fetch(`http://127.0.0.1:${proxy.ws.address().port}/metrics`, { headers: { Authorization: 'Bearer reader-token' } })).text();
+    assert.match(metrics, /^dis_ws_refused_connections_total\{reason="limit"\} 1$/m);
+  });
+
+  it('serves the metrics to the authenticated clients only', async () => {
+    const url = `http://127.0.0.1:${proxy.ws.address().port}/metrics`;
+
+    assert.equal((await fetch(url)).status, 401);
+    assert.equal((await fetch(url, { headers: { Authorization: 'Bearer reader-token' } })).status, 200);
+
+    proxy.config.metricsPublic = true;
+    try {
+      assert.equal((await fetch(url)).status, 200);
+    } finally {
+      proxy.config.metricsPublic = false;
+    }
+  });
+
+  it('serves the live entities to the authenticated clients only', async () => {
+    const url = `http://127.0.0.1:${proxy.ws.address().port}/entities.geojson`;
+
+    assert.equal((await fetch(url)).status, 401);
+    assert.equal((await fetch(`${url}?access_token=reader-token`, { headers: { Origin: 'https://evil.example.com' } })).status, 403);
+
+    const response = await fetch(url, { headers: { Authorization: 'Bearer reader-token' } });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/geo+json');
+    assert.equal(response.headers.get('access-control-allow-origin'), null);
+    assert.deepEqual(await response.json(), { type: 'FeatureCollection', features: [] });
+
+    const allowed = await fetch(`${url}?access_token=reader-token`, { headers: { Origin: 'https://c2.example.org' } });
+    assert.equal(allowed.status, 200);
+    assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://c2.example.org');
+    assert.equal(allowed.headers.get('vary'), 'Origin');
+  });
+});
+
+describe('DISWSProxy slow clients', () => {
+  /** @type {DISWSProxy} */
+  let proxy;
+  let port;
+  let base;
+
+  before(async () => {
+    port = await freePort();
+
+    mock.method(console, 'log', () => {});
+
+    proxy = new DISWSProxy({
+      disAddress: '127.0.0.1',
+      disPort: port,
+      wsHost: '127.0.0.1',
+      wsPort: 0,
+      queueLimit: 2,
+      maxBufferedBytes: 1000,
+      pingInterval: 0
+    });
+
+    const listening = once(proxy.receiver, 'listening');
+    proxy.start();
+    await Promise.all([listening, once(proxy.ws, 'listening')]);
+
+    base = `ws://127.0.0.1:${proxy.ws.address().port}/`;
+  });
+
+  after(() => {
+    proxy.stop();
+    mock.restoreAll();
+  });
+
+  /**
+   * A client whose socket is full, until bufferedAmount is lowered
+   */
+  function slowClient(queuePolicy) {
+    const sent = [];
+    const client = { readyState: WebSocket.OPEN, bufferedAmount: 5000, send: (message) => sent.push(message) };
+    const state = {
+      address: '127.0.0.1:1', sent: 0, queuePolicy, queue: new Map(), queued: 0,
+      dropped: { queue: 0, superseded: 0, rate: 0 }
+    };
+    return { client, state, sent };
+  }
+
+  it('drops the oldest queued messages above the limit', () => {
+    const { client, state, sent } = slowClient('drop-oldest');
+
+    for (const message of ['a', 'b', 'c']) {
+      proxy.sendToClient(client, state, message, '1:1:1');
+    }
+    assert.deepEqual([...state.queue.values()], ['b', 'c']);
+    assert.equal(state.dropped.queue, 1);
+
+    client.bufferedAmount = 0;
+    proxy.flushQueue(client, state);
+    assert.deepEqual(sent, ['b', 'c']);
+    assert.equal(state.queue.size, 0);
+  });
+
+  it('only queues the latest state of each entity', () => {
+    const { client, state, sent } = slowClient('latest');
+
+    proxy.sendToClient(client, state, 'alpha 1', '1:1:1');
+    proxy.sendToClient(client, state, 'bravo 1', '1:1:2');
+    proxy.sendToClient(client, state, 'alpha 2', '1:1:1');
+    assert.equal(state.dropped.superseded, 1);
+    assert.equal(state.dropped.queue, 0);
+
+    client.bufferedAmount = 0;
+    proxy.flushQueue(client, state);
+    assert.deepEqual(sent, ['alpha 2', 'bravo 1']);
+  });
+
+  it('caps the updates per entity asked by the client', async (t) => {
+    const client = new WebSocket(`${base}?format=json&rate=1`);
+    const messages = [];
+    client.on('message', (data) => messages.push(JSON.parse(data.toString())));
+    t.after(() => client.close());
+    await once(client, 'open');
+
+    await sendDatagrams(port, [buildEntityStatePdu(), buildEntityStatePdu(), buildEntityStatePdu({ entityID: { site: 9, application: 9, entity: 9 } })]);
+    await waitFor(() => proxy.messagesDropped.rate === 1 && messages.length === 2);
+    assert.deepEqual(messages.map(message => message.entityID.entity), [ENTITY.entityID.entity, 9]);
+
+    const metrics = await (await fetch(`http://127.0.0.1:${proxy.ws.address().port}/metrics`)).text();
+    assert.match(metrics, /^dis_ws_messages_dropped_total\{reason="rate"\} 1$/m);
+  });
+
+  it('closes the connection of an unknown queue policy', async () => {
+    const client = new WebSocket(`${base}?policy=newest`);
+    const [code] = await once(client, 'close');
+    assert.equal(code, 1008);
+  });
+
+  it('stays up after a policy or a rate too long for a close reason', async (t) => {
+    for (const query of [`?policy=${'x'.repeat(200)}`, `?rate=-${'1'.repeat(200)}`]) {
+      const refused = new WebSocket(base + query);
+      const [code, reason] = await once(refused, 'close');
+      assert.equal(code, 1008);
+      assert.ok(Buffer.byteLength(reason) <= 123);
+    }
+
+    const client = new WebSocket(base);
+    t.after(() => client.close());
+    await once(client, 'open');
+  });
+
+  it('closes the clients which did not answer the ping', async () => {
+    const client = new WebSocket(base);
+    await once(client, 'open');
+    await waitFor(() => proxy.clients.size === 1);
+
+    // as if the previous ping got no pong
+    const state = [...proxy.clients.values()][0];
+    state.alive = false;
+    proxy.pingClients();
+
+    await once(client, 'close');
+    assert.equal(proxy.deadClients, 1);
+  });
+});
+
+describe('DISWSProxy snapshot', () => {
+  /** @type {DISWSProxy} */
+  let proxy;
+  let port;
+  let base;
+
+  before(async () => {
+    port = await freePort();
+
+    mock.method(console, 'log', () => {});
+
+    proxy = new DISWSProxy({
+      disAddress: '127.0.0.1',
+      disPort: port,
+      wsHost: '127.0.0.1',
+      wsPort: 0,
+      entityTimeout: 300,
+      pingInterval: 0
+    });
+
+    const listening = once(proxy.receiver, 'listening');
+    proxy.start();
+    await Promise.all([listening, once(proxy.ws, 'listening')]);
+
+    base = `ws://127.0.0.1:${proxy.ws.address().port}/`;
+  });
+
+  after(() => {
+    proxy.stop();
+    mock.restoreAll();
+  });
+
+  async function connect(query) {
+    const client = new WebSocket(base + query);
+    const messages = [];
+    client.on('message', (data, isBinary) => messages.push(isBinary ? data : JSON.parse(data.toString())));
+    await once(client, 'open');
+    return { client, messages };
+  }
+
+  it('sends the latest state of the live entities to a new client', async (t) => {
+    await sendDatagrams(port, [
+      buildEntityStatePdu({ marking: 'OLD' }),
+      buildEntityStatePdu({ marking: 'NEW' }),
+      buildEntityStatePdu({ entityID: { site: 9, application: 9, entity: 9 }, marking: 'OTHER' })
+    ]);
+    await waitFor(() => proxy.snapshot.size === 2);
+
+    const json = await connect('?format=json');
+    const binary = await connect('');
+    t.after(() => [json.client, binary.client].forEach(client => client.close()));
+
+    await waitFor(() => json.messages.length === 2 && binary.messages.length === 2);
+    assert.deepEqual(json.messages.map(message => message.marking.trim()), ['NEW', 'OTHER']);
+    assert.ok(binary.messages.every(message => Buffer.isBuffer(message)));
+  });
+
+  it('skips the snapshot asked by the client', async (t) => {
+    await sendDatagrams(port, [buildEntityStatePdu()]);
+    await waitFor(() => proxy.snapshot.size > 0);
+
+    const { client, messages } = await connect('?format=json&snapshot=false');
+    t.after(() => client.close());
+
+    await sendDatagrams(port, [buildFirePdu(), buildEntityStatePdu({ marking: 'LIVE' })]);
+    await waitFor(() => messages.length > 0);
+    assert.deepEqual(messages.map(message => message.marking.trim()), ['LIVE']);
+  });
+
+  it('removes the entities after the timeout', async () => {
+    await sendDatagrams(port, [buildEntityStatePdu()]);
+    await waitFor(() => proxy.snapshot.size > 0);
+
+    // checked every second
+    await waitFor(() => proxy.snapshot.size === 0, 3000);
+
+    const { client, messages } = await connect('?format=json');
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    client.close();
+    assert.equal(messages.length, 0);
+  });
+});
+
+describe('DISWSProxy viewer', () => {
+  /** @type {DISWSProxy} */
+  let proxy;
+  let base;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+
+    proxy = new DISWSProxy({
+      disAddress: '127.0.0.1',
+      disPort: await freePort(),
+      wsHost: '127.0.0.1',
+      wsPort: 0,
+      authTokens: ['s3cret'],
+      allowOrigins: ['https://c2.example.org'],
+      viewer: true
+    });
+
+    const listening = once(proxy.receiver, 'listening');
+    proxy.start();
+    await Promise.all([listening, once(proxy.ws, 'listening')]);
+
+    base = `127.0.0.1:${proxy.ws.address().port}`;
+  });
+
+  after(() => {
+    proxy.stop();
+    mock.restoreAll();
+  });
+
+  it('serves the page to the authenticated clients', async () => {
+    assert.equal((await fetch(`http://${base}/viewer`)).status, 401);
+
+    const response = await fetch(`http://${base}/viewer?access_token=s3cret`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/html/);
+    assert.match(await response.text(), /"paths":\["\/"\]/);
+  });
+
+  it('sends a Content-Security-Policy with the page', async () => {
+    const response = await fetch(`http://${base}/viewer`, { headers: { Authorization: 'Bearer s3cret' } });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-security-policy'), viewerContentSecurityPolicy(`ws://${base}`));
+    assert.match(response.headers.get('content-security-policy'), /^default-src 'none';/);
+  });
+
+  it('accepts the WebSocket of the page on the origin of the proxy', async (t) => {
+    const client = new WebSocket(`ws://${base}/?format=json&raw=true&access_token=s3cret`, { origin: `http://${base}` });
+    t.after(() => client.close());
+    await once(client, 'open');
+
+    const refused = new WebSocket(`ws://${base}/?access_token=s3cret`, { origin: 'http://other.example.org' });
+    const [, response] = await once(refused, 'unexpected-response');
+    assert.equal(response.statusCode, 403);
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EntityRegistry } from '../lib/entity-registry.js';
+
+const id = { site: 1, application: 2, entity: 3 };
+
+describe('EntityRegistry', () => {
+  it('adds then updates an entity', () => {
+    const registry = new EntityRegistry();
+    const events = [];
+    registry.on('added', (entity) => events.push(['added', entity.key]));
+    registry.on('updated', (entity) => events.push(['updated', entity.key]));
+
+    registry.update(id, { marking: 'A' }, 0);
+    const entity = registry.update(id, { marking: 'B' }, 5000);
+
+    assert.deepEqual(events, [['added', '1:2:3'], ['updated', '1:2:3'], ['updated', '1:2:3']]);
+    assert.equal(entity.updateCount, 2);
+    assert.equal(entity.firstSeen, 0);
+    assert.equal(entity.lastSeen, 5000);
+    assert.equal(entity.state.marking, 'B');
+    assert.equal(registry.size, 1);
+  });
+
+  it('removes the entities without update for the timeout', () => {
+    const registry = new EntityRegistry({ timeout: 12000 });
+    const removed = [];
+    registry.on('removed', (entity, reason) => removed.push([entity.key, reason]));
+
+    registry.update(id, {}, 0);
+    registry.expire(12000);
+    assert.equal(registry.size, 1);
+
+    registry.expire(12001);
+    assert.deepEqual(removed, [['1:2:3', 'timeout']]);
+    assert.equal(registry.get('1:2:3'), undefined);
+  });
+});
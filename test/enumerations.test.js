@@ -0,0 +1,96 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Enumerations, readEnumerationFile, validateEnumerations } from '../lib/enumerations.js';
+
+const M1A2 = { kind: 1, domain: 1, country: 225, category: 1, subcategory: 1, spec: 4, extra: 0 };
+
+describe('Enumerations', () => {
+  it('names the entity types from the bundled tables', () => {
+    const enumerations = new Enumerations();
+
+    assert.deepEqual(enumerations.describeEntityType(M1A2), {
+      kind: 'Platform',
+      domain: 'Land',
+      country: 'United States',
+      category: 'Tank',
+      name: 'M1A2'
+    });
+    // the subcategory name without a specific one
+    assert.equal(enumerations.entityTypeName({ ...M1A2, spec: 9 }), 'M1 Abrams');
+    // the category without a known subcategory
+    assert.equal(enumerations.entityTypeName({ ...M1A2, subcategory: 7 }), 'Tank');
+    assert.equal(enumerations.entityTypeName({ ...M1A2, category: 200 }), undefined);
+  });
+
+  it('names the munition domains and categories', () => {
+    const enumerations = new Enumerations();
+
+    assert.deepEqual(enumerations.describeEntityType({ kind: 2, domain: 2, country: 78, category: 2, subcategory: 1, spec: 0, extra: 0 }), {
+      kind: 'Munition',
+      domain: 'Anti-armor',
+      country: 'Germany',
+      category: 'Ballistic'
+    });
+  });
+
+  it('names the force IDs and the articulated parts', () => {
+    const enumerations = new Enumerations();
+
+    assert.equal(enumerations.forceName(2), 'Opposing');
+    assert.equal(enumerations.forceName(200), undefined);
+    assert.equal(enumerations.articulatedPartName(4096 + 11), 'Primary turret number 1 Azimuth');
+    assert.equal(enumerations.articulatedPartName(4416), 'Primary gun number 1');
+    assert.equal(enumerations.articulatedPartName(1), undefined);
+  });
+
+  it('extends and overrides the bundled tables, the last tables win', () => {
+    const enumerations = new Enumerations([
+      { entityTypes: { '1:2:999:1:1': 'Exercise fighter' }, categories: { '1:1': { 1: 'Main battle tank' } } },
+      { countries: { 999: 'Exercise country', 225: 'USA' } }
+    ]);
+
+    assert.deepEqual(enumerations.describeEntityType({ kind: 1, domain: 2, country: 999, category: 1, subcategory: 1, spec: 2, extra: 0 }), {
+      kind: 'Platform',
+      domain: 'Air',
+      country: 'Exercise country',
+      category: 'Fighter/Air defense',
+      name: 'Exercise fighter'
+    });
+    assert.equal(enumerations.countryName(225), 'USA');
+    assert.equal(enumerations.categoryName(1, 1, 1), 'Main battle tank');
+    // the rest of the table is kept
+    assert.equal(enumerations.categoryName(1, 1, 2), 'Armored fighting vehicle');
+    assert.equal(enumerations.countryName(71), 'France');
+
+    // the bundled tables are left untouched
+    assert.equal(new Enumerations().countryName(225), 'United States');
+  });
+
+  describe('files', () => {
+    const directory = mkdtempSync(join(tmpdir(), 'dis-enumerations-'));
+    after(() => rmSync(directory, { recursive: true, force: true }));
+
+    const file = (name, content) => {
+      const path = join(directory, name);
+      writeFileSync(path, content);
+      return path;
+    };
+
+    it('reads JSON and YAML files', () => {
+      assert.deepEqual(readEnumerationFile(file('custom.yaml', 'entityTypes:\n  1:1:999:1:1: Exercise tank\n')), { entityTypes: { '1:1:999:1:1': 'Exercise tank' } });
+      assert.deepEqual(readEnumerationFile(file('custom.json', '{ "forceIds": { "10": "Exercise force" } }')), { forceIds: { 10: 'Exercise force' } });
+      assert.deepEqual(readEnumerationFile(file('empty.yaml', '')), {});
+    });
+
+    it('rejects the invalid files', () => {
+      assert.throws(() => readEnumerationFile(join(directory, 'missing.yaml')), /Can't read the enumeration file/);
+      assert.throws(() => readEnumerationFile(file('broken.json', '{ countries: ')), /Invalid enumeration file/);
+      assert.equal(validateEnumerations([]), 'expected an object of tables');
+      assert.equal(validateEnumerations({ countries: { 999: 1 } }), 'countries.999 must be a name');
+      assert.equal(validateEnumerations({ categories: { '1:1': 'Tank' } }), 'categories.1:1 must be an object of names');
+    });
+  });
+});
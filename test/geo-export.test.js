@@ -0,0 +1,148 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  TrackRecorder,
+  exportFormatOf,
+  formatPositionsGeoJSON,
+  formatTracksCZML,
+  formatTracksGeoJSON,
+  formatTracksKML,
+  orientationQuaternion,
+  writeTracks
+} from '../lib/geo-export.js';
+
+/**
+ * A decoded Entity State PDU, as emitted by DISReceiver
+ */
+const record = (seconds, longitude, overrides = {}) => ({
+  timestamp: new Date(Date.UTC(2026, 9, 19, 10) + seconds * 1000).toISOString(),
+  entityID: { site: 1, application: 2, entity: 3 },
+  forceId: 1,
+  forceName: 'Friendly',
+  entityType: { kind: 1, domain: 1, country: 225, category: 1, subcategory: 1, spec: 3, extra: 0 },
+  entityTypeName: 'M1A2',
+  marking: 'ALPHA1',
+  location: { latitude: 43.1, longitude, altitude: 100 },
+  orientation: { heading: 90, pitch: 0, roll: 0 },
+  ...overrides
+});
+
+/**
+ * Rotates a vector by a unit quaternion [x, y, z, w]
+ */
+function rotate([x, y, z, w], [vx, vy, vz]) {
+  const tx = 2 * (y * vz - z * vy), ty = 2 * (z * vx - x * vz), tz = 2 * (x * vy - y * vx);
+  return [vx + w * tx + y * tz - z * ty, vy + w * ty + z * tx - x * tz, vz + w * tz + x * ty - y * tx];
+}
+
+const assertVector = (actual, expected) => actual.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < 1e-9, `${actual} != ${expected}`));
+
+describe('TrackRecorder', () => {
+  it('keeps one point per interval, and the latest position', () => {
+    const recorder = new TrackRecorder({ minInterval: 1000 });
+
+    recorder.add(record(0, 5.90));
+    recorder.add(record(1, 5.91));
+    recorder.add(record(1.5, 5.915));
+    // within the interval of the previous point, replaces the last one
+    recorder.add(record(1.8, 5.918, { marking: 'ALPHA2' }));
+
+    const [track] = recorder.list();
+    assert.equal(recorder.size, 1);
+    assert.equal(track.key, '1:2:3');
+    assert.equal(track.marking, 'ALPHA2');
+    assert.deepEqual(track.points.map(point => point.longitude), [5.90, 5.91, 5.918]);
+    assert.equal(track.points[1].heading, 90);
+  });
+});
+
+describe('Track exports', () => {
+  const recorder = new TrackRecorder();
+  recorder.add(record(0, 5.90));
+  recorder.add(record(10, 5.91));
+  recorder.add(record(5, 6.5, { entityID: { site: 1, application: 2, entity: 4 }, forceId: 2, forceName: 'Opposing', marking: 'R&D <1>' }));
+  const tracks = recorder.list();
+
+  it('writes a LineString per track, a Point for a single position', () => {
+    const collection = formatTracksGeoJSON(tracks);
+
+    assert.equal(collection.type, 'FeatureCollection');
+    const [line, point] = collection.features;
+    assert.deepEqual(line.geometry, { type: 'LineString', coordinates: [[5.90, 43.1, 100], [5.91, 43.1, 100]] });
+    assert.deepEqual(line.properties.coordTimes, ['2026-10-19T10:00:00.000Z', '2026-10-19T10:00:10.000Z']);
+    assert.equal(line.properties.entityTypeName, 'M1A2');
+    assert.equal(point.geometry.type, 'Point');
+    assert.equal(point.id, '1:2:4');
+  });
+
+  it('writes a time-tagged gx:Track per entity in KML', () => {
+    const kml = formatTracksKML(tracks, 'Exercise');
+
+    assert.match(kml, /<name>Exercise<\/name>/);
+    assert.match(kml, /<Placemark id="entity-1-2-3">/);
+    assert.match(kml, /<when>2026-10-19T10:00:10.000Z<\/when>/);
+    assert.match(kml, /<gx:coord>5.91 43.1 100<\/gx:coord>/);
+    assert.match(kml, /<gx:angles>90 0 0<\/gx:angles>/);
+    // escaped marking, color of the opposing force in aabbggrr
+    assert.match(kml, /<name>R&amp;D &lt;1&gt;<\/name>/);
+    assert.match(kml, /<Style id="force-2">\n {6}<IconStyle><color>ff3333ff<\/color>/);
+  });
+
+  it('writes the clock, positions and orientations in CZML', () => {
+    const [document, packet] = formatTracksCZML(tracks);
+
+    assert.equal(document.id, 'document');
+    assert.equal(document.clock.interval, '2026-10-19T10:00:00.000Z/2026-10-19T10:00:10.000Z');
+    assert.equal(packet.id, '1:2:3');
+    assert.equal(packet.availability, '2026-10-19T10:00:00.000Z/2026-10-19T10:00:10.000Z');
+    assert.deepEqual(packet.position.cartographicDegrees, [0, 5.90, 43.1, 100, 10, 5.91, 43.1, 100]);
+    assert.equal(packet.orientation.unitQuaternion.length, 10);
+  });
+
+  it('picks the format from the extension', async (t) => {
+    const directory = await mkdtemp(join(tmpdir(), 'dis-listener-'));
+    t.after(() => rm(directory, { recursive: true, force: true }));
+
+    assert.equal(exportFormatOf('exercise.GeoJSON'), 'geojson');
+    assert.equal(exportFormatOf('exercise.txt'), undefined);
+
+    await writeTracks(join(directory, 'exercise.czml'), tracks);
+    assert.equal(JSON.parse(await readFile(join(directory, 'exercise.czml'), 'utf8')).length, 3);
+    await assert.rejects(writeTracks(join(directory, 'exercise.txt'), tracks), /Unknown export format/);
+  });
+});
+
+describe('orientationQuaternion', () => {
+  it('turns the model axes to the heading, pitch and roll', () => {
+    // at 0°N 0°E, east is y and up is x in Earth-fixed coordinates
+    const east = orientationQuaternion({ latitude: 0, longitude: 0, heading: 90, pitch: 0, roll: 0 });
+    assertVector(rotate(east, [1, 0, 0]), [0, 1, 0]);
+    assertVector(rotate(east, [0, 0, 1]), [1, 0, 0]);
+
+    // right wing down, the left wing points up
+    const rolled = orientationQuaternion({ latitude: 0, longitude: 0, heading: 0, pitch: 0, roll: 90 });
+    assertVector(rotate(rolled, [0, 1, 0]), [1, 0, 0]);
+
+    // climbing to the north at 45°N 90°E
+    const climbing = orientationQuaternion({ latitude: 45, longitude: 90, heading: 0, pitch: 30, roll: 0 });
+    const [north, up] = [[0, -Math.SQRT1_2, Math.SQRT1_2], [0, Math.SQRT1_2, Math.SQRT1_2]];
+    assertVector(rotate(climbing, [1, 0, 0]), north.map((n, i) => n * Math.cos(Math.PI / 6) + up[i] * Math.sin(Math.PI / 6)));
+  });
+});
+
+describe('formatPositionsGeoJSON', () => {
+  it('writes a Point per live entity', () => {
+    const state = record(0, 5.9, { linearVelocity: { x: 3, y: 4, z: 0 }, input: 'air' });
+    const [feature] = formatPositionsGeoJSON([{ key: '1:2:3', state, lastSeen: Date.parse(state.timestamp) }]).features;
+
+    assert.deepEqual(feature.geometry, { type: 'Point', coordinates: [5.9, 43.1, 100] });
+    assert.equal(feature.properties.marking, 'ALPHA1');
+    assert.equal(feature.properties.heading, 90);
+    assert.equal(feature.properties.speed, 5);
+    assert.equal(feature.properties.input, 'air');
+    assert.equal(feature.properties.lastSeen, '2026-10-19T10:00:00.000Z');
+  });
+});
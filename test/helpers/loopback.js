@@ -0,0 +1,57 @@
+import dgram from 'node:dgram';
+import { isIPv6 } from 'node:net';
+import { setTimeout as sleep } from 'node:timers/promises';
+
+/**
+ * Sends datagrams to a local port, one after the other
+ * @param {number} port
+ * @param {Buffer[]} datagrams
+ * @param {string} [address]
+ */
+export async function sendDatagrams(port, datagrams, address = '127.0.0.1') {
+  const socket = dgram.createSocket(isIPv6(address) ? 'udp6' : 'udp4');
+
+  try {
+    for (const datagram of datagrams) {
+      await new Promise((resolve, reject) => {
+        socket.send(datagram, port, address, (err) => err ? reject(err) : resolve());
+      });
+    }
+  } finally {
+    socket.close();
+  }
+}
+
+/**
+ * A free UDP port of the loopback interface
+ * @returns {Promise<number>}
+ */
+export async function freePort() {
+  const socket = dgram.createSocket('udp4');
+  await new Promise((resolve) => socket.bind(0, '127.0.0.1', resolve));
+  const { port } = socket.address();
+  await new Promise((resolve) => socket.close(resolve));
+  return port;
+}
+
+/**
+ * Polls a condition until it is true
+ * @param {() => any} condition
+ * @param {number} [timeout] - ms
+ * @returns {Promise<any>} The first truthy value of the condition
+ * @throws {Error} if the condition is still false after the timeout
+ */
+export async function waitFor(condition, timeout = 2000) {
+  const start = Date.now();
+
+  for (;;) {
+    const value = condition();
+    if (value) {
+      return value;
+    }
+    if (Date.now() - start > timeout) {
+      throw new Error(`condition not met after ${timeout} ms`);
+    }
+    await sleep(10);
+  }
+}
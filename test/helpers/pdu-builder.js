@@ -0,0 +1,99 @@
+/**
+ * Synthetic DIS6 datagrams for the tests: valid Entity State PDUs and the
+ * broken packets a receiver has to survive.
+ */
+
+import { encodeEntityStatePdu, encodeFirePdu } from '../../lib/pdu-encoder.js';
+
+/** Entity of the default Entity State PDU */
+export const ENTITY = {
+  entityID: { site: 1, application: 2, entity: 3 },
+  forceId: 1,
+  entityType: { kind: 1, domain: 1, country: 225, category: 1, subcategory: 2, spec: 3, extra: 0 },
+  marking: 'ALPHA1',
+  location: { latitude: 43.1, longitude: 5.9, altitude: 100 },
+  orientation: { heading: 90, pitch: 0, roll: 0 },
+  linearVelocity: { x: 0, y: 0, z: 0 },
+  deadReckoning: { algorithm: 2 }
+};
+
+/** Articulation parameters of the default Entity State PDU: a turret azimuth and an attached entity */
+export const ARTICULATION_PARAMETERS = [
+  { parameterTypeDesignator: 0, partAttachedTo: 0, parameterType: 4096 + 11, parameterValue: '3ff0000000000000' },
+  { parameterTypeDesignator: 1, partAttachedTo: 0, parameterType: 1, parameterValue: '0001000200040000' }
+];
+
+/**
+ * A valid DIS6 Entity State PDU with articulation parameters
+ * @param {Object} [overrides] - Fields replacing the default entity
+ */
+export function buildEntityStatePdu(overrides = {}) {
+  return encodeEntityStatePdu({
+    protocolVersion: 6,
+    exerciseID: 1,
+    ...ENTITY,
+    articulationParameters: ARTICULATION_PARAMETERS,
+    ...overrides
+  });
+}
+
+/**
+ * A valid DIS6 Fire PDU fired by the default entity
+ * @param {Object} [overrides]
+ */
+export function buildFirePdu(overrides = {}) {
+  return encodeFirePdu({
+    protocolVersion: 6,
+    exerciseID: 1,
+    firingEntityID: ENTITY.entityID,
+    targetEntityID: { site: 1, application: 2, entity: 4 },
+    munitionID: { site: 1, application: 2, entity: 5 },
+    eventID: { site: 1, application: 2, eventNumber: 7 },
+    location: ENTITY.location,
+    burstDescriptor: { munition: { kind: 2, domain: 1, country: 225, category: 2 }, quantity: 1 },
+    ...overrides
+  });
+}
+
+/**
+ * The first bytes of a PDU, the header still announces the full length
+ * @param {Buffer} pdu
+ * @param {number} length
+ */
+export function truncate(pdu, length) {
+  return Buffer.from(pdu.subarray(0, length));
+}
+
+/**
+ * A PDU announcing more articulation parameters than it holds
+ * @param {Buffer} pdu - An Entity State PDU
+ */
+export function malformArticulationCount(pdu) {
+  const copy = Buffer.from(pdu);
+  copy.writeUInt8(copy.readUInt8(19) + 4, 19);
+  return copy;
+}
+
+/**
+ * A PDU with another protocol version
+ * @param {Buffer} pdu
+ * @param {number} version
+ */
+export function withVersion(pdu, version) {
+  const copy = Buffer.from(pdu);
+  copy.writeUInt8(version, 0);
+  return copy;
+}
+
+/**
+ * A PDU of an unknown type, header only
+ */
+export function buildUnknownTypePdu() {
+  const pdu = Buffer.alloc(12);
+  pdu.writeUInt8(6, 0);
+  pdu.writeUInt8(1, 1);
+  pdu.writeUInt8(200, 2);
+  pdu.writeUInt8(0, 3);
+  pdu.writeUInt16BE(pdu.length, 8);
+  return pdu;
+}
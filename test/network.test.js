@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  bindAddress,
+  createSenderFilter,
+  findInterface,
+  formatEndpoint,
+  isMulticastAddress,
+  multicastInterface
+} from '../lib/network.js';
+
+/** A multi-homed host */
+const INTERFACES = {
+  'lo': [
+    { address: '127.0.0.1', family: 'IPv4', internal: true },
+    { address: '::1', family: 'IPv6', internal: true, scopeid: 0 }
+  ],
+  'Wi-Fi': [
+    { address: 'fe80::1', family: 'IPv6', internal: false, scopeid: 12 },
+    { address: '192.168.1.10', family: 'IPv4', internal: false }
+  ],
+  'range0': [
+    { address: '10.1.0.5', family: 'IPv4', internal: false },
+    { address: 'fe80::2', family: 'IPv6', internal: false, scopeid: 3 },
+    { address: 'fd00::5', family: 'IPv6', internal: false, scopeid: 0 }
+  ]
+};
+
+describe('network', () => {
+  it('detects the IPv4 and IPv6 multicast addresses', () => {
+    assert.ok(isMulticastAddress('239.1.2.3'));
+    assert.ok(isMulticastAddress('224.0.0.1'));
+    assert.ok(isMulticastAddress('ff02::1'));
+    assert.ok(isMulticastAddress('ff15::dead'));
+    assert.ok(!isMulticastAddress('192.168.1.255'));
+    assert.ok(!isMulticastAddress('fe80::1'));
+  });
+
+  it('formats the IPv6 endpoints between brackets', () => {
+    assert.equal(formatEndpoint('239.1.2.3', 62040), '239.1.2.3:62040');
+    assert.equal(formatEndpoint('ff15::dead', 62040), '[ff15::dead]:62040');
+  });
+
+  it('finds an interface by name or address', () => {
+    assert.deepEqual(findInterface('range0', 4, INTERFACES), { name: 'range0', address: '10.1.0.5', scopeid: undefined });
+    assert.deepEqual(findInterface('192.168.1.10', 4, INTERFACES), { name: 'Wi-Fi', address: '192.168.1.10', scopeid: undefined });
+    // the global address first
+    assert.deepEqual(findInterface('range0', 6, INTERFACES), { name: 'range0', address: 'fd00::5', scopeid: 0 });
+    // the given address, of the other family
+    assert.deepEqual(findInterface('192.168.1.10', 6, INTERFACES), { name: 'Wi-Fi', address: 'fe80::1', scopeid: 12 });
+  });
+
+  it('rejects the unknown interfaces', () => {
+    assert.throws(() => findInterface('eth0', 4, INTERFACES), /Unknown network interface: eth0, available: lo, Wi-Fi, range0/);
+    assert.throws(() => findInterface('range0', 6, { range0: [INTERFACES.range0[0]] }), /Network interface range0 has no IPv6 address/);
+  });
+
+  it('selects the multicast interface by address in IPv4, by scope in IPv6', () => {
+    const wifi = findInterface('Wi-Fi', 6, INTERFACES);
+
+    assert.equal(multicastInterface(findInterface('Wi-Fi', 4, INTERFACES), 4), '192.168.1.10');
+    assert.equal(multicastInterface(wifi, 6, 'linux'), '::%Wi-Fi');
+    assert.equal(multicastInterface(wifi, 6, 'win32'), '::%12');
+    assert.equal(bindAddress(wifi), 'fe80::1%Wi-Fi');
+    assert.equal(bindAddress(findInterface('range0', 6, INTERFACES)), 'fd00::5');
+  });
+
+  it('filters the senders by subnet', () => {
+    const any = createSenderFilter();
+    assert.ok(any('10.1.0.5'));
+
+    const filter = createSenderFilter(['10.1.0.0/16', 'fd00::/8'], ['10.1.0.66', '10.1.9.0/24']);
+    assert.ok(filter('10.1.0.5'));
+    assert.ok(filter('fd00::5'));
+    // udp6 sockets give the IPv4 senders as mapped addresses
+    assert.ok(filter('::ffff:10.1.0.5'));
+    assert.ok(!filter('192.168.1.10'));
+    assert.ok(!filter('10.1.0.66'));
+    assert.ok(!filter('10.1.9.1'));
+
+    const deny = createSenderFilter([], ['192.168.1.0/24']);
+    assert.ok(deny('10.1.0.5'));
+    assert.ok(!deny('192.168.1.10'));
+
+    assert.throws(() => createSenderFilter(['10.0.0.0/33']));
+  });
+});
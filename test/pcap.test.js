@@ -0,0 +1,229 @@
+import { describe, it, after } from 'node:test';
+import { once } from 'node:events';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { LINKTYPE, MalformedFrameError, PcapWriter, parseFrame, readCapture } from '../lib/pcap.js';
+import { buildEntityStatePdu, buildFirePdu } from './helpers/pdu-builder.js';
+
+/**
+ * An Ethernet frame carrying an IPv4 UDP datagram, without checksums
+ * @param {Buffer} payload
+ */
+function ethernetFrame(payload) {
+  const frame = Buffer.alloc(14 + 20 + 8 + payload.length);
+  frame.writeUInt16BE(0x0800, 12);
+  frame.writeUInt8(0x45, 14);
+  frame.writeUInt8(17, 14 + 9);
+  frame.set([10, 0, 0, 1], 14 + 12);
+  frame.set([239, 1, 2, 3], 14 + 16);
+  frame.writeUInt16BE(3000, 34);
+  frame.writeUInt16BE(62040, 36);
+  frame.writeUInt16BE(8 + payload.length, 38);
+  payload.copy(frame, 42);
+  return frame;
+}
+
+/**
+ * A classic pcap file of Ethernet frames
+ * @param {Buffer[]} frames
+ */
+function ethernetPcap(frames) {
+  const header = Buffer.alloc(24);
+  header.writeUInt32LE(0xa1b2c3d4, 0);
+  header.writeUInt16LE(2, 4);
+  header.writeUInt16LE(4, 6);
+  header.writeUInt32LE(65535, 16);
+  header.writeUInt32LE(LINKTYPE.ETHERNET, 20);
+
+  return Buffer.concat([header, ...frames.flatMap((frame) => {
+    const record = Buffer.alloc(16);
+    record.writeUInt32LE(frame.length, 8);
+    record.writeUInt32LE(frame.length, 12);
+    return [record, frame];
+  })]);
+}
+
+/**
+ * A pcapng block, little endian
+ * @param {number} type
+ * @param {Buffer} body
+ */
+function pcapngBlock(type, body) {
+  const padded = Buffer.concat([body, Buffer.alloc((4 - body.length % 4) % 4)]);
+  const block = Buffer.alloc(12 + padded.length);
+  block.writeUInt32LE(type, 0);
+  block.writeUInt32LE(block.length, 4);
+  padded.copy(block, 8);
+  block.writeUInt32LE(block.length, block.length - 4);
+  return block;
+}
+
+describe('pcap', async () => {
+  const directory = await mkdtemp(join(tmpdir(), 'dis-listener-'));
+  after(() => rm(directory, { recursive: true, force: true }));
+
+  it('reads back the recorded datagrams', async () => {
+    const path = join(directory, 'recording.pcap');
+    const source = { address: '10.0.0.1', port: 3000 };
+    const destination = { address: '239.1.2.3', port: 3000 };
+    const payloads = [buildEntityStatePdu(), buildFirePdu()];
+
+    const writer = new PcapWriter(path);
+    payloads.forEach((payload, i) => writer.write(payload, source, destination, 1700000000123 + i * 1000));
+    await writer.close();
+
+    const datagrams = [];
+    for await (const datagram of readCapture(path)) {
+      datagrams.push(datagram);
+    }
+
+    assert.equal(datagrams.length, 2);
+    assert.deepEqual(datagrams.map(datagram => datagram.payload), payloads);
+    assert.equal(datagrams[0].sourceAddress, '10.0.0.1');
+    assert.equal(datagrams[0].sourcePort, 3000);
+    assert.equal(datagrams[0].destinationAddress, '239.1.2.3');
+    assert.equal(datagrams[0].destinationPort, 3000);
+    assert.equal(datagrams[1].timestamp, 1700000001123);
+  });
+
+  it('reports an unwritable file and skips the next datagrams', async () => {
+    const writer = new PcapWriter(join(directory, 'missing', 'recording.pcap'));
+    const [err] = await once(writer, 'error');
+
+    assert.equal(err.code, 'ENOENT');
+    assert.equal(writer.write(buildEntityStatePdu(), { address: '10.0.0.1', port: 3000 }, { address: '239.1.2.3', port: 3000 }), false);
+    assert.equal(writer.count, 0);
+    await writer.close();
+  });
+
+  it('records the IPv6 datagrams', async () => {
+    const path = join(directory, 'ipv6.pcap');
+    const payload = buildFirePdu();
+
+    const writer = new PcapWriter(path);
+    writer.write(payload, { address: 'fe80::1:2%eth0', port: 3000 }, { address: 'ff15::dead', port: 62040 });
+    // an IPv4 sender on a dual-stack socket
+    writer.write(payload, { address: '10.0.0.1', port: 3000 }, { address: 'ff15::dead', port: 62040 });
+    assert.equal(writer.write(payload, { address: 'unknown', port: 3000 }, { address: 'ff15::dead', port: 62040 }), false);
+    await writer.close();
+
+    const datagrams = [];
+    for await (const datagram of readCapture(path)) {
+      datagrams.push(datagram);
+    }
+
+    assert.equal(writer.count, 2);
+    assert.deepEqual(datagrams.map(datagram => datagram.sourceAddress), ['fe80::1:2', '::ffff:10.0.0.1']);
+    assert.equal(datagrams[0].destinationAddress, 'ff15::dead');
+    assert.equal(datagrams[0].destinationPort, 62040);
+    assert.deepEqual(datagrams[0].payload, payload);
+  });
+
+  it('skips the malformed frames and reads the next ones', async () => {
+    const path = join(directory, 'truncated.pcap');
+    const pdu = buildFirePdu();
+    const vlan = Buffer.concat([ethernetFrame(pdu).subarray(0, 12), Buffer.from([0x81, 0x00, 0x00])]);
+    await writeFile(path, ethernetPcap([Buffer.alloc(10), vlan, ethernetFrame(pdu).subarray(0, 38), ethernetFrame(pdu)]));
+
+    const messages = [];
+    const datagrams = [];
+    for await (const datagram of readCapture(path, { onMalformed: (message) => messages.push(message) })) {
+      datagrams.push(datagram);
+    }
+
+    assert.deepEqual(datagrams.map(datagram => datagram.payload), [pdu]);
+    assert.deepEqual(messages, [
+      'Skipped malformed frame #1: Ethernet header truncated, frame of 10 bytes',
+      'Skipped malformed frame #2: VLAN header truncated, frame of 15 bytes',
+      'Skipped malformed frame #3: UDP header truncated, frame of 38 bytes'
+    ]);
+  });
+
+  it('checks the captured lengths before reading the frames', async () => {
+    const path = join(directory, 'corrupt.pcap');
+    const pdu = buildFirePdu();
+    const file = ethernetPcap([Buffer.alloc(70000), ethernetFrame(pdu), Buffer.alloc(10)]);
+    // the last record claims 4 GB
+    file.writeUInt32LE(0xffffffff, file.length - 10 - 8);
+    await writeFile(path, file);
+
+    const messages = [];
+    const datagrams = [];
+    for await (const datagram of readCapture(path, { onMalformed: (message) => messages.push(message) })) {
+      datagrams.push(datagram);
+    }
+
+    assert.deepEqual(datagrams.map(datagram => datagram.payload), [pdu]);
+    assert.deepEqual(messages, [
+      'Skipped malformed frame #1: 70000 bytes captured, above the snapshot length of 65535',
+      'Skipped truncated frame #3: 4294967295 bytes captured, 10 left in the file'
+    ]);
+  });
+
+  it('stops at the invalid pcapng block lengths', async () => {
+    const section = Buffer.alloc(16);
+    section.writeUInt32LE(0x1a2b3c4d, 0);
+    section.writeUInt16LE(1, 4);
+    section.writeBigInt64LE(-1n, 8);
+    const iface = Buffer.alloc(8);
+    iface.writeUInt16LE(LINKTYPE.ETHERNET, 0);
+    const packet = Buffer.alloc(20);
+    packet.writeUInt32LE(1000, 12);
+
+    const tooShort = pcapngBlock(6, Buffer.alloc(0));
+    tooShort.writeUInt32LE(8, 4);
+    const tooLong = pcapngBlock(6, Buffer.alloc(0));
+    tooLong.writeUInt32LE(0xfffffffc, 4);
+
+    const start = Buffer.concat([pcapngBlock(0x0a0d0d0a, section), pcapngBlock(1, iface), pcapngBlock(6, packet)]);
+    const cases = [
+      [tooShort, `Stopped at the invalid block length of 8 bytes at offset ${start.length}`],
+      [tooLong, `Stopped at the truncated block at offset ${start.length}: 4294967292 bytes long, 12 left in the file`]
+    ];
+
+    for (const [block, message] of cases) {
+      const path = join(directory, 'corrupt.pcapng');
+      await writeFile(path, Buffer.concat([start, block]));
+
+      const messages = [];
+      for await (const datagram of readCapture(path, { onMalformed: (message) => messages.push(message) })) {
+        assert.fail(`Unexpected datagram ${datagram}`);
+      }
+      assert.deepEqual(messages, ['Skipped malformed frame #1: captured length beyond its block of 32 bytes', message]);
+    }
+  });
+
+  it('keeps the UDP payload without the Ethernet padding', () => {
+    const frame = Buffer.concat([ethernetFrame(Buffer.from([1, 2])), Buffer.alloc(16)]);
+
+    assert.deepEqual(parseFrame(frame, LINKTYPE.ETHERNET).payload, Buffer.from([1, 2]));
+    assert.throws(() => parseFrame(frame.subarray(0, 20), LINKTYPE.ETHERNET), MalformedFrameError);
+  });
+
+  it('reads the Simple Packet Blocks without capture time', async () => {
+    const path = join(directory, 'simple.pcapng');
+    const frame = ethernetFrame(buildFirePdu());
+
+    const section = Buffer.alloc(16);
+    section.writeUInt32LE(0x1a2b3c4d, 0);
+    section.writeUInt16LE(1, 4);
+    section.writeBigInt64LE(-1n, 8);
+    const iface = Buffer.alloc(8);
+    iface.writeUInt16LE(LINKTYPE.ETHERNET, 0);
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(frame.length);
+
+    await writeFile(path, Buffer.concat([pcapngBlock(0x0a0d0d0a, section), pcapngBlock(1, iface), pcapngBlock(3, Buffer.concat([length, frame]))]));
+
+    const datagrams = [];
+    for await (const datagram of readCapture(path)) {
+      datagrams.push(datagram);
+    }
+
+    assert.equal(datagrams.length, 1);
+    assert.equal(datagrams[0].timestamp, undefined);
+    assert.equal(datagrams[0].destinationPort, 62040);
+  });
+});
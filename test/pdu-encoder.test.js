@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodePdu, headingPitchRollToEuler, latLonAltToWorld } from '../lib/pdu-encoder.js';
+import { eulerToMatrix } from '../lib/dead-reckoning.js';
+import { parsePDUHeader } from '../lib/pdu-header.js';
+import { ENTITY, buildEntityStatePdu, buildFirePdu } from './helpers/pdu-builder.js';
+
+const close = (actual, expected, tolerance = 1e-6) => assert.ok(Math.abs(actual - expected) < tolerance, `${actual} != ${expected}`);
+
+describe('pdu-encoder', () => {
+  it('converts lat/lon/alt to world coordinates', () => {
+    const equator = latLonAltToWorld({ latitude: 0, longitude: 0, altitude: 0 });
+    close(equator.x, 6378137);
+    close(equator.y, 0);
+    close(equator.z, 0);
+
+    const pole = latLonAltToWorld({ latitude: 90, longitude: 0, altitude: 10 });
+    close(pole.z, 6356752.314245 + 10, 1e-3);
+  });
+
+  it('converts heading/pitch/roll to the DIS Euler angles', () => {
+    // the body x axis, first row of the world to body matrix, points north then east at 0°N 0°E
+    const north = eulerToMatrix(headingPitchRollToEuler({ heading: 0 }, 0, 0))[0];
+    [0, 0, 1].forEach((value, i) => close(north[i], value));
+
+    const east = eulerToMatrix(headingPitchRollToEuler({ heading: 90 }, 0, 0))[0];
+    [0, 1, 0].forEach((value, i) => close(east[i], value));
+  });
+
+  it('encodes an Entity State PDU with articulation parameters', () => {
+    const pdu = buildEntityStatePdu();
+    const header = parsePDUHeader(pdu);
+
+    assert.equal(pdu.length, 144 + 2 * 16);
+    assert.deepEqual({ ...header, timestamp: 0 }, {
+      protocolVersion: 6,
+      exerciseID: 1,
+      pduType: 1,
+      protocolFamily: 1,
+      timestamp: 0,
+      length: pdu.length
+    });
+    // relative timestamp
+    assert.equal(header.timestamp & 1, 0);
+
+    assert.equal(pdu.readUInt16BE(16), ENTITY.entityID.entity);
+    assert.equal(pdu.readUInt8(19), 2);
+    assert.equal(pdu.readUInt16BE(22), 225);
+    assert.equal(pdu.subarray(129, 140).toString('ascii').replace(/\0+$/, ''), 'ALPHA1');
+    assert.equal(pdu.subarray(160 + 8, 176).toString('hex'), '0001000200040000');
+  });
+
+  it('encodes a Fire PDU', () => {
+    const pdu = buildFirePdu();
+
+    assert.equal(pdu.length, 96);
+    assert.equal(parsePDUHeader(pdu).pduType, 2);
+    assert.equal(pdu.readUInt16BE(34), 7); // event number
+  });
+
+  it('rejects invalid fields with a message naming them', () => {
+    assert.throws(() => encodePdu({ pduType: 1, entityType: ENTITY.entityType, location: ENTITY.location }), /entityID is required/);
+    assert.throws(() => encodePdu({ pduType: 1, ...ENTITY, forceId: 300 }), /forceId must be an integer between 0 and 255/);
+    assert.throws(() => encodePdu({ pduType: 1, ...ENTITY, marking: 'MUCH TOO LONG' }), /marking/);
+    assert.throws(() => encodePdu({ pduType: 1, ...ENTITY, protocolVersion: 5 }), /protocolVersion/);
+    assert.throws(() => encodePdu({ pduType: 3 }), /PDU type 3 can't be encoded/);
+  });
+});
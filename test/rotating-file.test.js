@@ -0,0 +1,94 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { mkdir, mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { gunzipSync } from 'node:zlib';
+import { RotatingFile } from '../lib/rotating-file.js';
+
+describe('RotatingFile', async () => {
+  const root = await mkdtemp(join(tmpdir(), 'dis-listener-'));
+  after(() => rm(root, { recursive: true, force: true }));
+
+  let count = 0;
+  const createDirectory = async () => {
+    const directory = join(root, String(count++));
+    await mkdir(directory);
+    return directory;
+  };
+
+  it('rotates the file above the maximum size, with a header in every file', async () => {
+    const directory = await createDirectory();
+    const path = join(directory, 'exercise.log');
+    const file = new RotatingFile(path, { maxSize: 31, header: () => '# header\n' });
+
+    file.write('0123456789\n');
+    file.write('0123456789\n');
+    // over 31 bytes with the header
+    file.write('abcdefghij\n');
+    await file.close();
+
+    const names = (await readdir(directory)).sort();
+    assert.equal(names.length, 2);
+    assert.match(names[0], /^exercise\.\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}\.\d{3}Z\.log$/);
+    assert.equal(names[1], 'exercise.log');
+
+    assert.equal(await readFile(join(directory, names[0]), 'utf8'), '# header\n0123456789\n0123456789\n');
+    assert.equal(await readFile(path, 'utf8'), '# header\nabcdefghij\n');
+  });
+
+  it('rotates the file at the interval, aligned on the clock', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T09:59:59Z') });
+
+    const directory = await createDirectory();
+    const file = new RotatingFile(join(directory, 'exercise.ndjson'), { interval: 3600000 });
+
+    file.write('{"a":1}\n');
+    t.mock.timers.tick(1000);
+    file.write('{"b":2}\n');
+    await file.close();
+
+    assert.deepEqual((await readdir(directory)).sort(), ['exercise.2026-10-19T09-59-59.000Z.ndjson', 'exercise.ndjson']);
+    assert.equal(await readFile(join(directory, 'exercise.ndjson'), 'utf8'), '{"b":2}\n');
+  });
+
+  it('compresses the rotated files and keeps the newest ones', async () => {
+    const directory = await createDirectory();
+    const file = new RotatingFile(join(directory, 'exercise.log'), { maxSize: 5, gzip: true, maxFiles: 2 });
+    const rotated = [];
+    file.on('rotated', (path) => rotated.push(path));
+
+    // one rotation at a time
+    file.write('one\n');
+    file.write('two\n');
+    await once(file, 'rotated');
+    file.write('three\n');
+    await once(file, 'rotated');
+    file.write('four\n');
+    await file.close();
+
+    assert.equal((await readdir(directory)).length, 3);
+
+    const files = await file.listRotatedFiles();
+    assert.equal(files.length, 2);
+    assert.ok(files.every(path => path.endsWith('.log.gz')));
+    assert.equal(gunzipSync(await readFile(files[0])).toString(), 'two\n');
+    assert.equal(gunzipSync(await readFile(files[1])).toString(), 'three\n');
+    assert.equal(await readFile(join(directory, 'exercise.log'), 'utf8'), 'four\n');
+    assert.equal(rotated.length, 3);
+  });
+
+  it('appends to an existing file', async () => {
+    const directory = await createDirectory();
+    const path = join(directory, 'exercise.log');
+    await writeFile(path, 'previous\n');
+
+    const file = new RotatingFile(path, { maxSize: 20 });
+    file.write('next\n');
+    assert.equal(file.size, 14);
+    await file.close();
+
+    assert.equal(await readFile(path, 'utf8'), 'previous\nnext\n');
+  });
+});
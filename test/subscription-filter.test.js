@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_FILTER, matchesFilter, normalizeFilter } from '../lib/subscription-filter.js';
+
+const entityState = {
+  exerciseID: 1,
+  pduType: 1,
+  entityID: { site: 1, application: 2, entity: 3 },
+  entityType: { kind: 1, domain: 2, country: 225 },
+  marking: 'ALPHA1     ',
+  location: { latitude: 43.1, longitude: 5.9, altitude: 0 }
+};
+
+const fire = { exerciseID: 1, pduType: 2 };
+
+describe('subscription-filter', () => {
+  it('defaults to the Entity State PDUs', () => {
+    assert.equal(normalizeFilter(null), DEFAULT_FILTER);
+    assert.deepEqual(normalizeFilter({}), { pduTypes: [1] });
+
+    assert.ok(matchesFilter(DEFAULT_FILTER, entityState));
+    assert.ok(!matchesFilter(DEFAULT_FILTER, fire));
+  });
+
+  it('matches the exercise and PDU type of every PDU', () => {
+    const filter = normalizeFilter({ exerciseIDs: [2], pduTypes: [1, 2] });
+
+    assert.ok(!matchesFilter(filter, fire));
+    assert.ok(matchesFilter(filter, { ...fire, exerciseID: 2 }));
+  });
+
+  it('matches the entity fields of the Entity State PDUs only', () => {
+    const filter = normalizeFilter({ pduTypes: [1, 2], siteApplications: ['1:*'], entityKinds: [1], domains: [2], countries: [225] });
+
+    assert.ok(matchesFilter(filter, entityState));
+    assert.ok(matchesFilter(filter, fire));
+    assert.ok(!matchesFilter(filter, { ...entityState, entityID: { site: 2, application: 2, entity: 3 } }));
+    assert.ok(!matchesFilter(filter, { ...entityState, entityType: { kind: 1, domain: 1, country: 225 } }));
+  });
+
+  it('matches the marking pattern, case insensitive', () => {
+    assert.ok(matchesFilter(normalizeFilter({ marking: 'alpha*' }), entityState));
+    assert.ok(matchesFilter(normalizeFilter({ marking: 'ALPHA?' }), entityState));
+    assert.ok(!matchesFilter(normalizeFilter({ marking: 'BRAVO*' }), entityState));
+    // regular expression characters are literal
+    assert.ok(!matchesFilter(normalizeFilter({ marking: 'ALPH.1' }), entityState));
+  });
+
+  it('matches the bounding box, across the antimeridian too', () => {
+    assert.ok(matchesFilter(normalizeFilter({ bbox: [5, 43, 6, 44] }), entityState));
+    assert.ok(!matchesFilter(normalizeFilter({ bbox: [6, 43, 7, 44] }), entityState));
+    assert.ok(!matchesFilter(normalizeFilter({ bbox: [170, -10, -170, 10] }), entityState));
+    assert.ok(matchesFilter(normalizeFilter({ bbox: [170, -10, -170, 10] }), {
+      ...entityState,
+      location: { latitude: 0, longitude: 179, altitude: 0 }
+    }));
+  });
+
+  it('keeps the compiled marking out of the filter sent back', () => {
+    assert.equal(JSON.stringify(normalizeFilter({ marking: 'A*' })), '{"pduTypes":[1],"marking":"A*"}');
+  });
+
+  it('rejects invalid filters', () => {
+    assert.throws(() => normalizeFilter([]), /filter must be an object/);
+    assert.throws(() => normalizeFilter({ kinds: [1] }), /unknown filter field: kinds/);
+    assert.throws(() => normalizeFilter({ pduTypes: [1.5] }), /pduTypes must be an array of integers/);
+    assert.throws(() => normalizeFilter({ siteApplications: ['1'] }), /siteApplications/);
+    assert.throws(() => normalizeFilter({ marking: 1 }), /marking must be a string/);
+    assert.throws(() => normalizeFilter({ bbox: [0, 10, 1, 5] }), /bbox/);
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { EntityRegistry } from '../lib/entity-registry.js';
+import { INVALID_REASON, TrafficStatistics, formatMetric } from '../lib/traffic-statistics.js';
+
+const rinfo = { address: '10.1.0.5', port: 3000, size: 144 };
+const air = { name: 'air' };
+const land = { name: 'land' };
+
+/**
+ * A receiver replaced by its events
+ */
+function createReceiver() {
+  const receiver = new EventEmitter();
+  receiver.entityRegistry = new EntityRegistry();
+  return receiver;
+}
+
+/**
+ * Emits the events of a decoded Entity State PDU
+ */
+function receivePDU(receiver, input, length = 144) {
+  const msg = Buffer.alloc(length);
+  receiver.emit('datagram', msg, rinfo, 0, input);
+  receiver.emit('pdu', { input: input.name, protocolVersion: 6, pduType: 1 }, msg, rinfo);
+}
+
+describe('TrafficStatistics', () => {
+  it('counts the traffic of each input', () => {
+    const receiver = createReceiver();
+    const traffic = new TrafficStatistics(receiver);
+
+    receivePDU(receiver, air);
+    receivePDU(receiver, air);
+    receivePDU(receiver, land, 176);
+    receiver.emit('datagram', Buffer.alloc(8), rinfo, 0, land);
+    receiver.emit('invalid', 'too short', Buffer.alloc(8), rinfo, land, INVALID_REASON.TOO_SHORT);
+    receiver.emit('ignored', Buffer.alloc(144), rinfo, air);
+
+    assert.deepEqual(traffic.totals(), { datagrams: 5, bytes: 144 * 3 + 176 + 8, ignored: 1, pdus: 3, invalid: 1 });
+    assert.equal(traffic.inputs.get('air').pdus.get('6:1'), 2);
+    assert.equal(traffic.inputs.get('land').invalid.get('tooShort'), 1);
+  });
+
+  it('summarizes the traffic since the previous summary', () => {
+    const receiver = createReceiver();
+    const traffic = new TrafficStatistics(receiver);
+    const start = traffic.start;
+
+    receiver.entityRegistry.update({ site: 1, application: 2, entity: 3 }, {}, start);
+    for (let i = 0; i < 20; i++) {
+      receivePDU(receiver, air, 512);
+    }
+
+    assert.equal(traffic.summarize(start + 10000), 'Last 10 s: 20 datagrams (10.0 KB), 20 PDUs (2.0 PDU/s), 0 invalid, 0 ignored, 1 entities');
+    assert.equal(traffic.summarize(start + 20000), 'Last 10 s: 0 datagrams (0.0 KB), 0 PDUs (0.0 PDU/s), 0 invalid, 0 ignored, 1 entities');
+  });
+
+  it('formats the Prometheus metrics', () => {
+    const receiver = createReceiver();
+    const traffic = new TrafficStatistics(receiver);
+
+    receivePDU(receiver, air);
+    receiver.emit('datagram', Buffer.alloc(144), rinfo, 0, air);
+    receiver.emit('invalid', 'decode error', Buffer.alloc(144), rinfo, air, INVALID_REASON.DECODE_ERROR);
+
+    const lines = traffic.formatMetrics();
+
+    assert.ok(lines.includes('# TYPE dis_datagrams_total counter'));
+    assert.ok(lines.includes('dis_datagrams_total{input="air"} 2'));
+    assert.ok(lines.includes('dis_received_bytes_total{input="air"} 288'));
+    assert.ok(lines.includes('dis_pdus_total{input="air",version="6",type="1",name="Entity State"} 1'));
+    assert.ok(lines.includes('dis_invalid_datagrams_total{input="air",reason="decodeError"} 1'));
+    assert.ok(lines.includes('dis_entities 0'));
+  });
+
+  it('escapes the label values', () => {
+    assert.deepEqual(formatMetric('dis_test', 'gauge', 'Test', [{ labels: { input: 'a "b"\\c' }, value: 1 }]), [
+      '# HELP dis_test Test',
+      '# TYPE dis_test gauge',
+      'dis_test{input="a \\"b\\"\\\\c"} 1'
+    ]);
+  });
+});
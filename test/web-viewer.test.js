@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderViewerPage, viewerContentSecurityPolicy } from '../lib/web-viewer.js';
+
+describe('renderViewerPage', () => {
+  const options = { paths: ['/', '/air'], pduTypes: [1, 2], entityTimeout: 12000, version: '1.0.0' };
+
+  it('embeds the options in the page', () => {
+    const page = renderViewerPage(options);
+    const [, json] = page.match(/<script id="config" type="application\/json">(.*)<\/script>/);
+
+    assert.match(page, /^<!DOCTYPE html>/);
+    assert.deepEqual(JSON.parse(json), options);
+  });
+
+  it('cannot end the script block from the options', () => {
+    const page = renderViewerPage({ ...options, paths: ['/</script><script>alert(1)</script>'] });
+
+    assert.equal(page.match(/<\/script>/g).length, 2);
+    assert.match(page, /\\u003c\/script>/);
+  });
+
+  it('escapes the closing script tags of the embedded config and reads them back', () => {
+    const paths = ['/</script><script>alert(1)</script>', '/<!--'];
+    const page = renderViewerPage({ ...options, paths });
+    const [, json] = page.match(/<script id="config" type="application\/json">(.*?)<\/script>/);
+
+    assert.ok(!json.includes('<'));
+    assert.deepEqual(JSON.parse(json).paths, paths);
+  });
+});
+
+describe('viewerContentSecurityPolicy', () => {
+  it('only lets the page connect to the WebSocket of the proxy', () => {
+    const policy = viewerContentSecurityPolicy('wss://proxy.example.org:9870');
+
+    assert.match(policy, /^default-src 'none';/);
+    assert.match(policy, /script-src 'unsafe-inline'/);
+    assert.match(policy, /connect-src wss:\/\/proxy\.example\.org:9870$/);
+  });
+});